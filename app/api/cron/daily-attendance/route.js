@@ -0,0 +1,37 @@
+// app/api/cron/daily-attendance/route.js — scheduled processing of the previous business day + catch-up
+import { connectDB } from '@/lib/db';
+import { successResponse, errorResponse, errorResponseFromException } from '@/lib/api/response';
+import { isAuthorizedCronRequest } from '@/lib/auth/cronAuth';
+import {
+  runScheduledProcessing,
+  DEFAULT_CATCH_UP_DAYS,
+  MAX_CATCH_UP_DAYS,
+} from '@/lib/attendance/processingRuns';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+// GET /api/cron/daily-attendance?days=7  (Authorization: Bearer <CRON_SECRET>)
+export async function GET(req) {
+  try {
+    if (!isAuthorizedCronRequest(req)) {
+      return errorResponse('Unauthorized', 401);
+    }
+    await connectDB();
+
+    const { searchParams } = new URL(req.url);
+    const days = parseInt(searchParams.get('days') || String(DEFAULT_CATCH_UP_DAYS), 10);
+    const maxDays = Math.min(MAX_CATCH_UP_DAYS, Math.max(1, Number.isFinite(days) ? days : DEFAULT_CATCH_UP_DAYS));
+
+    const runs = await runScheduledProcessing({ maxDays, trigger: 'cron' });
+    const failed = runs.filter((r) => r.status === 'failed').length;
+
+    return successResponse(
+      { processed: runs.length, failed, runs },
+      runs.length === 0 ? 'Nothing to process' : 'Daily attendance processing finished'
+    );
+  } catch (err) {
+    return errorResponseFromException(err, req);
+  }
+}
@@ -0,0 +1,39 @@
+// app/api/cron/device-sync/route.js — scheduled pull-mode sync of all devices
+import { connectDB } from '@/lib/db';
+import Device from '@/models/Device';
+import DeviceSyncRun from '@/models/DeviceSyncRun';
+import AttendanceEvent from '@/models/AttendanceEvent';
+import { successResponse, errorResponse, errorResponseFromException } from '@/lib/api/response';
+import { isAuthorizedCronRequest } from '@/lib/auth/cronAuth';
+import { syncAllDevices } from '@/lib/device/pullSync';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+// GET /api/cron/device-sync  (Authorization: Bearer <CRON_SECRET>)
+export async function GET(req) {
+  try {
+    if (!isAuthorizedCronRequest(req)) {
+      return errorResponse('Unauthorized', 401);
+    }
+    await connectDB();
+
+    const runs = await syncAllDevices({
+      models: { Device, DeviceSyncRun, AttendanceEvent },
+      trigger: 'cron',
+    });
+
+    const totals = { devices: runs.length, fetched: 0, inserted: 0, duplicates: 0, failed: 0 };
+    for (const run of runs) {
+      totals.fetched += run.fetched || 0;
+      totals.inserted += run.inserted || 0;
+      totals.duplicates += run.duplicates || 0;
+      if (run.status === 'failed') totals.failed += 1;
+    }
+
+    return successResponse({ totals, runs }, 'Device sync finished');
+  } catch (err) {
+    return errorResponseFromException(err, req);
+  }
+}
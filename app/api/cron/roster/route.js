@@ -0,0 +1,32 @@
+// app/api/cron/roster/route.js — roll active roster patterns forward (rolling horizon)
+import { connectDB } from '@/lib/db';
+import { successResponse, errorResponse, errorResponseFromException } from '@/lib/api/response';
+import { isAuthorizedCronRequest } from '@/lib/auth/cronAuth';
+import { regenerateActiveRosterPatterns, DEFAULT_ROSTER_HORIZON_DAYS } from '@/lib/shift/rosterPattern';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+// GET /api/cron/roster?days=56  (Authorization: Bearer <CRON_SECRET>)
+export async function GET(req) {
+  try {
+    if (!isAuthorizedCronRequest(req)) {
+      return errorResponse('Unauthorized', 401);
+    }
+    await connectDB();
+
+    const { searchParams } = new URL(req.url);
+    const days = parseInt(searchParams.get('days') || String(DEFAULT_ROSTER_HORIZON_DAYS), 10);
+
+    const results = await regenerateActiveRosterPatterns({ horizonDays: days });
+    const failed = results.filter((r) => !r.ok).length;
+
+    return successResponse(
+      { patterns: results.length, failed, results },
+      results.length === 0 ? 'No active roster patterns' : 'Roster patterns regenerated'
+    );
+  } catch (err) {
+    return errorResponseFromException(err, req);
+  }
+}
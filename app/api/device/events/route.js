@@ -0,0 +1,120 @@
+import { timingSafeEqual } from 'crypto';
+import { connectDB } from '@/lib/db';
+import AttendanceEvent from '@/models/AttendanceEvent';
+import Device from '@/models/Device';
+import { successResponse, errorResponse, errorResponseFromException } from '@/lib/api/response';
+import { ValidationError } from '@/lib/errors/errorHandler';
+import {
+  normalizeAcsEvent,
+  extractAcsEventPayloads,
+  parseMultipartAlertStream,
+  storeAttendanceEvents,
+} from '@/lib/device/acsEvent';
+import { recordDeviceContact } from '@/lib/device/deviceHealth';
+import { getRequestIp } from '@/lib/security/requestIp';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const MAX_BODY_BYTES = 2 * 1024 * 1024; // alertStream parts may carry a face snapshot
+
+/**
+ * Devices cannot hold a session, so they authenticate with a shared token
+ * (DEVICE_INGEST_TOKEN) sent as `x-device-token` or `?token=` — the latter for
+ * firmware that only lets you configure the listening URL.
+ */
+function isAuthorizedDevice(req) {
+  const expected = process.env.DEVICE_INGEST_TOKEN || '';
+  if (!expected) return false;
+  const provided =
+    req.headers.get('x-device-token') || new URL(req.url).searchParams.get('token') || '';
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+async function readPayloads(req) {
+  const contentType = req.headers.get('content-type') || '';
+  const buffer = Buffer.from(await req.arrayBuffer());
+  if (buffer.length === 0) return [];
+  if (buffer.length > MAX_BODY_BYTES) {
+    throw new ValidationError('Payload too large');
+  }
+
+  if (contentType.toLowerCase().startsWith('multipart/')) {
+    return parseMultipartAlertStream(buffer.toString('utf8'), contentType).flatMap(
+      extractAcsEventPayloads
+    );
+  }
+
+  try {
+    return extractAcsEventPayloads(JSON.parse(buffer.toString('utf8')));
+  } catch {
+    throw new ValidationError('Body must be an AcsEvent JSON payload or multipart alertStream');
+  }
+}
+
+/**
+ * POST /api/device/events
+ * Push target for Hikvision ISAPI access-control events (HTTP listening / alertStream).
+ * Re-delivered events are recognised by deviceIp + serialNo and not stored twice.
+ */
+export async function POST(req) {
+  try {
+    if (!process.env.DEVICE_INGEST_TOKEN) {
+      return errorResponse('Device ingestion is not configured', 503);
+    }
+    if (!isAuthorizedDevice(req)) {
+      return errorResponse('Unauthorized', 401);
+    }
+
+    const payloads = await readPayloads(req);
+    const requestIp = getRequestIp(req);
+    const companyTz = process.env.TIMEZONE_OFFSET || '+05:00';
+
+    await connectDB();
+
+    // Every payload (heartbeats included) counts as contact from its device
+    const contacts = new Map();
+    for (const payload of payloads) {
+      const ip = String(payload?.ipAddress || requestIp || '').trim();
+      if (ip && !contacts.has(ip)) contacts.set(ip, null);
+    }
+
+    const knownDevices = contacts.size
+      ? await Device.find({ ip: { $in: [...contacts.keys()] } })
+          .select('ip timezone')
+          .lean()
+          .maxTimeMS(1500)
+      : [];
+    const tzByIp = new Map(knownDevices.map((d) => [d.ip, d.timezone || companyTz]));
+
+    const docs = [];
+    for (const payload of payloads) {
+      const ip = String(payload?.ipAddress || requestIp || '').trim();
+      const doc = normalizeAcsEvent(payload, {
+        deviceIp: requestIp,
+        tzOffset: tzByIp.get(ip) || companyTz,
+      });
+      if (!doc) continue;
+      docs.push(doc);
+      const prev = contacts.get(doc.deviceIp);
+      if (!prev || doc.eventTime > prev) contacts.set(doc.deviceIp, doc.eventTime);
+    }
+
+    const stored = await storeAttendanceEvents(AttendanceEvent, docs);
+    await recordDeviceContact(Device, contacts);
+
+    return successResponse(
+      {
+        received: payloads.length,
+        inserted: stored.inserted,
+        duplicates: stored.duplicates,
+        ignored: payloads.length - docs.length,
+      },
+      'Events processed'
+    );
+  } catch (err) {
+    return errorResponseFromException(err, req);
+  }
+}
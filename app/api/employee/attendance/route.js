@@ -3,6 +3,7 @@ import { NextResponse } from 'next/server';
 import { connectDB } from '../../../../lib/db';
 import { requireEmployee } from '../../../../lib/auth/requireAuth';
 import AttendanceEvent from '../../../../models/AttendanceEvent';
+import { getPunchDebounceConfig, debouncePunches } from '../../../../lib/device/punchDebounce';
 
 // OPTIMIZATION: Node.js runtime for better connection pooling
 export const runtime = 'nodejs';
@@ -39,19 +40,27 @@ export async function GET(req) {
 
     // OPTIMIZATION: Select only required fields, use index hint, add timeout
     // Index: { empCode: 1, eventTime: 1 } should exist for fast queries
-    const events = await AttendanceEvent.find({
-      empCode,
-      eventTime: { $gte: start, $lt: end },
-      minor: { $in: [38, 39] },
-    })
-      .select('eventTime empCode') // Only select required fields
-      .sort({ eventTime: 1 })
-      .lean()
-      .maxTimeMS(3000); // Fast timeout
+    const [events, debounce] = await Promise.all([
+      AttendanceEvent.find({
+        empCode,
+        eventTime: { $gte: start, $lt: end },
+        minor: { $in: [38, 39] },
+      })
+        .select('eventTime empCode deviceIp') // Only select required fields
+        .sort({ eventTime: 1 })
+        .lean()
+        .maxTimeMS(3000), // Fast timeout
+      getPunchDebounceConfig(),
+    ]);
+
+    // Repeat scans within the debounce window are not separate punches
+    const punches = debouncePunches(events, debounce)
+      .filter((p) => !p.suppressed)
+      .map((p) => p.event);
 
     const byDay = new Map();
 
-    for (const ev of events) {
+    for (const ev of punches) {
       const local = new Date(ev.eventTime);
       const dayKey = local.toISOString().slice(0, 10); // "YYYY-MM-DD"
 
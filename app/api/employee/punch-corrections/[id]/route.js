@@ -0,0 +1,34 @@
+// app/api/employee/punch-corrections/[id]/route.js
+// Cancel (DELETE) one of my pending correction requests
+import mongoose from 'mongoose';
+import { connectDB } from '../../../../../lib/db';
+import PunchCorrectionRequest from '../../../../../models/PunchCorrectionRequest';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requireEmployee } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, NotFoundError } from '../../../../../lib/errors/errorHandler';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function DELETE(req, { params }) {
+  try {
+    const { user } = await requireEmployee();
+    await connectDB();
+    const { id } = await params;
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new ValidationError('Invalid request id');
+
+    const request = await PunchCorrectionRequest.findOneAndUpdate(
+      { _id: id, empCode: String(user.empCode || ''), status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    )
+      .lean()
+      .maxTimeMS(2000);
+    if (!request) throw new NotFoundError('Pending correction request');
+
+    return successResponse({ request }, 'Correction request cancelled', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_EMPLOYEE') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -0,0 +1,101 @@
+// app/api/employee/punch-corrections/route.js
+// List (GET) and submit (POST) missed-punch correction requests for the logged-in employee
+import { connectDB } from '../../../../lib/db';
+import PunchCorrectionRequest, { PUNCH_CORRECTION_TYPES } from '../../../../models/PunchCorrectionRequest';
+import Employee from '../../../../models/Employee';
+import ShiftAttendance from '../../../../models/ShiftAttendance';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requireEmployee } from '../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../lib/errors/errorHandler';
+import { getCompanyTodayYmd } from '../../../../lib/time/companyToday';
+import { resolveCorrectionTime, resolveEmployeeShiftForDate } from '../../../../lib/attendance/punchCorrection';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const TZ = process.env.TIMEZONE_OFFSET || '+05:00';
+
+// GET /api/employee/punch-corrections – list my requests (newest first)
+export async function GET(req) {
+  try {
+    const { user } = await requireEmployee();
+    await connectDB();
+    const empCode = String(user.empCode || '').trim();
+    if (!empCode) throw new ValidationError('empCode is required');
+
+    const list = await PunchCorrectionRequest.find({ empCode })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean()
+      .maxTimeMS(2000);
+
+    return successResponse({ requests: list }, 'Punch correction requests retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_EMPLOYEE') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// POST /api/employee/punch-corrections – { date, type: checkIn|checkOut, time: HH:MM, reason }
+export async function POST(req) {
+  try {
+    const { user } = await requireEmployee();
+    await connectDB();
+    const body = await req.json();
+    const empCode = user.empCode; // Session empCode only - employees can only request for themselves
+
+    const date = String(body?.date || '').trim();
+    const type = body?.type;
+    const time = String(body?.time || '').trim();
+    const reason = String(body?.reason || '').trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new ValidationError('date must be YYYY-MM-DD');
+    if (!PUNCH_CORRECTION_TYPES.includes(type)) {
+      throw new ValidationError(`type must be one of: ${PUNCH_CORRECTION_TYPES.join(', ')}`);
+    }
+    if (!reason) throw new ValidationError('reason is required');
+    if (date > getCompanyTodayYmd()) throw new ValidationError('Cannot request a correction for a future date');
+
+    const duplicate = await PunchCorrectionRequest.findOne({ empCode, date, type, status: 'pending' })
+      .select('_id')
+      .lean()
+      .maxTimeMS(2000);
+    if (duplicate) throw new ValidationError('A pending request for this day and punch already exists');
+
+    const emp = await Employee.findOne({ empCode })
+      .select('empCode name department shift shiftId')
+      .lean()
+      .maxTimeMS(2000);
+    if (!emp) throw new ValidationError('Employee not found');
+
+    const { shiftCode, shiftObj } = await resolveEmployeeShiftForDate(emp, date);
+    const requestedTime = resolveCorrectionTime({ date, time, type, shift: shiftObj, tzOffset: TZ });
+    if (requestedTime.getTime() > Date.now()) throw new ValidationError('Requested time is in the future');
+
+    const record = shiftCode
+      ? await ShiftAttendance.findOne({ date, empCode, shift: shiftCode })
+          .select('checkIn checkOut')
+          .lean()
+          .maxTimeMS(2000)
+      : null;
+
+    const doc = await PunchCorrectionRequest.create({
+      empCode: emp.empCode,
+      employeeName: emp.name || '',
+      department: emp.department || '',
+      date,
+      shift: shiftCode,
+      type,
+      requestedTimeLocal: time,
+      requestedTime,
+      previousTime: record?.[type] || null,
+      reason,
+      status: 'pending',
+    });
+
+    const request = doc.toObject ? doc.toObject() : doc;
+    return successResponse({ request }, 'Correction request submitted', HTTP_STATUS.CREATED);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_EMPLOYEE') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -0,0 +1,48 @@
+// app/api/employee/shift-swaps/[id]/route.js
+// Colleague accepts / declines a swap request; requester cancels one that is still open
+import mongoose from 'mongoose';
+import { connectDB } from '../../../../../lib/db';
+import ShiftSwapRequest from '../../../../../models/ShiftSwapRequest';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requireEmployee } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, NotFoundError } from '../../../../../lib/errors/errorHandler';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// action -> who may take it, from which statuses, and the resulting status
+const ACTIONS = {
+  accept: { party: 'colleagueEmpCode', from: ['awaitingColleague'], status: 'awaitingHr', message: 'Swap accepted; waiting for HR' },
+  decline: { party: 'colleagueEmpCode', from: ['awaitingColleague'], status: 'declined', message: 'Swap declined' },
+  cancel: { party: 'requesterEmpCode', from: ['awaitingColleague', 'awaitingHr'], status: 'cancelled', message: 'Swap request cancelled' },
+};
+
+// PATCH /api/employee/shift-swaps/:id – { action: accept|decline|cancel }
+export async function PATCH(req, { params }) {
+  try {
+    const { user } = await requireEmployee();
+    await connectDB();
+    const { id } = await params;
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new ValidationError('Invalid request id');
+
+    const body = await req.json();
+    const action = ACTIONS[body?.action];
+    if (!action) throw new ValidationError('action must be accept, decline or cancel');
+
+    const $set = { status: action.status };
+    if (action.party === 'colleagueEmpCode') $set.colleagueRespondedAt = new Date();
+    const request = await ShiftSwapRequest.findOneAndUpdate(
+      { _id: id, [action.party]: String(user.empCode || ''), status: { $in: action.from } },
+      { $set },
+      { new: true }
+    )
+      .lean()
+      .maxTimeMS(2000);
+    if (!request) throw new NotFoundError('Open swap request');
+
+    return successResponse({ request }, action.message, HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_EMPLOYEE') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
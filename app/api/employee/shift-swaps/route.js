@@ -0,0 +1,99 @@
+// app/api/employee/shift-swaps/route.js
+// List (GET) my shift swap requests — sent and received — and ask a colleague to swap (POST)
+import { connectDB } from '../../../../lib/db';
+import ShiftSwapRequest from '../../../../models/ShiftSwapRequest';
+import Employee from '../../../../models/Employee';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requireEmployee } from '../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../lib/errors/errorHandler';
+import { mergeActiveFilter } from '../../../../lib/employees/activeFilter';
+import { prepareShiftSwap } from '../../../../lib/shift/shiftSwap';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const OPEN_STATUSES = ['awaitingColleague', 'awaitingHr'];
+
+// GET /api/employee/shift-swaps – my requests (newest first) + colleagues I can swap with
+export async function GET(req) {
+  try {
+    const { user } = await requireEmployee();
+    await connectDB();
+    const empCode = String(user.empCode || '').trim();
+    if (!empCode) throw new ValidationError('empCode is required');
+
+    const me = await Employee.findOne({ empCode }).select('department').lean().maxTimeMS(2000);
+    const [requests, colleagues] = await Promise.all([
+      ShiftSwapRequest.find({ $or: [{ requesterEmpCode: empCode }, { colleagueEmpCode: empCode }] })
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .lean()
+        .maxTimeMS(2000),
+      me?.department
+        ? Employee.find(mergeActiveFilter({ department: me.department, empCode: { $ne: empCode } }))
+            .select('empCode name')
+            .sort({ name: 1 })
+            .lean()
+            .maxTimeMS(2000)
+        : [],
+    ]);
+
+    return successResponse({ requests, colleagues }, 'Shift swap requests retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_EMPLOYEE') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// POST /api/employee/shift-swaps – { date, colleagueEmpCode, reason }
+export async function POST(req) {
+  try {
+    const { user } = await requireEmployee();
+    await connectDB();
+    const body = await req.json();
+    const empCode = String(user.empCode || '').trim(); // Session empCode only - employees request for themselves
+
+    const date = String(body?.date || '').trim();
+    const colleagueEmpCode = String(body?.colleagueEmpCode || '').trim();
+    const reason = String(body?.reason || '').trim();
+    if (!reason) throw new ValidationError('reason is required');
+
+    const { requester, colleague, requesterShift, colleagueShift } = await prepareShiftSwap({
+      requesterEmpCode: empCode,
+      colleagueEmpCode,
+      date,
+    });
+
+    const duplicate = await ShiftSwapRequest.findOne({
+      date,
+      status: { $in: OPEN_STATUSES },
+      $or: [
+        { requesterEmpCode: { $in: [empCode, colleagueEmpCode] } },
+        { colleagueEmpCode: { $in: [empCode, colleagueEmpCode] } },
+      ],
+    })
+      .select('_id')
+      .lean()
+      .maxTimeMS(2000);
+    if (duplicate) throw new ValidationError('You or your colleague already have an open swap request for this day');
+
+    const doc = await ShiftSwapRequest.create({
+      requesterEmpCode: requester.empCode,
+      requesterName: requester.name || '',
+      colleagueEmpCode: colleague.empCode,
+      colleagueName: colleague.name || '',
+      department: requester.department || '',
+      date,
+      requesterShift,
+      colleagueShift,
+      reason,
+      status: 'awaitingColleague',
+    });
+
+    const request = doc.toObject ? doc.toObject() : doc;
+    return successResponse({ request }, 'Swap request sent to your colleague', HTTP_STATUS.CREATED);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_EMPLOYEE') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
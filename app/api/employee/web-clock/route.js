@@ -4,11 +4,22 @@ import ShiftAttendance from '@/models/ShiftAttendance';
 import Shift from '@/models/Shift';
 import { requireEmployee } from '@/lib/auth/requireAuth';
 import { getCompanyTodayYmd } from '@/lib/time/companyToday';
-import { getShiftsForEmployeesOnDate } from '@/lib/shift/getShiftForDate';
+import { getRosterDaysOff, getShiftsForEmployeesOnDate } from '@/lib/shift/getShiftForDate';
 import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '@/lib/api/response';
 import { ValidationError } from '@/lib/errors/errorHandler';
-import { computeLateEarly } from '@/lib/calculations/violations';
+import { evaluateDay, loadEvaluationContext } from '@/lib/attendance/evaluateDay';
+import { findHoliday, getHolidaysInRange } from '@/lib/attendance/holidays';
+import { overtimeFieldsForRow } from '@/lib/calculations/overtime';
 import { resolveGracePeriodsForCalendarDate } from '@/lib/shift/gracePeriods';
+import {
+  getRequestIp,
+  normalizeLocation,
+  normalizePhotoUrl,
+  findWebClockRule,
+  evaluateWebClockAccess,
+  claimWebClockPhoto,
+  logWebClockRejection,
+} from '@/lib/security/webClockRestrictions';
 
 export const runtime = 'nodejs';
 export const dynamic = 'force-dynamic';
@@ -41,6 +52,34 @@ async function loadEmployeeShiftAndRecord(empCode, employee) {
   return { date, shiftCode, record };
 }
 
+/** Snapshot stored on ShiftAttendance for the punch that passed the checks. */
+function buildWebClockCheck(now, ip, location, photoUrl, rule, check) {
+  return {
+    at: now,
+    ip,
+    latitude: location?.latitude ?? null,
+    longitude: location?.longitude ?? null,
+    accuracy: location?.accuracy ?? null,
+    rule: rule ? `${rule.scope}:${rule.target}` : null,
+    matchedCidr: check.matchedCidr,
+    matchedGeofence: check.matchedGeofence,
+    distanceMeters: check.distanceMeters,
+    photoUrl,
+  };
+}
+
+/**
+ * Claim the punch's selfie (see claimWebClockPhoto). Returns the 403 response when the
+ * photo cannot be used, or null to go ahead.
+ */
+async function rejectUnusablePhoto({ photoUrl, empCode, date, action, now, ip, location, rule }) {
+  if (!photoUrl) return null;
+  const { allowed, reason } = await claimWebClockPhoto(photoUrl, { empCode, date, action, now });
+  if (allowed) return null;
+  await logWebClockRejection({ empCode, action, ip, location, photoUrl, rule, reason });
+  return errorResponse(`Web clock ${action} is not allowed: ${reason}`, 403);
+}
+
 /**
  * GET /api/employee/web-clock — today's punch status (works regardless of month selected on dashboard).
  */
@@ -54,7 +93,7 @@ export async function GET(req) {
     }
 
     const employee = await Employee.findOne({ empCode })
-      .select('empCode shift shiftId allowWebClockIn')
+      .select('empCode department shift shiftId allowWebClockIn')
       .lean()
       .maxTimeMS(2000);
 
@@ -66,11 +105,17 @@ export async function GET(req) {
       );
     }
 
-    const { date, shiftCode, record } = await loadEmployeeShiftAndRecord(empCode, employee);
+    const [{ date, shiftCode, record }, rule] = await Promise.all([
+      loadEmployeeShiftAndRecord(empCode, employee),
+      findWebClockRule(employee),
+    ]);
 
     return successResponse(
       {
         allowWebClockIn: true,
+        // Dashboard asks the browser for coordinates only when a geofence applies
+        locationRequired: (rule?.geofences || []).length > 0,
+        selfieRequired: !!rule?.requireSelfie,
         date,
         shift: shiftCode || '',
         checkIn: record?.checkIn ? new Date(record.checkIn).toISOString() : null,
@@ -87,8 +132,9 @@ export async function GET(req) {
 
 /**
  * POST /api/employee/web-clock
- * Body: { action: 'in' | 'out' }
- * Employee-only. Requires allowWebClockIn on the employee record.
+ * Body: { action: 'in' | 'out', location?: { latitude, longitude, accuracy }, photoUrl?: string }
+ * Employee-only. Requires allowWebClockIn on the employee record, and the request IP /
+ * location must satisfy the employee's WebClockRule (rejections go to SecurityAuditLog).
  */
 export async function POST(req) {
   try {
@@ -107,7 +153,7 @@ export async function POST(req) {
     }
 
     const employee = await Employee.findOne({ empCode })
-      .select('empCode name department designation shift shiftId allowWebClockIn')
+      .select('empCode name department designation shift shiftId saturdayGroup allowWebClockIn')
       .lean()
       .maxTimeMS(2000);
 
@@ -119,13 +165,22 @@ export async function POST(req) {
       return errorResponse('Web clock in/out is not enabled for your account', 403);
     }
 
+    const ip = getRequestIp(req);
+    const location = normalizeLocation(body?.location);
+    const photoUrl = normalizePhotoUrl(body?.photoUrl);
+    const { rule, check } = await evaluateWebClockAccess(employee, { ip, location, photoUrl });
+    if (!check.allowed) {
+      await logWebClockRejection({ empCode, action, ip, location, photoUrl, rule, reason: check.reason });
+      return errorResponse(`Web clock ${action} is not allowed from here: ${check.reason}`, 403);
+    }
+
     const date = getCompanyTodayYmd();
 
     const shiftById = new Map();
     const allShiftsMap = new Map();
     const shifts = await Shift.find({})
       .select(
-        '_id code startTime endTime crossesMidnight gracePeriod checkInGracePeriod checkOutGracePeriod graceEffectiveFrom priorCheckInGracePeriod priorCheckOutGracePeriod'
+        '_id code startTime endTime crossesMidnight shiftType coreStartTime coreEndTime requiredHours segments gracePeriod checkInGracePeriod checkOutGracePeriod graceEffectiveFrom priorCheckInGracePeriod priorCheckOutGracePeriod'
       )
       .lean()
       .maxTimeMS(1500);
@@ -155,7 +210,7 @@ export async function POST(req) {
     const now = new Date();
 
     const existing = await ShiftAttendance.findOne({ date, empCode, shift: shiftCode })
-      .select('_id checkIn checkOut attendanceStatus manuallyEdited')
+      .select('_id checkIn checkOut attendanceStatus manuallyEdited overtimeMinutes overtimeStatus')
       .lean()
       .maxTimeMS(2000);
 
@@ -171,6 +226,9 @@ export async function POST(req) {
         return errorResponse('Today was set by HR. Contact HR to adjust attendance.', 400);
       }
 
+      const photoRejection = await rejectUnusablePhoto({ photoUrl, empCode, date, action, now, ip, location, rule });
+      if (photoRejection) return photoRejection;
+
       await ShiftAttendance.findOneAndUpdate(
         { date, empCode, shift: shiftCode },
         {
@@ -189,6 +247,7 @@ export async function POST(req) {
             late: false,
             earlyLeave: false,
             webSelfService: true,
+            webClockInCheck: buildWebClockCheck(now, ip, location, photoUrl, rule, check),
             manuallyEdited: false,
             checkInGracePeriod: graceSnap.checkIn,
             checkOutGracePeriod: graceSnap.checkOut,
@@ -216,19 +275,29 @@ export async function POST(req) {
       return errorResponse('Today was set by HR. Contact HR to adjust attendance.', 400);
     }
 
+    const photoRejection = await rejectUnusablePhoto({ photoUrl, empCode, date, action, now, ip, location, rule });
+    if (photoRejection) return photoRejection;
+
     let checkOut = now;
     const checkInDate = new Date(existing.checkIn);
     if (checkOut.getTime() <= checkInDate.getTime()) {
       checkOut = new Date(checkInDate.getTime() + 60 * 1000);
     }
 
-    const { late, earlyLeave } = computeLateEarly(
-      shiftCode,
-      checkInDate,
+    // Same day evaluation as daily processing and the monthly sheet
+    const evaluation = evaluateDay({
+      date,
+      checkIn: checkInDate,
       checkOut,
+      shift: shiftDef || shiftCode,
       allShiftsMap,
-      date
-    );
+      record: { checkInGracePeriod: graceSnap.checkIn, checkOutGracePeriod: graceSnap.checkOut },
+      employee,
+      ...(await loadEvaluationContext({ date })),
+      rosterDayOff: (await getRosterDaysOff([empCode], date, date)).has(`${empCode}|${date}`),
+      holiday: findHoliday(await getHolidaysInRange(date, date), date, employee.department),
+      companyTodayYmd: date,
+    });
 
     await ShiftAttendance.updateOne(
       { _id: existing._id },
@@ -236,10 +305,15 @@ export async function POST(req) {
         $set: {
           checkOut,
           totalPunches: 2,
-          attendanceStatus: 'Present',
-          late,
-          earlyLeave,
+          attendanceStatus: evaluation.status,
+          late: evaluation.late,
+          earlyLeave: evaluation.earlyLeave,
+          ...overtimeFieldsForRow(existing, evaluation.overtime),
+          workedHoursRule: evaluation.workedHoursRule,
+          holidayId: evaluation.holidayId,
+          ...(evaluation.segments ? { segments: evaluation.segments } : {}),
           webSelfService: true,
+          webClockOutCheck: buildWebClockCheck(now, ip, location, photoUrl, rule, check),
           checkInGracePeriod: graceSnap.checkIn,
           checkOutGracePeriod: graceSnap.checkOut,
           updatedAt: now,
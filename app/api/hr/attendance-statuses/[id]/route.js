@@ -0,0 +1,45 @@
+// app/api/hr/attendance-statuses/[id]/route.js — update one status
+import mongoose from 'mongoose';
+import { connectDB } from '../../../../../lib/db';
+import AttendanceStatus from '../../../../../models/AttendanceStatus';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, NotFoundError } from '../../../../../lib/errors/errorHandler';
+import { getAttendanceStatuses, invalidateAttendanceStatusCache } from '../../../../../lib/settings/getAttendanceStatuses';
+import { normalizeStatusInput } from '../../../../../lib/attendance/statusCatalog';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+async function loadStatus(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid status id');
+  }
+  const status = await AttendanceStatus.findById(id).lean().maxTimeMS(1500);
+  if (!status) throw new NotFoundError('Attendance status');
+  return status;
+}
+
+// PATCH /api/hr/attendance-statuses/:id — statuses are deactivated rather than deleted, since
+// attendance rows keep their label; days already processed follow on the next monthly run
+export async function PATCH(req, { params }) {
+  try {
+    const { user } = await requirePermission('attendanceStatuses', 'update');
+    await connectDB();
+    const { id } = await params;
+    const existing = await loadStatus(id);
+
+    const catalog = await getAttendanceStatuses({ fresh: true });
+    const $set = normalizeStatusInput(await req.json(), existing, catalog);
+    $set.updatedBy = user.email || user.id || '';
+
+    const status = await AttendanceStatus.findByIdAndUpdate(id, { $set }, { new: true, runValidators: true })
+      .lean()
+      .maxTimeMS(2000);
+    invalidateAttendanceStatusCache();
+    return successResponse({ status }, 'Status updated', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
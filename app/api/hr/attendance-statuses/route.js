@@ -0,0 +1,45 @@
+// app/api/hr/attendance-statuses/route.js — leave & attendance status catalog: list + create
+import { connectDB } from '../../../../lib/db';
+import AttendanceStatus from '../../../../models/AttendanceStatus';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requirePermission } from '../../../../lib/auth/requireAuth';
+import { getAttendanceStatuses, invalidateAttendanceStatusCache } from '../../../../lib/settings/getAttendanceStatuses';
+import { normalizeStatusInput } from '../../../../lib/attendance/statusCatalog';
+import { CUSTOM_STATUS_CATEGORIES } from '../../../../lib/calculations/attendanceRules';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/hr/attendance-statuses — every status (built-in ones are seeded on first read)
+export async function GET(req) {
+  try {
+    await requirePermission('attendanceStatuses', 'view');
+    const catalog = await getAttendanceStatuses({ fresh: true });
+    return successResponse(
+      { statuses: catalog.statuses, categories: CUSTOM_STATUS_CATEGORIES },
+      'Attendance statuses retrieved',
+      HTTP_STATUS.OK
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// POST /api/hr/attendance-statuses — add a leave / holiday / remote status
+export async function POST(req) {
+  try {
+    const { user } = await requirePermission('attendanceStatuses', 'create');
+    await connectDB();
+
+    const catalog = await getAttendanceStatuses({ fresh: true });
+    const input = normalizeStatusInput(await req.json(), null, catalog);
+    const changedBy = user.email || user.id || '';
+    const doc = await AttendanceStatus.create({ ...input, isSystem: false, createdBy: changedBy, updatedBy: changedBy });
+    invalidateAttendanceStatusCache();
+    return successResponse({ status: doc.toObject() }, 'Status created', HTTP_STATUS.CREATED);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
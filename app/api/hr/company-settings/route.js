@@ -1,11 +1,23 @@
 // app/api/hr/company-settings/route.js
-// Read and update the single company settings document (HR/ADMIN only).
+// Read and update company settings (HR/ADMIN only). Settings are effective-dated: an update
+// creates (or edits) the version starting on effectiveFrom, today by default.
 import { connectDB } from '../../../../lib/db';
 import CompanySettings from '../../../../models/CompanySettings';
-import { getCompanySettings, invalidateCompanySettingsCache, DEFAULT_COMPANY_SETTINGS } from '../../../../lib/settings/getCompanySettings';
+import {
+  getCompanySettingsVersions,
+  invalidateCompanySettingsCache,
+  DEFAULT_COMPANY_SETTINGS,
+} from '../../../../lib/settings/getCompanySettings';
+import {
+  pickVersionForDate,
+  resolveEffectiveFrom,
+  isScheduledVersion,
+  buildVersionTimeline,
+} from '../../../../lib/settings/policyVersions';
+import { getCompanyTodayYmd } from '../../../../lib/time/companyToday.js';
 import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
 import { requirePermission } from '../../../../lib/auth/requireAuth';
-import { ValidationError } from '../../../../lib/errors/errorHandler';
+import { ValidationError, NotFoundError } from '../../../../lib/errors/errorHandler';
 
 export const runtime = 'nodejs';
 export const dynamic = 'force-dynamic';
@@ -59,23 +71,35 @@ function validateUpdate(body) {
     if (!v || v.length > 8) throw new ValidationError('currency must be 1-8 characters');
     update.currency = v;
   }
+  if (body.punchDebounceSeconds !== undefined) {
+    const v = Number(body.punchDebounceSeconds);
+    if (!Number.isInteger(v) || v < 0 || v > 600) throw new ValidationError('punchDebounceSeconds must be 0-600');
+    update.punchDebounceSeconds = v;
+  }
 
   return update;
 }
 
-// GET /api/hr/company-settings - current settings (creates defaults if missing)
+async function settingsResponse(message) {
+  const versions = buildVersionTimeline(await getCompanySettingsVersions({ fresh: true }));
+  const settings = versions.find((v) => v.state === 'current') || null;
+  return successResponse({ settings, versions }, message, HTTP_STATUS.OK);
+}
+
+// GET /api/hr/company-settings - settings in force today and the version timeline
+// (creates defaults if missing)
 export async function GET() {
   try {
     await requirePermission('companySettings', 'view');
-    const settings = await getCompanySettings({ fresh: true });
-    return successResponse({ settings }, 'Company settings retrieved', HTTP_STATUS.OK);
+    return await settingsResponse('Company settings retrieved');
   } catch (err) {
     if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
     return errorResponseFromException(err);
   }
 }
 
-// PATCH /api/hr/company-settings - update one or more settings fields
+// PATCH /api/hr/company-settings - update one or more settings fields from effectiveFrom
+// (YYYY-MM-DD, default today); later versions keep their own values
 export async function PATCH(req) {
   try {
     const { user } = await requirePermission('companySettings', 'update');
@@ -86,31 +110,49 @@ export async function PATCH(req) {
     if (Object.keys(update).length === 0) {
       throw new ValidationError('No valid settings fields provided');
     }
+    const effectiveFrom = resolveEffectiveFrom(body.effectiveFrom);
     update.updatedBy = user?.email || user?.name || 'unknown';
 
-    // Ensure the singleton document exists (creates defaults if missing).
-    // Avoid upsert with overlapping $set + $setOnInsert fields — MongoDB rejects that on insert (500).
-    await getCompanySettings({ fresh: true });
+    // A new version starts from the one in force on effectiveFrom. Only fields not being
+    // updated go in $setOnInsert — MongoDB rejects overlapping $set + $setOnInsert (500).
+    const base = pickVersionForDate(await getCompanySettingsVersions({ fresh: true }), effectiveFrom);
+    const seed = {};
+    for (const key of Object.keys(DEFAULT_COMPANY_SETTINGS)) {
+      if (update[key] === undefined) seed[key] = base?.[key] ?? DEFAULT_COMPANY_SETTINGS[key];
+    }
 
-    let doc = await CompanySettings.findOneAndUpdate(
-      { configId: 'default' },
-      { $set: update },
-      { new: true, runValidators: true }
+    await CompanySettings.findOneAndUpdate(
+      { configId: 'default', effectiveFrom },
+      { $set: update, $setOnInsert: seed },
+      { new: true, upsert: true, runValidators: true }
     ).lean().maxTimeMS(2000);
 
-    if (!doc) {
-      const seed = {
-        ...DEFAULT_COMPANY_SETTINGS,
-        timezoneOffset: process.env.TIMEZONE_OFFSET || DEFAULT_COMPANY_SETTINGS.timezoneOffset,
-        ...update,
-      };
-      const created = await CompanySettings.create({ configId: 'default', ...seed });
-      doc = created.toObject ? created.toObject() : created;
+    invalidateCompanySettingsCache();
+    return await settingsResponse(
+      effectiveFrom > getCompanyTodayYmd() ? `Company settings scheduled from ${effectiveFrom}` : 'Company settings updated'
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// DELETE /api/hr/company-settings?effectiveFrom=YYYY-MM-DD - remove a version that has not started yet
+export async function DELETE(req) {
+  try {
+    await requirePermission('companySettings', 'update');
+    await connectDB();
+
+    const effectiveFrom = new URL(req.url).searchParams.get('effectiveFrom') || '';
+    const version = await CompanySettings.findOne({ configId: 'default', effectiveFrom }).lean().maxTimeMS(2000);
+    if (!version) throw new NotFoundError('Company settings version');
+    if (!isScheduledVersion(version)) {
+      throw new ValidationError('Only versions that have not started yet can be deleted');
     }
+    await CompanySettings.deleteOne({ _id: version._id });
 
     invalidateCompanySettingsCache();
-    const settings = await getCompanySettings({ fresh: true });
-    return successResponse({ settings, _raw: doc }, 'Company settings updated', HTTP_STATUS.OK);
+    return await settingsResponse('Scheduled company settings deleted');
   } catch (err) {
     if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
     return errorResponseFromException(err, req);
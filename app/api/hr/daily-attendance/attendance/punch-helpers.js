@@ -2,14 +2,19 @@
  * First/last punch logic: per employee per day, earliest = check-in and latest = check-out.
  * Single evening punch (after 17:00) = check-in only.
  * Single early-morning punch (before 09:00) = check-out only (night-shift end).
+ * Near-duplicate scans are debounced first (lib/device/punchDebounce).
  */
 
 import { getLocalTimeMinutes } from './time-utils.js';
 import { ensureCheckInBeforeCheckOut } from './validation.js';
+import { debouncePunches } from '../../../../../lib/device/punchDebounce';
 
 const EVENING_CHECKIN_MIN = 17 * 60; // 17:00
 const MORNING_CHECKOUT_MAX = 9 * 60; // 09:00
 
+/** AcsEvent minor codes that count as punches (fingerprint / face / card verified). */
+export const PUNCH_MINORS = [38, 39];
+
 /**
  * Normalize empCode to string for Map keys (device may send number).
  * @param {string|number} value
@@ -41,20 +46,23 @@ function classifySinglePunch(punch, tzOffset) {
  * @param {Date} endLocal - End of business window (08:00 next day)
  * @param {number} [maxTimeMS=5000]
  * @param {string} [tzOffset='+05:00']
- * @returns {Promise<Map<string, { firstPunch: Date|null, lastPunch: Date|null, count: number, checkoutOnly?: boolean }>>}
+ * @param {import('../../../../../lib/device/punchDebounce').PunchDebounceConfig} [debounce] - Omit for same-second collapse only
+ * @returns {Promise<Map<string, { firstPunch: Date|null, lastPunch: Date|null, count: number, punches: Date[], checkoutOnly?: boolean }>>}
+ *   `punches` = every counted punch in order (break tracking pairs the intermediate ones)
  */
 export async function getFirstAndLastPunchPerEmployee(
   AttendanceEvent,
   startLocal,
   endLocal,
   maxTimeMS = 5000,
-  tzOffset = '+05:00'
+  tzOffset = '+05:00',
+  debounce = undefined
 ) {
   const pipeline = [
     {
       $match: {
         eventTime: { $gte: startLocal, $lte: endLocal },
-        minor: { $in: [38, 39] },
+        minor: { $in: PUNCH_MINORS },
       },
     },
     {
@@ -75,22 +83,14 @@ export async function getFirstAndLastPunchPerEmployee(
       $group: {
         _id: { empCode: '$_empCodeKey', sec: '$_eventSecond' },
         eventTime: { $min: '$eventTime' },
+        deviceIp: { $first: '$deviceIp' },
       },
     },
     { $sort: { eventTime: 1 } },
     {
       $group: {
         _id: '$_id.empCode',
-        firstPunch: { $first: '$eventTime' },
-        lastPunch: { $last: '$eventTime' },
-        count: { $sum: 1 },
-      },
-    },
-    {
-      $project: {
-        firstPunch: 1,
-        lastPunch: { $cond: [{ $gt: ['$count', 1] }, '$lastPunch', null] },
-        count: 1,
+        punches: { $push: { eventTime: '$eventTime', deviceIp: '$deviceIp' } },
       },
     },
   ];
@@ -103,14 +103,17 @@ export async function getFirstAndLastPunchPerEmployee(
     const key = toEmpCodeKey(doc._id);
     if (!key) continue;
 
-    const firstPunch = doc.firstPunch ? new Date(doc.firstPunch) : null;
-    const lastPunch = doc.lastPunch ? new Date(doc.lastPunch) : null;
-    const count = doc.count || 0;
+    const kept = debouncePunches(doc.punches || [], debounce)
+      .filter((p) => !p.suppressed)
+      .map((p) => new Date(p.event.eventTime));
+    const count = kept.length;
+    const firstPunch = count ? kept[0] : null;
+    const lastPunch = count > 1 ? kept[count - 1] : null;
 
     if (count === 1 && firstPunch) {
       const kind = classifySinglePunch(firstPunch, tzOffset);
       if (kind === 'checkOut') {
-        map.set(key, { firstPunch: null, lastPunch: firstPunch, count: 1, checkoutOnly: true });
+        map.set(key, { firstPunch: null, lastPunch: firstPunch, count: 1, punches: kept, checkoutOnly: true });
         continue;
       }
     }
@@ -119,6 +122,7 @@ export async function getFirstAndLastPunchPerEmployee(
       firstPunch,
       lastPunch,
       count,
+      punches: kept,
     });
   }
 
@@ -152,4 +156,109 @@ export function resolveCheckOutFromPunches(checkIn, punches) {
   return null;
 }
 
+function formatLocalHm(date, tzOffset) {
+  const mins = getLocalTimeMinutes(date, tzOffset);
+  return `${String(Math.floor(mins / 60)).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Explain how one employee's raw events for a business day were used, applying the same
+ * rules as getFirstAndLastPunchPerEmployee + resolveCheckOutFromPunches: only punch minors
+ * count, repeats in the same second collapse, first = check-in, last = check-out, and a lone
+ * early-morning punch is a night-shift check-out. A manually edited record wins over punches.
+ *
+ * @param {Array<{ eventTime: Date, minor?: number }>} events - All events in the business window
+ * @param {object} [options]
+ * @param {string} [options.tzOffset='+05:00']
+ * @param {object|null} [options.record] - Saved ShiftAttendance for the day
+ * @param {import('../../../../../lib/device/punchDebounce').PunchDebounceConfig} [options.debounce]
+ * @returns {{ punches: Array<object>, checkIn: Date|null, checkOut: Date|null, source: 'punches'|'manual'|'none' }}
+ */
+export function explainDayPunches(events, { tzOffset = '+05:00', record = null, debounce = undefined } = {}) {
+  const sorted = [...events].sort((a, b) => new Date(a.eventTime) - new Date(b.eventTime));
+  const punches = sorted.map((ev) => ({ ...ev, eventTime: new Date(ev.eventTime), used: null, reason: '' }));
+
+  const candidates = [];
+  for (const p of punches) {
+    if (!PUNCH_MINORS.includes(p.minor)) {
+      p.reason = `Not a punch event (minor ${p.minor ?? '-'}); only ${PUNCH_MINORS.join('/')} count`;
+      continue;
+    }
+    candidates.push(p);
+  }
+
+  const counted = [];
+  for (const { event: p, suppressed, windowSeconds, keptAt } of debouncePunches(candidates, debounce)) {
+    if (!suppressed) {
+      counted.push(p);
+      continue;
+    }
+    p.suppressed = true;
+    p.reason =
+      Math.floor(p.eventTime.getTime() / 1000) === Math.floor(keptAt.getTime() / 1000)
+        ? 'Repeat of the previous punch in the same second'
+        : `Suppressed: within the ${windowSeconds}s debounce window of the ${formatLocalHm(keptAt, tzOffset)} punch`;
+  }
+
+  let checkIn = null;
+  let checkOut = null;
+  if (counted.length === 1) {
+    const only = counted[0];
+    if (classifySinglePunch(only.eventTime, tzOffset) === 'checkOut') {
+      only.used = 'checkOut';
+      only.reason = 'Only punch, before 09:00 — treated as night-shift check-out';
+      checkOut = only.eventTime;
+    } else {
+      only.used = 'checkIn';
+      only.reason = 'Only punch of the day — check-in without check-out';
+      checkIn = only.eventTime;
+    }
+  } else if (counted.length > 1) {
+    const first = counted[0];
+    const last = counted[counted.length - 1];
+    first.used = 'checkIn';
+    first.reason = 'First punch in the business window';
+    last.used = 'checkOut';
+    last.reason = 'Last punch in the business window';
+    for (const p of counted.slice(1, -1)) {
+      p.reason = 'Between first and last punch — paired as a break out/in, not used for check-in/out';
+    }
+    checkIn = first.eventTime;
+    checkOut = last.eventTime;
+  }
+
+  if (!record?.manuallyEdited) {
+    return { punches, checkIn, checkOut, source: counted.length ? 'punches' : 'none' };
+  }
+
+  // Manual edits keep the saved check-in; check-out still follows punches when they give one
+  const savedIn = record.checkIn ? new Date(record.checkIn) : null;
+  const savedOut = record.checkOut ? new Date(record.checkOut) : null;
+  const finalIn = savedIn || checkIn;
+  const punchMap = counted.length
+    ? { firstPunch: checkIn, lastPunch: checkOut, count: counted.length, checkoutOnly: counted.length === 1 && !!checkOut }
+    : undefined;
+  const finalOut = resolveCheckOutFromPunches(finalIn, punchMap) || ensureCheckInBeforeCheckOut(finalIn, savedOut);
+
+  for (const p of counted) {
+    const t = p.eventTime.getTime();
+    if (finalOut && finalOut.getTime() === t) {
+      if (p.used !== 'checkOut') p.reason = 'Check-out after the manually set check-in';
+      p.used = 'checkOut';
+    } else if (finalIn && finalIn.getTime() === t) {
+      p.used = 'checkIn';
+    } else if (p.used === 'checkIn') {
+      p.used = null;
+      p.reason = `Check-in was set manually to ${formatLocalHm(finalIn, tzOffset)}`;
+    } else if (p.used === 'checkOut') {
+      p.used = null;
+      p.reason = finalOut
+        ? `Check-out was set manually to ${formatLocalHm(finalOut, tzOffset)}`
+        : 'Dropped: not after the manually set check-in';
+    }
+  }
+
+  return { punches, checkIn: finalIn, checkOut: finalOut, source: 'manual' };
+}
+
 export { toEmpCodeKey as toEmpCodeKeyPunch };
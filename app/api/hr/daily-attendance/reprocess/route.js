@@ -0,0 +1,42 @@
+// app/api/hr/daily-attendance/reprocess/route.js — date-range reprocess: dry-run diff, then commit
+import { connectDB } from '../../../../../lib/db';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { reprocessAttendanceRange } from '../../../../../lib/attendance/reprocess';
+import { assertPayrollOpen } from '../../../../../lib/attendance/payrollLock';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+// POST /api/hr/daily-attendance/reprocess { from, to, empCode?, department?, commit?, diffHash? }
+// Without commit nothing is written; the response is the diff HR reviews before committing.
+// Commit sends back that diff's diffHash and is refused if the recomputed diff differs.
+// Committing into a closed payroll month is rejected; the dry run still works.
+export async function POST(req) {
+  try {
+    const body = await req.json().catch(() => ({}));
+    const commit = body?.commit === true;
+    await requirePermission('dailyAttendance', commit ? 'create' : 'view');
+    await connectDB();
+    if (commit) await assertPayrollOpen([{ from: body?.from, to: body?.to }]);
+
+    const result = await reprocessAttendanceRange({
+      from: body?.from,
+      to: body?.to,
+      empCode: body?.empCode || '',
+      department: body?.department || '',
+      commit,
+      diffHash: body?.diffHash || '',
+    });
+
+    return successResponse(
+      result,
+      commit ? `Reprocessed ${result.written} row(s)` : 'Dry run: nothing was written',
+      HTTP_STATUS.OK
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
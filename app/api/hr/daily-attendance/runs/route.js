@@ -0,0 +1,69 @@
+// app/api/hr/daily-attendance/runs/route.js — processing run history + catch-up on demand
+import { connectDB } from '../../../../../lib/db';
+import AttendanceProcessingRun from '../../../../../models/AttendanceProcessingRun';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../../lib/errors/errorHandler';
+import {
+  findDatesToProcess,
+  runScheduledProcessing,
+  DEFAULT_CATCH_UP_DAYS,
+  MAX_CATCH_UP_DAYS,
+} from '../../../../../lib/attendance/processingRuns';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+// GET /api/hr/daily-attendance/runs?date=&limit= — recent runs + days still waiting to be processed
+export async function GET(req) {
+  try {
+    await requirePermission('dailyAttendance', 'view');
+    await connectDB();
+
+    const { searchParams } = new URL(req.url);
+    const date = searchParams.get('date');
+    const limit = Math.min(200, Math.max(1, parseInt(searchParams.get('limit') || '50', 10)));
+
+    const filter = {};
+    if (date) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new ValidationError('date must be YYYY-MM-DD');
+      filter.date = date;
+    }
+
+    const [runs, pendingDates] = await Promise.all([
+      AttendanceProcessingRun.find(filter).sort({ startedAt: -1 }).limit(limit).lean().maxTimeMS(2000),
+      findDatesToProcess({ maxDays: DEFAULT_CATCH_UP_DAYS }),
+    ]);
+
+    return successResponse({ runs, pendingDates }, 'Processing runs retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// POST /api/hr/daily-attendance/runs { days? } — run the scheduler's catch-up now
+export async function POST(req) {
+  try {
+    const { user } = await requirePermission('dailyAttendance', 'create');
+    await connectDB();
+
+    const body = await req.json().catch(() => ({}));
+    const days = Number(body?.days ?? DEFAULT_CATCH_UP_DAYS);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_CATCH_UP_DAYS) {
+      throw new ValidationError(`days must be between 1 and ${MAX_CATCH_UP_DAYS}`);
+    }
+
+    const runs = await runScheduledProcessing({
+      maxDays: days,
+      trigger: 'manual',
+      triggeredBy: user.email || user.id || '',
+    });
+
+    return successResponse({ runs }, `Processed ${runs.length} day(s)`, HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -0,0 +1,61 @@
+// app/api/hr/devices/[id]/route.js — update / delete one attendance device
+import mongoose from 'mongoose';
+import { connectDB } from '../../../../../lib/db';
+import Device from '../../../../../models/Device';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, NotFoundError } from '../../../../../lib/errors/errorHandler';
+import { validateDeviceInput } from '../../../../../lib/device/validateDevice';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+async function loadDevice(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid device id');
+  }
+  const device = await Device.findById(id).lean().maxTimeMS(1500);
+  if (!device) throw new NotFoundError('Device');
+  return device;
+}
+
+// PATCH /api/hr/devices/:id
+export async function PATCH(req, { params }) {
+  try {
+    const { user } = await requirePermission('devices', 'update');
+    await connectDB();
+    const { id } = await params;
+    const existing = await loadDevice(id);
+
+    const $set = validateDeviceInput(await req.json());
+    if ($set.ip && $set.ip !== existing.ip) {
+      const dup = await Device.findOne({ ip: $set.ip }).lean().maxTimeMS(1500);
+      if (dup) throw new ValidationError(`A device with IP ${$set.ip} already exists`);
+    }
+    $set.updatedBy = user.email || user.id || '';
+
+    const device = await Device.findByIdAndUpdate(id, { $set }, { new: true, runValidators: true })
+      .lean()
+      .maxTimeMS(2000);
+    return successResponse({ device }, 'Device updated', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    if (err?.code === 11000) return errorResponse('Device IP already exists', 400);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// DELETE /api/hr/devices/:id — events already stored from this IP are kept
+export async function DELETE(_req, { params }) {
+  try {
+    await requirePermission('devices', 'delete');
+    await connectDB();
+    const { id } = await params;
+    await loadDevice(id);
+    await Device.findByIdAndDelete(id);
+    return successResponse({ deleted: true, id }, 'Device deleted', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err);
+  }
+}
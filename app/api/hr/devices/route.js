@@ -0,0 +1,76 @@
+// app/api/hr/devices/route.js — list (with health) + register attendance devices
+import { connectDB } from '../../../../lib/db';
+import Device from '../../../../models/Device';
+import AttendanceEvent from '../../../../models/AttendanceEvent';
+import Shift from '../../../../models/Shift';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requirePermission } from '../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../lib/errors/errorHandler';
+import { getCompanyTodayYmd } from '../../../../lib/time/companyToday';
+import { getDeviceHealth } from '../../../../lib/device/deviceHealth';
+import { validateDeviceInput } from '../../../../lib/device/validateDevice';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET /api/hr/devices?date=YYYY-MM-DD — devices with last-seen, status and silent gaps in shifts
+export async function GET(req) {
+  try {
+    await requirePermission('devices', 'view');
+    await connectDB();
+
+    const { searchParams } = new URL(req.url);
+    const date = searchParams.get('date') || getCompanyTodayYmd();
+    if (!DATE_RE.test(date)) throw new ValidationError('date must be YYYY-MM-DD');
+
+    const [devices, shifts] = await Promise.all([
+      Device.find({}).sort({ name: 1 }).lean().maxTimeMS(2000),
+      Shift.find({ isActive: true })
+        .select('code name startTime endTime crossesMidnight')
+        .lean()
+        .maxTimeMS(2000),
+    ]);
+
+    const health = await getDeviceHealth({
+      devices,
+      AttendanceEvent,
+      date,
+      shifts,
+      tzOffset: process.env.TIMEZONE_OFFSET || '+05:00',
+    });
+
+    const stats = { total: health.length, online: 0, offline: 0, inactive: 0, silentDuringShift: 0 };
+    for (const d of health) {
+      stats[d.status] += 1;
+      if (d.silentGaps.length > 0) stats.silentDuringShift += 1;
+    }
+
+    return successResponse({ date, devices: health, stats }, 'Devices retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// POST /api/hr/devices — register a device
+export async function POST(req) {
+  try {
+    const { user } = await requirePermission('devices', 'create');
+    await connectDB();
+
+    const body = await req.json();
+    const input = validateDeviceInput(body, { requireAll: true });
+
+    const existing = await Device.findOne({ ip: input.ip }).lean().maxTimeMS(1500);
+    if (existing) throw new ValidationError(`A device with IP ${input.ip} already exists`);
+
+    const doc = await Device.create({ ...input, updatedBy: user.email || user.id || '' });
+    return successResponse({ device: doc.toObject() }, 'Device registered', HTTP_STATUS.CREATED);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    if (err?.code === 11000) return errorResponse('Device IP already exists', 400);
+    return errorResponseFromException(err, req);
+  }
+}
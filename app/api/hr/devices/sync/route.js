@@ -0,0 +1,69 @@
+// app/api/hr/devices/sync/route.js — run pull-mode sync now + sync run history
+import mongoose from 'mongoose';
+import { connectDB } from '../../../../../lib/db';
+import Device from '../../../../../models/Device';
+import DeviceSyncRun from '../../../../../models/DeviceSyncRun';
+import AttendanceEvent from '../../../../../models/AttendanceEvent';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../../lib/errors/errorHandler';
+import { syncAllDevices } from '../../../../../lib/device/pullSync';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+// GET /api/hr/devices/sync?deviceId=&limit= — recent sync runs
+export async function GET(req) {
+  try {
+    await requirePermission('devices', 'view');
+    await connectDB();
+
+    const { searchParams } = new URL(req.url);
+    const deviceId = searchParams.get('deviceId');
+    const limit = Math.min(200, Math.max(1, parseInt(searchParams.get('limit') || '50', 10)));
+
+    const filter = {};
+    if (deviceId) {
+      if (!mongoose.Types.ObjectId.isValid(deviceId)) throw new ValidationError('Invalid device id');
+      filter.deviceId = deviceId;
+    }
+
+    const runs = await DeviceSyncRun.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .lean()
+      .maxTimeMS(2000);
+
+    return successResponse({ runs }, 'Sync runs retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// POST /api/hr/devices/sync { deviceId? } — sync one device, or all pull-enabled devices
+export async function POST(req) {
+  try {
+    const { user } = await requirePermission('devices', 'update');
+    await connectDB();
+
+    const body = await req.json().catch(() => ({}));
+    const deviceId = body?.deviceId ? String(body.deviceId) : null;
+    if (deviceId && !mongoose.Types.ObjectId.isValid(deviceId)) {
+      throw new ValidationError('Invalid device id');
+    }
+
+    const runs = await syncAllDevices({
+      models: { Device, DeviceSyncRun, AttendanceEvent },
+      deviceId,
+      trigger: 'manual',
+      triggeredBy: user.email || user.id || '',
+    });
+
+    return successResponse({ runs }, `Synced ${runs.length} device(s)`, HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -7,6 +7,7 @@ import Employee from '../../../../../models/Employee';
 import Shift from '../../../../../models/Shift';
 import ShiftAttendance from '../../../../../models/ShiftAttendance';
 import EmployeeShiftHistory from '../../../../../models/EmployeeShiftHistory';
+import { assertPayrollOpen } from '../../../../../lib/attendance/payrollLock';
 
 export const dynamic = 'force-dynamic';
 
@@ -137,6 +138,9 @@ export async function POST(req) {
     const results = [];
     const createdRecords = [];
 
+    // Detected periods replace the history from the first period onward
+    await assertPayrollOpen([{ from: shiftPeriods[0].startDate }]);
+
     // End any existing active shift assignments
     await EmployeeShiftHistory.updateMany(
       { empCode, endDate: null },
@@ -244,7 +248,7 @@ export async function POST(req) {
     console.error('POST /api/hr/employee-shifts/auto-detect error:', err);
     return NextResponse.json(
       { error: err.message || 'Internal server error' },
-      { status: 500 }
+      { status: err?.statusCode || 500 }
     );
   }
 }
@@ -6,6 +6,7 @@ import { requirePermission } from '../../../../../lib/auth/requireAuth';
 import Employee from '../../../../../models/Employee';
 import Shift from '../../../../../models/Shift';
 import EmployeeShiftHistory from '../../../../../models/EmployeeShiftHistory';
+import { assertPayrollOpen } from '../../../../../lib/attendance/payrollLock';
 
 export const dynamic = 'force-dynamic';
 
@@ -40,6 +41,8 @@ export async function POST(req) {
     const sortedShifts = [...shifts].sort((a, b) => 
       a.startDate.localeCompare(b.startDate)
     );
+    // The open assignment is ended at the first startDate, so everything after it changes
+    await assertPayrollOpen([{ from: sortedShifts[0].startDate }]);
 
     // End previous shift assignments
     await EmployeeShiftHistory.updateMany(
@@ -111,7 +114,7 @@ export async function POST(req) {
     console.error('POST /api/hr/employee-shifts/bulk-create error:', err);
     return NextResponse.json(
       { error: err.message || 'Internal server error' },
-      { status: 500 }
+      { status: err?.statusCode || 500 }
     );
   }
 }
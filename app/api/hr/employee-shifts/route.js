@@ -5,6 +5,7 @@ import { requirePermission } from '../../../../lib/auth/requireAuth';
 import Employee from '../../../../models/Employee';
 import Shift from '../../../../models/Shift';
 import EmployeeShiftHistory from '../../../../models/EmployeeShiftHistory';
+import { assertPayrollOpen } from '../../../../lib/attendance/payrollLock';
 
 export const dynamic = 'force-dynamic';
 
@@ -44,7 +45,7 @@ export async function GET(req) {
         effectiveDate: { $lte: date },
         $or: [{ endDate: null }, { endDate: { $gte: date } }],
       })
-        .sort({ effectiveDate: -1 })
+        .sort({ effectiveDate: -1, shiftSwapId: -1 })
         .lean()
         .maxTimeMS(2000);
 
@@ -134,6 +135,8 @@ export async function POST(req) {
         { status: 400 }
       );
     }
+    // The new shift applies from effectiveDate onward
+    await assertPayrollOpen([{ from: effectiveDate }]);
 
     const employee = await Employee.findOne({ empCode });
     if (!employee) {
@@ -249,7 +252,7 @@ export async function POST(req) {
     console.error('POST /api/hr/employee-shifts error:', err);
     return NextResponse.json(
       { error: err.message || 'Internal server error' },
-      { status: 500 }
+      { status: err?.statusCode || 500 }
     );
   }
 }
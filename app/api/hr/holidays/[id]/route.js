@@ -0,0 +1,70 @@
+// app/api/hr/holidays/[id]/route.js — update / delete one holiday
+import mongoose from 'mongoose';
+import { connectDB } from '../../../../../lib/db';
+import Holiday from '../../../../../models/Holiday';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, NotFoundError } from '../../../../../lib/errors/errorHandler';
+import { holidayDateRanges, normalizeHolidayInput } from '../../../../../lib/attendance/holidays';
+import { assertPayrollOpen } from '../../../../../lib/attendance/payrollLock';
+import { getCompanyTodayYmd } from '../../../../../lib/time/companyToday.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+async function loadHoliday(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid holiday id');
+  }
+  const holiday = await Holiday.findById(id).lean().maxTimeMS(1500);
+  if (!holiday) throw new NotFoundError('Holiday');
+  return holiday;
+}
+
+/** Fields that change which days a holiday covers or how they are marked */
+const ATTENDANCE_FIELDS = ['startDate', 'endDate', 'type', 'departments', 'recurring', 'isActive'];
+
+// PATCH /api/hr/holidays/:id — days already processed follow on the next daily / monthly run
+export async function PATCH(req, { params }) {
+  try {
+    const { user } = await requirePermission('holidays', 'update');
+    await connectDB();
+    const { id } = await params;
+    const existing = await loadHoliday(id);
+
+    const $set = normalizeHolidayInput(await req.json(), existing);
+    // Old and new days both change; a name or notes edit changes no attendance
+    const affectsAttendance = ATTENDANCE_FIELDS.some(
+      (field) => JSON.stringify($set[field]) !== JSON.stringify(existing[field] ?? $set[field])
+    );
+    if (affectsAttendance) {
+      const today = getCompanyTodayYmd();
+      await assertPayrollOpen([...holidayDateRanges(existing, today), ...holidayDateRanges($set, today)]);
+    }
+    $set.updatedBy = user.email || user.id || '';
+
+    const holiday = await Holiday.findByIdAndUpdate(id, { $set }, { new: true, runValidators: true })
+      .lean()
+      .maxTimeMS(2000);
+    return successResponse({ holiday }, 'Holiday updated', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// DELETE /api/hr/holidays/:id — its days go back to working days (HR edits on them stay)
+export async function DELETE(_req, { params }) {
+  try {
+    await requirePermission('holidays', 'delete');
+    await connectDB();
+    const { id } = await params;
+    const existing = await loadHoliday(id);
+    await assertPayrollOpen(holidayDateRanges(existing, getCompanyTodayYmd()));
+    await Holiday.findByIdAndDelete(id);
+    return successResponse({ deleted: true, id }, 'Holiday deleted', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err);
+  }
+}
@@ -0,0 +1,58 @@
+// app/api/hr/holidays/route.js — holiday calendar: list + create
+import { connectDB } from '../../../../lib/db';
+import Holiday from '../../../../models/Holiday';
+import Department from '../../../../models/Department';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requirePermission } from '../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../lib/errors/errorHandler';
+import { getHolidaysInRange, holidayDateRanges, normalizeHolidayInput } from '../../../../lib/attendance/holidays';
+import { assertPayrollOpen } from '../../../../lib/attendance/payrollLock';
+import { getCompanyTodayYmd } from '../../../../lib/time/companyToday.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/hr/holidays?year=YYYY — every holiday, the dates they cover in `year` and department names
+export async function GET(req) {
+  try {
+    await requirePermission('holidays', 'view');
+    await connectDB();
+
+    const { searchParams } = new URL(req.url);
+    const year = searchParams.get('year') || getCompanyTodayYmd().slice(0, 4);
+    if (!/^\d{4}$/.test(year)) throw new ValidationError('year must be YYYY');
+
+    const [holidays, occurrences, departments] = await Promise.all([
+      Holiday.find({}).sort({ startDate: -1 }).lean().maxTimeMS(2000),
+      getHolidaysInRange(`${year}-01-01`, `${year}-12-31`),
+      Department.find().select('name').sort({ name: 1 }).lean().maxTimeMS(1500),
+    ]);
+
+    return successResponse(
+      { year, holidays, occurrences, departments: departments.map((d) => d.name).filter(Boolean) },
+      'Holidays retrieved',
+      HTTP_STATUS.OK
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// POST /api/hr/holidays
+export async function POST(req) {
+  try {
+    const { user } = await requirePermission('holidays', 'create');
+    await connectDB();
+
+    const input = normalizeHolidayInput(await req.json());
+    // Holidays are applied on every read of the sheet, so a new one would change closed months
+    await assertPayrollOpen(holidayDateRanges(input, getCompanyTodayYmd()));
+    const changedBy = user.email || user.id || '';
+    const doc = await Holiday.create({ ...input, createdBy: changedBy, updatedBy: changedBy });
+    return successResponse({ holiday: doc.toObject() }, 'Holiday created', HTTP_STATUS.CREATED);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
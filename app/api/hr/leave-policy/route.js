@@ -1,67 +1,92 @@
 // app/api/hr/leave-policy/route.js
-// Get and update leave policy (leaves per quarter, carry-forward) – configurable from HR frontend
+// Get and update leave policy (accrual and carry rules per leave type) – configurable from HR frontend.
+// The policy is effective-dated: saving creates (or edits) the version starting on effectiveFrom.
 import { connectDB } from '../../../../lib/db';
 import LeavePolicy from '../../../../models/LeavePolicy';
-import { getLeavePolicy } from '../../../../lib/leave/getLeavePolicy';
+import { getLeavePolicyVersions } from '../../../../lib/leave/getLeavePolicy';
+import { normalizeLeaveTypeRules } from '../../../../lib/leave/accrual';
+import {
+  resolveEffectiveFrom,
+  isScheduledVersion,
+  buildVersionTimeline,
+} from '../../../../lib/settings/policyVersions';
+import { getCompanyTodayYmd } from '../../../../lib/time/companyToday.js';
 import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
 import { requirePermission } from '../../../../lib/auth/requireAuth';
-import { ValidationError } from '../../../../lib/errors/errorHandler';
+import { ValidationError, NotFoundError } from '../../../../lib/errors/errorHandler';
 
 export const runtime = 'nodejs';
 export const dynamic = 'force-dynamic';
 
-const DEFAULT_POLICY = { leavesPerQuarter: 6, allowCarryForward: false, carryForwardMax: 0 };
+async function policyResponse(message) {
+  const versions = buildVersionTimeline(await getLeavePolicyVersions());
+  const policy = versions.find((v) => v.state === 'current') || null;
+  return successResponse({ policy, versions }, message, HTTP_STATUS.OK);
+}
 
-// GET /api/hr/leave-policy – Return current policy
+// GET /api/hr/leave-policy – Return the policy in force today and the version timeline
 export async function GET() {
   try {
     await requirePermission('leavePolicy', 'view');
-    const policy = await getLeavePolicy();
-    return successResponse({ policy }, 'Leave policy retrieved', HTTP_STATUS.OK);
+    return await policyResponse('Leave policy retrieved');
   } catch (err) {
     return errorResponseFromException(err);
   }
 }
 
-// PUT /api/hr/leave-policy – Update policy (leavesPerQuarter, allowCarryForward, carryForwardMax)
+// PUT /api/hr/leave-policy – Save the version starting on effectiveFrom (default today)
+// with leaveTypes: [{ leaveType, label, accrual, daysPerYear, proRata, probationMonths,
+// carryWithinYear, carryToNextYear }]. A paid leave rule is required: balance statuses without
+// a rule of their own draw from it.
 export async function PUT(req) {
   try {
-    await requirePermission('leavePolicy', 'update');
+    const { user } = await requirePermission('leavePolicy', 'update');
     await connectDB();
 
     const body = await req.json();
-    const leavesPerQuarter = body.leavesPerQuarter != null
-      ? parseInt(String(body.leavesPerQuarter), 10)
-      : undefined;
-    const allowCarryForward = body.allowCarryForward === true || body.allowCarryForward === 'true';
-    const carryForwardMax = body.carryForwardMax != null
-      ? Math.max(0, Math.min(10, parseInt(String(body.carryForwardMax), 10) || 0))
-      : undefined;
-
-    if (leavesPerQuarter != null && (leavesPerQuarter < 1 || leavesPerQuarter > 31)) {
-      throw new ValidationError('leavesPerQuarter must be between 1 and 31');
+    const leaveTypes = normalizeLeaveTypeRules(body.leaveTypes);
+    if (!leaveTypes.some((rule) => rule.leaveType === 'paid')) {
+      throw new ValidationError('A rule for paid leave (paid) is required');
     }
 
-    const update = {};
-    if (leavesPerQuarter != null) update.leavesPerQuarter = leavesPerQuarter;
-    update.allowCarryForward = allowCarryForward;
-    if (carryForwardMax != null) update.carryForwardMax = carryForwardMax;
+    const effectiveFrom = resolveEffectiveFrom(body.effectiveFrom);
+    const update = {
+      leaveTypes,
+      updatedBy: user?.email || user?.id || '',
+    };
 
-    const doc = await LeavePolicy.findOneAndUpdate(
-      { configId: 'default' },
+    await LeavePolicy.findOneAndUpdate(
+      { configId: 'default', effectiveFrom },
       { $set: update },
       { new: true, upsert: true, runValidators: true }
     )
       .lean()
       .maxTimeMS(2000);
 
-    const policy = {
-      leavesPerQuarter: doc.leavesPerQuarter ?? DEFAULT_POLICY.leavesPerQuarter,
-      allowCarryForward: doc.allowCarryForward ?? DEFAULT_POLICY.allowCarryForward,
-      carryForwardMax: doc.carryForwardMax ?? DEFAULT_POLICY.carryForwardMax,
-    };
+    return await policyResponse(
+      effectiveFrom > getCompanyTodayYmd() ? `Leave policy scheduled from ${effectiveFrom}` : 'Leave policy updated'
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// DELETE /api/hr/leave-policy?effectiveFrom=YYYY-MM-DD – Remove a version that has not started yet
+export async function DELETE(req) {
+  try {
+    await requirePermission('leavePolicy', 'update');
+    await connectDB();
+
+    const effectiveFrom = new URL(req.url).searchParams.get('effectiveFrom') || '';
+    const version = await LeavePolicy.findOne({ configId: 'default', effectiveFrom }).lean().maxTimeMS(2000);
+    if (!version) throw new NotFoundError('Leave policy version');
+    if (!isScheduledVersion(version)) {
+      throw new ValidationError('Only versions that have not started yet can be deleted');
+    }
+    await LeavePolicy.deleteOne({ _id: version._id });
 
-    return successResponse({ policy }, 'Leave policy updated', HTTP_STATUS.OK);
+    return await policyResponse('Scheduled leave policy deleted');
   } catch (err) {
     if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
     return errorResponseFromException(err, req);
@@ -1,13 +1,21 @@
 // app/api/hr/leaves/route.js
-// Quarter-based paid leave with restricted carry-forward (Q1->Q2 and Q3->Q4 only)
+// Leave balances per leave type, accrued by the Leave Policy rules (lib/leave/accrual.js)
 import { connectDB } from '../../../../lib/db';
-import PaidLeaveQuarter from '../../../../models/PaidLeaveQuarter';
 import LeaveRecord from '../../../../models/LeaveRecord';
 import ShiftAttendance from '../../../../models/ShiftAttendance';
 import Employee from '../../../../models/Employee';
 import { mergeActiveFilter } from '../../../../lib/employees/activeFilter';
-import { getQuarterFromDate, getQuarterLabel } from '../../../../lib/leave/quarterUtils';
 import { getLeavePolicy } from '../../../../lib/leave/getLeavePolicy';
+import {
+  assertLeaveAvailable,
+  findLeaveTypeRule,
+  getLeaveBalance,
+  getLeaveLedgers,
+  quarterlyShare,
+  summarizeByQuarter,
+} from '../../../../lib/leave/accrual';
+import { getAttendanceStatuses } from '../../../../lib/settings/getAttendanceStatuses';
+import { assertPayrollOpen } from '../../../../lib/attendance/payrollLock';
 import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
 import { requirePermission } from '../../../../lib/auth/requireAuth';
 import { ValidationError, NotFoundError } from '../../../../lib/errors/errorHandler';
@@ -15,26 +23,12 @@ import { ValidationError, NotFoundError } from '../../../../lib/errors/errorHand
 export const runtime = 'nodejs';
 export const dynamic = 'force-dynamic';
 
-function getQuarterAllocationsWithCarry(leavesPerQuarter, q1Taken, q2Taken, q3Taken, q4Taken) {
-  const base = leavesPerQuarter;
-  const q1Allocated = base;
-  const q1Remaining = Math.max(0, q1Allocated - q1Taken);
-  const q2Allocated = base + q1Remaining; // carry only from Q1 -> Q2
-  const q2Remaining = Math.max(0, q2Allocated - q2Taken);
-  const q3Allocated = base;
-  const q3Remaining = Math.max(0, q3Allocated - q3Taken);
-  const q4Allocated = base + q3Remaining; // carry only from Q3 -> Q4
-  const q4Remaining = Math.max(0, q4Allocated - q4Taken);
-
-  return {
-    q1: { allocated: q1Allocated, remaining: q1Remaining },
-    q2: { allocated: q2Allocated, remaining: q2Remaining },
-    q3: { allocated: q3Allocated, remaining: q3Remaining },
-    q4: { allocated: q4Allocated, remaining: q4Remaining },
-  };
+function readLeaveType(value) {
+  return String(value || 'paid').trim().toLowerCase();
 }
 
-// GET /api/hr/leaves?year=YYYY&empCode=XXX - List leave status by quarter for the year
+// GET /api/hr/leaves?year=YYYY&empCode=XXX&leaveType=paid - Balance of a leave type for the year,
+// by quarter (q1..q4) and by accrual period
 export async function GET(req) {
   try {
     await requirePermission('leaves', 'view');
@@ -43,85 +37,65 @@ export async function GET(req) {
     const { searchParams } = new URL(req.url);
     const year = parseInt(searchParams.get('year') || new Date().getFullYear().toString(), 10);
     const empCodeFilter = (searchParams.get('empCode') || '').trim();
+    const leaveType = readLeaveType(searchParams.get('leaveType'));
+
+    // Leave types the screen can switch between: those with a rule today
+    const leaveTypes = (await getLeavePolicy()).leaveTypes.map(({ leaveType: key, label, accrual }) => ({
+      leaveType: key,
+      label,
+      accrual,
+    }));
 
     const employeeQuery = empCodeFilter
       ? { empCode: empCodeFilter }
       : mergeActiveFilter({});
     const employees = await Employee.find(employeeQuery)
-      .select('empCode name department designation')
+      .select('empCode name department designation joinDate')
       .sort({ department: 1, empCode: 1 })
       .lean()
       .maxTimeMS(3000);
 
-    if (employees.length === 0) {
-      return successResponse({ paidLeaves: [], year, quarters: [1, 2, 3, 4] }, 'Leave status retrieved', HTTP_STATUS.OK);
+    const { rule, ledgers } = await getLeaveLedgers({ year, leaveType, employees });
+    if (!rule) {
+      throw new ValidationError(`Leave type ${leaveType} has no accrual rule in the Leave Policy for ${year}`);
     }
 
-    const empCodes = employees.map((e) => e.empCode);
-    const policy = await getLeavePolicy();
-    const leavesPerQuarter = policy.leavesPerQuarter;
-
-    // LeaveRecords for this year: paid, casual, annual (quarter view shows all paid-type leaves)
-    const yearStart = `${year}-01-01`;
-    const yearEnd = `${year}-12-31`;
-    const leaveRecords = await LeaveRecord.find({
-      empCode: { $in: empCodes },
-      date: { $gte: yearStart, $lte: yearEnd },
-      leaveType: { $in: ['paid', 'casual', 'annual'] },
-    })
-      .select('empCode date leaveType')
-      .lean()
-      .maxTimeMS(3000);
-
-    // Normalize date to YYYY-MM-DD (handles string or Date from DB)
-    function toDateStr(d) {
-      if (!d) return '';
-      if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}/.test(d)) return d.slice(0, 10);
-      if (d instanceof Date && !Number.isNaN(d.getTime())) {
-        const y = d.getFullYear(), m = String(d.getMonth() + 1).padStart(2, '0'), day = String(d.getDate()).padStart(2, '0');
-        return `${y}-${m}-${day}`;
-      }
-      return String(d).slice(0, 10);
-    }
-
-    // Count and list dates per empCode per quarter (so HR can see which dates are counted and remove wrong ones)
-    const countByEmpQuarter = new Map();
-    const datesByEmpQuarter = new Map();
-    leaveRecords.forEach((lr) => {
-      const dateStr = toDateStr(lr.date);
-      if (!dateStr) return;
-      const { quarter } = getQuarterFromDate(dateStr);
-      const key = `${lr.empCode}-${quarter}`;
-      countByEmpQuarter.set(key, (countByEmpQuarter.get(key) || 0) + 1);
-      if (!datesByEmpQuarter.has(key)) datesByEmpQuarter.set(key, []);
-      datesByEmpQuarter.get(key).push(dateStr);
-    });
-    // Sort dates in each list
-    datesByEmpQuarter.forEach((arr) => arr.sort());
-
-    const paidLeaves = [];
-    for (const emp of employees) {
-      const q1Taken = countByEmpQuarter.get(`${emp.empCode}-1`) || 0;
-      const q2Taken = countByEmpQuarter.get(`${emp.empCode}-2`) || 0;
-      const q3Taken = countByEmpQuarter.get(`${emp.empCode}-3`) || 0;
-      const q4Taken = countByEmpQuarter.get(`${emp.empCode}-4`) || 0;
-      const allocations = getQuarterAllocationsWithCarry(leavesPerQuarter, q1Taken, q2Taken, q3Taken, q4Taken);
-      const row = {
+    const paidLeaves = employees.map((emp) => {
+      const ledger = ledgers.get(emp.empCode);
+      return {
         empCode: emp.empCode,
         employeeName: emp.name || '',
         department: emp.department || '',
         designation: emp.designation || '',
         year,
-        q1: { allocated: allocations.q1.allocated, taken: q1Taken, remaining: allocations.q1.remaining, dates: datesByEmpQuarter.get(`${emp.empCode}-1`) || [] },
-        q2: { allocated: allocations.q2.allocated, taken: q2Taken, remaining: allocations.q2.remaining, dates: datesByEmpQuarter.get(`${emp.empCode}-2`) || [] },
-        q3: { allocated: allocations.q3.allocated, taken: q3Taken, remaining: allocations.q3.remaining, dates: datesByEmpQuarter.get(`${emp.empCode}-3`) || [] },
-        q4: { allocated: allocations.q4.allocated, taken: q4Taken, remaining: allocations.q4.remaining, dates: datesByEmpQuarter.get(`${emp.empCode}-4`) || [] },
+        leaveType,
+        eligibleFrom: ledger.eligibleFrom,
+        carriedIn: ledger.openingCarry,
+        entitlement: ledger.granted + ledger.openingCarry,
+        carryOut: ledger.carryOut,
+        ...summarizeByQuarter(ledger),
+        periods: ledger.periods.map(({ label, startDate, endDate, granted, carriedIn, available, taken, remaining }) => ({
+          label,
+          startDate,
+          endDate,
+          granted,
+          carriedIn,
+          available,
+          taken,
+          remaining,
+        })),
       };
-      paidLeaves.push(row);
-    }
+    });
 
     return successResponse(
-      { paidLeaves, year, leavesPerQuarter },
+      {
+        paidLeaves,
+        year,
+        leaveType,
+        leaveTypes,
+        rule,
+        leavesPerQuarter: quarterlyShare(rule),
+      },
       'Leave status retrieved successfully',
       HTTP_STATUS.OK
     );
@@ -131,17 +105,16 @@ export async function GET(req) {
   }
 }
 
-// POST /api/hr/leaves - Mark paid leave (quarter-based; limit from LeavePolicy)
+// POST /api/hr/leaves - Mark a day of leave { empCode, date, leaveType? (default paid), reason? }
+// Rejected before the employee is eligible or when the period's balance is used up.
 export async function POST(req) {
   try {
     await requirePermission('leaves', 'create');
     await connectDB();
 
-    const policy = await getLeavePolicy();
-    const leavesPerQuarter = policy.leavesPerQuarter;
-
     const body = await req.json();
     const { empCode, date, reason, markedBy } = body;
+    const leaveType = readLeaveType(body.leaveType);
 
     if (!empCode || !date) {
       throw new ValidationError('empCode and date are required');
@@ -151,8 +124,11 @@ export async function POST(req) {
     if (!dateRegex.test(date)) {
       throw new ValidationError('date must be YYYY-MM-DD');
     }
+    await assertPayrollOpen([date]);
 
-    const { year, quarter } = getQuarterFromDate(date);
+    if (!findLeaveTypeRule(await getLeavePolicy({ date }), leaveType)) {
+      throw new ValidationError(`Leave type ${leaveType} has no accrual rule in the Leave Policy on ${date}`);
+    }
 
     const employee = await Employee.findOne({ empCode }).select('empCode name').lean().maxTimeMS(2000);
     if (!employee) {
@@ -164,51 +140,46 @@ export async function POST(req) {
       throw new ValidationError(`Leave already marked for employee ${empCode} on ${date}`);
     }
 
-    const quarterRecord = await PaidLeaveQuarter.getOrCreate(empCode, year, quarter, leavesPerQuarter);
-    const maxAllowed = await PaidLeaveQuarter.getMaxAllowedForQuarter(empCode, year, quarter, leavesPerQuarter);
-    if (quarterRecord.leavesTaken >= maxAllowed) {
-      const quarterLabel = getQuarterLabel(year, quarter);
-      throw new ValidationError(
-        `This employee has used all ${maxAllowed} paid leaves for ${quarterLabel}. Per company policy, no additional paid leave can be granted for this quarter.`
-      );
-    }
+    await assertLeaveAvailable({ empCode, leaveType, date });
 
     await LeaveRecord.create({
       empCode,
       date,
-      leaveType: 'paid',
+      leaveType,
       reason: reason || '',
       markedBy: markedBy || 'HR',
     });
 
-    quarterRecord.leavesAllocated = maxAllowed;
-    quarterRecord.leavesTaken += 1;
-    await quarterRecord.save();
+    // Status of the leave type in the catalog (Paid Leave for 'paid')
+    const { statuses } = await getAttendanceStatuses();
+    const status =
+      statuses.find((s) => s.leaveType === leaveType && s.requiresBalance && s.isActive !== false) ||
+      statuses.find((s) => s.leaveType === leaveType && s.isActive !== false);
+    const attendanceStatus = status?.label || 'Paid Leave';
 
     await ShiftAttendance.findOneAndUpdate(
       { empCode, date },
       {
         $set: {
-          attendanceStatus: 'Paid Leave',
-          leaveType: 'paid',
-          reason: reason || 'Paid leave',
+          attendanceStatus,
+          leaveType,
+          reason: reason || attendanceStatus,
         },
       },
       { upsert: true, new: true }
     );
 
-    const updated = await PaidLeaveQuarter.getOrCreate(empCode, year, quarter, leavesPerQuarter);
-    const updatedMaxAllowed = await PaidLeaveQuarter.getMaxAllowedForQuarter(empCode, year, quarter, leavesPerQuarter);
+    const { period } = await getLeaveBalance({ empCode, leaveType, date });
 
     return successResponse(
       {
-        leaveRecord: { empCode, date, leaveType: 'paid', reason: reason || '', markedBy: markedBy || 'HR' },
-        quarter: {
-          year,
-          quarter,
-          leavesTaken: updated.leavesTaken,
-          leavesRemaining: Math.max(0, updatedMaxAllowed - (updated.leavesTaken || 0)),
-          leavesAllocated: updatedMaxAllowed,
+        leaveRecord: { empCode, date, leaveType, reason: reason || '', markedBy: markedBy || 'HR' },
+        balance: {
+          leaveType,
+          period: period.label,
+          available: period.available,
+          taken: period.taken,
+          remaining: period.remaining,
         },
       },
       'Leave marked successfully',
@@ -220,7 +191,7 @@ export async function POST(req) {
   }
 }
 
-// DELETE /api/hr/leaves?empCode=XXX&date=YYYY-MM-DD - Remove paid leave
+// DELETE /api/hr/leaves?empCode=XXX&date=YYYY-MM-DD - Remove a leave (its day goes back to the balance)
 export async function DELETE(req) {
   try {
     await requirePermission('leaves', 'delete');
@@ -233,19 +204,13 @@ export async function DELETE(req) {
     if (!empCode || !date) {
       throw new ValidationError('empCode and date are required');
     }
+    await assertPayrollOpen([date]);
 
     const leaveRecord = await LeaveRecord.findOneAndDelete({ empCode, date });
     if (!leaveRecord) {
       throw new NotFoundError('Leave record not found');
     }
 
-    const { year, quarter } = getQuarterFromDate(date);
-    const quarterRecord = await PaidLeaveQuarter.findOne({ empCode, year, quarter });
-    if (quarterRecord && quarterRecord.leavesTaken > 0) {
-      quarterRecord.leavesTaken -= 1;
-      await quarterRecord.save();
-    }
-
     await ShiftAttendance.findOneAndUpdate(
       { empCode, date },
       {
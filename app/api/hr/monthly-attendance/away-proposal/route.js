@@ -0,0 +1,71 @@
+// app/api/hr/monthly-attendance/away-proposal/route.js — accept/dismiss break-overrun away time
+import { connectDB } from '../../../../../lib/db';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, NotFoundError } from '../../../../../lib/errors/errorHandler';
+import ShiftAttendance from '../../../../../models/ShiftAttendance';
+import { assertPayrollOpen } from '../../../../../lib/attendance/payrollLock';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// POST /api/hr/monthly-attendance/away-proposal
+// Body: { empCode, date: YYYY-MM-DD, action: 'accept' | 'dismiss' }
+// Daily processing proposes break time beyond the shift allowance as away time
+// (lib/shift/breakTracking). Accepting copies it into awayHours, which feeds
+// calculateAwayDeductionDays; dismissing keeps awayHours as they are.
+export async function POST(req) {
+  try {
+    const { user } = await requirePermission('monthlyAttendance', 'update');
+    const body = await req.json().catch(() => ({}));
+    const empCode = String(body?.empCode || '').trim();
+    const date = String(body?.date || '').trim();
+    const action = body?.action;
+
+    if (!empCode) throw new ValidationError('empCode is required');
+    if (!DATE_RE.test(date)) throw new ValidationError('date must be YYYY-MM-DD');
+    if (action !== 'accept' && action !== 'dismiss') {
+      throw new ValidationError('action must be "accept" or "dismiss"');
+    }
+
+    await connectDB();
+    await assertPayrollOpen([date]);
+
+    const record = await ShiftAttendance.findOne({ empCode, date, proposedAwayMinutes: { $gt: 0 } })
+      .select('_id breakMinutesTaken proposedAwayMinutes awayProposalStatus')
+      .sort({ updatedAt: -1 })
+      .lean()
+      .maxTimeMS(2000);
+    if (!record) throw new NotFoundError(`Away proposal for ${empCode} on ${date}`);
+
+    let update;
+    if (action === 'accept') {
+      const allowance = Math.max(0, (record.breakMinutesTaken || 0) - record.proposedAwayMinutes);
+      update = {
+        awayHours: Number((record.proposedAwayMinutes / 60).toFixed(2)),
+        awayNote: `Break overrun from punches: ${record.breakMinutesTaken} min taken, ${allowance} min allowed`,
+        awayReportedBy: 'Device punches',
+        awayRecordedBy: user?.email || user?.name || 'HR',
+        awayRecordedAt: new Date(),
+        awayProposalStatus: 'accepted',
+      };
+    } else {
+      update = { awayProposalStatus: 'dismissed' };
+    }
+
+    const saved = await ShiftAttendance.findByIdAndUpdate(record._id, { $set: update }, { new: true })
+      .select('empCode date awayHours awayNote awayReportedBy breakMinutesTaken proposedAwayMinutes awayProposalStatus')
+      .lean();
+
+    return successResponse(
+      saved,
+      action === 'accept' ? 'Away time accepted' : 'Away proposal dismissed',
+      HTTP_STATUS.OK
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -8,16 +8,20 @@
 // Marks a single attendance status (e.g. "Eid Holiday", "Holiday", "Present")
 // on one or more dates for ALL employees in one go. Designed for company-wide
 // off-days like Eid where HR would otherwise edit every employee one by one.
+// Recurring holidays belong in the holiday calendar (/api/hr/holidays), which keeps
+// punches; use this for one-off corrections.
 //
 // Body: { dates: string[] (YYYY-MM-DD), status: string, reason?: string }
 //
 // Notes:
 // - HR/ADMIN only.
-// - Paid Leave is intentionally NOT allowed here because it affects per-employee
-//   quarter balances (use the single-day editor / HR Leaves page for that).
+// - Any active status from the status catalog (HR → Leave & Status Types) except
+//   balance leaves such as Paid Leave, which affect per-employee quarter balances
+//   (use the single-day editor / HR Leaves page for that).
 // - No punch times are written (holidays have no check in/out). Existing punches
 //   for those dates are cleared so the day reads cleanly as the chosen status.
 // - manuallyEdited is set so the device punch-sync won't overwrite these.
+// - Dates in a closed payroll month are rejected.
 // =============================================================================
 
 import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
@@ -29,21 +33,14 @@ import Employee from '../../../../../models/Employee';
 import { mergeActiveFilter } from '../../../../../lib/employees/activeFilter';
 import ShiftAttendance from '../../../../../models/ShiftAttendance';
 import Shift from '../../../../../models/Shift';
-import { normalizeStatus, extractShiftCode } from '../../../../../lib/calculations';
+import { normalizeStatus, extractShiftCode, getStatusDefinition } from '../../../../../lib/calculations';
+import { getAttendanceStatuses } from '../../../../../lib/settings/getAttendanceStatuses';
 import { getShiftsForEmployeesOnDate } from '../../../../../lib/shift/getShiftForDate.js';
+import { assertPayrollOpen } from '../../../../../lib/attendance/payrollLock';
 
 export const runtime = 'nodejs';
 export const dynamic = 'force-dynamic';
 
-// Statuses HR may apply in bulk. Paid Leave is excluded on purpose (quarter balance side effects).
-const ALLOWED_BULK_STATUSES = new Set([
-  'Present',
-  'Holiday',
-  'Eid Holiday',
-  'Absent',
-  'Work From Home',
-]);
-
 const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
 
 export async function POST(req) {
@@ -60,10 +57,14 @@ export async function POST(req) {
     if (!status) {
       throw new ValidationError('A status is required.');
     }
-    if (!ALLOWED_BULK_STATUSES.has(status)) {
-      throw new ValidationError(
-        `"${status}" cannot be applied in bulk. Allowed: ${[...ALLOWED_BULK_STATUSES].join(', ')}.`
-      );
+
+    // Statuses HR may apply in bulk. Balance leaves are excluded on purpose (quarter balance side effects).
+    const statusCatalog = await getAttendanceStatuses();
+    const allowedStatuses = statusCatalog.statuses.filter((s) => s.isActive && !s.requiresBalance).map((s) => s.label);
+    // HR explicitly set a status, so weekend auto-overrides are skipped (isWeekendOff: false).
+    const attendanceStatus = normalizeStatus(status, { isWeekendOff: false, catalog: statusCatalog });
+    if (!allowedStatuses.includes(attendanceStatus)) {
+      throw new ValidationError(`"${status}" cannot be applied in bulk. Allowed: ${allowedStatuses.join(', ')}.`);
     }
 
     // Validate + de-duplicate dates
@@ -73,6 +74,7 @@ export async function POST(req) {
         throw new ValidationError(`Invalid date format: "${d}". Expected YYYY-MM-DD.`);
       }
     }
+    await assertPayrollOpen(uniqueDates);
 
     const [allShifts, employees] = await Promise.all([
       Shift.find({}).select('_id code').lean().maxTimeMS(2000),
@@ -93,9 +95,6 @@ export async function POST(req) {
 
     const empCodes = employees.map((e) => e.empCode).filter(Boolean);
 
-    // HR explicitly set a status, so weekend auto-overrides are skipped (isWeekendOff: false).
-    const attendanceStatus = normalizeStatus(status, { isWeekendOff: false });
-
     const ops = [];
     const now = new Date();
 
@@ -134,7 +133,7 @@ export async function POST(req) {
           excused: false,
           lateExcused: false,
           earlyExcused: false,
-          leaveType: null,
+          leaveType: getStatusDefinition(attendanceStatus, statusCatalog)?.leaveType || null,
           manuallyEdited: true,
           updatedAt: now,
         };
@@ -0,0 +1,96 @@
+// app/api/hr/monthly-attendance/punches/route.js — raw punches behind one monthly cell
+import { connectDB } from '../../../../../lib/db';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../../lib/errors/errorHandler';
+import AttendanceEvent from '../../../../../models/AttendanceEvent';
+import ShiftAttendance from '../../../../../models/ShiftAttendance';
+import Device from '../../../../../models/Device';
+import { getNextDateStr } from '../../daily-attendance/attendance/time-utils.js';
+import { explainDayPunches } from '../../daily-attendance/attendance/punch-helpers.js';
+import { getPunchDebounceConfig } from '../../../../../lib/device/punchDebounce';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET /api/hr/monthly-attendance/punches?empCode=&date=YYYY-MM-DD
+// Every AttendanceEvent in the business window (09:00 → 08:00 next day) with how
+// daily processing used it: check-in, check-out, or ignored and why.
+export async function GET(req) {
+  try {
+    await requirePermission('monthlyAttendance', 'view');
+    const { searchParams } = new URL(req.url);
+    const empCode = String(searchParams.get('empCode') || '').trim();
+    const date = String(searchParams.get('date') || '').trim();
+    if (!empCode) throw new ValidationError('Missing "empCode" query parameter');
+    if (!DATE_RE.test(date)) throw new ValidationError('"date" must be YYYY-MM-DD');
+
+    await connectDB();
+
+    const TZ = process.env.TIMEZONE_OFFSET || '+05:00';
+    const startLocal = new Date(`${date}T09:00:00${TZ}`);
+    const endLocal = new Date(`${getNextDateStr(date)}T08:00:00${TZ}`);
+
+    const [events, record, debounce] = await Promise.all([
+      AttendanceEvent.find({ empCode, eventTime: { $gte: startLocal, $lte: endLocal } })
+        .select('eventTime deviceIp verifyMode minor attendanceStatus serialNo importId')
+        .sort({ eventTime: 1 })
+        .lean()
+        .maxTimeMS(3000),
+      ShiftAttendance.findOne({ date, empCode })
+        .select('checkIn checkOut shift attendanceStatus manuallyEdited')
+        .lean()
+        .maxTimeMS(2000),
+      getPunchDebounceConfig(),
+    ]);
+
+    const deviceIps = [...new Set(events.map((e) => e.deviceIp).filter(Boolean))];
+    const devices = deviceIps.length
+      ? await Device.find({ ip: { $in: deviceIps } }).select('ip name').lean().maxTimeMS(1500)
+      : [];
+    const deviceNameByIp = new Map(devices.map((d) => [d.ip, d.name]));
+
+    const explained = explainDayPunches(events, { tzOffset: TZ, record, debounce });
+    const punches = explained.punches.map((p) => ({
+      _id: p._id,
+      eventTime: p.eventTime,
+      deviceIp: p.deviceIp || '',
+      deviceName: deviceNameByIp.get(p.deviceIp) || '',
+      verifyMode: p.verifyMode || '',
+      minor: p.minor ?? null,
+      attendanceStatus: p.attendanceStatus || '',
+      imported: !!p.importId,
+      used: p.used,
+      suppressed: !!p.suppressed,
+      reason: p.reason,
+    }));
+
+    return successResponse(
+      {
+        empCode,
+        date,
+        window: { from: startLocal, to: endLocal },
+        checkIn: explained.checkIn,
+        checkOut: explained.checkOut,
+        source: explained.source,
+        record: record
+          ? {
+              checkIn: record.checkIn ?? null,
+              checkOut: record.checkOut ?? null,
+              shift: record.shift || '',
+              attendanceStatus: record.attendanceStatus || '',
+              manuallyEdited: !!record.manuallyEdited,
+            }
+          : null,
+        punches,
+      },
+      'Punches retrieved',
+      HTTP_STATUS.OK
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -0,0 +1,80 @@
+// app/api/hr/overtime-rules/route.js
+// Get and update overtime rules (minimum, rounding, multipliers, monthly cap) – configurable from HR frontend
+import { connectDB } from '../../../../lib/db';
+import OvertimeRules from '../../../../models/OvertimeRules';
+import { getOvertimeRules } from '../../../../lib/settings/getOvertimeRules';
+import { DEFAULT_OVERTIME_RULES, OVERTIME_ROUNDING_MODES } from '../../../../lib/calculations/overtime';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requirePermission } from '../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../lib/errors/errorHandler';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Numeric fields: [min, max]
+const NUMBER_LIMITS = {
+  minOvertimeMinutes: [0, 600],
+  roundingMinutes: [0, 120],
+  weekdayMultiplier: [0, 10],
+  offDayMultiplier: [0, 10],
+  holidayMultiplier: [0, 10],
+  monthlyCapHours: [0, 744],
+};
+
+// GET /api/hr/overtime-rules – Return current rules
+export async function GET(req) {
+  try {
+    await requirePermission('overtime', 'view');
+    const rules = await getOvertimeRules();
+    return successResponse({ rules }, 'Overtime rules retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// PUT /api/hr/overtime-rules – Update any subset of the rules
+export async function PUT(req) {
+  try {
+    const { user } = await requirePermission('overtime', 'update');
+    await connectDB();
+
+    const body = await req.json();
+    const update = {};
+
+    if (body.enabled !== undefined) update.enabled = body.enabled === true || body.enabled === 'true';
+    for (const [field, [min, max]] of Object.entries(NUMBER_LIMITS)) {
+      if (body[field] === undefined || body[field] === null || body[field] === '') continue;
+      const value = Number(body[field]);
+      if (!Number.isFinite(value) || value < min || value > max) {
+        throw new ValidationError(`${field} must be between ${min} and ${max}`);
+      }
+      update[field] = value;
+    }
+    if (body.roundingMode !== undefined) {
+      if (!OVERTIME_ROUNDING_MODES.includes(body.roundingMode)) {
+        throw new ValidationError(`roundingMode must be one of: ${OVERTIME_ROUNDING_MODES.join(', ')}`);
+      }
+      update.roundingMode = body.roundingMode;
+    }
+    update.updatedBy = user?.email || user?.name || 'HR';
+
+    const doc = await OvertimeRules.findOneAndUpdate(
+      { configId: 'default' },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true }
+    )
+      .lean()
+      .maxTimeMS(2000);
+
+    const rules = {};
+    for (const key of Object.keys(DEFAULT_OVERTIME_RULES)) {
+      rules[key] = doc[key] ?? DEFAULT_OVERTIME_RULES[key];
+    }
+
+    return successResponse({ rules }, 'Overtime rules updated', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -0,0 +1,69 @@
+// app/api/hr/overtime/[id]/route.js — approve / reject overtime on one attendance row
+import mongoose from 'mongoose';
+import { connectDB } from '../../../../../lib/db';
+import ShiftAttendance from '../../../../../models/ShiftAttendance';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, NotFoundError } from '../../../../../lib/errors/errorHandler';
+import { assertPayrollOpen } from '../../../../../lib/attendance/payrollLock';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const REVIEW_ACTIONS = { approve: 'approved', reject: 'rejected' };
+
+// PATCH /api/hr/overtime/:id — { action: approve|reject, minutes?, note? }
+// `minutes` lets HR approve less than computed (defaults to the computed minutes). If daily
+// processing later computes different minutes, the row goes back to pending.
+export async function PATCH(req, { params }) {
+  try {
+    const { user } = await requirePermission('overtime', 'update');
+    await connectDB();
+    const { id } = await params;
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new ValidationError('Invalid attendance id');
+
+    const body = await req.json();
+    const status = REVIEW_ACTIONS[body?.action];
+    if (!status) throw new ValidationError('action must be approve or reject');
+
+    const record = await ShiftAttendance.findById(id).select('_id date overtimeMinutes').lean().maxTimeMS(2000);
+    if (!record) throw new NotFoundError('Attendance record');
+    if (!(record.overtimeMinutes > 0)) throw new ValidationError('This day has no overtime to review');
+    // Approved overtime is paid in the month's net salary
+    await assertPayrollOpen([record.date]);
+
+    let approvedMinutes = 0;
+    if (status === 'approved') {
+      approvedMinutes = record.overtimeMinutes;
+      if (body?.minutes !== undefined && body?.minutes !== null && body?.minutes !== '') {
+        approvedMinutes = Number(body.minutes);
+        if (!Number.isInteger(approvedMinutes) || approvedMinutes < 1 || approvedMinutes > record.overtimeMinutes) {
+          throw new ValidationError(`minutes must be a whole number between 1 and ${record.overtimeMinutes}`);
+        }
+      }
+    }
+
+    const saved = await ShiftAttendance.findByIdAndUpdate(
+      id,
+      {
+        $set: {
+          overtimeStatus: status,
+          overtimeApprovedMinutes: approvedMinutes,
+          overtimeNote: String(body?.note || '').trim() || null,
+          overtimeReviewedBy: user.email || user.id || '',
+          overtimeReviewedAt: new Date(),
+        },
+      },
+      { new: true }
+    )
+      .select(
+        'date empCode employeeName overtimeMinutes overtimeDayType overtimeStatus overtimeApprovedMinutes overtimeNote overtimeReviewedBy overtimeReviewedAt'
+      )
+      .lean();
+
+    return successResponse(saved, status === 'approved' ? 'Overtime approved' : 'Overtime rejected', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -0,0 +1,48 @@
+// app/api/hr/overtime/route.js — HR queue of per-day overtime computed from punches
+import { connectDB } from '../../../../lib/db';
+import ShiftAttendance from '../../../../models/ShiftAttendance';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requirePermission } from '../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../lib/errors/errorHandler';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const MONTH_RE = /^\d{4}-\d{2}$/;
+const OVERTIME_STATUSES = ['pending', 'approved', 'rejected'];
+
+// GET /api/hr/overtime?month=YYYY-MM&status=pending|approved|rejected|all (default pending)
+// Without month, pending rows from any month are returned.
+export async function GET(req) {
+  try {
+    await requirePermission('overtime', 'view');
+    await connectDB();
+    const { searchParams } = new URL(req.url);
+    const month = (searchParams.get('month') || '').trim();
+    const status = (searchParams.get('status') || 'pending').trim();
+    if (month && !MONTH_RE.test(month)) throw new ValidationError('month must be YYYY-MM');
+    if (status !== 'all' && !OVERTIME_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be all or one of: ${OVERTIME_STATUSES.join(', ')}`);
+    }
+
+    const query = {
+      overtimeMinutes: { $gt: 0 },
+      overtimeStatus: status === 'all' ? { $in: OVERTIME_STATUSES } : status,
+    };
+    if (month) query.date = { $gte: `${month}-01`, $lte: `${month}-31` };
+
+    const rows = await ShiftAttendance.find(query)
+      .select(
+        'date empCode employeeName department shift checkIn checkOut attendanceStatus overtimeMinutes overtimeDayType overtimeStatus overtimeApprovedMinutes overtimeNote overtimeReviewedBy overtimeReviewedAt'
+      )
+      .sort({ date: status === 'pending' ? 1 : -1, empCode: 1 })
+      .limit(500)
+      .lean()
+      .maxTimeMS(2000);
+
+    return successResponse({ rows }, 'Overtime retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -0,0 +1,150 @@
+// app/api/hr/payroll-periods/[month]/route.js — one payroll month: review, close with snapshot, reopen
+import { connectDB } from '../../../../../lib/db';
+import PayrollPeriod from '../../../../../models/PayrollPeriod';
+import SecurityAuditLog from '../../../../../models/SecurityAuditLog';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, ForbiddenError } from '../../../../../lib/errors/errorHandler';
+import { buildMonthlySheet } from '../../../../../lib/attendance/monthlySheet';
+import { getCompanyTodayYmd } from '../../../../../lib/time/companyToday.js';
+import { getRequestIp } from '../../../../../lib/security/requestIp';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+const MONTH_REGEX = /^\d{4}-\d{2}$/;
+
+// action → [status it applies to, status it moves to]
+const TRANSITIONS = {
+  review: ['open', 'underReview'],
+  open: ['underReview', 'open'],
+  close: ['underReview', 'closed'],
+  reopen: ['closed', 'open'],
+};
+
+async function readMonth(params) {
+  const { month } = await params;
+  if (!MONTH_REGEX.test(month || '')) throw new ValidationError('month must be in YYYY-MM format');
+  return month;
+}
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+/** Monthly sheet rows without the days; the schema keeps the payroll figures. */
+async function buildSnapshot(month, user) {
+  const sheet = await buildMonthlySheet({ month, viewer: user });
+  const snapshot = sheet.employees.map(({ days, ...figures }) => figures);
+  const sum = (field) => round2(snapshot.reduce((total, row) => total + (Number(row[field]) || 0), 0));
+  return {
+    snapshot,
+    snapshotTotals: {
+      employees: snapshot.length,
+      monthlySalary: sum('monthlySalary'),
+      netSalary: sum('netSalary'),
+      salaryDeductAmount: sum('salaryDeductAmount'),
+      overtimeAmount: sum('overtimeAmount'),
+    },
+  };
+}
+
+// GET /api/hr/payroll-periods/:month — the period with its snapshot (status open when never reviewed)
+export async function GET(req, { params }) {
+  try {
+    await requirePermission('payrollPeriods', 'view');
+    await connectDB();
+    const month = await readMonth(params);
+
+    const period = await PayrollPeriod.findOne({ month }).lean().maxTimeMS(2000);
+    return successResponse(
+      { period: period || { month, status: 'open', snapshot: [], reopenings: [] } },
+      'Payroll period retrieved',
+      HTTP_STATUS.OK
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// PATCH /api/hr/payroll-periods/:month — { action: review|open|close|reopen, notes?, reason? }
+// review: open → under review; open: back to open; close: under review → closed, snapshotting
+// the monthly sheet; reopen: closed → open, ADMIN only, with a reason (audit-logged).
+export async function PATCH(req, { params }) {
+  try {
+    const { user } = await requirePermission('payrollPeriods', 'update');
+    await connectDB();
+    const month = await readMonth(params);
+
+    const body = await req.json();
+    const action = body?.action;
+    const transition = TRANSITIONS[action];
+    if (!transition) throw new ValidationError(`action must be one of: ${Object.keys(TRANSITIONS).join(', ')}`);
+    const [from, to] = transition;
+    const actor = user.email || user.id || '';
+    const now = new Date();
+
+    const update = { status: to };
+    if (body?.notes !== undefined) update.notes = String(body.notes || '').trim();
+    let push = null;
+    let previousClosedAt = null;
+
+    if (action === 'review') {
+      update.reviewStartedBy = actor;
+      update.reviewStartedAt = now;
+    } else if (action === 'close') {
+      if (month >= getCompanyTodayYmd().slice(0, 7)) throw new ValidationError('Only a finished month can be closed');
+      Object.assign(update, await buildSnapshot(month, user));
+      update.closedBy = actor;
+      update.closedAt = now;
+    } else if (action === 'reopen') {
+      if (String(user.role || '').toUpperCase() !== 'ADMIN') {
+        throw new ForbiddenError('Only an admin can reopen a closed payroll month');
+      }
+      const reason = String(body?.reason || '').trim();
+      if (!reason) throw new ValidationError('A reason is required to reopen a closed payroll month');
+      const closed = await PayrollPeriod.findOne({ month, status: 'closed' }).select('closedAt').lean().maxTimeMS(2000);
+      previousClosedAt = closed?.closedAt || null;
+      push = { reopenings: { reason, reopenedBy: actor, reopenedAt: now, previousClosedAt } };
+    }
+
+    // Matching on the current status keeps two reviewers from applying conflicting actions
+    const period = await PayrollPeriod.findOneAndUpdate(
+      { month, status: from },
+      { $set: update, ...(push ? { $push: push } : {}) },
+      { new: true, upsert: from === 'open' }
+    )
+      .select('-snapshot')
+      .lean()
+      .maxTimeMS(action === 'close' ? 10000 : 2000)
+      .catch((err) => {
+        // review on a month whose document is in another status: the upsert hits the unique month
+        if (err?.code === 11000) return null;
+        throw err;
+      });
+    if (!period) throw new ValidationError(`Payroll month ${month} is not ${from === 'underReview' ? 'under review' : from}`);
+
+    if (action === 'reopen') {
+      await SecurityAuditLog.create({
+        actorRole: user.role,
+        actorId: actor,
+        action: 'PAYROLL_PERIOD_REOPENED',
+        target: month,
+        status: 'SUCCESS',
+        ip: getRequestIp(req) || 'unknown',
+        details: { reason: push.reopenings.reason, previousClosedAt },
+      });
+    }
+
+    const messages = {
+      review: `Payroll month ${month} is under review`,
+      open: `Payroll month ${month} is open again`,
+      close: `Payroll month ${month} closed with ${update.snapshotTotals?.employees ?? 0} employee(s)`,
+      reopen: `Payroll month ${month} reopened`,
+    };
+    return successResponse({ period }, messages[action], HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
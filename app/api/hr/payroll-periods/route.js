@@ -0,0 +1,35 @@
+// app/api/hr/payroll-periods/route.js — payroll months and their close status
+import { connectDB } from '../../../../lib/db';
+import PayrollPeriod, { PAYROLL_PERIOD_STATUSES } from '../../../../models/PayrollPeriod';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requirePermission } from '../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../lib/errors/errorHandler';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/hr/payroll-periods?status=open|underReview|closed|all (default all)
+// Snapshots are left out; GET /api/hr/payroll-periods/:month returns one with its snapshot.
+export async function GET(req) {
+  try {
+    await requirePermission('payrollPeriods', 'view');
+    await connectDB();
+    const { searchParams } = new URL(req.url);
+    const status = (searchParams.get('status') || 'all').trim();
+    if (status !== 'all' && !PAYROLL_PERIOD_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be all or one of: ${PAYROLL_PERIOD_STATUSES.join(', ')}`);
+    }
+
+    const periods = await PayrollPeriod.find(status === 'all' ? {} : { status })
+      .select('-snapshot')
+      .sort({ month: -1 })
+      .limit(120)
+      .lean()
+      .maxTimeMS(2000);
+
+    return successResponse({ periods }, 'Payroll periods retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -0,0 +1,70 @@
+// app/api/hr/punch-corrections/[id]/route.js — approve / reject one correction request
+import mongoose from 'mongoose';
+import { connectDB } from '../../../../../lib/db';
+import PunchCorrectionRequest from '../../../../../models/PunchCorrectionRequest';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, NotFoundError } from '../../../../../lib/errors/errorHandler';
+import { applyPunchCorrection } from '../../../../../lib/attendance/punchCorrection';
+import { assertPayrollOpen } from '../../../../../lib/attendance/payrollLock';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const REVIEW_ACTIONS = { approve: 'approved', reject: 'rejected' };
+
+// PATCH /api/hr/punch-corrections/:id — { action: approve|reject, note? }
+export async function PATCH(req, { params }) {
+  try {
+    const { user } = await requirePermission('monthlyAttendance', 'update');
+    await connectDB();
+    const { id } = await params;
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new ValidationError('Invalid request id');
+
+    const body = await req.json();
+    const status = REVIEW_ACTIONS[body?.action];
+    if (!status) throw new ValidationError('action must be approve or reject');
+    const reviewedBy = user.email || user.id || '';
+
+    if (status === 'approved') {
+      const pending = await PunchCorrectionRequest.findById(id).select('date').lean().maxTimeMS(2000);
+      if (pending) await assertPayrollOpen([pending.date]);
+    }
+
+    // Claim the pending request first so two reviewers cannot both apply it
+    const request = await PunchCorrectionRequest.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: { status, reviewedBy, reviewedAt: new Date(), reviewNote: String(body?.note || '').trim() } },
+      { new: true }
+    )
+      .lean()
+      .maxTimeMS(2000);
+    if (!request) {
+      const exists = await PunchCorrectionRequest.exists({ _id: id });
+      if (!exists) throw new NotFoundError('Punch correction request');
+      throw new ValidationError('Only pending requests can be reviewed');
+    }
+
+    let attendance = null;
+    if (status === 'approved') {
+      try {
+        attendance = await applyPunchCorrection(request, { approvedBy: reviewedBy });
+      } catch (applyErr) {
+        await PunchCorrectionRequest.updateOne(
+          { _id: id },
+          { $set: { status: 'pending', reviewedBy: '', reviewedAt: null, reviewNote: '' } }
+        );
+        throw applyErr;
+      }
+    }
+
+    return successResponse(
+      { request, attendance },
+      status === 'approved' ? 'Correction approved and applied' : 'Correction rejected',
+      HTTP_STATUS.OK
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -0,0 +1,34 @@
+// app/api/hr/punch-corrections/route.js — HR queue of employee missed-punch correction requests
+import { connectDB } from '../../../../lib/db';
+import PunchCorrectionRequest, { PUNCH_CORRECTION_STATUSES } from '../../../../models/PunchCorrectionRequest';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requirePermission } from '../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../lib/errors/errorHandler';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/hr/punch-corrections?status=pending|approved|rejected|cancelled|all (default pending)
+export async function GET(req) {
+  try {
+    await requirePermission('monthlyAttendance', 'view');
+    await connectDB();
+    const { searchParams } = new URL(req.url);
+    const status = (searchParams.get('status') || 'pending').trim();
+    if (status !== 'all' && !PUNCH_CORRECTION_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be all or one of: ${PUNCH_CORRECTION_STATUSES.join(', ')}`);
+    }
+
+    const query = status === 'all' ? {} : { status };
+    const requests = await PunchCorrectionRequest.find(query)
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .limit(200)
+      .lean()
+      .maxTimeMS(2000);
+
+    return successResponse({ requests }, 'Punch correction requests retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
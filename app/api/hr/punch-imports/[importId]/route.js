@@ -0,0 +1,49 @@
+// app/api/hr/punch-imports/[importId]/route.js — roll back one punch import
+import { connectDB } from '../../../../../lib/db';
+import AttendanceEvent from '../../../../../models/AttendanceEvent';
+import PunchImport from '../../../../../models/PunchImport';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, NotFoundError } from '../../../../../lib/errors/errorHandler';
+import { assertPayrollOpen } from '../../../../../lib/attendance/payrollLock';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// DELETE /api/hr/punch-imports/:importId — removes every punch this import inserted.
+// Saved daily attendance is not touched; HR re-runs the affected dates.
+export async function DELETE(req, { params }) {
+  try {
+    const { user } = await requirePermission('devices', 'delete');
+    await connectDB();
+    const { importId } = await params;
+
+    const record = await PunchImport.findOne({ importId }).lean().maxTimeMS(1500);
+    if (!record) throw new NotFoundError('Punch import');
+    if (record.status === 'rolled_back') throw new ValidationError('This import was already rolled back');
+    if (record.dateFrom) await assertPayrollOpen([{ from: record.dateFrom, to: record.dateTo || record.dateFrom }]);
+
+    const { deletedCount } = await AttendanceEvent.deleteMany({ importId });
+    const updated = await PunchImport.findOneAndUpdate(
+      { importId },
+      {
+        $set: {
+          status: 'rolled_back',
+          removed: deletedCount || 0,
+          rolledBackAt: new Date(),
+          rolledBackBy: user.email || user.id || '',
+        },
+      },
+      { new: true }
+    ).lean();
+
+    return successResponse(
+      { import: updated },
+      `Removed ${deletedCount || 0} punch(es). Re-run daily attendance for the affected dates`,
+      HTTP_STATUS.OK
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
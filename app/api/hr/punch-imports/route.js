@@ -0,0 +1,211 @@
+// app/api/hr/punch-imports/route.js — load punches from device USB/Excel exports
+import { randomUUID } from 'crypto';
+import { connectDB } from '../../../../lib/db';
+import AttendanceEvent from '../../../../models/AttendanceEvent';
+import Device from '../../../../models/Device';
+import Employee from '../../../../models/Employee';
+import PunchImport from '../../../../models/PunchImport';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requirePermission } from '../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../lib/errors/errorHandler';
+import { storeAttendanceEvents } from '../../../../lib/device/acsEvent';
+import { isDeviceIp } from '../../../../lib/device/validateDevice';
+import { assertPayrollOpen } from '../../../../lib/attendance/payrollLock';
+import {
+  MAX_IMPORT_ROWS,
+  parseSpreadsheet,
+  suggestMapping,
+  buildImportRows,
+  flagImportRows,
+  summarizeImportRows,
+  getBusinessDateYmd,
+} from '../../../../lib/device/punchImport';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+export const maxDuration = 120;
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const PREVIEW_ROW_LIMIT = 500;
+const TZ_RE = /^[+-]\d{2}:\d{2}$/;
+
+function parseMapping(raw, headers) {
+  if (!raw) return suggestMapping(headers);
+  let parsed;
+  try {
+    parsed = JSON.parse(String(raw));
+  } catch {
+    throw new ValidationError('Invalid column mapping');
+  }
+  const mapping = {};
+  for (const [field, idx] of Object.entries(parsed || {})) {
+    if (idx === '' || idx === null || idx === undefined) continue;
+    const n = Number(idx);
+    if (!Number.isInteger(n) || n < 0 || n >= headers.length) {
+      throw new ValidationError(`Column for "${field}" is out of range`);
+    }
+    mapping[field] = n;
+  }
+  return mapping;
+}
+
+// GET /api/hr/punch-imports — recent imports
+export async function GET(req) {
+  try {
+    await requirePermission('devices', 'view');
+    await connectDB();
+
+    const imports = await PunchImport.find({}).sort({ createdAt: -1 }).limit(100).lean().maxTimeMS(2000);
+    return successResponse({ imports }, 'Punch imports retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+/**
+ * POST /api/hr/punch-imports (multipart)
+ *   file, deviceIp, timezone?, mapping? (JSON field → column index),
+ *   mode = "preview" | "commit", includeUnknown? ("true" keeps rows for unknown employee IDs)
+ *
+ * Preview is stateless: it returns the headers, mapping and flagged rows. Commit
+ * re-reads the same file with the confirmed mapping and inserts every clean row in
+ * one batch tagged with a new importId, so the whole file can be rolled back.
+ */
+export async function POST(req) {
+  try {
+    const { user } = await requirePermission('devices', 'create');
+    await connectDB();
+
+    const formData = await req.formData();
+    const file = formData.get('file');
+    if (!file || typeof file === 'string') throw new ValidationError('No file uploaded');
+    const fileName = String(file.name || 'import');
+    if (!/\.(xlsx|csv)$/i.test(fileName)) throw new ValidationError('Upload an .xlsx or .csv export');
+
+    const buffer = Buffer.from(await file.arrayBuffer());
+    if (buffer.length === 0) throw new ValidationError('Empty file upload is not allowed');
+    if (buffer.length > MAX_FILE_BYTES) throw new ValidationError('File too large. Maximum size is 5MB');
+
+    const deviceIp = String(formData.get('deviceIp') || '').trim();
+    if (!isDeviceIp(deviceIp)) throw new ValidationError('Select the device the export came from');
+    const mode = String(formData.get('mode') || 'preview');
+    if (!['preview', 'commit'].includes(mode)) throw new ValidationError('Invalid mode');
+    const includeUnknown = String(formData.get('includeUnknown') || '') === 'true';
+
+    const device = await Device.findOne({ ip: deviceIp }).select('timezone').lean().maxTimeMS(1500);
+    const tzInput = String(formData.get('timezone') || '').trim();
+    if (tzInput && !TZ_RE.test(tzInput)) throw new ValidationError('Timezone must look like +05:00');
+    const tzOffset = tzInput || device?.timezone || process.env.TIMEZONE_OFFSET || '+05:00';
+
+    let parsed;
+    try {
+      parsed = await parseSpreadsheet(buffer, fileName);
+    } catch {
+      throw new ValidationError('Could not read the file. Save it as .xlsx or .csv and try again');
+    }
+    const { headers, rows, rowNumbers } = parsed;
+    if (headers.length === 0) throw new ValidationError('No header row found in the file');
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new ValidationError(`Too many rows (${rows.length}). Split the file into ${MAX_IMPORT_ROWS} rows or fewer`);
+    }
+
+    const mapping = parseMapping(formData.get('mapping'), headers);
+    const hasTime = mapping.dateTime !== undefined || (mapping.date !== undefined && mapping.time !== undefined);
+    if (mapping.empCode === undefined || !hasTime) {
+      if (mode === 'commit') throw new ValidationError('Map the employee ID and the date/time columns');
+      return successResponse(
+        { headers, mapping, tzOffset, summary: null, rows: [] },
+        'Map the employee ID and date/time columns',
+        HTTP_STATUS.OK
+      );
+    }
+
+    const importRows = buildImportRows(rows, mapping, { deviceIp, tzOffset, rowNumbers });
+    const empCodes = [...new Set(importRows.filter((r) => r.event).map((r) => r.event.empCode))];
+    const employees = await Employee.find({ empCode: { $in: empCodes } })
+      .select('empCode')
+      .lean()
+      .maxTimeMS(3000);
+    const knownEmpCodes = new Set(employees.map((e) => String(e.empCode).trim()));
+    await flagImportRows(importRows, { knownEmpCodes, AttendanceEvent });
+    const summary = summarizeImportRows(importRows);
+
+    if (mode === 'preview') {
+      // Problem rows first so HR sees them; cap the payload for big exports
+      const sorted = [...importRows].sort((a, b) => (b.flags.length > 0) - (a.flags.length > 0));
+      const previewRows = sorted.slice(0, PREVIEW_ROW_LIMIT).map((r) => ({
+        rowNumber: r.rowNumber,
+        name: r.name,
+        empCode: r.event?.empCode || '',
+        eventTime: r.event?.eventTime || null,
+        flags: r.flags,
+        problems: r.problems,
+      }));
+      return successResponse(
+        { headers, mapping, tzOffset, summary, rows: previewRows, truncated: sorted.length > PREVIEW_ROW_LIMIT },
+        'Preview ready',
+        HTTP_STATUS.OK
+      );
+    }
+
+    const importId = randomUUID();
+    const docs = importRows
+      .filter((r) => r.flags.length === 0 || (includeUnknown && r.flags.every((f) => f === 'unknownEmp')))
+      .map((r) => ({ ...r.event, importId }));
+    if (docs.length === 0) throw new ValidationError('Nothing to import — every row is flagged');
+
+    let dateFrom = '';
+    let dateTo = '';
+    for (const doc of docs) {
+      const ymd = getBusinessDateYmd(doc.eventTime, tzOffset);
+      if (!dateFrom || ymd < dateFrom) dateFrom = ymd;
+      if (!dateTo || ymd > dateTo) dateTo = ymd;
+    }
+    await assertPayrollOpen([{ from: dateFrom, to: dateTo }]);
+
+    // The import record comes first so every stored punch can be rolled back through it
+    await PunchImport.create({
+      importId,
+      fileName,
+      deviceIp,
+      timezone: tzOffset,
+      mapping: Object.fromEntries(Object.entries(mapping).map(([field, idx]) => [field, headers[idx]])),
+      totalRows: summary.total,
+      unknownEmp: includeUnknown ? 0 : summary.unknownEmp,
+      invalid: summary.invalid,
+      dateFrom,
+      dateTo,
+      createdBy: user.email || user.id || '',
+    });
+
+    let stored;
+    try {
+      stored = await storeAttendanceEvents(AttendanceEvent, docs);
+    } catch (err) {
+      await AttendanceEvent.deleteMany({ importId });
+      await PunchImport.deleteOne({ importId });
+      throw err;
+    }
+
+    const record = await PunchImport.findOneAndUpdate(
+      { importId },
+      {
+        $set: {
+          inserted: stored.inserted,
+          duplicates: summary.duplicateExisting + summary.duplicateInFile + stored.duplicates,
+        },
+      },
+      { new: true }
+    ).lean();
+
+    return successResponse(
+      { import: record },
+      `Imported ${stored.inserted} punch(es). Re-run daily attendance for ${dateFrom}${dateTo !== dateFrom ? ` to ${dateTo}` : ''}`,
+      HTTP_STATUS.CREATED
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
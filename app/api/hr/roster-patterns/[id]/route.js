@@ -0,0 +1,78 @@
+// app/api/hr/roster-patterns/[id]/route.js — update (regenerates) / delete one roster pattern
+import mongoose from 'mongoose';
+import { connectDB } from '../../../../../lib/db';
+import RosterPattern from '../../../../../models/RosterPattern';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, NotFoundError } from '../../../../../lib/errors/errorHandler';
+import {
+  assertRosterAssignable,
+  clearRosterPattern,
+  generateRosterPattern,
+  normalizeRosterInput,
+} from '../../../../../lib/shift/rosterPattern';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+async function loadPattern(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid roster pattern id');
+  }
+  const pattern = await RosterPattern.findById(id).lean().maxTimeMS(1500);
+  if (!pattern) throw new NotFoundError('Roster pattern');
+  return pattern;
+}
+
+// PUT /api/hr/roster-patterns/:id — save and regenerate from fromDate (default today).
+// Body { regenerate: true } alone re-runs generation for the stored pattern.
+export async function PUT(req, { params }) {
+  try {
+    const { user } = await requirePermission('employeeShifts', 'update');
+    await connectDB();
+    const { id } = await params;
+    const existing = await loadPattern(id);
+
+    const body = await req.json();
+    const input = normalizeRosterInput(body, existing);
+    await assertRosterAssignable(input, existing._id);
+
+    const changedBy = user.email || user.id || '';
+    const pattern = await RosterPattern.findByIdAndUpdate(
+      id,
+      { $set: { ...input, updatedBy: changedBy } },
+      { new: true, runValidators: true }
+    )
+      .lean()
+      .maxTimeMS(2000);
+    // Inactive: its future entries are removed and employees fall back to their own shift
+    const generation = await generateRosterPattern(pattern, {
+      fromDate: body.fromDate,
+      horizonDays: body.horizonDays,
+      changedBy,
+    });
+
+    const saved = await RosterPattern.findById(id).lean().maxTimeMS(1500);
+    return successResponse({ pattern: saved, generation }, 'Roster pattern updated', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    if (err?.code === 11000) return errorResponse('A roster pattern with this name already exists', 400);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// DELETE /api/hr/roster-patterns/:id — removes the pattern's entries from today on; past days keep their shift
+export async function DELETE(req, { params }) {
+  try {
+    await requirePermission('employeeShifts', 'update');
+    await connectDB();
+    const { id } = await params;
+    const pattern = await loadPattern(id);
+    const cleared = await clearRosterPattern(pattern);
+    await RosterPattern.findByIdAndDelete(id);
+    return successResponse({ deleted: true, id, ...cleared }, 'Roster pattern deleted', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
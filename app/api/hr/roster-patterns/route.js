@@ -0,0 +1,54 @@
+// app/api/hr/roster-patterns/route.js — list + create rotating roster patterns
+import { connectDB } from '../../../../lib/db';
+import RosterPattern from '../../../../models/RosterPattern';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requirePermission } from '../../../../lib/auth/requireAuth';
+import {
+  assertRosterAssignable,
+  generateRosterPattern,
+  normalizeRosterInput,
+} from '../../../../lib/shift/rosterPattern';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/hr/roster-patterns
+export async function GET(req) {
+  try {
+    await requirePermission('employeeShifts', 'view');
+    await connectDB();
+
+    const patterns = await RosterPattern.find({}).sort({ name: 1 }).lean().maxTimeMS(2000);
+    return successResponse({ patterns }, 'Roster patterns retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// POST /api/hr/roster-patterns — create and generate shift history from fromDate (default today)
+export async function POST(req) {
+  try {
+    const { user } = await requirePermission('employeeShifts', 'create');
+    await connectDB();
+
+    const body = await req.json();
+    const input = normalizeRosterInput(body);
+    await assertRosterAssignable(input);
+
+    const changedBy = user.email || user.id || '';
+    const doc = await RosterPattern.create({ ...input, createdBy: changedBy, updatedBy: changedBy });
+    const generation = await generateRosterPattern(doc.toObject(), {
+      fromDate: body.fromDate,
+      horizonDays: body.horizonDays,
+      changedBy,
+    });
+
+    const pattern = await RosterPattern.findById(doc._id).lean().maxTimeMS(1500);
+    return successResponse({ pattern, generation }, 'Roster pattern created', HTTP_STATUS.CREATED);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    if (err?.code === 11000) return errorResponse('A roster pattern with this name already exists', 400);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -0,0 +1,61 @@
+// app/api/hr/roster-planner/route.js — department month grid + effective-dated shift edits
+import { connectDB } from '../../../../lib/db';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requirePermission } from '../../../../lib/auth/requireAuth';
+import { assertPayrollOpen } from '../../../../lib/attendance/payrollLock';
+import {
+  applyShiftPlan,
+  listPlannerDepartments,
+  loadDepartmentRoster,
+  planShiftChanges,
+} from '../../../../lib/shift/rosterPlanner';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/hr/roster-planner?department=Ops&month=YYYY-MM
+// Without department: only the department list.
+export async function GET(req) {
+  try {
+    await requirePermission('employeeShifts', 'view');
+    await connectDB();
+
+    const { searchParams } = new URL(req.url);
+    const department = searchParams.get('department') || '';
+    const departments = await listPlannerDepartments();
+    if (!department) {
+      return successResponse({ departments }, 'Departments retrieved', HTTP_STATUS.OK);
+    }
+
+    const roster = await loadDepartmentRoster({ department, month: searchParams.get('month') || '' });
+    return successResponse({ departments, ...roster }, 'Roster retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// POST /api/hr/roster-planner { changes: [{ empCode, fromDate, toDate, shiftCode }], commit? }
+// Without commit nothing is written; the response is the per-day diff HR reviews before saving.
+export async function POST(req) {
+  try {
+    const body = await req.json().catch(() => ({}));
+    const commit = body?.commit === true;
+    const { user } = await requirePermission('employeeShifts', commit ? 'update' : 'view');
+    await connectDB();
+
+    const plan = await planShiftChanges(body?.changes, { changedBy: user.email || user.id || '' });
+    const summary = { inserted: plan.inserts.length, updated: plan.updates.length, deleted: plan.deletes.length };
+    if (commit) await assertPayrollOpen(plan.changes.map((c) => ({ from: c.fromDate, to: c.toDate })));
+    const written = commit ? await applyShiftPlan(plan) : null;
+
+    return successResponse(
+      { changes: plan.changes, diff: plan.diff, ...(written || summary), committed: commit },
+      commit ? `Saved ${plan.changes.length} change(s)` : 'Preview: nothing was written',
+      HTTP_STATUS.OK
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -0,0 +1,70 @@
+// app/api/hr/shift-swaps/[id]/route.js — approve / reject one accepted shift swap
+import mongoose from 'mongoose';
+import { connectDB } from '../../../../../lib/db';
+import ShiftSwapRequest from '../../../../../models/ShiftSwapRequest';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, NotFoundError } from '../../../../../lib/errors/errorHandler';
+import { applyShiftSwap } from '../../../../../lib/shift/shiftSwap';
+import { assertPayrollOpen } from '../../../../../lib/attendance/payrollLock';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const REVIEW_ACTIONS = { approve: 'approved', reject: 'rejected' };
+
+// PATCH /api/hr/shift-swaps/:id — { action: approve|reject, note? }
+export async function PATCH(req, { params }) {
+  try {
+    const { user } = await requirePermission('employeeShifts', 'update');
+    await connectDB();
+    const { id } = await params;
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new ValidationError('Invalid request id');
+
+    const body = await req.json();
+    const status = REVIEW_ACTIONS[body?.action];
+    if (!status) throw new ValidationError('action must be approve or reject');
+    const reviewedBy = user.email || user.id || '';
+
+    if (status === 'approved') {
+      const pending = await ShiftSwapRequest.findById(id).select('date').lean().maxTimeMS(2000);
+      if (pending) await assertPayrollOpen([pending.date]);
+    }
+
+    // Claim the request first so two reviewers cannot both apply it
+    const request = await ShiftSwapRequest.findOneAndUpdate(
+      { _id: id, status: 'awaitingHr' },
+      { $set: { status, reviewedBy, reviewedAt: new Date(), reviewNote: String(body?.note || '').trim() } },
+      { new: true }
+    )
+      .lean()
+      .maxTimeMS(2000);
+    if (!request) {
+      const exists = await ShiftSwapRequest.exists({ _id: id });
+      if (!exists) throw new NotFoundError('Shift swap request');
+      throw new ValidationError('Only swaps accepted by the colleague can be reviewed');
+    }
+
+    let overrides = [];
+    if (status === 'approved') {
+      try {
+        overrides = await applyShiftSwap(request, { approvedBy: reviewedBy });
+      } catch (applyErr) {
+        await ShiftSwapRequest.updateOne(
+          { _id: id },
+          { $set: { status: 'awaitingHr', reviewedBy: '', reviewedAt: null, reviewNote: '' } }
+        );
+        throw applyErr;
+      }
+    }
+
+    return successResponse(
+      { request, overrides },
+      status === 'approved' ? 'Shift swap approved' : 'Shift swap rejected',
+      HTTP_STATUS.OK
+    );
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
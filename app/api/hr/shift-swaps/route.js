@@ -0,0 +1,34 @@
+// app/api/hr/shift-swaps/route.js — HR queue of shift swaps accepted by both employees
+import { connectDB } from '../../../../lib/db';
+import ShiftSwapRequest, { SHIFT_SWAP_STATUSES } from '../../../../models/ShiftSwapRequest';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requirePermission } from '../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../lib/errors/errorHandler';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/hr/shift-swaps?status=awaitingHr|awaitingColleague|approved|declined|rejected|cancelled|all (default awaitingHr)
+export async function GET(req) {
+  try {
+    await requirePermission('employeeShifts', 'view');
+    await connectDB();
+    const { searchParams } = new URL(req.url);
+    const status = (searchParams.get('status') || 'awaitingHr').trim();
+    if (status !== 'all' && !SHIFT_SWAP_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be all or one of: ${SHIFT_SWAP_STATUSES.join(', ')}`);
+    }
+
+    const query = status === 'all' ? {} : { status };
+    const requests = await ShiftSwapRequest.find(query)
+      .sort(status === 'awaitingHr' ? { date: 1, createdAt: 1 } : { createdAt: -1 })
+      .limit(200)
+      .lean()
+      .maxTimeMS(2000);
+
+    return successResponse({ requests }, 'Shift swap requests retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -4,6 +4,8 @@ import { connectDB } from '../../../../../lib/db';
 import { requirePermission } from '../../../../../lib/auth/requireAuth';
 import Shift, { mergeGraceFromBody, resolveShiftGracePeriods } from '../../../../../models/Shift';
 import { DEFAULT_GRACE_PERIOD } from '../../../../../lib/shift/gracePeriods.js';
+import { mergeFlexitimeFromBody, validateFlexitime } from '../../../../../lib/shift/flexitime.js';
+import { mergeSegmentsFromBody, validateSegments } from '../../../../../lib/shift/splitShift.js';
 import { getCompanyTodayYmd } from '../../../../../lib/time/companyToday.js';
 import { successResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
 import { NotFoundError, ValidationError } from '../../../../../lib/errors/errorHandler';
@@ -24,7 +26,7 @@ export async function GET(req, { params }) {
     // OPTIMIZATION: Select only required fields, add timeout
     const shift = await Shift.findById(id)
       .select(
-        '_id name code startTime endTime crossesMidnight gracePeriod checkInGracePeriod checkOutGracePeriod graceEffectiveFrom priorCheckInGracePeriod priorCheckOutGracePeriod description isActive'
+        '_id name code startTime endTime crossesMidnight shiftType coreStartTime coreEndTime requiredHours segments gracePeriod checkInGracePeriod checkOutGracePeriod graceEffectiveFrom priorCheckInGracePeriod priorCheckOutGracePeriod description isActive'
       )
       .lean()
       .maxTimeMS(2000);
@@ -116,6 +118,35 @@ export async function PUT(req, { params }) {
     }
     if (crossesMidnight !== undefined && crossesMidnight !== existing.crossesMidnight) update.crossesMidnight = crossesMidnight;
 
+    const flexKeys = ['shiftType', 'coreStartTime', 'coreEndTime', 'requiredHours'];
+    if (flexKeys.some((k) => body[k] !== undefined)) {
+      const flex = mergeFlexitimeFromBody(body, existing);
+      const flexError = validateFlexitime(flex);
+      if (flexError) {
+        return NextResponse.json({ error: flexError }, { status: 400 });
+      }
+      for (const k of flexKeys) {
+        if (flex[k] !== (existing[k] ?? (k === 'shiftType' ? 'fixed' : null))) update[k] = flex[k];
+      }
+    }
+
+    // Split shift: segments replace start / end / crossesMidnight; other types drop them
+    const nextShiftType = update.shiftType ?? existing.shiftType ?? 'fixed';
+    let unsetSegments = false;
+    if (nextShiftType === 'split' && (body.segments !== undefined || update.shiftType === 'split')) {
+      const split = mergeSegmentsFromBody(body, existing);
+      const segmentError = validateSegments(split.segments);
+      if (segmentError) {
+        return NextResponse.json({ error: segmentError }, { status: 400 });
+      }
+      update.segments = split.segments;
+      update.startTime = split.startTime;
+      update.endTime = split.endTime;
+      update.crossesMidnight = split.crossesMidnight;
+    } else if (nextShiftType !== 'split' && existing.segments) {
+      unsetSegments = true;
+    }
+
     const graceKeys = [
       'gracePeriod',
       'checkInGracePeriod',
@@ -178,7 +209,12 @@ export async function PUT(req, { params }) {
 
     const mongoUpdate = {};
     if (Object.keys(update).length > 0) mongoUpdate.$set = update;
-    if (unsetLegacyGrace) mongoUpdate.$unset = { gracePeriod: '' };
+    if (unsetLegacyGrace || unsetSegments) {
+      mongoUpdate.$unset = {
+        ...(unsetLegacyGrace ? { gracePeriod: '' } : {}),
+        ...(unsetSegments ? { segments: '' } : {}),
+      };
+    }
 
     // If nothing changed, return the existing shift as-is
     if (!mongoUpdate.$set && !mongoUpdate.$unset) {
@@ -191,7 +227,7 @@ export async function PUT(req, { params }) {
       { new: true, runValidators: true }
     )
       .select(
-        '_id name code startTime endTime crossesMidnight gracePeriod checkInGracePeriod checkOutGracePeriod graceEffectiveFrom priorCheckInGracePeriod priorCheckOutGracePeriod description isActive'
+        '_id name code startTime endTime crossesMidnight shiftType coreStartTime coreEndTime requiredHours segments gracePeriod checkInGracePeriod checkOutGracePeriod graceEffectiveFrom priorCheckInGracePeriod priorCheckOutGracePeriod description isActive'
       )
       .lean()
       .maxTimeMS(3000);
@@ -2,6 +2,8 @@
 import { NextResponse } from 'next/server';
 import { connectDB } from '../../../../lib/db';
 import Shift, { mergeGraceFromBody } from '../../../../models/Shift';
+import { mergeFlexitimeFromBody, validateFlexitime } from '../../../../lib/shift/flexitime.js';
+import { mergeSegmentsFromBody, validateSegments } from '../../../../lib/shift/splitShift.js';
 import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
 import { requirePermission } from '../../../../lib/auth/requireAuth';
 import { ValidationError } from '../../../../lib/errors/errorHandler';
@@ -26,7 +28,7 @@ export async function GET(req) {
     const query = activeOnly ? { isActive: true } : {};
     const shifts = await Shift.find(query)
       .select(
-        '_id name code startTime endTime crossesMidnight gracePeriod checkInGracePeriod checkOutGracePeriod graceEffectiveFrom priorCheckInGracePeriod priorCheckOutGracePeriod description isActive'
+        '_id name code startTime endTime crossesMidnight shiftType coreStartTime coreEndTime requiredHours segments gracePeriod checkInGracePeriod checkOutGracePeriod graceEffectiveFrom priorCheckInGracePeriod priorCheckOutGracePeriod description isActive'
       )
       .sort({ code: 1 })
       .lean()
@@ -86,7 +88,17 @@ export async function POST(req) {
     await connectDB();
 
     const body = await req.json();
-    const { name, code, startTime, endTime, crossesMidnight, description } = body;
+    const { name, code, description } = body;
+    let { startTime, endTime, crossesMidnight } = body;
+
+    // Split shift: start / end / crossesMidnight follow the segments
+    let segments;
+    if (body.shiftType === 'split') {
+      const split = mergeSegmentsFromBody(body, null);
+      const segmentError = validateSegments(split.segments);
+      if (segmentError) throw new ValidationError(segmentError);
+      ({ segments, startTime, endTime, crossesMidnight } = split);
+    }
 
     if (!name || !code || !startTime || !endTime) {
       throw new ValidationError('name, code, startTime, and endTime are required');
@@ -100,6 +112,11 @@ export async function POST(req) {
 
     const grace = mergeGraceFromBody(body, null);
 
+    // Flexitime: core window + required hours (startTime/endTime become the flexible band)
+    const flex = mergeFlexitimeFromBody(body, null);
+    const flexError = validateFlexitime(flex);
+    if (flexError) throw new ValidationError(flexError);
+
     // OPTIMIZATION: Create with validation in one operation
     const shift = await Shift.create({
       name,
@@ -107,6 +124,8 @@ export async function POST(req) {
       startTime,
       endTime,
       crossesMidnight: crossesMidnight || false,
+      ...flex,
+      segments,
       checkInGracePeriod: grace.checkInGracePeriod,
       checkOutGracePeriod: grace.checkOutGracePeriod,
       description: description || '',
@@ -3,8 +3,16 @@ import { NextResponse } from 'next/server';
 import { connectDB } from '../../../../lib/db';
 import { requirePermission } from '../../../../lib/auth/requireAuth';
 import ViolationRules from '../../../../models/ViolationRules';
-import { successResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
 import { ValidationError } from '../../../../lib/errors/errorHandler';
+import { DEFAULT_WORKED_HOURS_CONFIG } from '../../../../lib/calculations/salaryDeduction';
+import { getViolationRuleVersions, DEFAULT_VIOLATION_RULES } from '../../../../lib/settings/getViolationRules';
+import {
+  pickVersionForDate,
+  resolveEffectiveFrom,
+  isScheduledVersion,
+  buildVersionTimeline,
+} from '../../../../lib/settings/policyVersions';
+import { getCompanyTodayYmd } from '../../../../lib/time/companyToday.js';
 
 // OPTIMIZATION: Node.js runtime for better connection pooling
 export const runtime = 'nodejs';
@@ -12,48 +20,80 @@ export const dynamic = 'force-dynamic';
 // OPTIMIZATION: Caching for static violation rules (60s revalidation)
 export const revalidate = 60;
 
+// Merge worked-hours thresholds over the current (or default) values
+function buildWorkedHoursConfig(input, current = DEFAULT_WORKED_HOURS_CONFIG) {
+  const config = {
+    enabled: input?.enabled ?? current?.enabled ?? DEFAULT_WORKED_HOURS_CONFIG.enabled,
+    halfDayBelowPercent:
+      input?.halfDayBelowPercent ?? current?.halfDayBelowPercent ?? DEFAULT_WORKED_HOURS_CONFIG.halfDayBelowPercent,
+    absentBelowPercent:
+      input?.absentBelowPercent ?? current?.absentBelowPercent ?? DEFAULT_WORKED_HOURS_CONFIG.absentBelowPercent,
+  };
+  if (Number(config.absentBelowPercent) > Number(config.halfDayBelowPercent)) {
+    throw new ValidationError('Absent threshold must not be higher than the Half Day threshold');
+  }
+  return config;
+}
+
+// Rules of one version: values sent in the body over `base` (the version being replaced)
+function buildRulesVersion({ violationConfig, absentConfig, leaveConfig, workedHoursConfig }, base) {
+  return {
+    violationConfig: {
+      freeViolations: violationConfig?.freeViolations ?? base.violationConfig.freeViolations,
+      milestoneInterval: violationConfig?.milestoneInterval ?? base.violationConfig.milestoneInterval,
+      perMinuteRate: violationConfig?.perMinuteRate ?? base.violationConfig.perMinuteRate,
+      maxPerMinuteFine: violationConfig?.maxPerMinuteFine ?? base.violationConfig.maxPerMinuteFine,
+    },
+    absentConfig: {
+      bothMissingDays: absentConfig?.bothMissingDays ?? base.absentConfig.bothMissingDays,
+      partialPunchDays: absentConfig?.partialPunchDays ?? base.absentConfig.partialPunchDays,
+      leaveWithoutInformDays: absentConfig?.leaveWithoutInformDays ?? base.absentConfig.leaveWithoutInformDays,
+    },
+    leaveConfig: {
+      unpaidLeaveDays: leaveConfig?.unpaidLeaveDays ?? base.leaveConfig.unpaidLeaveDays,
+      sickLeaveDays: leaveConfig?.sickLeaveDays ?? base.leaveConfig.sickLeaveDays,
+      halfDayDays: leaveConfig?.halfDayDays ?? base.leaveConfig.halfDayDays,
+      paidLeaveDays: leaveConfig?.paidLeaveDays ?? base.leaveConfig.paidLeaveDays,
+    },
+    workedHoursConfig: buildWorkedHoursConfig(workedHoursConfig, base.workedHoursConfig),
+  };
+}
+
+// Create or edit the version starting on effectiveFrom (today or later)
+async function saveRulesVersion(body, { base, updatedBy }) {
+  const effectiveFrom = resolveEffectiveFrom(body.effectiveFrom);
+  const replaced = base || pickVersionForDate(await getViolationRuleVersions(), effectiveFrom);
+  const version = await ViolationRules.findOneAndUpdate(
+    { isActive: true, effectiveFrom },
+    {
+      $set: {
+        ...buildRulesVersion(body, replaced),
+        description: body.description ?? replaced.description ?? 'Violation and leave deduction rules',
+        updatedBy,
+      },
+    },
+    { new: true, upsert: true, runValidators: true }
+  ).lean();
+  return { version, effectiveFrom };
+}
+
+async function rulesPayload() {
+  const versions = buildVersionTimeline(await getViolationRuleVersions());
+  return { rules: versions.find((v) => v.state === 'current') || null, versions };
+}
+
+function savedMessage(effectiveFrom) {
+  return effectiveFrom > getCompanyTodayYmd()
+    ? `Violation rules scheduled from ${effectiveFrom}`
+    : 'Violation rules updated successfully';
+}
+
 // GET /api/hr/violation-rules
-// Returns the active violation rules configuration
+// Returns the rules in force today and the version timeline (defaults when none exist)
 export async function GET(req) {
   try {
     await requirePermission('violationRules', 'view');
-    await connectDB();
-
-    // OPTIMIZATION: Get the active rules with minimal fields, fast timeout
-    const activeRules = await ViolationRules.findOne({ isActive: true })
-      .select('violationConfig absentConfig leaveConfig isActive description')
-      .lean()
-      .maxTimeMS(2000); // Fast timeout for Vercel
-
-    if (!activeRules) {
-      // Return default rules if none exist
-      return NextResponse.json({
-        rules: {
-          violationConfig: {
-            freeViolations: 2,
-            milestoneInterval: 3,
-            perMinuteRate: 0.007,
-            maxPerMinuteFine: 1.0,
-          },
-          absentConfig: {
-            bothMissingDays: 1.0,
-            partialPunchDays: 1.0,
-            leaveWithoutInformDays: 1.5,
-          },
-          leaveConfig: {
-            unpaidLeaveDays: 1.0,
-            sickLeaveDays: 1.0,
-            halfDayDays: 0.5,
-            paidLeaveDays: 0.0,
-          },
-          isActive: true,
-          description: 'Default rules',
-        },
-        message: 'No active rules found, returning defaults',
-      });
-    }
-
-    return NextResponse.json({ rules: activeRules });
+    return NextResponse.json(await rulesPayload());
   } catch (err) {
     if (err?.code === 'UNAUTHORIZED_HR') return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     console.error('GET /api/hr/violation-rules error:', err);
@@ -65,20 +105,15 @@ export async function GET(req) {
 }
 
 // POST /api/hr/violation-rules
-// Creates or updates violation rules (deactivates old active rules)
+// Creates a full rule set as the version starting on effectiveFrom (default today);
+// fields not sent take the default values
 export async function POST(req) {
   try {
-    await requirePermission('violationRules', 'create');
+    const { user } = await requirePermission('violationRules', 'create');
     await connectDB();
 
     const body = await req.json();
-    const {
-      violationConfig,
-      absentConfig,
-      leaveConfig,
-      description,
-      updatedBy,
-    } = body;
+    const { violationConfig, absentConfig, leaveConfig, updatedBy } = body;
 
     // Validate required fields
     if (!violationConfig || !absentConfig || !leaveConfig) {
@@ -88,45 +123,19 @@ export async function POST(req) {
       );
     }
 
-    // Deactivate all existing active rules
-    await ViolationRules.updateMany(
-      { isActive: true },
-      { isActive: false }
-    );
-
-    // Create new active rules
-    const newRules = await ViolationRules.create({
-      violationConfig: {
-        freeViolations: violationConfig.freeViolations ?? 2,
-        milestoneInterval: violationConfig.milestoneInterval ?? 3,
-        perMinuteRate: violationConfig.perMinuteRate ?? 0.007,
-        maxPerMinuteFine: violationConfig.maxPerMinuteFine ?? 1.0,
-      },
-      absentConfig: {
-        bothMissingDays: absentConfig.bothMissingDays ?? 1.0,
-        partialPunchDays: absentConfig.partialPunchDays ?? 1.0,
-        leaveWithoutInformDays: absentConfig.leaveWithoutInformDays ?? 1.5,
-      },
-      leaveConfig: {
-        unpaidLeaveDays: leaveConfig.unpaidLeaveDays ?? 1.0,
-        sickLeaveDays: leaveConfig.sickLeaveDays ?? 1.0,
-        halfDayDays: leaveConfig.halfDayDays ?? 0.5,
-        paidLeaveDays: leaveConfig.paidLeaveDays ?? 0.0,
-      },
-      isActive: true,
-      description: description || 'Violation and leave deduction rules',
-      updatedBy: updatedBy || 'HR',
+    const { effectiveFrom } = await saveRulesVersion(body, {
+      base: DEFAULT_VIOLATION_RULES,
+      updatedBy: updatedBy || user?.email || 'HR',
     });
 
-    // Cache removed - data is always fresh
-
     return NextResponse.json({
       success: true,
-      rules: newRules,
-      message: 'Violation rules updated successfully',
+      ...(await rulesPayload()),
+      message: savedMessage(effectiveFrom),
     });
   } catch (err) {
     if (err?.code === 'UNAUTHORIZED_HR') return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    if (err instanceof ValidationError) return NextResponse.json({ error: err.message }, { status: 400 });
     console.error('POST /api/hr/violation-rules error:', err);
     return NextResponse.json(
       { error: err.message || 'Internal server error' },
@@ -136,123 +145,61 @@ export async function POST(req) {
 }
 
 // PUT /api/hr/violation-rules
-// Updates the active violation rules
+// Saves the version starting on effectiveFrom (default today): values sent over the version
+// it replaces. Earlier days keep the rules that were in force on them.
 export async function PUT(req) {
   try {
-    await requirePermission('violationRules', 'update');
+    const { user } = await requirePermission('violationRules', 'update');
     await connectDB();
     const body = await req.json();
-    const {
-      violationConfig,
-      absentConfig,
-      leaveConfig,
-      description,
-      updatedBy,
-    } = body;
-
-    // Find active rules
-    const activeRules = await ViolationRules.findOne({ isActive: true });
-
-    if (!activeRules) {
-      // If no active rules exist, create new ones using the same logic as POST
-      // (Cannot call POST(req) because body has already been read)
-      if (!violationConfig || !absentConfig || !leaveConfig) {
-        return NextResponse.json(
-          { error: 'violationConfig, absentConfig, and leaveConfig are required' },
-          { status: 400 }
-        );
-      }
-
-      // Deactivate all existing active rules
-      await ViolationRules.updateMany(
-        { isActive: true },
-        { isActive: false }
-      );
-
-      // Create new active rules
-      const newRules = await ViolationRules.create({
-        violationConfig: {
-          freeViolations: violationConfig.freeViolations ?? 2,
-          milestoneInterval: violationConfig.milestoneInterval ?? 3,
-          perMinuteRate: violationConfig.perMinuteRate ?? 0.007,
-          maxPerMinuteFine: violationConfig.maxPerMinuteFine ?? 1.0,
-        },
-        absentConfig: {
-          bothMissingDays: absentConfig.bothMissingDays ?? 1.0,
-          partialPunchDays: absentConfig.partialPunchDays ?? 1.0,
-          leaveWithoutInformDays: absentConfig.leaveWithoutInformDays ?? 1.5,
-        },
-        leaveConfig: {
-          unpaidLeaveDays: leaveConfig.unpaidLeaveDays ?? 1.0,
-          sickLeaveDays: leaveConfig.sickLeaveDays ?? 1.0,
-          halfDayDays: leaveConfig.halfDayDays ?? 0.5,
-          paidLeaveDays: leaveConfig.paidLeaveDays ?? 0.0,
-        },
-        isActive: true,
-        description: description || 'Violation and leave deduction rules',
-        updatedBy: updatedBy || 'HR',
-      });
 
-      // Cache removed - data is always fresh
-
-      return successResponse(
-        { rules: newRules },
-        'Violation rules created successfully',
-        HTTP_STATUS.OK
-      );
-    }
-
-    // Update active rules
-    if (violationConfig) {
-      activeRules.violationConfig = {
-        freeViolations: violationConfig.freeViolations ?? activeRules.violationConfig.freeViolations,
-        milestoneInterval: violationConfig.milestoneInterval ?? activeRules.violationConfig.milestoneInterval,
-        perMinuteRate: violationConfig.perMinuteRate ?? activeRules.violationConfig.perMinuteRate,
-        maxPerMinuteFine: violationConfig.maxPerMinuteFine ?? activeRules.violationConfig.maxPerMinuteFine,
-      };
-    }
-
-    if (absentConfig) {
-      activeRules.absentConfig = {
-        bothMissingDays: absentConfig.bothMissingDays ?? activeRules.absentConfig.bothMissingDays,
-        partialPunchDays: absentConfig.partialPunchDays ?? activeRules.absentConfig.partialPunchDays,
-        leaveWithoutInformDays: absentConfig.leaveWithoutInformDays ?? activeRules.absentConfig.leaveWithoutInformDays,
-      };
-    }
+    const { effectiveFrom } = await saveRulesVersion(body, {
+      updatedBy: body.updatedBy || user?.email || 'HR',
+    });
 
-    if (leaveConfig) {
-      activeRules.leaveConfig = {
-        unpaidLeaveDays: leaveConfig.unpaidLeaveDays ?? activeRules.leaveConfig.unpaidLeaveDays,
-        sickLeaveDays: leaveConfig.sickLeaveDays ?? activeRules.leaveConfig.sickLeaveDays,
-        halfDayDays: leaveConfig.halfDayDays ?? activeRules.leaveConfig.halfDayDays,
-        paidLeaveDays: leaveConfig.paidLeaveDays ?? activeRules.leaveConfig.paidLeaveDays,
-      };
-    }
+    return NextResponse.json({
+      success: true,
+      ...(await rulesPayload()),
+      message: savedMessage(effectiveFrom),
+    });
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    if (err instanceof ValidationError) return NextResponse.json({ error: err.message }, { status: 400 });
+    console.error('PUT /api/hr/violation-rules error:', err);
+    return NextResponse.json(
+      { error: err.message || 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
 
-    if (description !== undefined) {
-      activeRules.description = description;
-    }
+// DELETE /api/hr/violation-rules?effectiveFrom=YYYY-MM-DD
+// Removes a version that has not started yet
+export async function DELETE(req) {
+  try {
+    await requirePermission('violationRules', 'update');
+    await connectDB();
 
-    if (updatedBy) {
-      activeRules.updatedBy = updatedBy;
+    const effectiveFrom = new URL(req.url).searchParams.get('effectiveFrom') || '';
+    const version = await ViolationRules.findOne({ isActive: true, effectiveFrom }).lean().maxTimeMS(2000);
+    if (!version) return NextResponse.json({ error: 'Violation rules version not found' }, { status: 404 });
+    if (!isScheduledVersion(version)) {
+      throw new ValidationError('Only versions that have not started yet can be deleted');
     }
-
-    await activeRules.save();
-
-    // Cache removed - data is always fresh
+    await ViolationRules.deleteOne({ _id: version._id });
 
     return NextResponse.json({
       success: true,
-      rules: activeRules,
-      message: 'Violation rules updated successfully',
+      ...(await rulesPayload()),
+      message: 'Scheduled violation rules deleted',
     });
   } catch (err) {
     if (err?.code === 'UNAUTHORIZED_HR') return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
-    console.error('PUT /api/hr/violation-rules error:', err);
+    if (err instanceof ValidationError) return NextResponse.json({ error: err.message }, { status: 400 });
+    console.error('DELETE /api/hr/violation-rules error:', err);
     return NextResponse.json(
       { error: err.message || 'Internal server error' },
       { status: 500 }
     );
   }
 }
-
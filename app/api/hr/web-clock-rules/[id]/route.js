@@ -0,0 +1,57 @@
+// app/api/hr/web-clock-rules/[id]/route.js — update / delete one web clock rule
+import mongoose from 'mongoose';
+import { connectDB } from '../../../../../lib/db';
+import WebClockRule from '../../../../../models/WebClockRule';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../../lib/api/response';
+import { requirePermission } from '../../../../../lib/auth/requireAuth';
+import { ValidationError, NotFoundError } from '../../../../../lib/errors/errorHandler';
+import { validateWebClockRuleInput } from '../../../../../lib/security/validateWebClockRule';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+async function loadRule(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid rule id');
+  }
+  const rule = await WebClockRule.findById(id).lean().maxTimeMS(1500);
+  if (!rule) throw new NotFoundError('Web clock rule');
+  return rule;
+}
+
+// PATCH /api/hr/web-clock-rules/:id
+export async function PATCH(req, { params }) {
+  try {
+    const { user } = await requirePermission('webClockRules', 'update');
+    await connectDB();
+    const { id } = await params;
+    await loadRule(id);
+
+    const $set = validateWebClockRuleInput(await req.json());
+    $set.updatedBy = user.email || user.id || '';
+
+    const rule = await WebClockRule.findByIdAndUpdate(id, { $set }, { new: true, runValidators: true })
+      .lean()
+      .maxTimeMS(2000);
+    return successResponse({ rule }, 'Web clock rule updated', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    if (err?.code === 11000) return errorResponse('A rule for this employee/department already exists', 400);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// DELETE /api/hr/web-clock-rules/:id — the employee/department falls back to no restriction
+export async function DELETE(_req, { params }) {
+  try {
+    await requirePermission('webClockRules', 'delete');
+    await connectDB();
+    const { id } = await params;
+    await loadRule(id);
+    await WebClockRule.findByIdAndDelete(id);
+    return successResponse({ deleted: true, id }, 'Web clock rule deleted', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err);
+  }
+}
@@ -0,0 +1,53 @@
+// app/api/hr/web-clock-rules/route.js — list + create web clock network/location rules
+import { connectDB } from '../../../../lib/db';
+import WebClockRule from '../../../../models/WebClockRule';
+import SecurityAuditLog from '../../../../models/SecurityAuditLog';
+import { successResponse, errorResponse, errorResponseFromException, HTTP_STATUS } from '../../../../lib/api/response';
+import { requirePermission } from '../../../../lib/auth/requireAuth';
+import { ValidationError } from '../../../../lib/errors/errorHandler';
+import { validateWebClockRuleInput } from '../../../../lib/security/validateWebClockRule';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// GET /api/hr/web-clock-rules — rules + the latest rejected web clock attempts
+export async function GET(req) {
+  try {
+    await requirePermission('webClockRules', 'view');
+    await connectDB();
+
+    const [rules, rejections] = await Promise.all([
+      WebClockRule.find({}).sort({ scope: 1, target: 1 }).lean().maxTimeMS(2000),
+      SecurityAuditLog.find({ action: 'WEB_CLOCK_REJECTED' })
+        .select('actorId ip details createdAt')
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean()
+        .maxTimeMS(2000),
+    ]);
+
+    return successResponse({ rules, rejections }, 'Web clock rules retrieved', HTTP_STATUS.OK);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    return errorResponseFromException(err, req);
+  }
+}
+
+// POST /api/hr/web-clock-rules — create a rule for one employee or department
+export async function POST(req) {
+  try {
+    const { user } = await requirePermission('webClockRules', 'create');
+    await connectDB();
+
+    const input = validateWebClockRuleInput(await req.json(), { requireAll: true });
+    const existing = await WebClockRule.findOne({ scope: input.scope, target: input.target }).lean().maxTimeMS(1500);
+    if (existing) throw new ValidationError(`A rule for ${input.scope} "${input.target}" already exists`);
+
+    const doc = await WebClockRule.create({ ...input, updatedBy: user.email || user.id || '' });
+    return successResponse({ rule: doc.toObject() }, 'Web clock rule created', HTTP_STATUS.CREATED);
+  } catch (err) {
+    if (err?.code === 'UNAUTHORIZED_HR') return errorResponse('Unauthorized', 401);
+    if (err?.code === 11000) return errorResponse('A rule for this employee/department already exists', 400);
+    return errorResponseFromException(err, req);
+  }
+}
@@ -6,6 +6,8 @@ import { successResponse, errorResponse, errorResponseFromException } from '../.
 import { requireAuth } from '../../../lib/auth/requireAuth';
 import { ValidationError } from '../../../lib/errors/errorHandler';
 import { rateLimiters } from '../../../lib/middleware/rateLimit';
+import { connectDB } from '../../../lib/db';
+import WebClockPhoto from '../../../models/WebClockPhoto';
 
 export const dynamic = 'force-dynamic';
 const MAX_UPLOAD_BYTES = 5 * 1024 * 1024; // 5 MB
@@ -15,6 +17,11 @@ const SAFE_EXT_BY_MIME = {
   'image/png': '.png',
   'image/webp': '.webp',
 };
+// Optional "purpose" form field → sub-folder of public/uploads
+const UPLOAD_DIR_BY_PURPOSE = {
+  employee: 'employees', // profile photos
+  webClock: 'web-clock', // selfie proof captured at web clock in/out
+};
 
 function hasMagicBytes(buffer, mimeType) {
   if (!buffer || buffer.length < 12) return false;
@@ -41,7 +48,7 @@ export async function POST(req) {
   const rateLimitResponse = await rateLimiters.write(req);
   if (rateLimitResponse) return rateLimitResponse;
   try {
-    await requireAuth(); // HR or Employee can upload (profile photos)
+    const { user } = await requireAuth(); // HR or Employee can upload (profile photos, web clock selfies)
     const formData = await req.formData();
     const file = formData.get('file');
 
@@ -49,7 +56,18 @@ export async function POST(req) {
       throw new ValidationError('No file uploaded');
     }
 
-    const uploadsDir = path.join(process.cwd(), 'public', 'uploads', 'employees');
+    const purpose = String(formData.get('purpose') || 'employee');
+    const subDir = UPLOAD_DIR_BY_PURPOSE[purpose];
+    if (!subDir) {
+      throw new ValidationError('Unsupported upload purpose');
+    }
+    // Selfies are tied to the uploader (see WebClockPhoto), so only employees can take them
+    const empCode = String(user?.empCode || '').trim();
+    if (purpose === 'webClock' && (String(user?.role || '').toUpperCase() !== 'EMPLOYEE' || !empCode)) {
+      throw new ValidationError('Web clock selfies can only be uploaded by employees');
+    }
+
+    const uploadsDir = path.join(process.cwd(), 'public', 'uploads', subDir);
     await ensureDir(uploadsDir);
 
     const arrayBuffer = await file.arrayBuffer();
@@ -80,8 +98,12 @@ export async function POST(req) {
       stream.end(buffer);
     });
 
-    // Frontend will store this in Employee.photoUrl
-    const publicPath = `/uploads/employees/${fileName}`;
+    // Frontend stores this in Employee.photoUrl, or sends it with the web clock punch
+    const publicPath = `/uploads/${subDir}/${fileName}`;
+    if (purpose === 'webClock') {
+      await connectDB();
+      await WebClockPhoto.create({ url: publicPath, empCode, uploadedAt: new Date() });
+    }
 
     return successResponse({ url: publicPath }, 'File uploaded successfully', 201);
   } catch (err) {
@@ -9,6 +9,7 @@ import Modal from "@/components/ui/Modal";
 import EmployeeProfileEdit from "@/components/employees/EmployeeProfileEdit";
 import { useAutoLogout } from "@/hooks/useAutoLogout";
 import AutoLogoutWarning from "@/components/ui/AutoLogoutWarning";
+import SelfieCapture from "@/components/attendance/SelfieCapture";
 import {
   HrPageShell,
   HrHeaderActions,
@@ -19,6 +20,12 @@ import {
   getGlossPillStyles,
   withLeftAccent,
 } from "@/components/glass";
+import {
+  buildStatusCatalog,
+  getStatusDefinition,
+  getStatusShortCode,
+  DEFAULT_STATUS_CATALOG,
+} from "@/lib/calculations/attendanceRules";
 
 // Convert number to words (for amount in words)
 function numberToWords(num) {
@@ -627,6 +634,23 @@ function SalarySlipModal({ isOpen, onClose, employeeData, month, loading }) {
 
 // --------- SHARED HELPERS ----------
 
+/** Browser coordinates for geofenced web clock; null when unavailable or denied. */
+function getBrowserLocation(timeoutMs = 10000) {
+  if (typeof navigator === "undefined" || !navigator.geolocation) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    navigator.geolocation.getCurrentPosition(
+      (pos) =>
+        resolve({
+          latitude: pos.coords.latitude,
+          longitude: pos.coords.longitude,
+          accuracy: pos.coords.accuracy,
+        }),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout: timeoutMs, maximumAge: 60000 }
+    );
+  });
+}
+
 function formatTimeShort(value) {
   if (!value) return "";
   const d = new Date(value);
@@ -670,7 +694,7 @@ function maskIban(iban = "") {
 }
 
 // CLASSIFY CELL LIKE MONTHLY HR COLORS / STATUSES
-function classifyDayForRow(day, colors, theme = 'dark') {
+function classifyDayForRow(day, colors, theme = 'dark', statusCatalog = DEFAULT_STATUS_CATALOG) {
   const base = {
     bg: colors.background.table.row,
     fg: colors.text.table.cell,
@@ -679,23 +703,15 @@ function classifyDayForRow(day, colors, theme = 'dark') {
   };
   if (!day) return base;
 
-  const isLeaveType =
-    day.status === "Paid Leave" ||
-    day.status === "Un Paid Leave" ||
-    day.status === "Sick Leave" ||
-    day.status === "Marriage Leave" ||
-    day.status === "Death Leave" ||
-    day.status === "Maternity Leave" ||
-    day.status === "Paternity Leave" ||
-    day.status === "Hajj Leave" ||
-    day.status === "Umrah Leave";
+  const category = getStatusDefinition(day.status, statusCatalog)?.category;
+  const isLeaveType = category === "leave";
 
   // WFH
-  if (day.status === "Work From Home") {
+  if (category === "remote") {
     return { 
       bg: theme === 'dark' ? 'rgba(59, 130, 246, 0.2)' : '#dbeafe', 
       fg: theme === 'dark' ? colors.primary[300] : colors.primary[800], 
-      badge: "WFH", 
+      badge: getStatusShortCode(day.status, statusCatalog), 
       tone: "info" 
     };
   }
@@ -711,11 +727,11 @@ function classifyDayForRow(day, colors, theme = 'dark') {
 
   // No punches at all
   if (!day.checkIn && !day.checkOut) {
-    if (day.status === "Holiday" || day.status === "Eid Holiday") {
+    if (category === "holiday") {
       return { 
         bg: colors.background.tertiary, 
         fg: colors.text.tertiary, 
-        badge: day.status === "Eid Holiday" ? "Eid Holiday" : "Holiday", 
+        badge: day.status, 
         tone: "muted" 
       };
     }
@@ -1184,6 +1200,15 @@ export default function EmployeeDashboardPage() {
     );
   }, [attendanceData, empCode]);
 
+  // Status catalog (HR → Leave & Status Types) sent with the monthly sheet
+  const statusCatalog = useMemo(
+    () =>
+      attendanceData?.statuses?.length
+        ? buildStatusCatalog(attendanceData.statuses)
+        : DEFAULT_STATUS_CATALOG,
+    [attendanceData]
+  );
+
   const deductionRemarksByDate = useMemo(() => {
     const map = new Map();
     for (const r of myRecord?.deductionRemarks ?? []) {
@@ -1256,45 +1281,22 @@ export default function EmployeeDashboardPage() {
     myRecord.days.forEach((d) => {
       if (d.isFuture) return; // don't count future days
       const st = d.status || "";
-
-      switch (st) {
-        case "Present":
-          summary.present += 1;
-          break;
-        case "Work From Home":
-          summary.wfh += 1;
-          break;
-        case "Holiday":
-        case "Eid Holiday":
-          summary.holiday += 1;
-          break;
-        case "Sick Leave":
-          summary.sickLeave += 1;
-          break;
-        case "Paid Leave":
-          summary.paidLeave += 1;
-          break;
-        case "Marriage Leave":
-        case "Death Leave":
-        case "Maternity Leave":
-        case "Paternity Leave":
-        case "Hajj Leave":
-        case "Umrah Leave":
-          summary.paidLeave += 1;
-          break;
-        case "Un Paid Leave":
-          summary.unpaidLeave += 1;
-          break;
-        case "Absent":
-          summary.absent += 1;
-          break;
-        default:
-          break;
+      const def = getStatusDefinition(st, statusCatalog);
+
+      if (st === "Present") summary.present += 1;
+      else if (st === "Absent") summary.absent += 1;
+      else if (st === "Sick Leave") summary.sickLeave += 1;
+      else if (def?.category === "remote") summary.wfh += 1;
+      else if (def?.category === "holiday") summary.holiday += 1;
+      // Paid Leave and the paid leave types (Marriage, Hajj, ...) count as paid leave
+      else if (def?.category === "leave") {
+        if (def.paid) summary.paidLeave += 1;
+        else summary.unpaidLeave += 1;
       }
     });
 
     return summary;
-  }, [myRecord]);
+  }, [myRecord, statusCatalog]);
 
   // "Today" = last non-future day from the API (company timezone)
   const todayDayObj = useMemo(() => {
@@ -1388,6 +1390,8 @@ export default function EmployeeDashboardPage() {
   const [webClock, setWebClock] = useState(null);
   const [webClockLoading, setWebClockLoading] = useState(false);
   const [webClockPosting, setWebClockPosting] = useState(false);
+  /** 'in' | 'out' while the selfie camera is open for that punch */
+  const [selfieAction, setSelfieAction] = useState(null);
 
   const dayRowForWebClockDate = useMemo(() => {
     if (!myRecord?.days || !webClock?.date) return null;
@@ -1475,15 +1479,39 @@ export default function EmployeeDashboardPage() {
     };
   }, [empCode, status, session?.user?.role]);
 
-  async function handleWebClock(action) {
+  async function uploadSelfie(blob) {
+    const formData = new FormData();
+    formData.append("file", new File([blob], "selfie.jpg", { type: "image/jpeg" }));
+    formData.append("purpose", "webClock");
+    const res = await fetch("/api/upload", {
+      method: "POST",
+      credentials: "include",
+      body: formData,
+    });
+    const response = await res.json().catch(() => ({}));
+    if (!res.ok || !response.data?.url) {
+      throw new Error(response.error || response.message || "Selfie upload failed");
+    }
+    return response.data.url;
+  }
+
+  async function handleWebClock(action, selfie = null) {
+    // Selfie-proof rule: open the camera first, the capture calls back here with the frame
+    if (webClock?.selfieRequired && !selfie) {
+      setSelfieAction(action);
+      return;
+    }
     setWebClockPosting(true);
     setErrorMsg("");
     try {
+      // Server rejects (and logs) the punch if a geofence applies and no location is sent
+      const location = webClock?.locationRequired ? await getBrowserLocation() : null;
+      const photoUrl = selfie ? await uploadSelfie(selfie) : null;
       const res = await fetch("/api/employee/web-clock", {
         method: "POST",
         credentials: "include",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ action }),
+        body: JSON.stringify({ action, ...(location && { location }), ...(photoUrl && { photoUrl }) }),
       });
       const response = await res.json().catch(() => ({}));
       if (!res.ok) {
@@ -1603,6 +1631,20 @@ export default function EmployeeDashboardPage() {
       >
         Complaints
       </button>
+      <button
+        type="button"
+        onClick={() => router.push("/employee/punch-corrections")}
+        style={glossPill("slate")}
+      >
+        Punch Corrections
+      </button>
+      <button
+        type="button"
+        onClick={() => router.push("/employee/shift-swaps")}
+        style={glossPill("slate")}
+      >
+        Shift Swaps
+      </button>
       <button
         type="button"
         onClick={async () => {
@@ -2167,6 +2209,30 @@ export default function EmployeeDashboardPage() {
                           Clock Out
                         </button>
                       </div>
+                      {webClock.locationRequired && !(webClock.checkIn && webClock.checkOut) && (
+                        <div
+                          style={{
+                            fontSize: 9,
+                            color: colors.text.tertiary,
+                            marginTop: 4,
+                            lineHeight: 1.3,
+                          }}
+                        >
+                          Your browser will ask for your location — allow it to clock in / out.
+                        </div>
+                      )}
+                      {webClock.selfieRequired && !(webClock.checkIn && webClock.checkOut) && (
+                        <div
+                          style={{
+                            fontSize: 9,
+                            color: colors.text.tertiary,
+                            marginTop: 4,
+                            lineHeight: 1.3,
+                          }}
+                        >
+                          A selfie is taken with each clock in / out.
+                        </div>
+                      )}
                       {webClock.checkIn && webClock.checkOut && (
                         <div
                           style={{
@@ -2553,7 +2619,7 @@ export default function EmployeeDashboardPage() {
                             label="Paid leave left (this quarter)"
                             value={leaveBalance.summary.quarters.find((q) => q.quarter === Math.ceil((new Date().getMonth() + 1) / 3))?.remaining ?? leaveBalance.summary.leavesPerQuarter ?? 6}
                             color="#22c55e"
-                            hint="Per quarter · no carry-forward"
+                            hint="Per quarter"
                           />
                         </>
                       ) : (
@@ -2759,7 +2825,7 @@ export default function EmployeeDashboardPage() {
                         const isToday =
                           todayDayObj && d.date === todayDayObj.date;
 
-                        const classInfo = classifyDayForRow(d, colors, theme);
+                        const classInfo = classifyDayForRow(d, colors, theme, statusCatalog);
 
                         let statusLabel = d.status || "—";
                         let inTime = d.checkIn
@@ -2775,23 +2841,14 @@ export default function EmployeeDashboardPage() {
 
                         // match monthly rules for in/out text
                         if (!d.checkIn && !d.checkOut) {
-                          if (d.status === "Holiday" || d.status === "Eid Holiday") inOutLabel = "- / -";
-                          else if (
-                            d.status === "Paid Leave" ||
-                            d.status === "Un Paid Leave" ||
-                            d.status === "Sick Leave" ||
-                            d.status === "Marriage Leave" ||
-                            d.status === "Death Leave" ||
-                            d.status === "Maternity Leave" ||
-                            d.status === "Paternity Leave" ||
-                            d.status === "Hajj Leave" ||
-                            d.status === "Umrah Leave"
-                          )
+                          const category = getStatusDefinition(d.status, statusCatalog)?.category;
+                          if (category === "holiday") inOutLabel = "- / -";
+                          else if (category === "leave")
                             inOutLabel = d.status;
                           else if (d.status === "Absent")
                             inOutLabel = "No punch";
-                          else if (d.status === "Work From Home")
-                            inOutLabel = "WFH";
+                          else if (category === "remote")
+                            inOutLabel = getStatusShortCode(d.status, statusCatalog);
                           else if (d.status === "New Induction")
                             inOutLabel = "New Induction";
                         } else if (d.checkIn && !d.checkOut) {
@@ -2960,6 +3017,19 @@ export default function EmployeeDashboardPage() {
         />
       </Modal>
 
+      {/* Web clock selfie proof */}
+      {selfieAction && (
+        <SelfieCapture
+          title={selfieAction === "in" ? "Selfie for clock in" : "Selfie for clock out"}
+          onCancel={() => setSelfieAction(null)}
+          onCapture={(blob) => {
+            const action = selfieAction;
+            setSelfieAction(null);
+            handleWebClock(action, blob);
+          }}
+        />
+      )}
+
       {/* Auto Logout Warning */}
       {showWarning && (
         <AutoLogoutWarning
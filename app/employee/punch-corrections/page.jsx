@@ -0,0 +1,396 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { useSession, signOut } from 'next-auth/react';
+import { useTheme } from '@/lib/theme/ThemeContext';
+import {
+  HrPageShell,
+  HrHeaderActions,
+  GlassCard,
+  getGlossPillStyles,
+} from '@/components/glass';
+import { useAutoLogout } from '@/hooks/useAutoLogout';
+import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
+
+const TYPE_LABELS = { checkIn: 'Check-in', checkOut: 'Check-out' };
+const STATUS_LABELS = {
+  pending: 'Pending',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled',
+};
+
+function formatDate(d) {
+  if (!d) return '-';
+  const date = new Date(`${d}T00:00:00`);
+  if (Number.isNaN(date.getTime())) return '-';
+  return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+function formatTime(d) {
+  if (!d) return '-';
+  const date = new Date(d);
+  if (Number.isNaN(date.getTime())) return '-';
+  return date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+}
+
+function todayYmd() {
+  const now = new Date();
+  const m = String(now.getMonth() + 1).padStart(2, '0');
+  const d = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${m}-${d}`;
+}
+
+export default function EmployeePunchCorrectionsPage() {
+  const { colors, theme } = useTheme();
+  const router = useRouter();
+  const { data: session, status } = useSession();
+  const empCode = session?.user?.empCode;
+
+  const { showWarning, timeRemaining, handleStayLoggedIn, handleLogout: autoLogout } = useAutoLogout({
+    inactivityTime: 30 * 60 * 1000,
+    warningTime: 5 * 60 * 1000,
+    enabled: true,
+  });
+
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [toast, setToast] = useState({ type: '', text: '' });
+  const [form, setForm] = useState({ date: todayYmd(), type: 'checkIn', time: '', reason: '' });
+
+  useEffect(() => {
+    if (status === 'loading') return;
+    if (status === 'unauthenticated' || (session && session.user?.role !== 'EMPLOYEE')) {
+      router.replace('/login?role=employee');
+    }
+  }, [session, status, router]);
+
+  function showToast(type, text) {
+    setToast({ type, text });
+    setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 3000);
+  }
+
+  async function loadRequests() {
+    if (!empCode) return;
+    setLoading(true);
+    try {
+      const res = await fetch('/api/employee/punch-corrections', { cache: 'no-store' });
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setRequests(data.data?.requests || []);
+      } else {
+        showToast('error', data.error || 'Failed to load requests');
+      }
+    } catch (_) {
+      showToast('error', 'Failed to load requests');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    if (empCode) loadRequests();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [empCode]);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!form.date || !form.time || !form.reason.trim()) {
+      showToast('error', 'Date, time and reason are required');
+      return;
+    }
+    setSaving(true);
+    try {
+      const res = await fetch('/api/employee/punch-corrections', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...form, reason: form.reason.trim() }),
+      });
+      const data = await res.json();
+      if (res.ok && data.success) {
+        showToast('success', 'Request sent to HR');
+        setForm((prev) => ({ ...prev, time: '', reason: '' }));
+        loadRequests();
+      } else {
+        showToast('error', data.error || 'Failed to submit request');
+      }
+    } catch (_) {
+      showToast('error', 'Failed to submit request');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleCancel(id) {
+    try {
+      const res = await fetch(`/api/employee/punch-corrections/${id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok && data.success) {
+        showToast('success', 'Request cancelled');
+        loadRequests();
+      } else {
+        showToast('error', data.error || 'Failed to cancel request');
+      }
+    } catch (_) {
+      showToast('error', 'Failed to cancel request');
+    }
+  }
+
+  const handleLogout = async () => {
+    try {
+      await signOut({ redirect: false, callbackUrl: '/login?role=employee' });
+      router.push('/login?role=employee');
+    } catch (_) {
+      router.push('/login?role=employee');
+    }
+  };
+
+  const border = colors.border?.default;
+  const textPrimary = colors.text?.primary;
+  const textSecondary = colors.text?.secondary;
+  const primary = typeof colors.primary === 'object' ? colors.primary?.[500] : colors.primary;
+  const successColor =
+    colors.success ??
+    (typeof colors.secondary === 'object' ? colors.secondary?.[600] : colors.secondary) ??
+    '#22c55e';
+  const warningColor =
+    colors.warning ??
+    (typeof colors.accent === 'object' ? colors.accent?.yellow : undefined) ??
+    '#fbbf24';
+  const errorColor = colors.error ?? '#ef4444';
+  const inputBg = colors.background?.input ?? (theme === 'dark' ? '#0f172a' : '#f8fafc');
+
+  const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+  const statusTone = {
+    pending: warningColor,
+    approved: successColor,
+    rejected: errorColor,
+    cancelled: '#64748b',
+  };
+  const inputStyle = {
+    padding: '9px 12px',
+    borderRadius: 10,
+    border: `1px solid ${border}`,
+    background: inputBg,
+    color: textPrimary,
+    fontSize: 13,
+  };
+  const labelStyle = { display: 'flex', flexDirection: 'column', gap: 6, fontSize: 12, color: textSecondary };
+
+  const headerActions = (
+    <HrHeaderActions>
+      <button type="button" onClick={() => router.push('/employee/dashboard')} style={glossPill('neutral')}>
+        Dashboard
+      </button>
+      <button type="button" onClick={handleLogout} style={glossPill('rose')}>
+        Logout
+      </button>
+    </HrHeaderActions>
+  );
+
+  if (status === 'loading' || !empCode) {
+    return (
+      <HrPageShell subtitle="Punch Corrections" actions={headerActions}>
+        <GlassCard style={{ marginTop: 18 }} padding={20}>
+          <div style={{ padding: 40, textAlign: 'center', color: textSecondary, fontSize: 14 }}>
+            Loading...
+          </div>
+        </GlassCard>
+      </HrPageShell>
+    );
+  }
+
+  return (
+    <HrPageShell subtitle="Request a missed check-in or check-out" actions={headerActions}>
+      <GlassCard style={{ marginTop: 18 }} padding={20}>
+        <form onSubmit={handleSubmit}>
+          <div
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+              gap: 12,
+              marginBottom: 12,
+            }}
+          >
+            <label style={labelStyle}>
+              Date
+              <input
+                type="date"
+                value={form.date}
+                max={todayYmd()}
+                onChange={(e) => setForm((prev) => ({ ...prev, date: e.target.value }))}
+                style={inputStyle}
+              />
+            </label>
+            <label style={labelStyle}>
+              Punch
+              <select
+                value={form.type}
+                onChange={(e) => setForm((prev) => ({ ...prev, type: e.target.value }))}
+                style={inputStyle}
+              >
+                <option value="checkIn">Check-in</option>
+                <option value="checkOut">Check-out</option>
+              </select>
+            </label>
+            <label style={labelStyle}>
+              Actual time
+              <input
+                type="time"
+                value={form.time}
+                onChange={(e) => setForm((prev) => ({ ...prev, time: e.target.value }))}
+                style={inputStyle}
+              />
+            </label>
+          </div>
+          <label style={labelStyle}>
+            Reason
+            <textarea
+              value={form.reason}
+              onChange={(e) => setForm((prev) => ({ ...prev, reason: e.target.value }))}
+              rows={3}
+              placeholder="e.g. Device was offline when I left"
+              style={{ ...inputStyle, resize: 'vertical' }}
+            />
+          </label>
+          <p style={{ fontSize: 12, color: textSecondary, margin: '8px 0 12px' }}>
+            Night shift check-outs before 08:00 are counted on the next morning of the selected date.
+          </p>
+          <button
+            type="submit"
+            disabled={saving}
+            style={{
+              padding: '10px 18px',
+              borderRadius: 10,
+              border: 'none',
+              background: primary,
+              color: '#fff',
+              fontSize: 13,
+              fontWeight: 600,
+              cursor: saving ? 'not-allowed' : 'pointer',
+              opacity: saving ? 0.6 : 1,
+            }}
+          >
+            {saving ? 'Submitting...' : 'Submit Request'}
+          </button>
+        </form>
+      </GlassCard>
+
+      <GlassCard style={{ marginTop: 18 }} padding={20}>
+        <p style={{ fontSize: 13, color: textSecondary, margin: '0 0 12px' }}>
+          {requests.length} request{requests.length === 1 ? '' : 's'}
+        </p>
+        {loading && !requests.length ? (
+          <div style={{ padding: 40, textAlign: 'center', color: textSecondary, fontSize: 14 }}>
+            Loading requests...
+          </div>
+        ) : requests.length === 0 ? (
+          <div style={{ padding: 40, textAlign: 'center', color: textSecondary, fontSize: 14 }}>
+            No correction requests yet.
+          </div>
+        ) : (
+          <div style={{ overflow: 'auto', borderRadius: 14, border: `1px solid ${border}` }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: colors.background?.table?.header ?? primary }}>
+                  {['Date', 'Punch', 'Time', 'Reason', 'Status', ''].map((label) => (
+                    <th
+                      key={label}
+                      style={{
+                        padding: '12px 14px',
+                        textAlign: 'left',
+                        fontSize: 12,
+                        fontWeight: 700,
+                        color: colors.text?.table?.header ?? '#fff',
+                        textTransform: 'uppercase',
+                        letterSpacing: '0.05em',
+                      }}
+                    >
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {requests.map((r) => {
+                  const tone = statusTone[r.status] || textSecondary;
+                  return (
+                    <tr key={r._id} style={{ borderTop: `1px solid ${border}` }}>
+                      <td style={{ padding: '12px 14px', fontSize: 13, color: textPrimary }}>{formatDate(r.date)}</td>
+                      <td style={{ padding: '12px 14px', fontSize: 13, color: textPrimary }}>
+                        {TYPE_LABELS[r.type] || r.type}
+                      </td>
+                      <td style={{ padding: '12px 14px', fontSize: 13, color: textPrimary }}>
+                        {r.requestedTimeLocal}
+                        {r.previousTime && (
+                          <div style={{ fontSize: 11, color: textSecondary }}>was {formatTime(r.previousTime)}</div>
+                        )}
+                      </td>
+                      <td style={{ padding: '12px 14px', fontSize: 13, color: textSecondary, maxWidth: 320 }}>
+                        {r.reason}
+                        {r.reviewNote && (
+                          <div style={{ fontSize: 11, marginTop: 4 }}>HR: {r.reviewNote}</div>
+                        )}
+                      </td>
+                      <td style={{ padding: '12px 14px' }}>
+                        <span
+                          style={{
+                            padding: '4px 10px',
+                            borderRadius: 999,
+                            fontSize: 12,
+                            fontWeight: 600,
+                            color: tone,
+                            background: `${tone}22`,
+                          }}
+                        >
+                          {STATUS_LABELS[r.status] || r.status}
+                        </span>
+                      </td>
+                      <td style={{ padding: '12px 14px', textAlign: 'right' }}>
+                        {r.status === 'pending' && (
+                          <button type="button" onClick={() => handleCancel(r._id)} style={glossPill('rose')}>
+                            Cancel
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </GlassCard>
+
+      {toast.text && (
+        <div
+          style={{
+            position: 'fixed',
+            right: 24,
+            bottom: 24,
+            padding: '14px 20px',
+            borderRadius: 14,
+            background: toast.type === 'error' ? `${errorColor}20` : `${successColor}20`,
+            border: `1px solid ${toast.type === 'error' ? errorColor : successColor}60`,
+            color: toast.type === 'error' ? colors.error ?? '#dc2626' : successColor,
+            fontSize: 14,
+            fontWeight: 500,
+            zIndex: 50,
+          }}
+        >
+          {toast.text}
+        </div>
+      )}
+
+      {showWarning && (
+        <AutoLogoutWarning
+          timeRemaining={timeRemaining}
+          onStayLoggedIn={handleStayLoggedIn}
+          onLogout={autoLogout}
+        />
+      )}
+    </HrPageShell>
+  );
+}
@@ -0,0 +1,459 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { signOut } from 'next-auth/react';
+import { useTheme } from '@/lib/theme/ThemeContext';
+import {
+  HrPageShell,
+  HrHeaderActions,
+  GlassCard,
+  GlassTable,
+  GlassInput,
+  GlassButton,
+  getGlossPillStyles,
+} from '@/components/glass';
+import { useAutoLogout } from '@/hooks/useAutoLogout';
+import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
+import { usePermissions } from '@/hooks/usePermissions';
+
+const CATEGORY_LABELS = {
+  present: 'Present',
+  absent: 'Absent',
+  halfDay: 'Half day',
+  leave: 'Leave',
+  holiday: 'Holiday',
+  remote: 'Remote work',
+};
+
+const EMPTY_FORM = {
+  label: '',
+  shortCode: '',
+  aliases: '',
+  color: '#d97706',
+  category: 'leave',
+  paid: true,
+  deductionDays: 1,
+  countsAsPresent: false,
+  requiresBalance: false,
+  leaveType: '',
+  isActive: true,
+  sortOrder: 100,
+};
+
+function describeDeduction(s) {
+  if (s.paid) return 'Paid';
+  if (s.deductionDays == null) return 'Violation Rules';
+  return `${s.deductionDays} day(s)`;
+}
+
+export default function HrAttendanceStatusesPage() {
+  const { colors } = useTheme();
+  const router = useRouter();
+  const { canCreate, canUpdate } = usePermissions('attendanceStatuses');
+  const { showWarning, timeRemaining, handleStayLoggedIn, handleLogout: autoLogout } = useAutoLogout({
+    inactivityTime: 30 * 60 * 1000,
+    warningTime: 5 * 60 * 1000,
+    enabled: true,
+  });
+
+  const [statuses, setStatuses] = useState([]);
+  const [categories, setCategories] = useState(['leave', 'holiday', 'remote']);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [toast, setToast] = useState({ type: '', text: '' });
+
+  function showToast(type, text) {
+    setToast({ type, text });
+    setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 3000);
+  }
+
+  async function loadStatuses() {
+    setLoading(true);
+    try {
+      const res = await fetch('/api/hr/attendance-statuses', { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setStatuses(response.data?.statuses || []);
+        if (response.data?.categories?.length) setCategories(response.data.categories);
+      } else {
+        showToast('error', response.error || response.message || 'Failed to load statuses');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to load statuses');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadStatuses();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  function openCreate() {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+    setShowForm(true);
+  }
+
+  function openEdit(status) {
+    setEditing(status);
+    setForm({
+      label: status.label,
+      shortCode: status.shortCode || '',
+      aliases: (status.aliases || []).join(', '),
+      color: status.color || '#64748b',
+      category: status.category,
+      paid: !!status.paid,
+      deductionDays: status.deductionDays ?? 0,
+      countsAsPresent: !!status.countsAsPresent,
+      requiresBalance: !!status.requiresBalance,
+      leaveType: status.leaveType || '',
+      isActive: status.isActive !== false,
+      sortOrder: status.sortOrder ?? 100,
+    });
+    setShowForm(true);
+  }
+
+  async function save(status, body) {
+    const res = await fetch(status ? `/api/hr/attendance-statuses/${status._id}` : '/api/hr/attendance-statuses', {
+      method: status ? 'PATCH' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const response = await res.json();
+    if (!res.ok || !response.success) {
+      throw new Error(response.error || response.message || 'Failed to save status');
+    }
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      // System statuses only take their display fields
+      const body = editing?.isSystem
+        ? {
+            shortCode: form.shortCode,
+            aliases: form.aliases,
+            color: form.color,
+            sortOrder: Number(form.sortOrder),
+          }
+        : { ...form, deductionDays: Number(form.deductionDays), sortOrder: Number(form.sortOrder) };
+      await save(editing, body);
+      showToast('success', editing ? 'Status updated' : 'Status added');
+      setShowForm(false);
+      loadStatuses();
+    } catch (err) {
+      console.error(err);
+      showToast('error', err.message || 'Failed to save status');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleToggleActive(status) {
+    try {
+      await save(status, { isActive: status.isActive === false });
+      showToast('success', status.isActive === false ? 'Status activated' : 'Status deactivated');
+      loadStatuses();
+    } catch (err) {
+      console.error(err);
+      showToast('error', err.message || 'Failed to save status');
+    }
+  }
+
+  const handleLogout = async () => {
+    try {
+      await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
+      router.push('/login?role=hr');
+    } catch (e) {
+      router.push('/login?role=hr');
+    }
+  };
+
+  const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+
+  const headerActions = (
+    <HrHeaderActions>
+      <button type="button" onClick={() => router.push('/hr/attendance/monthly')} style={glossPill('slate')}>
+        Monthly Attendance
+      </button>
+      <button type="button" onClick={() => router.push('/hr/employees')} style={glossPill('neutral')}>
+        Dashboard
+      </button>
+      <button type="button" onClick={handleLogout} style={glossPill('rose')}>
+        <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+        </svg>
+        Logout
+      </button>
+    </HrHeaderActions>
+  );
+
+  const labelStyle = { display: 'block', fontSize: 12, fontWeight: 600, marginBottom: 4, color: colors.text?.primary };
+  const checkboxStyle = { display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: colors.text?.primary };
+  const selectStyle = {
+    width: '100%',
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: `1px solid ${colors.border?.default}`,
+    backgroundColor: colors.background?.input,
+    color: colors.text?.primary,
+    fontSize: 13,
+  };
+  const systemEdit = !!editing?.isSystem;
+
+  return (
+    <HrPageShell subtitle="Leave & Status Types" actions={headerActions}>
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          Every status HR can give an attendance day. Its category decides how the day is treated: leave and
+          holiday days are not judged on punches, remote work is not judged on punches but can have away hours.
+          Unpaid statuses deduct the set number of salary days. System statuses are used by attendance processing,
+          so only their short code, aliases, color and order can change. Statuses in use cannot be deleted —
+          deactivate them to hide them from the dropdowns.
+        </p>
+
+        <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', marginBottom: 16 }}>
+          <GlassButton variant="secondary" onClick={() => loadStatuses()} disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </GlassButton>
+          {canCreate && <GlassButton onClick={openCreate}>Add status</GlassButton>}
+        </div>
+
+        {showForm && (
+          <form
+            onSubmit={handleSave}
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+              gap: 12,
+              padding: 16,
+              marginBottom: 16,
+              borderRadius: 10,
+              border: `1px solid ${colors.border?.default}`,
+            }}
+          >
+            <div>
+              <label style={labelStyle}>Label</label>
+              <GlassInput
+                value={form.label}
+                placeholder="Hajj Leave"
+                onChange={(e) => setForm({ ...form, label: e.target.value })}
+                disabled={!!editing}
+                required
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Short code</label>
+              <GlassInput
+                value={form.shortCode}
+                placeholder="HL"
+                maxLength={6}
+                onChange={(e) => setForm({ ...form, shortCode: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Aliases (comma separated)</label>
+              <GlassInput value={form.aliases} onChange={(e) => setForm({ ...form, aliases: e.target.value })} />
+            </div>
+            <div>
+              <label style={labelStyle}>Color</label>
+              <input
+                type="color"
+                value={form.color}
+                onChange={(e) => setForm({ ...form, color: e.target.value })}
+                style={{ width: '100%', height: 36, border: 'none', background: 'transparent' }}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Order</label>
+              <GlassInput
+                type="number"
+                value={form.sortOrder}
+                onChange={(e) => setForm({ ...form, sortOrder: e.target.value })}
+              />
+            </div>
+            {!systemEdit && (
+              <>
+                <div>
+                  <label style={labelStyle}>Category</label>
+                  <select
+                    value={form.category}
+                    onChange={(e) => setForm({ ...form, category: e.target.value })}
+                    style={selectStyle}
+                  >
+                    {categories.map((c) => (
+                      <option key={c} value={c}>
+                        {CATEGORY_LABELS[c] || c}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label style={labelStyle}>Deduction days (unpaid)</label>
+                  <GlassInput
+                    type="number"
+                    min={0}
+                    max={5}
+                    step={0.5}
+                    value={form.paid ? 0 : form.deductionDays}
+                    onChange={(e) => setForm({ ...form, deductionDays: e.target.value })}
+                    disabled={form.paid}
+                  />
+                </div>
+                <div>
+                  <label style={labelStyle}>Leave type (reports)</label>
+                  <GlassInput
+                    value={form.leaveType}
+                    placeholder="hajj"
+                    onChange={(e) => setForm({ ...form, leaveType: e.target.value })}
+                  />
+                </div>
+                <label style={checkboxStyle}>
+                  <input
+                    type="checkbox"
+                    checked={form.paid}
+                    onChange={(e) => setForm({ ...form, paid: e.target.checked, requiresBalance: e.target.checked && form.requiresBalance })}
+                  />
+                  Paid (no salary deduction)
+                </label>
+                <label style={checkboxStyle}>
+                  <input
+                    type="checkbox"
+                    checked={form.countsAsPresent}
+                    onChange={(e) => setForm({ ...form, countsAsPresent: e.target.checked })}
+                  />
+                  Counts as present
+                </label>
+                <label style={checkboxStyle}>
+                  <input
+                    type="checkbox"
+                    checked={form.requiresBalance}
+                    disabled={!form.paid || form.category !== 'leave'}
+                    onChange={(e) => setForm({ ...form, requiresBalance: e.target.checked })}
+                  />
+                  Uses a leave balance (its leave type if the Leave Policy has a rule, else paid leave)
+                </label>
+                <label style={checkboxStyle}>
+                  <input
+                    type="checkbox"
+                    checked={form.isActive}
+                    onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                  />
+                  Active
+                </label>
+              </>
+            )}
+            <div style={{ display: 'flex', gap: 8, gridColumn: '1 / -1' }}>
+              <GlassButton type="submit" disabled={saving}>
+                {saving ? 'Saving...' : editing ? 'Save changes' : 'Add status'}
+              </GlassButton>
+              <GlassButton variant="ghost" onClick={() => setShowForm(false)}>
+                Cancel
+              </GlassButton>
+            </div>
+          </form>
+        )}
+
+        {loading && statuses.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>Loading...</div>
+        ) : (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Status</GlassTable.Th>
+                <GlassTable.Th>Category</GlassTable.Th>
+                <GlassTable.Th>Salary</GlassTable.Th>
+                <GlassTable.Th>Counts as present</GlassTable.Th>
+                <GlassTable.Th>Leave balance</GlassTable.Th>
+                {canUpdate && <GlassTable.Th align="right">Actions</GlassTable.Th>}
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {statuses.map((s, idx) => (
+                <GlassTable.Row key={s._id || s.label} even={idx % 2 === 1}>
+                  <GlassTable.Td>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 600 }}>
+                      <span
+                        style={{
+                          minWidth: 38,
+                          padding: '2px 6px',
+                          borderRadius: 6,
+                          textAlign: 'center',
+                          fontSize: 11,
+                          color: '#fff',
+                          background: s.color,
+                        }}
+                      >
+                        {s.shortCode}
+                      </span>
+                      {s.label}
+                    </div>
+                    <div style={{ fontSize: 12, color: colors.text?.secondary }}>
+                      {[s.isSystem && 'System', s.isActive === false && 'inactive', (s.aliases || []).join(', ')]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </div>
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>{CATEGORY_LABELS[s.category] || s.category}</GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>{describeDeduction(s)}</GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>{s.countsAsPresent ? 'Yes' : 'No'}</GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>{s.requiresBalance ? 'Yes' : 'No'}</GlassTable.Td>
+                  {canUpdate && (
+                    <GlassTable.Td align="right">
+                      <div style={{ display: 'inline-flex', gap: 6 }}>
+                        <GlassButton variant="secondary" onClick={() => openEdit(s)} disabled={!s._id}>
+                          Edit
+                        </GlassButton>
+                        {!s.isSystem && (
+                          <GlassButton variant="ghost" onClick={() => handleToggleActive(s)}>
+                            {s.isActive === false ? 'Activate' : 'Deactivate'}
+                          </GlassButton>
+                        )}
+                      </div>
+                    </GlassTable.Td>
+                  )}
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+      </GlassCard>
+
+      {toast.text && (
+        <div
+          style={{
+            position: 'fixed',
+            right: 18,
+            bottom: 20,
+            padding: '12px 16px',
+            borderRadius: 12,
+            background: toast.type === 'error' ? 'rgba(248,113,113,0.12)' : 'rgba(16,185,129,0.14)',
+            border: `1px solid ${toast.type === 'error' ? 'rgba(220,38,38,0.6)' : 'rgba(16,185,129,0.7)'}`,
+            color: toast.type === 'error' ? '#b91c1c' : '#065f46',
+            fontSize: 13,
+            zIndex: 50,
+          }}
+        >
+          {toast.text}
+        </div>
+      )}
+
+      {showWarning && (
+        <AutoLogoutWarning
+          timeRemaining={timeRemaining}
+          onStayLoggedIn={handleStayLoggedIn}
+          onLogout={autoLogout}
+        />
+      )}
+    </HrPageShell>
+  );
+}
@@ -1,13 +1,20 @@
 'use client';
 
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { useTheme } from '@/lib/theme/ThemeContext';
 import { HrPageShell, HrHeaderActions, GlassCard, getGlossPillStyles } from '@/components/glass';
 import { spinnerRingStyle } from '@/lib/theme/styles';
 import { calculateAwayDeductionDays, calculateAwayDeductionAmount } from '@/lib/calculations/awayDeduction';
+import {
+  buildStatusCatalog,
+  getStatusDefinition,
+  getStatusShortCode,
+  DEFAULT_STATUS_CATALOG,
+} from '@/lib/calculations/attendanceRules';
 import { usePermissions, useModulePermission } from '@/hooks/usePermissions';
 import { api } from '@/lib/api/client';
 import { getCachedLookup, LOOKUP_KEYS } from '@/lib/api/lookupCache';
+import RawPunchesPanel from '@/components/attendance/RawPunchesPanel';
 
 // Styles will be generated dynamically based on theme
 
@@ -29,47 +36,26 @@ function toTimeInputValue(value) {
   return `${hh}:${mm}`;
 }
 
-// Short labels for statuses in cell top line
-function statusShortCode(status) {
-  if (!status) return '-';
-  const s = String(status).trim();
-
-  switch (s) {
-    case 'Present':
-      return 'P';
-    case 'Holiday':
-      return 'H';
-    case 'Eid Holiday':
-      return 'Eid';
-    case 'Absent':
-      return 'A';
-    case 'Sick Leave':
-      return 'SL';
-    case 'Paid Leave':
-      return 'PL';
-    case 'Un Paid Leave':
-      return 'UPL';
-    case 'Leave Without Inform':
-      return 'LWI';
-    case 'Work From Home':
-      return 'WFH';
-    case 'Half Day':
-      return 'Half';
-    case 'Marriage Leave':
-      return 'ML';
-    case 'Death Leave':
-      return 'DL';
-    case 'Maternity Leave':
-      return 'MatL';
-    case 'Paternity Leave':
-      return 'PatL';
-    case 'Hajj Leave':
-      return 'Hajj';
-    case 'Umrah Leave':
-      return 'Umrah';
-    default:
-      return s;
-  }
+/** Thumbnail of the selfie taken with a web clock punch; opens full size in a new tab. */
+function WebClockPhoto({ url, label }) {
+  if (!url) return null;
+  return (
+    <a
+      href={url}
+      target="_blank"
+      rel="noopener noreferrer"
+      title={`${label} selfie`}
+      style={{ display: 'inline-flex', alignItems: 'center', gap: 6, fontSize: 11, color: '#1d4ed8' }}
+    >
+      {/* eslint-disable-next-line @next/next/no-img-element */}
+      <img
+        src={url}
+        alt={`${label} selfie`}
+        style={{ width: 40, height: 40, objectFit: 'cover', borderRadius: 6, border: '1px solid #cbd5f5' }}
+      />
+      {label} selfie
+    </a>
+  );
 }
 
 // Format salary deduction days, e.g. 1, 2, 1.007, 2.014
@@ -108,20 +94,12 @@ function previewAwayDeduction(monthlySalary, paidWorkHours, hoursAway, workingDa
 }
 
 // --- Cell color rules (includes EXCUSED + missing punches + WFH) ------
-function getCellStyle(day, colors, baseCell, theme) {
-  const isLeaveType =
-    day.status === 'Paid Leave' ||
-    day.status === 'Un Paid Leave' ||
-    day.status === 'Sick Leave' ||
-    day.status === 'Marriage Leave' ||
-    day.status === 'Death Leave' ||
-    day.status === 'Maternity Leave' ||
-    day.status === 'Paternity Leave' ||
-    day.status === 'Hajj Leave' ||
-    day.status === 'Umrah Leave';
+function getCellStyle(day, colors, baseCell, theme, statusCatalog) {
+  const statusDef = getStatusDefinition(day.status, statusCatalog);
+  const isLeaveType = statusDef?.category === 'leave';
 
   // Work From Home special color (using logo blue)
-  if (day.status === 'Work From Home') {
+  if (statusDef?.category === 'remote') {
     return {
       ...baseCell,
       backgroundColor: theme === 'dark' ? 'rgba(59, 130, 246, 0.2)' : '#dbeafe',
@@ -146,7 +124,7 @@ function getCellStyle(day, colors, baseCell, theme) {
   // No punches at all
   if (!day.checkIn && !day.checkOut) {
     // Holiday (weekend / official off) or Eid Holiday
-    if (day.status === 'Holiday' || day.status === 'Eid Holiday') {
+    if (statusDef?.category === 'holiday') {
       return {
         ...baseCell,
         backgroundColor: colors.background.tertiary,
@@ -165,6 +143,15 @@ function getCellStyle(day, colors, baseCell, theme) {
           fontWeight: 600,
         };
       }
+      // Leave types added by HR use their catalog color
+      if (!statusDef.isSystem) {
+        return {
+          ...baseCell,
+          backgroundColor: `${statusDef.color}33`,
+          color: theme === 'dark' ? colors.text.primary : statusDef.color,
+          fontWeight: 600,
+        };
+      }
       // Paid Leave and Sick Leave use yellow/amber
       return {
         ...baseCell,
@@ -356,6 +343,13 @@ export default function MonthlyHrPage() {
   const [editAwayNote, setEditAwayNote] = useState('');
   const [editAwayReportedBy, setEditAwayReportedBy] = useState('');
 
+  // Status catalog (HR → Leave & Status Types) sent with the sheet
+  const statusCatalog = useMemo(
+    () => (data.statuses?.length ? buildStatusCatalog(data.statuses) : DEFAULT_STATUS_CATALOG),
+    [data.statuses]
+  );
+  const activeStatuses = statusCatalog.statuses.filter((st) => st.isActive !== false);
+
   const [searchInput, setSearchInput] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
 
@@ -379,6 +373,7 @@ export default function MonthlyHrPage() {
     { key: 'monthlySalary', label: 'Gross Salary' },
     { key: 'netSalary', label: 'Net Salary (After Deduction)' },
     { key: 'salaryDeductAmount', label: 'Salary Deduct (Amount)' },
+    { key: 'overtimeAmount', label: 'Overtime Pay (Approved)' },
     { key: 'lateCount', label: 'Late Violations' },
     { key: 'earlyCount', label: 'Early Violations' },
     { key: 'salaryDeductDays', label: 'Salary Deduct (Days)' },
@@ -571,8 +566,6 @@ export default function MonthlyHrPage() {
         awayHours: editAwayHours === '' ? 0 : Number(editAwayHours),
         awayNote: editAwayNote,
         awayReportedBy: editAwayReportedBy,
-        // Quarter-based: only 'paid' leave (no casual/annual)
-        ...(editStatus === 'Paid Leave' && { leaveType: 'paid' }),
       };
 
       // Saving with excused flags
@@ -605,6 +598,30 @@ export default function MonthlyHrPage() {
     }
   }
 
+  // Accept or dismiss away time proposed from break punches (over the shift's break allowance)
+  async function handleAwayProposal(action) {
+    if (!selected) return;
+
+    try {
+      const res = await fetch('/api/hr/monthly-attendance/away-proposal', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ empCode: selected.emp.empCode, date: selected.day.date, action }),
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok || !json.success) {
+        throw new Error(json.error || json.message || `Failed to update proposal (${res.status})`);
+      }
+
+      showToast('success', action === 'accept' ? 'Away time accepted' : 'Proposal dismissed');
+      closeModal();
+      await loadMonth(true);
+    } catch (err) {
+      console.error('Away proposal error:', err);
+      showToast('error', err.message || 'Failed to update proposal');
+    }
+  }
+
   // ---- Bulk holiday helpers ------------------------------------------------
   function openBulkModal() {
     setBulkStatus('Eid Holiday');
@@ -691,8 +708,7 @@ export default function MonthlyHrPage() {
       if (isUpcomingDayClient(day.date, apiMonth)) return;
 
       const isPresent =
-        day.status === 'Present' ||
-        day.status === 'Work From Home' ||
+        getStatusDefinition(day.status, statusCatalog)?.countsAsPresent ||
         (day.checkIn || day.checkOut);
 
       if (isPresent && day.shift) {
@@ -774,7 +790,8 @@ export default function MonthlyHrPage() {
               ? 22
               : c.key === 'monthlySalary' ||
                 c.key === 'netSalary' ||
-                c.key === 'salaryDeductAmount'
+                c.key === 'salaryDeductAmount' ||
+                c.key === 'overtimeAmount'
               ? 16
               : 14,
         })),
@@ -926,6 +943,8 @@ export default function MonthlyHrPage() {
         excelColumns.findIndex((c) => c.key === 'netSalary') + 1;
       const deductAmountColIndex =
         excelColumns.findIndex((c) => c.key === 'salaryDeductAmount') + 1;
+      const overtimeAmountColIndex =
+        excelColumns.findIndex((c) => c.key === 'overtimeAmount') + 1;
 
       // Numeric formats
       if (salaryDaysColIndex > 0) {
@@ -940,6 +959,9 @@ export default function MonthlyHrPage() {
       if (deductAmountColIndex > 0) {
         sheet.getColumn(deductAmountColIndex).numFmt = '#,##0.00';
       }
+      if (overtimeAmountColIndex > 0) {
+        sheet.getColumn(overtimeAmountColIndex).numFmt = '#,##0.00';
+      }
 
       // Data rows
       filteredEmployees.forEach((emp, idx) => {
@@ -980,6 +1002,9 @@ export default function MonthlyHrPage() {
             case 'salaryDeductAmount':
               rowData[col.key] = emp.salaryDeductAmount ?? 0;
               break;
+            case 'overtimeAmount':
+              rowData[col.key] = emp.overtimeAmount ?? 0;
+              break;
             default:
               rowData[col.key] = '';
           }
@@ -1009,18 +1034,9 @@ export default function MonthlyHrPage() {
             if (inT && outT) {
               punchText = `${inT} / ${outT}`;
             } else             if (!day.checkIn && !day.checkOut) {
-              if (st === 'Holiday' || st === 'Eid Holiday') punchText = st;
-              else if (
-                st === 'Paid Leave' ||
-                st === 'Un Paid Leave' ||
-                st === 'Sick Leave' ||
-                st === 'Marriage Leave' ||
-                st === 'Death Leave' ||
-                st === 'Maternity Leave' ||
-                st === 'Paternity Leave' ||
-                st === 'Hajj Leave' ||
-                st === 'Umrah Leave'
-              ) {
+              const category = getStatusDefinition(st, statusCatalog)?.category;
+              if (category === 'holiday') punchText = st;
+              else if (category === 'leave') {
                 punchText = st;
               } else if (st === 'Absent') {
                 punchText = 'No Punch';
@@ -2060,9 +2076,18 @@ export default function MonthlyHrPage() {
                                 ? colors.success
                                 : colors.text.primary,
                           }}
-                          title={`Net salary after deductions`}
+                          title={
+                            (emp.overtimeAmount || 0) > 0
+                              ? `Net salary after deductions, including approved overtime: ${formatCurrency(emp.overtimeAmount)} (${((emp.overtimeMinutes || 0) / 60).toFixed(1)}h)`
+                              : `Net salary after deductions`
+                          }
                         >
                           {formatCurrency(emp.netSalary || 0)}
+                          {(emp.overtimeAmount || 0) > 0 && (
+                            <div style={{ fontSize: 10, fontWeight: 500, color: colors.text.secondary }}>
+                              incl. OT {formatCurrency(emp.overtimeAmount)}
+                            </div>
+                          )}
                         </td>
 
                         {/* Salary Deduct (Days) */}
@@ -2192,23 +2217,14 @@ export default function MonthlyHrPage() {
                               day.checkIn
                             )} / ${formatTimeShort(day.checkOut)}`;
                           } else if (!day.checkIn && !day.checkOut) {
-                            if (day.status === 'Holiday' || day.status === 'Eid Holiday') punchLabel = '';
-                            else if (
-                              day.status === 'Paid Leave' ||
-                              day.status === 'Un Paid Leave' ||
-                              day.status === 'Sick Leave' ||
-                              day.status === 'Marriage Leave' ||
-                              day.status === 'Death Leave' ||
-                              day.status === 'Maternity Leave' ||
-                              day.status === 'Paternity Leave' ||
-                              day.status === 'Hajj Leave' ||
-                              day.status === 'Umrah Leave'
-                            ) {
+                            const category = getStatusDefinition(day.status, statusCatalog)?.category;
+                            if (category === 'holiday') punchLabel = '';
+                            else if (category === 'leave') {
                               punchLabel = day.status;
                             } else if (day.status === 'Absent') {
                               punchLabel = 'No Punch';
-                            } else if (day.status === 'Work From Home') {
-                              punchLabel = 'WFH';
+                            } else if (category === 'remote') {
+                              punchLabel = getStatusShortCode(day.status, statusCatalog);
                             } else if (day.status === 'Leave Without Inform') {
                               punchLabel = 'LWI';
                             }
@@ -2233,24 +2249,41 @@ export default function MonthlyHrPage() {
                             `Date: ${day.date}`,
                             `Status: ${day.status || '—'}`,
                             timeInfo,
-                            day.late ? `Late: YES${lateExcused ? ' (Excused)' : ''}` : '',
-                            isEarlyLike ? `Early leave: YES${earlyExcused ? ' (Excused)' : ''}` : '',
+                            day.workedHours != null
+                              ? day.requiredHours != null
+                                ? `Worked: ${day.workedHours}h of ${day.requiredHours}h required (flexible)`
+                                : `Worked: ${day.workedHours}h of ${day.shiftHours}h paid`
+                              : '',
+                            ...(day.segments || []).map(
+                              (sg, segIdx) =>
+                                `Segment ${segIdx + 1} (${sg.startTime}–${sg.endTime}): ${sg.checkIn ? formatTimeShort(sg.checkIn) : 'Missing'} / ${sg.checkOut ? formatTimeShort(sg.checkOut) : 'Missing'}${sg.late ? `, late ${sg.lateMinutes} min` : ''}${sg.earlyLeave ? `, early ${sg.earlyMinutes} min` : ''}`
+                            ),
+                            day.workedHoursRule
+                              ? `Auto ${day.workedHoursRule === 'absent' ? 'Absent' : 'Half Day'}: worked under ${day.workedHoursThreshold}% of ${day.requiredHours != null ? 'required' : 'paid'} hours`
+                              : '',
+                            day.late ? `Late: YES${day.requiredHours != null ? ' (after core start)' : ''}${lateExcused ? ' (Excused)' : ''}` : '',
+                            isEarlyLike
+                              ? `${day.requiredHours != null ? 'Short of required hours' : 'Early leave'}: YES${earlyExcused ? ' (Excused)' : ''}`
+                              : '',
                             (day.awayHours || 0) > 0
                               ? `Away from seat: ${day.awayHours}h (−${(day.awayDeductionDays || 0).toFixed(3)} day)`
                               : '',
                             day.awayNote ? `Away note: ${day.awayNote}` : '',
+                            (day.overtimeMinutes || 0) > 0
+                              ? `Overtime: ${day.overtimeMinutes} min (${day.overtimeStatus || 'pending'})`
+                              : '',
                             day.reason ? `HR notes: ${day.reason}` : '',
                           ].filter(Boolean);
 
                           return (
                             <td
                               key={`${emp.empCode}-${day.date}-${i}`}
-                              style={getCellStyle(day, colors, baseCell, theme)}
+                              style={getCellStyle(day, colors, baseCell, theme, statusCatalog)}
                               onClick={() => openCellModal(emp, day)}
                               title={titleParts.join(' | ')}
                             >
                               <div style={{ fontSize: 10, marginBottom: 2 }}>
-                                {statusShortCode(day.status)}
+                                {getStatusShortCode(day.status, statusCatalog)}
                               </div>
                               <div style={{ fontSize: 10 }}>{punchLabel}</div>
                               {(Number(day.awayHours) || 0) > 0 && (
@@ -2443,31 +2476,21 @@ export default function MonthlyHrPage() {
                         outline: 'none',
                       }}
                     >
-                      <option value="Present">Present (P)</option>
-                      <option value="Holiday">Holiday (H)</option>
-                      <option value="Eid Holiday">Eid Holiday (Eid)</option>
-                      <option value="Absent">Absent (A)</option>
-                      <option value="Sick Leave">Sick Leave (SL)</option>
-                      <option value="Paid Leave">Paid Leave (PL)</option>
-                      <option value="Un Paid Leave">Un Paid Leave (UPL)</option>
-                      <option value="Leave Without Inform">Leave Without Inform (LWI)</option>
-                      <option value="Marriage Leave">Marriage Leave (ML)</option>
-                      <option value="Death Leave">Death Leave (DL)</option>
-                      <option value="Maternity Leave">Maternity Leave (MatL)</option>
-                      <option value="Paternity Leave">Paternity Leave (PatL)</option>
-                      <option value="Hajj Leave">Hajj Leave</option>
-                      <option value="Umrah Leave">Umrah Leave</option>
-                      <option value="Work From Home">
-                        Work From Home (WFH)
-                      </option>
-                      <option value="Half Day">Half Day</option>
+                      {/* Active catalog statuses, plus a deactivated one the day already has */}
+                      {statusCatalog.statuses
+                        .filter((st) => st.isActive !== false || st.label === editStatus)
+                        .map((st) => (
+                          <option key={st.label} value={st.label}>
+                            {st.label} ({st.shortCode})
+                          </option>
+                        ))}
                     </select>
                   </div>
 
-                  {/* Paid Leave uses quarter-based policy (no casual/annual); set via HR Leaves or here */}
-                  {editStatus === 'Paid Leave' && (
+                  {/* Balance leaves accrue per the Leave Policy rules; set via HR Leaves or here */}
+                  {getStatusDefinition(editStatus, statusCatalog)?.requiresBalance && (
                     <div style={{ flex: 1, fontSize: 12, color: '#64748b' }}>
-                      Paid leave counts against this quarter’s balance (see HR → Leaves).
+                      Counts against the employee’s leave balance (see HR → Leaves).
                     </div>
                   )}
 
@@ -2495,6 +2518,7 @@ export default function MonthlyHrPage() {
                         outline: 'none',
                       }}
                     />
+                    <WebClockPhoto url={selected.day.checkInPhotoUrl} label="Check-in" />
                   </div>
 
                   <div
@@ -2521,6 +2545,7 @@ export default function MonthlyHrPage() {
                         outline: 'none',
                       }}
                     />
+                    <WebClockPhoto url={selected.day.checkOutPhotoUrl} label="Check-out" />
                   </div>
                 </div>
 
@@ -2653,6 +2678,75 @@ export default function MonthlyHrPage() {
                       </div>
                     );
                   })()}
+                  {selected && selected.day.breakMinutesTaken > 0 && (
+                    <div
+                      style={{
+                        fontSize: 11,
+                        color: '#374151',
+                        backgroundColor: '#ffffff',
+                        border: '1px dashed #d8b4fe',
+                        padding: '8px 10px',
+                        borderRadius: 8,
+                        display: 'flex',
+                        flexDirection: 'column',
+                        gap: 6,
+                      }}
+                    >
+                      <div>
+                        Breaks from punches: <strong>{selected.day.breakMinutesTaken} min</strong> taken (
+                        {(selected.day.breaks || [])
+                          .map((b) => `${toTimeInputValue(b.outAt)}–${toTimeInputValue(b.inAt)}`)
+                          .join(', ')}
+                        ) · allowance {selected.day.breakMinutes ?? 0} min
+                      </div>
+                      {selected.day.proposedAwayMinutes > 0 && (
+                        <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+                          <span>
+                            Proposed away: <strong>{selected.day.proposedAwayMinutes} min</strong>
+                            {selected.day.awayProposalStatus && selected.day.awayProposalStatus !== 'pending' && (
+                              <span style={{ color: '#6b7280' }}> · {selected.day.awayProposalStatus}</span>
+                            )}
+                          </span>
+                          {selected.day.awayProposalStatus === 'pending' && (
+                            <>
+                              <button
+                                type="button"
+                                onClick={() => handleAwayProposal('accept')}
+                                style={{
+                                  padding: '4px 10px',
+                                  borderRadius: 999,
+                                  border: 'none',
+                                  backgroundColor: '#7c3aed',
+                                  color: '#ffffff',
+                                  fontSize: 11,
+                                  fontWeight: 600,
+                                  cursor: 'pointer',
+                                }}
+                              >
+                                Accept into hours away
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => handleAwayProposal('dismiss')}
+                                style={{
+                                  padding: '4px 10px',
+                                  borderRadius: 999,
+                                  border: '1px solid #d8b4fe',
+                                  backgroundColor: '#ffffff',
+                                  color: '#6b21a8',
+                                  fontSize: 11,
+                                  fontWeight: 600,
+                                  cursor: 'pointer',
+                                }}
+                              >
+                                Dismiss
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
 
                 {/* Late Excused - only show if there's a late violation */}
@@ -2733,6 +2827,11 @@ export default function MonthlyHrPage() {
               </div>
 
               </fieldset>
+              <RawPunchesPanel
+                key={`${selected.emp.empCode}|${selected.day.date}`}
+                empCode={selected.emp.empCode}
+                date={selected.day.date}
+              />
               <div
                 style={{
                   display: 'flex',
@@ -2861,11 +2960,14 @@ export default function MonthlyHrPage() {
                   outline: 'none',
                 }}
               >
-                <option value="Eid Holiday">Eid Holiday (Eid)</option>
-                <option value="Holiday">Holiday (H)</option>
-                <option value="Present">Present (P)</option>
-                <option value="Work From Home">Work From Home (WFH)</option>
-                <option value="Absent">Absent (A)</option>
+                {/* Balance leaves (Paid Leave) are set per employee, not in bulk */}
+                {activeStatuses
+                  .filter((st) => !st.requiresBalance)
+                  .map((st) => (
+                    <option key={st.label} value={st.label}>
+                      {st.label} ({st.shortCode})
+                    </option>
+                  ))}
               </select>
               <span style={{ fontSize: 11, color: '#64748b' }}>
                 Eid Holiday & Holiday are paid (no salary deduction).
@@ -0,0 +1,424 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { signOut } from 'next-auth/react';
+import { useTheme } from '@/lib/theme/ThemeContext';
+import {
+  HrPageShell,
+  HrHeaderActions,
+  GlassCard,
+  GlassTable,
+  GlassInput,
+  GlassButton,
+  getGlossPillStyles,
+} from '@/components/glass';
+import { useAutoLogout } from '@/hooks/useAutoLogout';
+import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
+import { usePermissions } from '@/hooks/usePermissions';
+
+const RUN_STATUS_COLORS = {
+  success: '#10b981',
+  failed: '#ef4444',
+  running: '#0ea5e9',
+};
+
+function formatWhen(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+const DIFF_LABELS = {
+  checkIn: 'In',
+  checkOut: 'Out',
+  attendanceStatus: 'Status',
+  late: 'Late',
+  earlyLeave: 'Early',
+  totalPunches: 'Punches',
+  breaks: 'Breaks',
+  breakMinutesTaken: 'Break minutes',
+  proposedAwayMinutes: 'Proposed away',
+  overtimeMinutes: 'Overtime',
+  overtimeStatus: 'Overtime status',
+  workedHoursRule: 'Hours rule',
+  holidayId: 'Holiday',
+  segments: 'Segments',
+};
+
+function formatDiffValue(field, value) {
+  if (value == null || value === '') return '—';
+  if (Array.isArray(value)) return `${value.length} item(s)`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (field === 'checkIn' || field === 'checkOut') {
+    return new Date(value).toLocaleString('en-GB', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+  }
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+}
+
+function formatDuration(ms) {
+  if (ms == null) return '—';
+  if (ms < 1000) return `${ms} ms`;
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+export default function HrAttendanceProcessingPage() {
+  const { colors } = useTheme();
+  const router = useRouter();
+  const { canCreate } = usePermissions('dailyAttendance');
+  const { showWarning, timeRemaining, handleStayLoggedIn, handleLogout: autoLogout } = useAutoLogout({
+    inactivityTime: 30 * 60 * 1000,
+    warningTime: 5 * 60 * 1000,
+    enabled: true,
+  });
+
+  const [runs, setRuns] = useState([]);
+  const [pendingDates, setPendingDates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [toast, setToast] = useState({ type: '', text: '' });
+  const [range, setRange] = useState({ from: '', to: '', empCode: '', department: '' });
+  const [preview, setPreview] = useState(null);
+  const [reprocessing, setReprocessing] = useState(false);
+
+  function showToast(type, text) {
+    setToast({ type, text });
+    setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 3000);
+  }
+
+  async function loadRuns() {
+    setLoading(true);
+    try {
+      const res = await fetch('/api/hr/daily-attendance/runs?limit=60', { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setRuns(response.data?.runs || []);
+        setPendingDates(response.data?.pendingDates || []);
+      } else {
+        showToast('error', response.error || response.message || 'Failed to load runs');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to load runs');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadRuns();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function handleCatchUp() {
+    setRunning(true);
+    try {
+      const res = await fetch('/api/hr/daily-attendance/runs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({}),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        const processed = response.data?.runs || [];
+        const failed = processed.filter((r) => r.status === 'failed').length;
+        showToast(
+          failed ? 'error' : 'success',
+          processed.length === 0
+            ? 'Nothing to catch up'
+            : `Processed ${processed.length} day(s)${failed ? `, ${failed} failed` : ''}`
+        );
+        loadRuns();
+      } else {
+        showToast('error', response.error || response.message || 'Catch-up failed');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Catch-up failed');
+    } finally {
+      setRunning(false);
+    }
+  }
+
+  async function handleReprocess(commit) {
+    if (!range.from || !range.to) {
+      showToast('error', 'Choose a from and to date');
+      return;
+    }
+    setReprocessing(true);
+    try {
+      const res = await fetch('/api/hr/daily-attendance/reprocess', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...range, commit, ...(commit ? { diffHash: preview?.diffHash } : {}) }),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        if (commit) {
+          showToast('success', response.message || 'Reprocessed');
+          setPreview(null);
+        } else {
+          setPreview(response.data);
+        }
+      } else {
+        showToast('error', response.error || response.message || 'Reprocess failed');
+        if (commit) setPreview(null); // a stale preview cannot be committed; build it again
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Reprocess failed');
+    } finally {
+      setReprocessing(false);
+    }
+  }
+
+  function updateRange(field, value) {
+    setRange((prev) => ({ ...prev, [field]: value }));
+    setPreview(null); // a preview only applies to the range it was built for
+  }
+
+  const handleLogout = async () => {
+    try {
+      await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
+      router.push('/login?role=hr');
+    } catch (e) {
+      router.push('/login?role=hr');
+    }
+  };
+
+  const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+
+  const headerActions = (
+    <HrHeaderActions>
+      <button type="button" onClick={() => router.push('/hr/dashboard')} style={glossPill('slate')}>
+        Daily Attendance
+      </button>
+      <button type="button" onClick={() => router.push('/hr/employees')} style={glossPill('neutral')}>
+        Dashboard
+      </button>
+      <button type="button" onClick={handleLogout} style={glossPill('rose')}>
+        <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+        </svg>
+        Logout
+      </button>
+    </HrHeaderActions>
+  );
+
+  const labelStyle = { display: 'block', fontSize: 12, fontWeight: 600, marginBottom: 4, color: colors.text?.primary };
+
+  return (
+    <HrPageShell subtitle="Attendance Processing" actions={headerActions}>
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          The scheduler saves the previous business day every morning and catches up on earlier days
+          that were never processed after they ended. Every run — scheduled or from the daily attendance
+          screen — is listed below. Rows HR edited by hand are kept as they are and counted as skipped.
+        </p>
+
+        <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', marginBottom: 16 }}>
+          <GlassButton variant="secondary" onClick={loadRuns} disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </GlassButton>
+          {canCreate && (
+            <GlassButton onClick={handleCatchUp} disabled={running}>
+              {running ? 'Processing...' : 'Run catch-up now'}
+            </GlassButton>
+          )}
+          <span style={{ fontSize: 13, color: colors.text?.secondary }}>
+            {pendingDates.length === 0
+              ? 'All recent business days are processed.'
+              : `Waiting: ${pendingDates.join(', ')}`}
+          </span>
+        </div>
+
+        {loading && runs.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>Loading...</div>
+        ) : runs.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>
+            No processing runs yet.
+          </div>
+        ) : (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Business day</GlassTable.Th>
+                <GlassTable.Th>Started</GlassTable.Th>
+                <GlassTable.Th>Status</GlassTable.Th>
+                <GlassTable.Th align="right">Duration</GlassTable.Th>
+                <GlassTable.Th align="right">Employees</GlassTable.Th>
+                <GlassTable.Th align="right">Saved</GlassTable.Th>
+                <GlassTable.Th align="right">Manual kept</GlassTable.Th>
+                <GlassTable.Th>Trigger</GlassTable.Th>
+                <GlassTable.Th>Error</GlassTable.Th>
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {runs.map((r, idx) => (
+                <GlassTable.Row key={r._id} even={idx % 2 === 1}>
+                  <GlassTable.Td style={{ fontWeight: 600 }}>{r.date}</GlassTable.Td>
+                  <GlassTable.Td>{formatWhen(r.startedAt)}</GlassTable.Td>
+                  <GlassTable.Td style={{ color: RUN_STATUS_COLORS[r.status], fontWeight: 600 }}>{r.status}</GlassTable.Td>
+                  <GlassTable.Td align="right">{formatDuration(r.durationMs)}</GlassTable.Td>
+                  <GlassTable.Td align="right">{r.employees}</GlassTable.Td>
+                  <GlassTable.Td align="right">{r.savedCount}</GlassTable.Td>
+                  <GlassTable.Td align="right">{r.skippedManual}</GlassTable.Td>
+                  <GlassTable.Td>
+                    {r.trigger}
+                    {r.catchUp ? ' · catch-up' : ''}
+                    {r.triggeredBy ? ` · ${r.triggeredBy}` : ''}
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>{r.error || '—'}</GlassTable.Td>
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+      </GlassCard>
+
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <h3 style={{ fontSize: 15, fontWeight: 700, margin: '0 0 8px', color: colors.text?.primary }}>
+          Reprocess a date range
+        </h3>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          After changing a shift or grace setting, preview what daily processing would change for a range
+          of days, then commit it. Rows edited by HR or carrying a leave / manual status are never changed here.
+        </p>
+        <div
+          style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fill, minmax(170px, 1fr))',
+            gap: 12,
+            marginBottom: 16,
+          }}
+        >
+          <div>
+            <label style={labelStyle}>From</label>
+            <GlassInput type="date" value={range.from} onChange={(e) => updateRange('from', e.target.value)} />
+          </div>
+          <div>
+            <label style={labelStyle}>To</label>
+            <GlassInput type="date" value={range.to} onChange={(e) => updateRange('to', e.target.value)} />
+          </div>
+          <div>
+            <label style={labelStyle}>Employee code (optional)</label>
+            <GlassInput value={range.empCode} onChange={(e) => updateRange('empCode', e.target.value)} />
+          </div>
+          <div>
+            <label style={labelStyle}>Department (optional)</label>
+            <GlassInput value={range.department} onChange={(e) => updateRange('department', e.target.value)} />
+          </div>
+        </div>
+        <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', marginBottom: 16 }}>
+          <GlassButton variant="secondary" onClick={() => handleReprocess(false)} disabled={reprocessing}>
+            {reprocessing && !preview ? 'Building preview...' : 'Preview changes'}
+          </GlassButton>
+          {canCreate && preview && (
+            <GlassButton onClick={() => handleReprocess(true)} disabled={reprocessing}>
+              {reprocessing ? 'Committing...' : `Commit ${preview.changes.length} change(s)`}
+            </GlassButton>
+          )}
+          {preview && (
+            <span style={{ fontSize: 13, color: colors.text?.secondary }}>
+              {preview.dates.length} day(s) · {preview.changes.length} changed · {preview.unchangedCount} unchanged ·{' '}
+              {preview.untouched.length} untouched
+            </span>
+          )}
+        </div>
+
+        {preview && preview.changes.length > 0 && (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Day</GlassTable.Th>
+                <GlassTable.Th>Employee</GlassTable.Th>
+                <GlassTable.Th>Shift</GlassTable.Th>
+                <GlassTable.Th>Change</GlassTable.Th>
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {preview.changes.map((c, idx) => (
+                <GlassTable.Row key={`${c.date}|${c.empCode}|${c.shift}`} even={idx % 2 === 1}>
+                  <GlassTable.Td>{c.date}</GlassTable.Td>
+                  <GlassTable.Td>
+                    <div style={{ fontWeight: 600 }}>{c.employeeName || c.empCode}</div>
+                    <div style={{ fontSize: 12, color: colors.text?.secondary }}>{c.empCode}</div>
+                  </GlassTable.Td>
+                  <GlassTable.Td>{c.shift}</GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>
+                    {c.change === 'create' && <div style={{ fontWeight: 600 }}>New row</div>}
+                    {Object.entries(c.diff).map(([field, d]) => (
+                      <div key={field}>
+                        {DIFF_LABELS[field] || field}: {formatDiffValue(field, d.old)} → <strong>{formatDiffValue(field, d.new)}</strong>
+                      </div>
+                    ))}
+                  </GlassTable.Td>
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+
+        {preview && preview.untouched.length > 0 && (
+          <div style={{ marginTop: 16 }}>
+            <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 8, color: colors.text?.primary }}>
+              Untouched (protected) rows
+            </div>
+            <GlassTable>
+              <GlassTable.Head>
+                <tr>
+                  <GlassTable.Th>Day</GlassTable.Th>
+                  <GlassTable.Th>Employee</GlassTable.Th>
+                  <GlassTable.Th>Shift</GlassTable.Th>
+                  <GlassTable.Th>Why</GlassTable.Th>
+                </tr>
+              </GlassTable.Head>
+              <GlassTable.Body>
+                {preview.untouched.map((u, idx) => (
+                  <GlassTable.Row key={`${u.date}|${u.empCode}|${u.shift}`} even={idx % 2 === 1}>
+                    <GlassTable.Td>{u.date}</GlassTable.Td>
+                    <GlassTable.Td>{u.employeeName || u.empCode}</GlassTable.Td>
+                    <GlassTable.Td>{u.shift}</GlassTable.Td>
+                    <GlassTable.Td style={{ fontSize: 12 }}>{u.reason}</GlassTable.Td>
+                  </GlassTable.Row>
+                ))}
+              </GlassTable.Body>
+            </GlassTable>
+          </div>
+        )}
+      </GlassCard>
+
+      {toast.text && (
+        <div
+          style={{
+            position: 'fixed',
+            right: 18,
+            bottom: 20,
+            padding: '12px 16px',
+            borderRadius: 12,
+            background: toast.type === 'error' ? 'rgba(248,113,113,0.12)' : 'rgba(16,185,129,0.14)',
+            border: `1px solid ${toast.type === 'error' ? 'rgba(220,38,38,0.6)' : 'rgba(16,185,129,0.7)'}`,
+            color: toast.type === 'error' ? '#b91c1c' : '#065f46',
+            fontSize: 13,
+            zIndex: 50,
+          }}
+        >
+          {toast.text}
+        </div>
+      )}
+
+      {showWarning && (
+        <AutoLogoutWarning
+          timeRemaining={timeRemaining}
+          onStayLoggedIn={handleStayLoggedIn}
+          onLogout={autoLogout}
+        />
+      )}
+    </HrPageShell>
+  );
+}
@@ -8,6 +8,7 @@ import { HrPageShell, HrHeaderActions, GlassCard, getGlossPillStyles } from '@/c
 import { useAutoLogout } from '@/hooks/useAutoLogout';
 import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
 import { usePermissions } from '@/hooks/usePermissions';
+import PolicyVersionTimeline from '@/components/common/PolicyVersionTimeline';
 
 const DEFAULT_SETTINGS = {
   timezoneOffset: '+05:00',
@@ -18,6 +19,7 @@ const DEFAULT_SETTINGS = {
   workingDaysMode: 'legacy',
   fixedDaysPerMonth: 26,
   currency: 'PKR',
+  punchDebounceSeconds: 0,
 };
 
 const DAY_OPTIONS = [
@@ -52,6 +54,9 @@ export default function HrCompanySettingsPage() {
 
   const [mounted, setMounted] = useState(false);
   const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [versions, setVersions] = useState([]);
+  // '' = today; a later date schedules the change
+  const [effectiveFrom, setEffectiveFrom] = useState('');
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [toast, setToast] = useState({ type: '', text: '' });
@@ -61,18 +66,27 @@ export default function HrCompanySettingsPage() {
     setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 3000);
   }
 
+  function fillForm(s) {
+    setSettings({
+      ...DEFAULT_SETTINGS,
+      ...s,
+      fixedDaysPerMonth: s?.fixedDaysPerMonth ?? DEFAULT_SETTINGS.fixedDaysPerMonth,
+    });
+  }
+
+  // Settings in force today into the form, plus the version timeline
+  function applyResponse(response) {
+    fillForm(response.data?.settings ?? response.settings ?? DEFAULT_SETTINGS);
+    setVersions(response.data?.versions || []);
+    setEffectiveFrom('');
+  }
+
   async function loadSettings() {
     setLoading(true);
     try {
       const res = await fetch('/api/hr/company-settings', { cache: 'no-store' });
       if (res.ok) {
-        const response = await res.json();
-        const s = response.data?.settings ?? response.settings ?? DEFAULT_SETTINGS;
-        setSettings({
-          ...DEFAULT_SETTINGS,
-          ...s,
-          fixedDaysPerMonth: s.fixedDaysPerMonth ?? DEFAULT_SETTINGS.fixedDaysPerMonth,
-        });
+        applyResponse(await res.json());
       } else {
         showToast('error', 'Failed to load company settings');
       }
@@ -117,13 +131,14 @@ export default function HrCompanySettingsPage() {
           workingDaysMode: settings.workingDaysMode,
           fixedDaysPerMonth: Number(settings.fixedDaysPerMonth) || 26,
           currency: settings.currency,
+          punchDebounceSeconds: Number(settings.punchDebounceSeconds) || 0,
+          effectiveFrom: effectiveFrom || undefined,
         }),
       });
       const response = await res.json();
       if (res.ok && response.success) {
-        showToast('success', 'Company settings saved successfully');
-        const s = response.data?.settings ?? settings;
-        setSettings({ ...DEFAULT_SETTINGS, ...s });
+        showToast('success', response.message || 'Company settings saved successfully');
+        applyResponse(response);
       } else {
         showToast('error', response.error || response.message || 'Failed to update settings');
       }
@@ -135,6 +150,24 @@ export default function HrCompanySettingsPage() {
     }
   }
 
+  function editVersion(version) {
+    fillForm(version);
+    setEffectiveFrom(version.effectiveFrom);
+  }
+
+  async function deleteVersion(version) {
+    if (!window.confirm(`Delete the settings scheduled from ${version.effectiveFrom}?`)) return;
+    try {
+      const res = await fetch(`/api/hr/company-settings?effectiveFrom=${version.effectiveFrom}`, { method: 'DELETE' });
+      const response = await res.json();
+      if (!res.ok || !response.success) throw new Error(response.error || response.message || 'Failed to delete');
+      showToast('success', response.message || 'Scheduled settings deleted');
+      applyResponse(response);
+    } catch (err) {
+      showToast('error', err.message || 'Failed to delete');
+    }
+  }
+
   const handleLogout = async () => {
     try {
       await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
@@ -446,6 +479,43 @@ export default function HrCompanySettingsPage() {
                 </div>
               </div>
 
+              {/* Section: Punch filtering */}
+              <div
+                style={{
+                  marginBottom: 20,
+                  padding: '18px 20px',
+                  borderRadius: 12,
+                  background: sectionBg,
+                  border: `1px solid ${colors.border?.default}`,
+                }}
+              >
+                <div style={{ fontSize: 15, fontWeight: 700, marginBottom: 4, color: colors.text?.primary }}>
+                  Punch filtering
+                </div>
+                <div style={{ fontSize: 12, color: mutedText, marginBottom: 16 }}>
+                  Collapse repeat scans before check-in/check-out is worked out
+                </div>
+                <div className="cs-grid-2" style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16 }}>
+                  <div>
+                    <label htmlFor="punchDebounceSeconds" style={labelStyle}>Debounce window (seconds)</label>
+                    <input
+                      id="punchDebounceSeconds"
+                      type="number"
+                      min={0}
+                      max={600}
+                      value={settings.punchDebounceSeconds}
+                      disabled={!canUpdate}
+                      onChange={(e) => setSettings({ ...settings, punchDebounceSeconds: e.target.value })}
+                      style={{ ...fieldStyle, opacity: canUpdate ? 1 : 0.7 }}
+                    />
+                    <span style={hintStyle}>
+                      Scans within this many seconds of the previous one are ignored (kept for audit). Devices can
+                      override it.
+                    </span>
+                  </div>
+                </div>
+              </div>
+
               {/* Section: Salary */}
               <div
                 style={{
@@ -541,9 +611,26 @@ export default function HrCompanySettingsPage() {
                 )}
                 <span style={{ ...hintStyle, marginTop: 12 }}>
                   Keep <strong>Legacy</strong> unless HR wants to change how per-day salary is calculated company-wide.
+                  A month uses the mode in force on its first day.
                 </span>
               </div>
 
+              {canUpdate && (
+                <div style={{ marginBottom: 24, maxWidth: 320 }}>
+                  <label htmlFor="effectiveFrom" style={labelStyle}>Effective from</label>
+                  <input
+                    id="effectiveFrom"
+                    type="date"
+                    value={effectiveFrom}
+                    onChange={(e) => setEffectiveFrom(e.target.value)}
+                    style={fieldStyle}
+                  />
+                  <span style={hintStyle}>
+                    Empty = today. A later date schedules the change; earlier days keep the settings in force then.
+                  </span>
+                </div>
+              )}
+
               <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
                 {canUpdate && (
                   <button
@@ -564,7 +651,7 @@ export default function HrCompanySettingsPage() {
                       boxShadow: '0 4px 14px rgba(14, 165, 233, 0.35)',
                     }}
                   >
-                    {saving ? 'Saving...' : 'Save settings'}
+                    {saving ? 'Saving...' : effectiveFrom ? 'Schedule settings' : 'Save settings'}
                   </button>
                 )}
                 <button
@@ -588,6 +675,22 @@ export default function HrCompanySettingsPage() {
           )}
       </GlassCard>
 
+      <PolicyVersionTimeline
+        versions={versions}
+        canUpdate={canUpdate}
+        onEdit={editVersion}
+        onDelete={deleteVersion}
+        summarize={(v) =>
+          [
+            `TZ ${v.timezoneOffset}`,
+            `off ${(v.weeklyOffDays || []).map((d) => DAY_OPTIONS[d]?.short).join('/') || 'none'}`,
+            `cutoff ${v.businessDayCutoff}`,
+            `working days ${v.workingDaysMode === 'fixed' ? v.fixedDaysPerMonth : v.workingDaysMode}`,
+            `debounce ${v.punchDebounceSeconds}s`,
+          ].join(' · ')
+        }
+      />
+
       {showWarning && (
         <AutoLogoutWarning
           timeRemaining={timeRemaining}
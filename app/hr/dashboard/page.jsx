@@ -72,6 +72,7 @@ export default function HrDashboardPage() {
   const [searchQuery, setSearchQuery] = useState('');
   const [shifts, setShifts] = useState([]);
   const [selectedShift, setSelectedShift] = useState(''); // Filter by shift
+  const [deviceAlerts, setDeviceAlerts] = useState([]); // Devices offline / silent during a shift
 
 
   const [toast, setToast] = useState({ type: '', text: '' });
@@ -135,6 +136,7 @@ export default function HrDashboardPage() {
     setLoading(true);
     setStatus('');
     setRows([]);
+    setDeviceAlerts([]);
 
     try {
       const res = await fetch(
@@ -164,6 +166,7 @@ export default function HrDashboardPage() {
         items = response.data?.items || [];
         savedCount = response.data?.savedCount ?? items.length;
         date = response.data?.date || businessDate;
+        setDeviceAlerts(response.data?.deviceAlerts || []);
       } else {
         // Legacy format (backward compatibility)
         items = response.items || [];
@@ -911,6 +914,39 @@ export default function HrDashboardPage() {
               </span>
             </div>
 
+            {deviceAlerts.length > 0 && (
+              <div
+                role="alert"
+                style={{
+                  marginBottom: 14,
+                  padding: '10px 12px',
+                  borderRadius: 10,
+                  border: `1px solid ${colors.warning}`,
+                  backgroundColor: 'rgba(251, 191, 36, 0.12)',
+                  fontSize: 13,
+                  color: colors.text.primary,
+                }}
+              >
+                <strong>Device warning:</strong> punches may be missing for this date — check these
+                terminals before treating &quot;Absent&quot; rows as absences.
+                <ul style={{ margin: '6px 0 0', paddingLeft: 18 }}>
+                  {deviceAlerts.map((d) => (
+                    <li key={d.ip}>
+                      <strong>{d.name}</strong>
+                      {d.location ? ` (${d.location})` : ''} — {d.ip}
+                      {d.status === 'offline' && ', offline now'}
+                      {d.silentGaps.map((g) => (
+                        <span key={`${g.shift}-${g.from}`}>
+                          {', '}silent in {g.shift} {formatDateTime(g.from)}–
+                          {g.ongoing ? 'now' : formatDateTime(g.to)} ({g.minutes} min)
+                        </span>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             <div
               className="daily-controls"
               style={{
@@ -0,0 +1,590 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { signOut } from 'next-auth/react';
+import { useTheme } from '@/lib/theme/ThemeContext';
+import {
+  HrPageShell,
+  HrHeaderActions,
+  GlassCard,
+  GlassTable,
+  GlassInput,
+  GlassButton,
+  getGlossPillStyles,
+} from '@/components/glass';
+import { useAutoLogout } from '@/hooks/useAutoLogout';
+import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
+import { usePermissions } from '@/hooks/usePermissions';
+
+const EMPTY_FORM = {
+  name: '',
+  ip: '',
+  serialNumber: '',
+  location: '',
+  timezone: '',
+  silentAfterMinutes: 120,
+  punchDebounceSeconds: '',
+  isActive: true,
+  notes: '',
+  pullEnabled: false,
+  port: 80,
+  useHttps: false,
+  isapiUsername: '',
+};
+
+const RUN_STATUS_COLORS = {
+  success: '#10b981',
+  partial: '#fbbf24',
+  failed: '#ef4444',
+  running: '#0ea5e9',
+};
+
+const STATUS_COLORS = {
+  online: { bg: 'rgba(16,185,129,0.16)', border: 'rgba(16,185,129,0.7)', text: '#10b981' },
+  offline: { bg: 'rgba(248,113,113,0.14)', border: 'rgba(220,38,38,0.6)', text: '#ef4444' },
+  inactive: { bg: 'rgba(148,163,184,0.16)', border: 'rgba(148,163,184,0.6)', text: '#94a3b8' },
+};
+
+function formatTime(value) {
+  if (!value) return '-';
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return '-';
+  return d.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+}
+
+function formatLastSeen(value, minutes) {
+  if (!value) return 'Never';
+  const d = new Date(value);
+  const when = d.toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+  if (minutes == null) return when;
+  if (minutes < 60) return `${when} (${minutes} min ago)`;
+  return `${when} (${Math.floor(minutes / 60)}h ${minutes % 60}m ago)`;
+}
+
+export default function HrDevicesPage() {
+  const { colors } = useTheme();
+  const router = useRouter();
+  const { canCreate, canUpdate, canDelete } = usePermissions('devices');
+  const { showWarning, timeRemaining, handleStayLoggedIn, handleLogout: autoLogout } = useAutoLogout({
+    inactivityTime: 30 * 60 * 1000,
+    warningTime: 5 * 60 * 1000,
+    enabled: true,
+  });
+
+  const [date, setDate] = useState('');
+  const [devices, setDevices] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [runs, setRuns] = useState([]);
+  const [syncingId, setSyncingId] = useState(null);
+  const [toast, setToast] = useState({ type: '', text: '' });
+
+  function showToast(type, text) {
+    setToast({ type, text });
+    setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 3000);
+  }
+
+  async function loadDevices(forDate = date) {
+    setLoading(true);
+    try {
+      const qs = forDate ? `?date=${forDate}` : '';
+      const res = await fetch(`/api/hr/devices${qs}`, { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setDevices(response.data?.devices || []);
+        setStats(response.data?.stats || null);
+        if (!forDate && response.data?.date) setDate(response.data.date);
+      } else {
+        showToast('error', response.error || response.message || 'Failed to load devices');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to load devices');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadRuns() {
+    try {
+      const res = await fetch('/api/hr/devices/sync?limit=20', { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) setRuns(response.data?.runs || []);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  async function handleSync(deviceId = null) {
+    setSyncingId(deviceId || 'all');
+    try {
+      const res = await fetch('/api/hr/devices/sync', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(deviceId ? { deviceId } : {}),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        const done = response.data?.runs || [];
+        const inserted = done.reduce((sum, r) => sum + (r.inserted || 0), 0);
+        const failed = done.filter((r) => r.status === 'failed').length;
+        showToast(failed ? 'error' : 'success', `Sync finished: ${inserted} new punch(es)${failed ? `, ${failed} failed` : ''}`);
+        loadDevices();
+        loadRuns();
+      } else {
+        showToast('error', response.error || response.message || 'Sync failed');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Sync failed');
+    } finally {
+      setSyncingId(null);
+    }
+  }
+
+  useEffect(() => {
+    loadDevices('');
+    loadRuns();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  function openCreate() {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setShowForm(true);
+  }
+
+  function openEdit(device) {
+    setEditingId(device._id);
+    setForm({
+      name: device.name || '',
+      ip: device.ip || '',
+      serialNumber: device.serialNumber || '',
+      location: device.location || '',
+      timezone: device.timezone || '',
+      silentAfterMinutes: device.silentAfterMinutes ?? 120,
+      punchDebounceSeconds: device.punchDebounceSeconds ?? '',
+      isActive: device.isActive !== false,
+      notes: device.notes || '',
+      pullEnabled: !!device.pullEnabled,
+      port: device.port ?? 80,
+      useHttps: !!device.useHttps,
+      isapiUsername: device.isapiUsername || '',
+    });
+    setShowForm(true);
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await fetch(editingId ? `/api/hr/devices/${editingId}` : '/api/hr/devices', {
+        method: editingId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          silentAfterMinutes: parseInt(String(form.silentAfterMinutes), 10) || 120,
+          port: parseInt(String(form.port), 10) || 80,
+          punchDebounceSeconds:
+            String(form.punchDebounceSeconds).trim() === '' ? null : parseInt(String(form.punchDebounceSeconds), 10),
+        }),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', editingId ? 'Device updated' : 'Device registered');
+        setShowForm(false);
+        loadDevices();
+      } else {
+        showToast('error', response.error || response.message || 'Failed to save device');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to save device');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete(device) {
+    if (!window.confirm(`Delete device "${device.name}"? Stored punches are kept.`)) return;
+    try {
+      const res = await fetch(`/api/hr/devices/${device._id}`, { method: 'DELETE' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', 'Device deleted');
+        loadDevices();
+      } else {
+        showToast('error', response.error || response.message || 'Failed to delete device');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to delete device');
+    }
+  }
+
+  const handleLogout = async () => {
+    try {
+      await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
+      router.push('/login?role=hr');
+    } catch (e) {
+      router.push('/login?role=hr');
+    }
+  };
+
+  const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+
+  const headerActions = (
+    <HrHeaderActions>
+      <button type="button" onClick={() => router.push('/hr/dashboard')} style={glossPill('slate')}>
+        Daily Attendance
+      </button>
+      <button type="button" onClick={() => router.push('/hr/employees')} style={glossPill('neutral')}>
+        Dashboard
+      </button>
+      <button type="button" onClick={handleLogout} style={glossPill('rose')}>
+        <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+        </svg>
+        Logout
+      </button>
+    </HrHeaderActions>
+  );
+
+  const labelStyle = { display: 'block', fontSize: 12, fontWeight: 600, marginBottom: 4, color: colors.text?.primary };
+
+  return (
+    <HrPageShell subtitle="Attendance Devices" actions={headerActions}>
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          Terminals that send punches. A device is offline when nothing (punch or heartbeat) has arrived
+          within its silence threshold; &quot;Silent during shift&quot; lists stretches inside shift hours with no
+          punches at all on the selected business date.
+        </p>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, alignItems: 'flex-end', marginBottom: 16 }}>
+          <div>
+            <label style={labelStyle}>Business Date</label>
+            <GlassInput
+              type="date"
+              value={date}
+              onChange={(e) => {
+                setDate(e.target.value);
+                loadDevices(e.target.value);
+              }}
+              style={{ minWidth: 170, fontSize: 13, width: 'auto' }}
+            />
+          </div>
+          <GlassButton variant="secondary" onClick={() => loadDevices()} disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </GlassButton>
+          {canCreate && (
+            <GlassButton onClick={openCreate}>Add device</GlassButton>
+          )}
+          {canCreate && (
+            <GlassButton variant="secondary" onClick={() => router.push('/hr/punch-import')}>
+              Import punches
+            </GlassButton>
+          )}
+          {canUpdate && (
+            <GlassButton variant="secondary" onClick={() => handleSync()} disabled={!!syncingId}>
+              {syncingId === 'all' ? 'Syncing...' : 'Sync pull devices'}
+            </GlassButton>
+          )}
+          {stats && (
+            <div style={{ fontSize: 12, color: colors.text?.secondary, marginLeft: 'auto' }}>
+              Total <strong>{stats.total}</strong> · Online <strong>{stats.online}</strong> · Offline{' '}
+              <strong>{stats.offline}</strong> · Silent during shift <strong>{stats.silentDuringShift}</strong>
+            </div>
+          )}
+        </div>
+
+        {showForm && (
+          <form
+            onSubmit={handleSave}
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+              gap: 12,
+              padding: 16,
+              marginBottom: 16,
+              borderRadius: 10,
+              border: `1px solid ${colors.border?.default}`,
+            }}
+          >
+            <div>
+              <label style={labelStyle}>Name</label>
+              <GlassInput value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+            </div>
+            <div>
+              <label style={labelStyle}>IP address</label>
+              <GlassInput value={form.ip} onChange={(e) => setForm({ ...form, ip: e.target.value })} required />
+            </div>
+            <div>
+              <label style={labelStyle}>Serial number</label>
+              <GlassInput value={form.serialNumber} onChange={(e) => setForm({ ...form, serialNumber: e.target.value })} />
+            </div>
+            <div>
+              <label style={labelStyle}>Location</label>
+              <GlassInput value={form.location} onChange={(e) => setForm({ ...form, location: e.target.value })} />
+            </div>
+            <div>
+              <label style={labelStyle}>Timezone (blank = company)</label>
+              <GlassInput
+                value={form.timezone}
+                placeholder="+05:00"
+                onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Silent after (minutes)</label>
+              <GlassInput
+                type="number"
+                min={5}
+                max={1440}
+                value={form.silentAfterMinutes}
+                onChange={(e) => setForm({ ...form, silentAfterMinutes: e.target.value })}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Debounce seconds (blank = company)</label>
+              <GlassInput
+                type="number"
+                min={0}
+                max={600}
+                value={form.punchDebounceSeconds}
+                onChange={(e) => setForm({ ...form, punchDebounceSeconds: e.target.value })}
+              />
+            </div>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Notes</label>
+              <GlassInput value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+            </div>
+            <div>
+              <label style={labelStyle}>ISAPI port</label>
+              <GlassInput
+                type="number"
+                min={1}
+                max={65535}
+                value={form.port}
+                onChange={(e) => setForm({ ...form, port: e.target.value })}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>ISAPI user (blank = default)</label>
+              <GlassInput
+                value={form.isapiUsername}
+                onChange={(e) => setForm({ ...form, isapiUsername: e.target.value })}
+              />
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: colors.text?.primary }}>
+              <input
+                type="checkbox"
+                checked={form.pullEnabled}
+                onChange={(e) => setForm({ ...form, pullEnabled: e.target.checked })}
+              />
+              Pull events (AcsEvent search)
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: colors.text?.primary }}>
+              <input
+                type="checkbox"
+                checked={form.useHttps}
+                onChange={(e) => setForm({ ...form, useHttps: e.target.checked })}
+              />
+              HTTPS
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: colors.text?.primary }}>
+              <input
+                type="checkbox"
+                checked={form.isActive}
+                onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+              />
+              Active (monitored)
+            </label>
+            <div style={{ display: 'flex', gap: 8, gridColumn: '1 / -1' }}>
+              <GlassButton type="submit" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Save changes' : 'Register device'}
+              </GlassButton>
+              <GlassButton variant="ghost" onClick={() => setShowForm(false)}>
+                Cancel
+              </GlassButton>
+            </div>
+          </form>
+        )}
+
+        {loading && devices.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>Loading...</div>
+        ) : devices.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>
+            No devices yet. Devices pushing to /api/device/events are registered automatically.
+          </div>
+        ) : (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Device</GlassTable.Th>
+                <GlassTable.Th>IP / Serial</GlassTable.Th>
+                <GlassTable.Th>Status</GlassTable.Th>
+                <GlassTable.Th>Last seen</GlassTable.Th>
+                <GlassTable.Th align="right">Punches</GlassTable.Th>
+                <GlassTable.Th>Silent during shift</GlassTable.Th>
+                {(canUpdate || canDelete) && <GlassTable.Th align="right">Actions</GlassTable.Th>}
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {devices.map((d, idx) => {
+                const pill = STATUS_COLORS[d.status] || STATUS_COLORS.inactive;
+                return (
+                  <GlassTable.Row key={d._id} even={idx % 2 === 1}>
+                    <GlassTable.Td>
+                      <div style={{ fontWeight: 600 }}>{d.name}</div>
+                      <div style={{ fontSize: 12, color: colors.text?.secondary }}>{d.location || '—'}</div>
+                    </GlassTable.Td>
+                    <GlassTable.Td>
+                      <div>{d.ip}</div>
+                      <div style={{ fontSize: 12, color: colors.text?.secondary }}>{d.serialNumber || '—'}</div>
+                      {d.pullEnabled && (
+                        <div style={{ fontSize: 11, color: colors.text?.secondary }}>
+                          Pull · last sync {d.lastSyncAt ? formatLastSeen(d.lastSyncAt) : 'never'}
+                          {d.lastSyncStatus ? ` (${d.lastSyncStatus})` : ''}
+                        </div>
+                      )}
+                    </GlassTable.Td>
+                    <GlassTable.Td>
+                      <span
+                        style={{
+                          padding: '2px 10px',
+                          borderRadius: 999,
+                          fontSize: 12,
+                          fontWeight: 600,
+                          background: pill.bg,
+                          border: `1px solid ${pill.border}`,
+                          color: pill.text,
+                          textTransform: 'capitalize',
+                        }}
+                      >
+                        {d.status}
+                      </span>
+                    </GlassTable.Td>
+                    <GlassTable.Td>{formatLastSeen(d.lastSeenAt, d.minutesSinceSeen)}</GlassTable.Td>
+                    <GlassTable.Td align="right">{d.eventCount ?? '-'}</GlassTable.Td>
+                    <GlassTable.Td>
+                      {d.silentGaps?.length ? (
+                        d.silentGaps.map((g) => (
+                          <div key={`${g.shift}-${g.from}`} style={{ fontSize: 12, color: colors.warning }}>
+                            {g.shift}: {formatTime(g.from)}–{g.ongoing ? 'now' : formatTime(g.to)} ({g.minutes} min)
+                          </div>
+                        ))
+                      ) : (
+                        <span style={{ color: colors.text?.secondary }}>—</span>
+                      )}
+                    </GlassTable.Td>
+                    {(canUpdate || canDelete) && (
+                      <GlassTable.Td align="right">
+                        <div style={{ display: 'inline-flex', gap: 6 }}>
+                          {canUpdate && d.pullEnabled && (
+                            <GlassButton
+                              variant="secondary"
+                              onClick={() => handleSync(d._id)}
+                              disabled={!!syncingId}
+                            >
+                              {syncingId === d._id ? 'Syncing...' : 'Sync'}
+                            </GlassButton>
+                          )}
+                          {canUpdate && (
+                            <GlassButton variant="secondary" onClick={() => openEdit(d)}>
+                              Edit
+                            </GlassButton>
+                          )}
+                          {canDelete && (
+                            <GlassButton variant="ghost" onClick={() => handleDelete(d)}>
+                              Delete
+                            </GlassButton>
+                          )}
+                        </div>
+                      </GlassTable.Td>
+                    )}
+                  </GlassTable.Row>
+                );
+              })}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+      </GlassCard>
+
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <h3 style={{ fontSize: 15, fontWeight: 700, margin: '0 0 12px', color: colors.text?.primary }}>
+          Sync history
+        </h3>
+        {runs.length === 0 ? (
+          <div style={{ fontSize: 13, color: colors.text?.secondary }}>No pull syncs yet.</div>
+        ) : (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Started</GlassTable.Th>
+                <GlassTable.Th>Device</GlassTable.Th>
+                <GlassTable.Th>Status</GlassTable.Th>
+                <GlassTable.Th align="right">Fetched</GlassTable.Th>
+                <GlassTable.Th align="right">Inserted</GlassTable.Th>
+                <GlassTable.Th align="right">Duplicates</GlassTable.Th>
+                <GlassTable.Th>Trigger</GlassTable.Th>
+                <GlassTable.Th>Error</GlassTable.Th>
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {runs.map((r, idx) => (
+                <GlassTable.Row key={r._id} even={idx % 2 === 1}>
+                  <GlassTable.Td>{formatLastSeen(r.startedAt)}</GlassTable.Td>
+                  <GlassTable.Td>{r.deviceName || r.deviceIp}</GlassTable.Td>
+                  <GlassTable.Td style={{ color: RUN_STATUS_COLORS[r.status], fontWeight: 600 }}>{r.status}</GlassTable.Td>
+                  <GlassTable.Td align="right">{r.fetched}</GlassTable.Td>
+                  <GlassTable.Td align="right">{r.inserted}</GlassTable.Td>
+                  <GlassTable.Td align="right">{r.duplicates}</GlassTable.Td>
+                  <GlassTable.Td>{r.trigger}{r.triggeredBy ? ` · ${r.triggeredBy}` : ''}</GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>{r.error || '—'}</GlassTable.Td>
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+      </GlassCard>
+
+      {toast.text && (
+        <div
+          style={{
+            position: 'fixed',
+            right: 18,
+            bottom: 20,
+            padding: '12px 16px',
+            borderRadius: 12,
+            background: toast.type === 'error' ? 'rgba(248,113,113,0.12)' : 'rgba(16,185,129,0.14)',
+            border: `1px solid ${toast.type === 'error' ? 'rgba(220,38,38,0.6)' : 'rgba(16,185,129,0.7)'}`,
+            color: toast.type === 'error' ? '#b91c1c' : '#065f46',
+            fontSize: 13,
+            zIndex: 50,
+          }}
+        >
+          {toast.text}
+        </div>
+      )}
+
+      {showWarning && (
+        <AutoLogoutWarning
+          timeRemaining={timeRemaining}
+          onStayLoggedIn={handleStayLoggedIn}
+          onLogout={autoLogout}
+        />
+      )}
+    </HrPageShell>
+  );
+}
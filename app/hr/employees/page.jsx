@@ -22,6 +22,7 @@ export default function HrDashboardPage() {
   const canViewEmployees = can("employees");
   const canViewArchived = can("archivedEmployees");
   const canViewShifts = can("shifts");
+  const canViewRosters = can("employeeShifts");
   const canViewPortal = can("portalAccess");
   const canViewDepartments = can("departments");
   const canViewSettings = can("companySettings");
@@ -29,11 +30,26 @@ export default function HrDashboardPage() {
   const canViewDaily = can("dailyAttendance");
   const canViewMonthly = can("monthlyAttendance");
   const canViewSalary = can("salaryReport");
+  const canViewPayrollPeriods = can("payrollPeriods");
   const canViewLeaves = can("leaves");
   const canViewLeavePolicy = can("leavePolicy");
   const canViewComplaints = can("complaints");
   const canViewAssets = can("assets");
-  const canViewAttendanceTab = canViewDaily || canViewMonthly || canViewSalary;
+  const canViewDevices = can("devices");
+  const canViewWebClockRules = can("webClockRules");
+  const canViewOvertime = can("overtime");
+  const canViewHolidays = can("holidays");
+  const canViewAttendanceStatuses = can("attendanceStatuses");
+  const canViewAttendanceTab =
+    canViewDaily ||
+    canViewMonthly ||
+    canViewSalary ||
+    canViewPayrollPeriods ||
+    canViewDevices ||
+    canViewWebClockRules ||
+    canViewOvertime ||
+    canViewHolidays ||
+    canViewAttendanceStatuses;
   const showHrOverviewStats =
     canViewEmployees || canViewDepartments || canViewLeaves || canViewDaily || canViewMonthly;
 
@@ -248,6 +264,10 @@ export default function HrDashboardPage() {
     router.push("/hr/salary-report");
   }
 
+  function openPayrollPeriods() {
+    router.push("/hr/payroll-periods");
+  }
+
   function openMonthlyAttendance() {
     router.push("/hr/attendance/monthly");
   }
@@ -256,6 +276,34 @@ export default function HrDashboardPage() {
     router.push("/hr/dashboard"); // Daily attendance dashboard
   }
 
+  function openDevices() {
+    router.push("/hr/devices");
+  }
+
+  function openWebClockRules() {
+    router.push("/hr/web-clock-rules");
+  }
+
+  function openHolidays() {
+    router.push("/hr/holidays");
+  }
+
+  function openAttendanceStatuses() {
+    router.push("/hr/attendance-statuses");
+  }
+
+  function openPunchCorrections() {
+    router.push("/hr/punch-corrections");
+  }
+
+  function openOvertime() {
+    router.push("/hr/overtime");
+  }
+
+  function openAttendanceProcessing() {
+    router.push("/hr/attendance/processing");
+  }
+
   function openEmployeesManage() {
     router.push("/hr/employees/manage");
   }
@@ -268,6 +316,18 @@ export default function HrDashboardPage() {
     router.push("/hr/shifts");
   }
 
+  function openRosterPatterns() {
+    router.push("/hr/roster-patterns");
+  }
+
+  function openRosterPlanner() {
+    router.push("/hr/roster-planner");
+  }
+
+  function openShiftSwaps() {
+    router.push("/hr/shift-swaps");
+  }
+
   function openDepartmentPolicies() {
     router.push("/hr/departments");
   }
@@ -1084,6 +1144,69 @@ export default function HrDashboardPage() {
                     </svg>
                     Open Shift Management
                   </button>
+                  {canViewRosters && (
+                  <button
+                    type="button"
+                    onClick={openRosterPatterns}
+                    style={{
+                      ...hub.btn("shift"),
+                      background: "transparent",
+                      color: colors.text?.secondary || "#64748b",
+                      border: `1px solid ${colors.border?.default || "#cbd5e1"}`,
+                      boxShadow: "none",
+                    }}
+                    onMouseEnter={(e) => {
+                      e.currentTarget.style.transform = "translateY(-1px)";
+                    }}
+                    onMouseLeave={(e) => {
+                      e.currentTarget.style.transform = "";
+                    }}
+                  >
+                    Roster Patterns
+                  </button>
+                  )}
+                  {canViewRosters && (
+                  <button
+                    type="button"
+                    onClick={openRosterPlanner}
+                    style={{
+                      ...hub.btn("shift"),
+                      background: "transparent",
+                      color: colors.text?.secondary || "#64748b",
+                      border: `1px solid ${colors.border?.default || "#cbd5e1"}`,
+                      boxShadow: "none",
+                    }}
+                    onMouseEnter={(e) => {
+                      e.currentTarget.style.transform = "translateY(-1px)";
+                    }}
+                    onMouseLeave={(e) => {
+                      e.currentTarget.style.transform = "";
+                    }}
+                  >
+                    Roster Planner
+                  </button>
+                  )}
+                  {canViewRosters && (
+                  <button
+                    type="button"
+                    onClick={openShiftSwaps}
+                    style={{
+                      ...hub.btn("shift"),
+                      background: "transparent",
+                      color: colors.text?.secondary || "#64748b",
+                      border: `1px solid ${colors.border?.default || "#cbd5e1"}`,
+                      boxShadow: "none",
+                    }}
+                    onMouseEnter={(e) => {
+                      e.currentTarget.style.transform = "translateY(-1px)";
+                    }}
+                    onMouseLeave={(e) => {
+                      e.currentTarget.style.transform = "";
+                    }}
+                  >
+                    Shift Swaps
+                  </button>
+                  )}
                 </div>
               </div>
               </>
@@ -1609,6 +1732,343 @@ export default function HrDashboardPage() {
                 </button>
               </div>
               )}
+
+              {/* Payroll close card */}
+              {canViewPayrollPeriods && (
+              <div style={tabPanel(theme === 'dark' ? 'rgba(99,102,241,0.55)' : 'rgba(99,102,241,0.28)')}>
+                <div
+                  style={{
+                    fontSize: 15,
+                    fontWeight: 700,
+                    marginBottom: 6,
+                    color: colors.text.primary,
+                  }}
+                >
+                  Payroll Close
+                </div>
+                <p
+                  style={{
+                    fontSize: 12,
+                    color: colors.text.secondary,
+                    marginBottom: 10,
+                  }}
+                >
+                  Review and close a paid month: saves the monthly figures
+                  and locks its attendance, shifts and leaves.
+                </p>
+                <button
+                  type="button"
+                  onClick={openPayrollPeriods}
+                  style={{
+                    padding: "8px 18px",
+                    borderRadius: 999,
+                    border: "none",
+                    background:
+                      "linear-gradient(135deg,#6366f1,#818cf8)",
+                    color: "#ffffff",
+                    fontSize: 13,
+                    fontWeight: 700,
+                    cursor: "pointer",
+                  }}
+                >
+                  Open Payroll Close
+                </button>
+              </div>
+              )}
+
+              {/* Attendance devices card */}
+              {canViewDevices && (
+              <div style={tabPanel(theme === 'dark' ? 'rgba(251,191,36,0.5)' : 'rgba(251,191,36,0.28)')}>
+                <div
+                  style={{
+                    fontSize: 15,
+                    fontWeight: 700,
+                    marginBottom: 6,
+                    color: colors.text.primary,
+                  }}
+                >
+                  Attendance Devices
+                </div>
+                <p
+                  style={{
+                    fontSize: 12,
+                    color: colors.text.secondary,
+                    marginBottom: 10,
+                  }}
+                >
+                  See which terminals are online, when each was last seen,
+                  and which went silent during a shift.
+                </p>
+                <button
+                  type="button"
+                  onClick={openDevices}
+                  style={{
+                    padding: "8px 18px",
+                    borderRadius: 999,
+                    border: "none",
+                    background:
+                      "linear-gradient(135deg,#f59e0b,#fbbf24)",
+                    color: "#422006",
+                    fontSize: 13,
+                    fontWeight: 700,
+                    cursor: "pointer",
+                  }}
+                >
+                  Open Devices
+                </button>
+              </div>
+              )}
+
+              {/* Web clock rules card */}
+              {canViewWebClockRules && (
+              <div style={tabPanel(theme === 'dark' ? 'rgba(45,212,191,0.5)' : 'rgba(45,212,191,0.28)')}>
+                <div
+                  style={{
+                    fontSize: 15,
+                    fontWeight: 700,
+                    marginBottom: 6,
+                    color: colors.text.primary,
+                  }}
+                >
+                  Web Clock Rules
+                </div>
+                <p
+                  style={{
+                    fontSize: 12,
+                    color: colors.text.secondary,
+                    marginBottom: 10,
+                  }}
+                >
+                  Restrict web clock in / out to office networks or
+                  geofenced sites, and review rejected attempts.
+                </p>
+                <button
+                  type="button"
+                  onClick={openWebClockRules}
+                  style={{
+                    padding: "8px 18px",
+                    borderRadius: 999,
+                    border: "none",
+                    background:
+                      "linear-gradient(135deg,#14b8a6,#2dd4bf)",
+                    color: "#042f2e",
+                    fontSize: 13,
+                    fontWeight: 700,
+                    cursor: "pointer",
+                  }}
+                >
+                  Open Web Clock Rules
+                </button>
+              </div>
+              )}
+
+              {/* Holiday calendar card */}
+              {canViewHolidays && (
+              <div style={tabPanel(theme === 'dark' ? 'rgba(96,165,250,0.5)' : 'rgba(96,165,250,0.28)')}>
+                <div
+                  style={{
+                    fontSize: 15,
+                    fontWeight: 700,
+                    marginBottom: 6,
+                    color: colors.text.primary,
+                  }}
+                >
+                  Holiday Calendar
+                </div>
+                <p
+                  style={{
+                    fontSize: 12,
+                    color: colors.text.secondary,
+                    marginBottom: 10,
+                  }}
+                >
+                  Public, religious and company holidays, applied to
+                  daily and monthly attendance as paid off days.
+                </p>
+                <button
+                  type="button"
+                  onClick={openHolidays}
+                  style={{
+                    padding: "8px 18px",
+                    borderRadius: 999,
+                    border: "none",
+                    background:
+                      "linear-gradient(135deg,#3b82f6,#60a5fa)",
+                    color: "#0b1b3a",
+                    fontSize: 13,
+                    fontWeight: 700,
+                    cursor: "pointer",
+                  }}
+                >
+                  Open Holiday Calendar
+                </button>
+              </div>
+              )}
+              {/* Leave & status types card */}
+              {canViewAttendanceStatuses && (
+              <div style={tabPanel(theme === 'dark' ? 'rgba(251,191,36,0.5)' : 'rgba(251,191,36,0.28)')}>
+                <div
+                  style={{
+                    fontSize: 15,
+                    fontWeight: 700,
+                    marginBottom: 6,
+                    color: colors.text.primary,
+                  }}
+                >
+                  Leave &amp; Status Types
+                </div>
+                <p
+                  style={{
+                    fontSize: 12,
+                    color: colors.text.secondary,
+                    marginBottom: 10,
+                  }}
+                >
+                  Attendance statuses and leave types: short codes,
+                  colors, paid or deducted, and new leave types.
+                </p>
+                <button
+                  type="button"
+                  onClick={openAttendanceStatuses}
+                  style={{
+                    padding: "8px 18px",
+                    borderRadius: 999,
+                    border: "none",
+                    background:
+                      "linear-gradient(135deg,#f59e0b,#fbbf24)",
+                    color: "#3b2a05",
+                    fontSize: 13,
+                    fontWeight: 700,
+                    cursor: "pointer",
+                  }}
+                >
+                  Open Leave &amp; Status Types
+                </button>
+              </div>
+              )}
+              {canViewMonthly && (
+              <div style={tabPanel(theme === 'dark' ? 'rgba(244,114,182,0.5)' : 'rgba(244,114,182,0.28)')}>
+                <div
+                  style={{
+                    fontSize: 15,
+                    fontWeight: 700,
+                    marginBottom: 6,
+                    color: colors.text.primary,
+                  }}
+                >
+                  Punch Corrections
+                </div>
+                <p
+                  style={{
+                    fontSize: 12,
+                    color: colors.text.secondary,
+                    marginBottom: 10,
+                  }}
+                >
+                  Review employee requests for missed check-ins and
+                  check-outs, and apply approved times to attendance.
+                </p>
+                <button
+                  type="button"
+                  onClick={openPunchCorrections}
+                  style={{
+                    padding: "8px 18px",
+                    borderRadius: 999,
+                    border: "none",
+                    background:
+                      "linear-gradient(135deg,#ec4899,#f472b6)",
+                    color: "#500724",
+                    fontSize: 13,
+                    fontWeight: 700,
+                    cursor: "pointer",
+                  }}
+                >
+                  Open Punch Corrections
+                </button>
+              </div>
+              )}
+              {canViewOvertime && (
+              <div style={tabPanel(theme === 'dark' ? 'rgba(45,212,191,0.5)' : 'rgba(45,212,191,0.28)')}>
+                <div
+                  style={{
+                    fontSize: 15,
+                    fontWeight: 700,
+                    marginBottom: 6,
+                    color: colors.text.primary,
+                  }}
+                >
+                  Overtime
+                </div>
+                <p
+                  style={{
+                    fontSize: 12,
+                    color: colors.text.secondary,
+                    marginBottom: 10,
+                  }}
+                >
+                  Set overtime rules and multipliers, and approve the
+                  overtime worked each day before it is paid.
+                </p>
+                <button
+                  type="button"
+                  onClick={openOvertime}
+                  style={{
+                    padding: "8px 18px",
+                    borderRadius: 999,
+                    border: "none",
+                    background:
+                      "linear-gradient(135deg,#14b8a6,#2dd4bf)",
+                    color: "#042f2e",
+                    fontSize: 13,
+                    fontWeight: 700,
+                    cursor: "pointer",
+                  }}
+                >
+                  Open Overtime
+                </button>
+              </div>
+              )}
+              {canViewDaily && (
+              <div style={tabPanel(theme === 'dark' ? 'rgba(129,140,248,0.5)' : 'rgba(129,140,248,0.28)')}>
+                <div
+                  style={{
+                    fontSize: 15,
+                    fontWeight: 700,
+                    marginBottom: 6,
+                    color: colors.text.primary,
+                  }}
+                >
+                  Attendance Processing
+                </div>
+                <p
+                  style={{
+                    fontSize: 12,
+                    color: colors.text.secondary,
+                    marginBottom: 10,
+                  }}
+                >
+                  Check that each business day was processed by the
+                  scheduler, and catch up on days that were missed.
+                </p>
+                <button
+                  type="button"
+                  onClick={openAttendanceProcessing}
+                  style={{
+                    padding: "8px 18px",
+                    borderRadius: 999,
+                    border: "none",
+                    background:
+                      "linear-gradient(135deg,#6366f1,#818cf8)",
+                    color: "#1e1b4b",
+                    fontSize: 13,
+                    fontWeight: 700,
+                    cursor: "pointer",
+                  }}
+                >
+                  Open Processing Runs
+                </button>
+              </div>
+              )}
             </div>
           </div>
         )}
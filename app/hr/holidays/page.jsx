@@ -0,0 +1,490 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { signOut } from 'next-auth/react';
+import { useTheme } from '@/lib/theme/ThemeContext';
+import {
+  HrPageShell,
+  HrHeaderActions,
+  GlassCard,
+  GlassTable,
+  GlassInput,
+  GlassButton,
+  getGlossPillStyles,
+} from '@/components/glass';
+import { useAutoLogout } from '@/hooks/useAutoLogout';
+import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
+import { usePermissions } from '@/hooks/usePermissions';
+
+const HOLIDAY_TYPES = [
+  { id: 'public', label: 'Public', status: 'Holiday', color: 'rgba(59,130,246,0.35)' },
+  { id: 'religious', label: 'Religious', status: 'Holiday', color: 'rgba(16,185,129,0.35)' },
+  { id: 'company', label: 'Company', status: 'Holiday', color: 'rgba(245,158,11,0.35)' },
+];
+const TYPE_BY_ID = Object.fromEntries(HOLIDAY_TYPES.map((t) => [t.id, t]));
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const EMPTY_FORM = {
+  name: '',
+  startDate: '',
+  endDate: '',
+  type: 'public',
+  departments: [],
+  recurring: false,
+  isActive: true,
+  notes: '',
+};
+
+function monthCells(year, monthIndex) {
+  const firstDow = new Date(Date.UTC(year, monthIndex, 1)).getUTCDay();
+  const daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  const cells = Array.from({ length: firstDow }, () => null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(`${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+  }
+  return cells;
+}
+
+function formatRange(h) {
+  return h.startDate === h.endDate ? h.startDate : `${h.startDate} → ${h.endDate}`;
+}
+
+export default function HrHolidaysPage() {
+  const { colors } = useTheme();
+  const router = useRouter();
+  const { canCreate, canUpdate, canDelete } = usePermissions('holidays');
+  const { showWarning, timeRemaining, handleStayLoggedIn, handleLogout: autoLogout } = useAutoLogout({
+    inactivityTime: 30 * 60 * 1000,
+    warningTime: 5 * 60 * 1000,
+    enabled: true,
+  });
+
+  const [year, setYear] = useState(() => String(new Date().getFullYear()));
+  const [holidays, setHolidays] = useState([]);
+  const [occurrences, setOccurrences] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [toast, setToast] = useState({ type: '', text: '' });
+
+  function showToast(type, text) {
+    setToast({ type, text });
+    setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 3000);
+  }
+
+  async function loadHolidays(forYear = year) {
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/hr/holidays?year=${forYear}`, { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setHolidays(response.data?.holidays || []);
+        setOccurrences(response.data?.occurrences || []);
+        setDepartments(response.data?.departments || []);
+      } else {
+        showToast('error', response.error || response.message || 'Failed to load holidays');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to load holidays');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadHolidays(year);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [year]);
+
+  function openCreate(date = '') {
+    setEditingId(null);
+    setForm({ ...EMPTY_FORM, startDate: date, endDate: date });
+    setShowForm(true);
+  }
+
+  function openEdit(holiday) {
+    setEditingId(holiday._id);
+    setForm({
+      name: holiday.name,
+      startDate: holiday.startDate,
+      endDate: holiday.endDate,
+      type: holiday.type || 'public',
+      departments: holiday.departments || [],
+      recurring: !!holiday.recurring,
+      isActive: holiday.isActive !== false,
+      notes: holiday.notes || '',
+    });
+    setShowForm(true);
+  }
+
+  function toggleDepartment(name) {
+    setForm((prev) => ({
+      ...prev,
+      departments: prev.departments.includes(name)
+        ? prev.departments.filter((d) => d !== name)
+        : [...prev.departments, name],
+    }));
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await fetch(editingId ? `/api/hr/holidays/${editingId}` : '/api/hr/holidays', {
+        method: editingId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', editingId ? 'Holiday updated' : 'Holiday added');
+        setShowForm(false);
+        loadHolidays();
+      } else {
+        showToast('error', response.error || response.message || 'Failed to save holiday');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to save holiday');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete(holiday) {
+    if (!window.confirm(`Delete "${holiday.name}"? Its days go back to normal working days.`)) return;
+    try {
+      const res = await fetch(`/api/hr/holidays/${holiday._id}`, { method: 'DELETE' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', 'Holiday deleted');
+        loadHolidays();
+      } else {
+        showToast('error', response.error || response.message || 'Failed to delete holiday');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to delete holiday');
+    }
+  }
+
+  const handleLogout = async () => {
+    try {
+      await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
+      router.push('/login?role=hr');
+    } catch (e) {
+      router.push('/login?role=hr');
+    }
+  };
+
+  const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+
+  const headerActions = (
+    <HrHeaderActions>
+      <button type="button" onClick={() => router.push('/hr/attendance/monthly')} style={glossPill('slate')}>
+        Monthly Attendance
+      </button>
+      <button type="button" onClick={() => router.push('/hr/employees')} style={glossPill('neutral')}>
+        Dashboard
+      </button>
+      <button type="button" onClick={handleLogout} style={glossPill('rose')}>
+        <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+        </svg>
+        Logout
+      </button>
+    </HrHeaderActions>
+  );
+
+  const labelStyle = { display: 'block', fontSize: 12, fontWeight: 600, marginBottom: 4, color: colors.text?.primary };
+  const selectStyle = {
+    width: '100%',
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: `1px solid ${colors.border?.default}`,
+    backgroundColor: colors.background?.input,
+    color: colors.text?.primary,
+    fontSize: 13,
+  };
+
+  const holidaysOn = (date) => occurrences.filter((h) => h.startDate <= date && h.endDate >= date);
+  const yearNumber = Number(year);
+
+  return (
+    <HrPageShell subtitle="Holiday Calendar" actions={headerActions}>
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          Holidays are paid off days in daily and monthly attendance: the day reads &quot;Holiday&quot;
+          without HR editing each employee. Punches on a holiday
+          are kept and count as holiday overtime. A holiday can be limited to some departments; recurring
+          holidays repeat on the same date every year. Leaves and days edited by HR keep their status.
+        </p>
+
+        <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', marginBottom: 16 }}>
+          <GlassButton variant="secondary" onClick={() => setYear(String(yearNumber - 1))}>
+            ← {yearNumber - 1}
+          </GlassButton>
+          <span style={{ fontSize: 16, fontWeight: 700, color: colors.text?.primary }}>{year}</span>
+          <GlassButton variant="secondary" onClick={() => setYear(String(yearNumber + 1))}>
+            {yearNumber + 1} →
+          </GlassButton>
+          <GlassButton variant="secondary" onClick={() => loadHolidays()} disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </GlassButton>
+          {canCreate && <GlassButton onClick={() => openCreate()}>Add holiday</GlassButton>}
+          <div style={{ display: 'flex', gap: 10, marginLeft: 'auto', fontSize: 12, color: colors.text?.secondary }}>
+            {HOLIDAY_TYPES.map((t) => (
+              <span key={t.id} style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+                <span style={{ width: 10, height: 10, borderRadius: 3, background: t.color }} />
+                {t.label}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {showForm && (
+          <form
+            onSubmit={handleSave}
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))',
+              gap: 12,
+              padding: 16,
+              marginBottom: 16,
+              borderRadius: 10,
+              border: `1px solid ${colors.border?.default}`,
+            }}
+          >
+            <div>
+              <label style={labelStyle}>Name</label>
+              <GlassInput
+                value={form.name}
+                placeholder="Eid ul Fitr"
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>From</label>
+              <GlassInput
+                type="date"
+                value={form.startDate}
+                onChange={(e) =>
+                  setForm({
+                    ...form,
+                    startDate: e.target.value,
+                    endDate: !form.endDate || form.endDate < e.target.value ? e.target.value : form.endDate,
+                  })
+                }
+                required
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>To</label>
+              <GlassInput
+                type="date"
+                value={form.endDate}
+                min={form.startDate || undefined}
+                onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Type</label>
+              <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })} style={selectStyle}>
+                {HOLIDAY_TYPES.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.label} — marked &quot;{t.status}&quot;
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Departments (none selected = every department)</label>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6 }}>
+                {departments.map((name) => (
+                  <button
+                    key={name}
+                    type="button"
+                    onClick={() => toggleDepartment(name)}
+                    style={glossPill(form.departments.includes(name) ? 'slate' : 'neutral')}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Notes</label>
+              <GlassInput value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: colors.text?.primary }}>
+              <input
+                type="checkbox"
+                checked={form.recurring}
+                onChange={(e) => setForm({ ...form, recurring: e.target.checked })}
+              />
+              Repeats every year on the same date
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: colors.text?.primary }}>
+              <input
+                type="checkbox"
+                checked={form.isActive}
+                onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+              />
+              Active
+            </label>
+            <div style={{ display: 'flex', gap: 8, gridColumn: '1 / -1' }}>
+              <GlassButton type="submit" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Save changes' : 'Add holiday'}
+              </GlassButton>
+              <GlassButton variant="ghost" onClick={() => setShowForm(false)}>
+                Cancel
+              </GlassButton>
+            </div>
+          </form>
+        )}
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(210px, 1fr))', gap: 14 }}>
+          {Array.from({ length: 12 }, (_, monthIndex) => (
+            <div
+              key={monthIndex}
+              style={{ padding: 10, borderRadius: 10, border: `1px solid ${colors.border?.default}` }}
+            >
+              <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 6, color: colors.text?.primary }}>
+                {new Date(Date.UTC(yearNumber, monthIndex, 1)).toLocaleString('en-GB', { month: 'long', timeZone: 'UTC' })}
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: 2, fontSize: 11 }}>
+                {WEEKDAYS.map((d, i) => (
+                  <div key={i} style={{ textAlign: 'center', color: colors.text?.secondary }}>
+                    {d}
+                  </div>
+                ))}
+                {monthCells(yearNumber, monthIndex).map((date, i) => {
+                  if (!date) return <div key={`blank-${i}`} />;
+                  const dayHolidays = holidaysOn(date);
+                  const first = dayHolidays[0];
+                  return (
+                    <div
+                      key={date}
+                      title={dayHolidays
+                        .map((h) => `${h.name}${h.departments?.length ? ` (${h.departments.join(', ')})` : ''}`)
+                        .join('\n')}
+                      onClick={canCreate && !first ? () => openCreate(date) : undefined}
+                      style={{
+                        textAlign: 'center',
+                        padding: '3px 0',
+                        borderRadius: 4,
+                        background: first ? TYPE_BY_ID[first.type]?.color : 'transparent',
+                        fontWeight: first ? 700 : 400,
+                        color: colors.text?.primary,
+                        cursor: canCreate && !first ? 'pointer' : 'default',
+                      }}
+                    >
+                      {Number(date.slice(8))}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      </GlassCard>
+
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <h3 style={{ fontSize: 15, fontWeight: 700, margin: '0 0 12px', color: colors.text?.primary }}>
+          All holidays
+        </h3>
+        {loading && holidays.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>Loading...</div>
+        ) : holidays.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>
+            No holidays yet.
+          </div>
+        ) : (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Holiday</GlassTable.Th>
+                <GlassTable.Th>Dates</GlassTable.Th>
+                <GlassTable.Th>Type</GlassTable.Th>
+                <GlassTable.Th>Departments</GlassTable.Th>
+                {(canUpdate || canDelete) && <GlassTable.Th align="right">Actions</GlassTable.Th>}
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {holidays.map((h, idx) => (
+                <GlassTable.Row key={h._id} even={idx % 2 === 1}>
+                  <GlassTable.Td>
+                    <div style={{ fontWeight: 600 }}>{h.name}</div>
+                    <div style={{ fontSize: 12, color: colors.text?.secondary }}>
+                      {[h.recurring && 'Every year', h.isActive === false && 'inactive', h.notes]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </div>
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>{formatRange(h)}</GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>
+                    {TYPE_BY_ID[h.type]?.label || h.type}
+                    <div style={{ color: colors.text?.secondary }}>{TYPE_BY_ID[h.type]?.status || 'Holiday'}</div>
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>
+                    {(h.departments || []).join(', ') || 'All departments'}
+                  </GlassTable.Td>
+                  {(canUpdate || canDelete) && (
+                    <GlassTable.Td align="right">
+                      <div style={{ display: 'inline-flex', gap: 6 }}>
+                        {canUpdate && (
+                          <GlassButton variant="secondary" onClick={() => openEdit(h)}>
+                            Edit
+                          </GlassButton>
+                        )}
+                        {canDelete && (
+                          <GlassButton variant="ghost" onClick={() => handleDelete(h)}>
+                            Delete
+                          </GlassButton>
+                        )}
+                      </div>
+                    </GlassTable.Td>
+                  )}
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+      </GlassCard>
+
+      {toast.text && (
+        <div
+          style={{
+            position: 'fixed',
+            right: 18,
+            bottom: 20,
+            padding: '12px 16px',
+            borderRadius: 12,
+            background: toast.type === 'error' ? 'rgba(248,113,113,0.12)' : 'rgba(16,185,129,0.14)',
+            border: `1px solid ${toast.type === 'error' ? 'rgba(220,38,38,0.6)' : 'rgba(16,185,129,0.7)'}`,
+            color: toast.type === 'error' ? '#b91c1c' : '#065f46',
+            fontSize: 13,
+            zIndex: 50,
+          }}
+        >
+          {toast.text}
+        </div>
+      )}
+
+      {showWarning && (
+        <AutoLogoutWarning
+          timeRemaining={timeRemaining}
+          onStayLoggedIn={handleStayLoggedIn}
+          onLogout={autoLogout}
+        />
+      )}
+    </HrPageShell>
+  );
+}
@@ -8,8 +8,31 @@ import { HrPageShell, HrHeaderActions, GlassCard, getGlossPillStyles } from '@/c
 import { useAutoLogout } from '@/hooks/useAutoLogout';
 import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
 import { usePermissions } from '@/hooks/usePermissions';
+import PolicyVersionTimeline from '@/components/common/PolicyVersionTimeline';
 
-const DEFAULT_POLICY = { leavesPerQuarter: 6, allowCarryForward: false, carryForwardMax: 0 };
+const PAID_RULE = {
+  leaveType: 'paid',
+  label: 'Paid Leave',
+  accrual: 'quarterly',
+  daysPerYear: 24,
+  proRata: false,
+  probationMonths: 0,
+  carryWithinYear: 'halfYear',
+  carryToNextYear: 0,
+};
+const NEW_RULE = { ...PAID_RULE, leaveType: '', label: '', accrual: 'annual', carryWithinYear: 'year' };
+
+const ACCRUAL_LABELS = { monthly: 'Monthly', quarterly: 'Quarterly', annual: 'Annual (upfront)' };
+const CARRY_LABELS = {
+  none: 'No carry (unused days lapse each period)',
+  halfYear: 'Within Jan–Jun and Jul–Dec',
+  year: 'Until the end of the year',
+};
+
+function summarizeRule(rule) {
+  const carry = rule.carryToNextYear > 0 ? `, up to ${rule.carryToNextYear} into next year` : '';
+  return `${rule.label || rule.leaveType}: ${rule.daysPerYear}/yr ${ACCRUAL_LABELS[rule.accrual]?.toLowerCase() || rule.accrual}${carry}`;
+}
 
 export default function HrLeavePolicyPage() {
   const { colors, theme } = useTheme();
@@ -21,7 +44,10 @@ export default function HrLeavePolicyPage() {
     enabled: true,
   });
 
-  const [policy, setPolicy] = useState(DEFAULT_POLICY);
+  const [rules, setRules] = useState([PAID_RULE]);
+  const [versions, setVersions] = useState([]);
+  // '' = today; a later date schedules the change
+  const [effectiveFrom, setEffectiveFrom] = useState('');
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [toast, setToast] = useState({ type: '', text: '' });
@@ -31,18 +57,27 @@ export default function HrLeavePolicyPage() {
     setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 3000);
   }
 
+  function fillForm(p) {
+    setRules(p?.leaveTypes?.length ? p.leaveTypes.map((rule) => ({ ...rule })) : [PAID_RULE]);
+  }
+
+  function updateRule(index, patch) {
+    setRules((prev) => prev.map((rule, i) => (i === index ? { ...rule, ...patch } : rule)));
+  }
+
+  // Current policy into the form, plus the version timeline
+  function applyResponse(response) {
+    fillForm(response.data?.policy ?? response.policy);
+    setVersions(response.data?.versions || []);
+    setEffectiveFrom('');
+  }
+
   async function loadPolicy() {
     setLoading(true);
     try {
       const res = await fetch('/api/hr/leave-policy', { cache: 'no-store' });
       if (res.ok) {
-        const response = await res.json();
-        const p = response.data?.policy ?? response.policy ?? DEFAULT_POLICY;
-        setPolicy({
-          leavesPerQuarter: p.leavesPerQuarter ?? DEFAULT_POLICY.leavesPerQuarter,
-          allowCarryForward: p.allowCarryForward ?? DEFAULT_POLICY.allowCarryForward,
-          carryForwardMax: p.carryForwardMax ?? DEFAULT_POLICY.carryForwardMax,
-        });
+        applyResponse(await res.json());
       } else {
         showToast('error', 'Failed to load leave policy');
       }
@@ -60,28 +95,25 @@ export default function HrLeavePolicyPage() {
 
   async function handleSave(e) {
     e.preventDefault();
-    const leavesPerQuarter = Math.max(1, Math.min(31, parseInt(String(policy.leavesPerQuarter), 10) || 6));
-    const carryForwardMax = Math.max(0, Math.min(10, parseInt(String(policy.carryForwardMax), 10) || 0));
     setSaving(true);
     try {
       const res = await fetch('/api/hr/leave-policy', {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          leavesPerQuarter,
-          allowCarryForward: policy.allowCarryForward,
-          carryForwardMax: policy.allowCarryForward ? carryForwardMax : 0,
+          leaveTypes: rules.map((rule) => ({
+            ...rule,
+            daysPerYear: Number(rule.daysPerYear) || 0,
+            probationMonths: parseInt(String(rule.probationMonths), 10) || 0,
+            carryToNextYear: Number(rule.carryToNextYear) || 0,
+          })),
+          effectiveFrom: effectiveFrom || undefined,
         }),
       });
       const response = await res.json();
       if (res.ok && response.success) {
-        showToast('success', 'Leave policy updated successfully');
-        const p = response.data?.policy ?? response.policy ?? policy;
-        setPolicy({
-          leavesPerQuarter: p.leavesPerQuarter ?? leavesPerQuarter,
-          allowCarryForward: p.allowCarryForward ?? policy.allowCarryForward,
-          carryForwardMax: p.carryForwardMax ?? carryForwardMax,
-        });
+        showToast('success', response.message || 'Leave policy updated successfully');
+        applyResponse(response);
       } else {
         showToast('error', response.error || response.message || 'Failed to update policy');
       }
@@ -93,6 +125,24 @@ export default function HrLeavePolicyPage() {
     }
   }
 
+  function editVersion(version) {
+    fillForm(version);
+    setEffectiveFrom(version.effectiveFrom);
+  }
+
+  async function deleteVersion(version) {
+    if (!window.confirm(`Delete the leave policy scheduled from ${version.effectiveFrom}?`)) return;
+    try {
+      const res = await fetch(`/api/hr/leave-policy?effectiveFrom=${version.effectiveFrom}`, { method: 'DELETE' });
+      const response = await res.json();
+      if (!res.ok || !response.success) throw new Error(response.error || response.message || 'Failed to delete');
+      showToast('success', response.message || 'Scheduled leave policy deleted');
+      applyResponse(response);
+    } catch (err) {
+      showToast('error', err.message || 'Failed to delete');
+    }
+  }
+
   const handleLogout = async () => {
     try {
       await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
@@ -104,6 +154,25 @@ export default function HrLeavePolicyPage() {
 
   const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
 
+  const fieldLabelStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    fontSize: 12,
+    fontWeight: 600,
+    color: colors.text?.primary,
+  };
+  const inputStyle = {
+    width: '100%',
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: `1px solid ${colors.border?.default}`,
+    background: colors.background?.input ?? colors.background?.card,
+    color: colors.text?.primary,
+    fontSize: 13,
+    opacity: canUpdate ? 1 : 0.7,
+  };
+
   const headerActions = (
     <HrHeaderActions>
       <button type="button" onClick={() => router.push('/hr/leaves')} className="leave-policy-button" style={glossPill('slate')}>
@@ -126,9 +195,9 @@ export default function HrLeavePolicyPage() {
       subtitle="Leave Policy"
       actions={headerActions}
     >
-      <GlassCard style={{ marginTop: 18, maxWidth: 560, marginLeft: 'auto', marginRight: 'auto' }} padding={24}>
+      <GlassCard style={{ marginTop: 18, maxWidth: 720, marginLeft: 'auto', marginRight: 'auto' }} padding={24}>
         <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 20 }}>
-          Configure paid leave rules. Changes apply to new leave marking and to how balances are shown. Existing quarter records keep their allocated value; new quarters use the current policy.
+          Configure how each leave type accrues and carries over. Balances are worked out from the leaves taken, so changes apply to new leave marking and to how balances are shown. Each period is credited under the policy in force on its first day; accrual and carry follow the policy in force on 1 January.
         </p>
         {loading ? (
           <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>
@@ -136,75 +205,168 @@ export default function HrLeavePolicyPage() {
           </div>
         ) : (
           <form onSubmit={handleSave}>
-            <div style={{ marginBottom: 20 }}>
-              <label style={{ display: 'block', fontSize: 13, fontWeight: 600, marginBottom: 8, color: colors.text?.primary }}>
-                Paid leaves per quarter
-              </label>
-              <input
-                type="number"
-                min={1}
-                max={31}
-                value={policy.leavesPerQuarter}
-                disabled={!canUpdate}
-                onChange={(e) => setPolicy({ ...policy, leavesPerQuarter: e.target.value })}
+            {rules.map((rule, index) => (
+              <div
+                key={index}
                 style={{
-                  width: '100%',
-                  maxWidth: 120,
-                  padding: '10px 12px',
-                  borderRadius: 8,
+                  marginBottom: 16,
+                  padding: 16,
+                  borderRadius: 10,
                   border: `1px solid ${colors.border?.default}`,
-                  background: colors.background?.input ?? colors.background?.card,
-                  color: colors.text?.primary,
-                  fontSize: 14,
-                  opacity: canUpdate ? 1 : 0.7,
                 }}
-              />
-              <span style={{ marginLeft: 10, fontSize: 12, color: colors.text?.secondary }}>
-                (1–31). Each quarter (Jan–Mar, Apr–Jun, Jul–Sep, Oct–Dec) gets this many paid leaves. Unused leaves do not carry forward unless enabled below.
-              </span>
-            </div>
+              >
+                <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', marginBottom: 12 }}>
+                  <label style={fieldLabelStyle}>
+                    Leave type key
+                    <input
+                      type="text"
+                      value={rule.leaveType}
+                      placeholder="e.g. annual"
+                      disabled={!canUpdate || rule.leaveType === 'paid'}
+                      onChange={(e) => updateRule(index, { leaveType: e.target.value.trim().toLowerCase() })}
+                      style={{ ...inputStyle, maxWidth: 140 }}
+                    />
+                  </label>
+                  <label style={fieldLabelStyle}>
+                    Label
+                    <input
+                      type="text"
+                      value={rule.label}
+                      disabled={!canUpdate}
+                      onChange={(e) => updateRule(index, { label: e.target.value })}
+                      style={{ ...inputStyle, maxWidth: 180 }}
+                    />
+                  </label>
+                  <label style={fieldLabelStyle}>
+                    Accrual
+                    <select
+                      value={rule.accrual}
+                      disabled={!canUpdate}
+                      onChange={(e) => updateRule(index, { accrual: e.target.value })}
+                      style={{ ...inputStyle, maxWidth: 160 }}
+                    >
+                      {Object.entries(ACCRUAL_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label style={fieldLabelStyle}>
+                    Days per year
+                    <input
+                      type="number"
+                      min={0}
+                      max={366}
+                      step={0.5}
+                      value={rule.daysPerYear}
+                      disabled={!canUpdate}
+                      onChange={(e) => updateRule(index, { daysPerYear: e.target.value })}
+                      style={{ ...inputStyle, maxWidth: 100 }}
+                    />
+                  </label>
+                </div>
 
-            <div style={{ marginBottom: 20 }}>
-              <label style={{ display: 'flex', alignItems: 'center', gap: 10, cursor: canUpdate ? 'pointer' : 'default' }}>
-                <input
-                  type="checkbox"
-                  checked={policy.allowCarryForward}
-                  disabled={!canUpdate}
-                  onChange={(e) => setPolicy({ ...policy, allowCarryForward: e.target.checked })}
-                />
-                <span style={{ fontSize: 13, fontWeight: 600, color: colors.text?.primary }}>
-                  Allow carry-forward of unused leaves to next quarter
-                </span>
-              </label>
-              <span style={{ display: 'block', fontSize: 12, color: colors.text?.secondary, marginTop: 6, marginLeft: 28 }}>
-                If enabled, up to &quot;Max carry-forward&quot; unused leaves can be added to the next quarter. (Carry-forward logic can be extended later.)
-              </span>
-            </div>
+                <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', alignItems: 'flex-end' }}>
+                  <label style={fieldLabelStyle}>
+                    Probation (months)
+                    <input
+                      type="number"
+                      min={0}
+                      max={24}
+                      value={rule.probationMonths}
+                      disabled={!canUpdate}
+                      onChange={(e) => updateRule(index, { probationMonths: e.target.value })}
+                      style={{ ...inputStyle, maxWidth: 100 }}
+                    />
+                  </label>
+                  <label style={fieldLabelStyle}>
+                    Carry within the year
+                    <select
+                      value={rule.carryWithinYear}
+                      disabled={!canUpdate}
+                      onChange={(e) => updateRule(index, { carryWithinYear: e.target.value })}
+                      style={{ ...inputStyle, maxWidth: 240 }}
+                    >
+                      {Object.entries(CARRY_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label style={fieldLabelStyle}>
+                    Carry into next year (max days)
+                    <input
+                      type="number"
+                      min={0}
+                      max={366}
+                      step={0.5}
+                      value={rule.carryToNextYear}
+                      disabled={!canUpdate}
+                      onChange={(e) => updateRule(index, { carryToNextYear: e.target.value })}
+                      style={{ ...inputStyle, maxWidth: 100 }}
+                    />
+                  </label>
+                </div>
+
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginTop: 12 }}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: 10, cursor: canUpdate ? 'pointer' : 'default' }}>
+                    <input
+                      type="checkbox"
+                      checked={!!rule.proRata}
+                      disabled={!canUpdate}
+                      onChange={(e) => updateRule(index, { proRata: e.target.checked })}
+                    />
+                    <span style={{ fontSize: 13, color: colors.text?.primary }}>
+                      Pro-rata for mid-year joiners (from the joining date after probation)
+                    </span>
+                  </label>
+                  {canUpdate && rule.leaveType !== 'paid' && (
+                    <button
+                      type="button"
+                      onClick={() => setRules((prev) => prev.filter((_, i) => i !== index))}
+                      style={{ ...glossPill('rose'), fontSize: 12 }}
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
 
-            {policy.allowCarryForward && (
-              <div style={{ marginBottom: 20, marginLeft: 28 }}>
+            <p style={{ fontSize: 12, color: colors.text?.secondary, marginBottom: 20 }}>
+              The key matches the leave type of a status in Attendance Statuses (Paid Leave uses &quot;paid&quot;).
+              Statuses that use a leave balance without a rule of their own draw from paid leave.
+            </p>
+
+            {canUpdate && (
+              <button
+                type="button"
+                onClick={() => setRules((prev) => [...prev, { ...NEW_RULE }])}
+                style={{ ...glossPill('slate'), marginBottom: 20 }}
+              >
+                Add leave type
+              </button>
+            )}
+
+            {canUpdate && (
+              <div style={{ marginBottom: 20 }}>
                 <label style={{ display: 'block', fontSize: 13, fontWeight: 600, marginBottom: 8, color: colors.text?.primary }}>
-                  Max carry-forward (leaves)
+                  Effective from
                 </label>
                 <input
-                  type="number"
-                  min={0}
-                  max={10}
-                  value={policy.carryForwardMax}
-                  disabled={!canUpdate}
-                  onChange={(e) => setPolicy({ ...policy, carryForwardMax: e.target.value })}
+                  type="date"
+                  value={effectiveFrom}
+                  onChange={(e) => setEffectiveFrom(e.target.value)}
                   style={{
-                    width: '100%',
-                    maxWidth: 80,
                     padding: '10px 12px',
                     borderRadius: 8,
                     border: `1px solid ${colors.border?.default}`,
                     background: colors.background?.input ?? colors.background?.card,
                     color: colors.text?.primary,
                     fontSize: 14,
-                    opacity: canUpdate ? 1 : 0.7,
                   }}
                 />
+                <span style={{ marginLeft: 10, fontSize: 12, color: colors.text?.secondary }}>
+                  Empty = today. A later date schedules the change; saving on the date of a scheduled version edits it.
+                </span>
               </div>
             )}
 
@@ -231,7 +393,7 @@ export default function HrLeavePolicyPage() {
                     opacity: saving ? 0.6 : 1,
                   }}
                 >
-                  {saving ? 'Saving...' : 'Save policy'}
+                  {saving ? 'Saving...' : effectiveFrom ? 'Schedule policy' : 'Save policy'}
                 </button>
               )}
               <button
@@ -254,6 +416,14 @@ export default function HrLeavePolicyPage() {
         )}
       </GlassCard>
 
+      <PolicyVersionTimeline
+        versions={versions}
+        canUpdate={canUpdate}
+        onEdit={editVersion}
+        onDelete={deleteVersion}
+        summarize={(v) => (v.leaveTypes || []).map(summarizeRule).join(' · ')}
+      />
+
       {toast.text && (
         <div
           style={{
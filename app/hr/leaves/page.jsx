@@ -22,7 +22,8 @@ function getActiveQuarterKey(selectedYear) {
 }
 
 function getYearTotals(leave, leavesPerQuarter) {
-  const entitlement = leavesPerQuarter * 4;
+  // Credited this year plus carry from last year (pro-rata / probation aware), from the API
+  const entitlement = leave.entitlement ?? leavesPerQuarter * 4;
   const taken =
     (leave.q1?.taken || 0) +
     (leave.q2?.taken || 0) +
@@ -75,6 +76,8 @@ export default function HrLeavesPage() {
   const [year, setYear] = useState(new Date().getFullYear());
   const [paidLeaves, setPaidLeaves] = useState([]);
   const [leavesPerQuarter, setLeavesPerQuarter] = useState(6);
+  const [leaveType, setLeaveType] = useState('paid');
+  const [leaveTypes, setLeaveTypes] = useState([]); // leave types with a rule in the Leave Policy
   const [loading, setLoading] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [balanceFilter, setBalanceFilter] = useState('all'); // all | low | exhausted | none_taken
@@ -99,7 +102,7 @@ export default function HrLeavesPage() {
   async function loadLeaves() {
     setLoading(true);
     try {
-      const res = await fetch(`/api/hr/leaves?year=${year}`, { cache: 'no-store' });
+      const res = await fetch(`/api/hr/leaves?year=${year}&leaveType=${encodeURIComponent(leaveType)}`, { cache: 'no-store' });
       if (res.ok) {
         const response = await res.json();
         if (response.success) {
@@ -107,6 +110,7 @@ export default function HrLeavesPage() {
           if (response.data?.leavesPerQuarter != null) {
             setLeavesPerQuarter(response.data.leavesPerQuarter);
           }
+          setLeaveTypes(response.data?.leaveTypes || []);
         } else {
           showToast('error', response.error || 'Failed to load leaves');
         }
@@ -123,7 +127,7 @@ export default function HrLeavesPage() {
 
   useEffect(() => {
     loadLeaves();
-  }, [year]);
+  }, [year, leaveType]);
 
   // Refetch when user returns to this tab (e.g. after changing leave on monthly sheet) so both pages stay in sync
   useEffect(() => {
@@ -132,7 +136,7 @@ export default function HrLeavesPage() {
     };
     document.addEventListener('visibilitychange', onVisibilityChange);
     return () => document.removeEventListener('visibilitychange', onVisibilityChange);
-  }, [year]);
+  }, [year, leaveType]);
 
   async function handleMarkLeave() {
     if (!markLeaveData.empCode || !markLeaveData.date) {
@@ -147,6 +151,7 @@ export default function HrLeavesPage() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           ...markLeaveData,
+          leaveType,
           markedBy: 'HR',
         }),
       });
@@ -407,6 +412,7 @@ export default function HrLeavesPage() {
   };
 
   const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+  const leaveTypeLabel = leaveTypes.find((t) => t.leaveType === leaveType)?.label || 'Paid Leave';
 
   const headerActions = (
     <HrHeaderActions>
@@ -427,7 +433,7 @@ export default function HrLeavesPage() {
 
   return (
     <HrPageShell
-      subtitle="Paid Leave Management"
+      subtitle="Leave Management"
       actions={headerActions}
     >
       <GlassCard style={{ marginTop: 18 }} padding={20}>
@@ -462,6 +468,25 @@ export default function HrLeavesPage() {
               </option>
             ))}
           </select>
+          <label style={{ fontSize: 13, color: colors.text.secondary, whiteSpace: 'nowrap' }}>Leave type:</label>
+          <select
+            value={leaveType}
+            onChange={(e) => setLeaveType(e.target.value)}
+            style={{
+              padding: '8px 12px',
+              borderRadius: 8,
+              border: `1px solid ${colors.border.default}`,
+              background: colors.background.input,
+              color: colors.text.primary,
+              fontSize: 13,
+            }}
+          >
+            {(leaveTypes.length ? leaveTypes : [{ leaveType: 'paid', label: 'Paid Leave' }]).map((t) => (
+              <option key={t.leaveType} value={t.leaveType}>
+                {t.label || t.leaveType}
+              </option>
+            ))}
+          </select>
           <input
             type="text"
             placeholder="Search by employee code, name, or department..."
@@ -892,7 +917,7 @@ export default function HrLeavesPage() {
             onClick={(e) => e.stopPropagation()}
           >
             <h2 style={{ fontSize: 18, fontWeight: 600, marginBottom: 20, color: colors.text.primary }}>
-              Mark Paid Leave (policy: paid leaves per quarter set in Leave Policy)
+              Mark {leaveTypeLabel} (accrual rules set in Leave Policy)
             </h2>
             <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
               <div>
@@ -0,0 +1,405 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { signOut } from 'next-auth/react';
+import { useTheme } from '@/lib/theme/ThemeContext';
+import {
+  HrPageShell,
+  HrHeaderActions,
+  GlassCard,
+  GlassTable,
+  GlassInput,
+  GlassButton,
+  getGlossPillStyles,
+} from '@/components/glass';
+import { useAutoLogout } from '@/hooks/useAutoLogout';
+import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
+import { usePermissions } from '@/hooks/usePermissions';
+
+const STATUS_FILTERS = [
+  { id: 'pending', label: 'Pending' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'rejected', label: 'Rejected' },
+  { id: 'all', label: 'All' },
+];
+const DAY_TYPE_LABELS = { weekday: 'Working day', offDay: 'Off day', holiday: 'Holiday' };
+const RULE_FIELDS = [
+  { key: 'minOvertimeMinutes', label: 'Minimum OT (minutes)', hint: 'Shorter overtime is ignored', step: 1 },
+  { key: 'roundingMinutes', label: 'Round to (minutes)', hint: '0 = no rounding', step: 1 },
+  { key: 'weekdayMultiplier', label: 'Working day multiplier', hint: '× hourly rate', step: 0.25 },
+  { key: 'offDayMultiplier', label: 'Off day multiplier', hint: '× hourly rate', step: 0.25 },
+  { key: 'holidayMultiplier', label: 'Holiday multiplier', hint: '× hourly rate', step: 0.25 },
+  { key: 'monthlyCapHours', label: 'Monthly cap (hours)', hint: '0 = no cap', step: 1 },
+];
+
+function currentMonth() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function formatTime(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+}
+
+function formatMinutes(minutes) {
+  const m = Number(minutes) || 0;
+  const h = Math.floor(m / 60);
+  return h > 0 ? `${h}h ${String(m % 60).padStart(2, '0')}m` : `${m}m`;
+}
+
+export default function HrOvertimePage() {
+  const { colors } = useTheme();
+  const router = useRouter();
+  const { canUpdate } = usePermissions('overtime');
+  const { showWarning, timeRemaining, handleStayLoggedIn, handleLogout: autoLogout } = useAutoLogout({
+    inactivityTime: 30 * 60 * 1000,
+    warningTime: 5 * 60 * 1000,
+    enabled: true,
+  });
+
+  const [rules, setRules] = useState(null);
+  const [savingRules, setSavingRules] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [month, setMonth] = useState(currentMonth());
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [minutesById, setMinutesById] = useState({});
+  const [notes, setNotes] = useState({});
+  const [toast, setToast] = useState({ type: '', text: '' });
+
+  function showToast(type, text) {
+    setToast({ type, text });
+    setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 3000);
+  }
+
+  async function loadRules() {
+    try {
+      const res = await fetch('/api/hr/overtime-rules', { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setRules(response.data?.rules || null);
+      } else {
+        showToast('error', response.error || response.message || 'Failed to load overtime rules');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to load overtime rules');
+    }
+  }
+
+  async function loadRows(status = statusFilter, forMonth = month) {
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/hr/overtime?status=${status}&month=${forMonth}`, { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setRows(response.data?.rows || []);
+      } else {
+        showToast('error', response.error || response.message || 'Failed to load overtime');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to load overtime');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadRules();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    loadRows(statusFilter, month);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [statusFilter, month]);
+
+  async function handleSaveRules(e) {
+    e.preventDefault();
+    setSavingRules(true);
+    try {
+      const res = await fetch('/api/hr/overtime-rules', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(rules),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setRules(response.data?.rules || rules);
+        showToast('success', 'Overtime rules saved. Reprocess days to apply them to past punches.');
+      } else {
+        showToast('error', response.error || response.message || 'Failed to save overtime rules');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to save overtime rules');
+    } finally {
+      setSavingRules(false);
+    }
+  }
+
+  async function handleReview(row, action) {
+    setBusyId(row._id);
+    try {
+      const res = await fetch(`/api/hr/overtime/${row._id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, minutes: minutesById[row._id], note: notes[row._id] || '' }),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', action === 'approve' ? 'Overtime approved' : 'Overtime rejected');
+        loadRows();
+      } else {
+        showToast('error', response.error || response.message || 'Failed to review overtime');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to review overtime');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  const handleLogout = async () => {
+    try {
+      await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
+      router.push('/login?role=hr');
+    } catch (e) {
+      router.push('/login?role=hr');
+    }
+  };
+
+  const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+
+  const headerActions = (
+    <HrHeaderActions>
+      <button type="button" onClick={() => router.push('/hr/attendance/monthly')} style={glossPill('slate')}>
+        Monthly Attendance
+      </button>
+      <button type="button" onClick={() => router.push('/hr/employees')} style={glossPill('neutral')}>
+        Dashboard
+      </button>
+      <button type="button" onClick={handleLogout} style={glossPill('rose')}>
+        <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+        </svg>
+        Logout
+      </button>
+    </HrHeaderActions>
+  );
+
+  const showActions = canUpdate && statusFilter === 'pending';
+  const labelStyle = { display: 'block', fontSize: 13, fontWeight: 600, marginBottom: 6, color: colors.text?.primary };
+  const hintStyle = { display: 'block', fontSize: 11, color: colors.text?.secondary, marginTop: 4 };
+
+  return (
+    <HrPageShell subtitle="Overtime" actions={headerActions}>
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <h3 style={{ fontSize: 15, fontWeight: 700, marginBottom: 6, color: colors.text?.primary }}>Overtime rules</h3>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          Working days: minutes punched out after the shift end. Off days and holidays: all worked minutes.
+          Approved overtime is paid at the hourly rate (per-day salary ÷ paid hours) × multiplier and added to net salary.
+        </p>
+        {!rules ? (
+          <div style={{ padding: '12px 0', color: colors.text?.secondary }}>Loading...</div>
+        ) : (
+          <form onSubmit={handleSaveRules}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 16, cursor: canUpdate ? 'pointer' : 'default' }}>
+              <input
+                type="checkbox"
+                checked={rules.enabled !== false}
+                disabled={!canUpdate}
+                onChange={(e) => setRules({ ...rules, enabled: e.target.checked })}
+              />
+              <span style={{ fontSize: 13, fontWeight: 600, color: colors.text?.primary }}>Calculate overtime from punches</span>
+            </label>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: 16 }}>
+              {RULE_FIELDS.map((f) => (
+                <div key={f.key}>
+                  <label style={labelStyle}>{f.label}</label>
+                  <GlassInput
+                    type="number"
+                    min={0}
+                    step={f.step}
+                    value={rules[f.key] ?? ''}
+                    disabled={!canUpdate}
+                    onChange={(e) => setRules({ ...rules, [f.key]: e.target.value })}
+                  />
+                  <span style={hintStyle}>{f.hint}</span>
+                </div>
+              ))}
+              <div>
+                <label style={labelStyle}>Rounding</label>
+                <GlassInput
+                  asSelect
+                  value={rules.roundingMode || 'down'}
+                  disabled={!canUpdate}
+                  onChange={(e) => setRules({ ...rules, roundingMode: e.target.value })}
+                >
+                  <option value="down">Round down</option>
+                  <option value="nearest">Round to nearest</option>
+                  <option value="up">Round up</option>
+                </GlassInput>
+              </div>
+            </div>
+            {canUpdate ? (
+              <div style={{ marginTop: 18 }}>
+                <GlassButton type="submit" disabled={savingRules}>
+                  {savingRules ? 'Saving...' : 'Save rules'}
+                </GlassButton>
+              </div>
+            ) : (
+              <p style={{ fontSize: 13, color: '#94a3b8', marginTop: 12 }}>View only — you cannot change this module.</p>
+            )}
+          </form>
+        )}
+      </GlassCard>
+
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          Daily processing computes overtime per attendance day. Only approved minutes are paid; you can approve fewer
+          minutes than computed. If the punches change later, the day returns to pending.
+        </p>
+
+        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center', marginBottom: 16 }}>
+          <GlassInput type="month" value={month} onChange={(e) => setMonth(e.target.value)} style={{ maxWidth: 170 }} />
+          {STATUS_FILTERS.map((f) => (
+            <button
+              key={f.id}
+              type="button"
+              onClick={() => setStatusFilter(f.id)}
+              style={glossPill(statusFilter === f.id ? 'slate' : 'neutral')}
+            >
+              {f.label}
+            </button>
+          ))}
+          <GlassButton variant="secondary" onClick={() => loadRows()} disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </GlassButton>
+        </div>
+
+        {loading && rows.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>Loading...</div>
+        ) : rows.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>
+            No {statusFilter === 'all' ? '' : statusFilter} overtime for this month.
+          </div>
+        ) : (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Employee</GlassTable.Th>
+                <GlassTable.Th>Day</GlassTable.Th>
+                <GlassTable.Th>Punches</GlassTable.Th>
+                <GlassTable.Th>Overtime</GlassTable.Th>
+                <GlassTable.Th>{showActions ? 'Approve / note' : 'Review'}</GlassTable.Th>
+                {showActions && <GlassTable.Th align="right">Actions</GlassTable.Th>}
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {rows.map((r, idx) => (
+                <GlassTable.Row key={r._id} even={idx % 2 === 1}>
+                  <GlassTable.Td>
+                    <div style={{ fontWeight: 600 }}>{r.employeeName || r.empCode}</div>
+                    <div style={{ fontSize: 12, color: colors.text?.secondary }}>
+                      {r.empCode}
+                      {r.department ? ` · ${r.department}` : ''}
+                    </div>
+                  </GlassTable.Td>
+                  <GlassTable.Td>
+                    {r.date}
+                    <div style={{ fontSize: 12, color: colors.text?.secondary }}>
+                      {r.shift || 'No shift'} · {DAY_TYPE_LABELS[r.overtimeDayType] || 'Working day'}
+                    </div>
+                  </GlassTable.Td>
+                  <GlassTable.Td>
+                    {formatTime(r.checkIn)} – {formatTime(r.checkOut)}
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontWeight: 600 }}>{formatMinutes(r.overtimeMinutes)}</GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>
+                    {showActions ? (
+                      <div style={{ display: 'flex', gap: 6 }}>
+                        <GlassInput
+                          type="number"
+                          min={1}
+                          max={r.overtimeMinutes}
+                          value={minutesById[r._id] ?? r.overtimeMinutes}
+                          onChange={(e) => setMinutesById((prev) => ({ ...prev, [r._id]: e.target.value }))}
+                          style={{ maxWidth: 90 }}
+                        />
+                        <GlassInput
+                          value={notes[r._id] || ''}
+                          placeholder="Optional note"
+                          onChange={(e) => setNotes((prev) => ({ ...prev, [r._id]: e.target.value }))}
+                        />
+                      </div>
+                    ) : (
+                      <>
+                        <div style={{ fontWeight: 600, textTransform: 'capitalize' }}>
+                          {r.overtimeStatus}
+                          {r.overtimeStatus === 'approved' && ` · ${formatMinutes(r.overtimeApprovedMinutes)}`}
+                        </div>
+                        {r.overtimeReviewedBy && (
+                          <div style={{ color: colors.text?.secondary }}>{r.overtimeReviewedBy}</div>
+                        )}
+                        {r.overtimeNote && <div>{r.overtimeNote}</div>}
+                      </>
+                    )}
+                  </GlassTable.Td>
+                  {showActions && (
+                    <GlassTable.Td align="right">
+                      <div style={{ display: 'inline-flex', gap: 6 }}>
+                        <GlassButton onClick={() => handleReview(r, 'approve')} disabled={busyId === r._id}>
+                          Approve
+                        </GlassButton>
+                        <GlassButton
+                          variant="ghost"
+                          onClick={() => handleReview(r, 'reject')}
+                          disabled={busyId === r._id}
+                        >
+                          Reject
+                        </GlassButton>
+                      </div>
+                    </GlassTable.Td>
+                  )}
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+      </GlassCard>
+
+      {toast.text && (
+        <div
+          style={{
+            position: 'fixed',
+            right: 18,
+            bottom: 20,
+            padding: '12px 16px',
+            borderRadius: 12,
+            background: toast.type === 'error' ? 'rgba(248,113,113,0.12)' : 'rgba(16,185,129,0.14)',
+            border: `1px solid ${toast.type === 'error' ? 'rgba(220,38,38,0.6)' : 'rgba(16,185,129,0.7)'}`,
+            color: toast.type === 'error' ? '#b91c1c' : '#065f46',
+            fontSize: 13,
+            zIndex: 50,
+          }}
+        >
+          {toast.text}
+        </div>
+      )}
+
+      {showWarning && (
+        <AutoLogoutWarning
+          timeRemaining={timeRemaining}
+          onStayLoggedIn={handleStayLoggedIn}
+          onLogout={autoLogout}
+        />
+      )}
+    </HrPageShell>
+  );
+}
@@ -0,0 +1,390 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { signOut } from 'next-auth/react';
+import { useTheme } from '@/lib/theme/ThemeContext';
+import {
+  HrPageShell,
+  HrHeaderActions,
+  GlassCard,
+  GlassTable,
+  GlassInput,
+  GlassButton,
+  getGlossPillStyles,
+} from '@/components/glass';
+import { useAutoLogout } from '@/hooks/useAutoLogout';
+import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
+import { usePermissions } from '@/hooks/usePermissions';
+
+const STATUS_STYLES = {
+  open: { label: 'Open', color: '#15803d', bg: '#dcfce7' },
+  underReview: { label: 'Under review', color: '#b45309', bg: '#fef3c7' },
+  closed: { label: 'Closed', color: '#1d4ed8', bg: '#dbeafe' },
+};
+
+function previousMonth() {
+  const d = new Date();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() - 1);
+  return d.toISOString().slice(0, 7);
+}
+
+function formatCurrency(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return '-';
+  return num.toLocaleString('en-PK', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+}
+
+function formatWhen(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+function StatusBadge({ status }) {
+  const style = STATUS_STYLES[status] || STATUS_STYLES.open;
+  return (
+    <span
+      style={{
+        padding: '2px 8px',
+        borderRadius: 999,
+        fontSize: 11,
+        fontWeight: 600,
+        color: style.color,
+        background: style.bg,
+      }}
+    >
+      {style.label}
+    </span>
+  );
+}
+
+export default function HrPayrollPeriodsPage() {
+  const { colors } = useTheme();
+  const router = useRouter();
+  const { canUpdate, session } = usePermissions('payrollPeriods');
+  const isAdmin = String(session?.user?.role || '').toUpperCase() === 'ADMIN';
+  const { showWarning, timeRemaining, handleStayLoggedIn, handleLogout: autoLogout } = useAutoLogout({
+    inactivityTime: 30 * 60 * 1000,
+    warningTime: 5 * 60 * 1000,
+    enabled: true,
+  });
+
+  const [periods, setPeriods] = useState([]);
+  const [month, setMonth] = useState(previousMonth);
+  const [period, setPeriod] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [toast, setToast] = useState({ type: '', text: '' });
+
+  function showToast(type, text) {
+    setToast({ type, text });
+    setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 3000);
+  }
+
+  async function loadPeriods() {
+    try {
+      const res = await fetch('/api/hr/payroll-periods', { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setPeriods(response.data?.periods || []);
+      } else {
+        showToast('error', response.error || response.message || 'Failed to load payroll months');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to load payroll months');
+    }
+  }
+
+  async function loadPeriod(ym = month) {
+    if (!/^\d{4}-\d{2}$/.test(ym)) return;
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/hr/payroll-periods/${ym}`, { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setPeriod(response.data?.period || null);
+        setNotes(response.data?.period?.notes || '');
+      } else {
+        showToast('error', response.error || response.message || 'Failed to load payroll month');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to load payroll month');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadPeriods();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    loadPeriod(month);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [month]);
+
+  async function handleAction(action) {
+    let reason = '';
+    if (action === 'close') {
+      const ok = window.confirm(
+        `Close payroll for ${month}? The monthly figures are saved and attendance, shifts and leaves of the month are locked.`
+      );
+      if (!ok) return;
+    }
+    if (action === 'reopen') {
+      reason = (window.prompt(`Why is payroll for ${month} being reopened?`) || '').trim();
+      if (!reason) return;
+    }
+
+    setBusy(true);
+    try {
+      const res = await fetch(`/api/hr/payroll-periods/${month}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, notes, reason }),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', response.message || 'Payroll month updated');
+        loadPeriod();
+        loadPeriods();
+      } else {
+        showToast('error', response.error || response.message || 'Failed to update payroll month');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to update payroll month');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const handleLogout = async () => {
+    try {
+      await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
+      router.push('/login?role=hr');
+    } catch (e) {
+      router.push('/login?role=hr');
+    }
+  };
+
+  const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+
+  const headerActions = (
+    <HrHeaderActions>
+      <button type="button" onClick={() => router.push('/hr/salary-report')} style={glossPill('slate')}>
+        Salary Report
+      </button>
+      <button type="button" onClick={() => router.push('/hr/employees')} style={glossPill('neutral')}>
+        Dashboard
+      </button>
+      <button type="button" onClick={handleLogout} style={glossPill('rose')}>
+        <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+        </svg>
+        Logout
+      </button>
+    </HrHeaderActions>
+  );
+
+  const status = period?.status || 'open';
+  const snapshot = period?.snapshot || [];
+  const totals = period?.snapshotTotals;
+
+  return (
+    <HrPageShell subtitle="Payroll Close" actions={headerActions}>
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          Put a month under review while salaries are checked, then close it once they are paid. Closing saves
+          each employee&apos;s monthly figures and locks the month: attendance edits, bulk marking, leaves, shift
+          changes and daily reprocessing for its days are rejected. Only an admin can reopen a closed month, with a
+          reason that is kept in the audit log.
+        </p>
+
+        <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: 16 }}>
+          <div>
+            <div style={{ fontSize: 12, color: colors.text?.secondary, marginBottom: 4 }}>Month</div>
+            <GlassInput type="month" value={month} onChange={(e) => setMonth(e.target.value)} />
+          </div>
+          <div style={{ flex: 1, minWidth: 220 }}>
+            <div style={{ fontSize: 12, color: colors.text?.secondary, marginBottom: 4 }}>Notes</div>
+            <GlassInput
+              value={notes}
+              placeholder="e.g. Salaries paid on the 5th"
+              onChange={(e) => setNotes(e.target.value)}
+              disabled={!canUpdate}
+            />
+          </div>
+          <div style={{ paddingBottom: 6 }}>
+            <StatusBadge status={status} />
+          </div>
+          {canUpdate && (
+            <div style={{ display: 'inline-flex', gap: 6 }}>
+              {status === 'open' && (
+                <GlassButton onClick={() => handleAction('review')} disabled={busy || loading}>
+                  Start review
+                </GlassButton>
+              )}
+              {status === 'underReview' && (
+                <>
+                  <GlassButton onClick={() => handleAction('close')} disabled={busy || loading}>
+                    {busy ? 'Closing...' : 'Close month'}
+                  </GlassButton>
+                  <GlassButton variant="ghost" onClick={() => handleAction('open')} disabled={busy || loading}>
+                    Back to open
+                  </GlassButton>
+                </>
+              )}
+              {status === 'closed' && isAdmin && (
+                <GlassButton variant="secondary" onClick={() => handleAction('reopen')} disabled={busy || loading}>
+                  Reopen
+                </GlassButton>
+              )}
+            </div>
+          )}
+        </div>
+
+        {period?.closedAt && (
+          <div style={{ fontSize: 12, color: colors.text?.secondary, marginBottom: 12 }}>
+            {status === 'closed' ? 'Closed' : 'Last closed'} by {period.closedBy || '-'} on {formatWhen(period.closedAt)}
+            {totals
+              ? ` · ${totals.employees} employee(s) · gross ${formatCurrency(totals.monthlySalary)} · deductions ${formatCurrency(totals.salaryDeductAmount)} · overtime ${formatCurrency(totals.overtimeAmount)} · net ${formatCurrency(totals.netSalary)}`
+              : ''}
+          </div>
+        )}
+
+        {period?.reopenings?.length > 0 && (
+          <div style={{ fontSize: 12, marginBottom: 12 }}>
+            {period.reopenings.map((r, idx) => (
+              <div key={idx} style={{ color: colors.text?.secondary }}>
+                Reopened by {r.reopenedBy || '-'} on {formatWhen(r.reopenedAt)}: {r.reason}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {loading ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>Loading...</div>
+        ) : snapshot.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>
+            No snapshot yet. The figures are saved when the month is closed.
+          </div>
+        ) : (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Employee</GlassTable.Th>
+                <GlassTable.Th>Department</GlassTable.Th>
+                <GlassTable.Th align="right">Gross</GlassTable.Th>
+                <GlassTable.Th align="right">Deduction days</GlassTable.Th>
+                <GlassTable.Th align="right">Deductions</GlassTable.Th>
+                <GlassTable.Th align="right">Overtime</GlassTable.Th>
+                <GlassTable.Th align="right">Net</GlassTable.Th>
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {snapshot.map((row, idx) => (
+                <GlassTable.Row key={row.empCode} even={idx % 2 === 1}>
+                  <GlassTable.Td>
+                    <div style={{ fontWeight: 600 }}>{row.name || row.empCode}</div>
+                    <div style={{ fontSize: 12, color: colors.text?.secondary }}>{row.empCode}</div>
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>{row.department || '—'}</GlassTable.Td>
+                  <GlassTable.Td align="right">{formatCurrency(row.monthlySalary)}</GlassTable.Td>
+                  <GlassTable.Td align="right">{Number(row.salaryDeductDays || 0).toFixed(2)}</GlassTable.Td>
+                  <GlassTable.Td align="right">{formatCurrency(row.salaryDeductAmount)}</GlassTable.Td>
+                  <GlassTable.Td align="right">{formatCurrency(row.overtimeAmount)}</GlassTable.Td>
+                  <GlassTable.Td align="right" style={{ fontWeight: 600 }}>
+                    {formatCurrency(row.netSalary)}
+                  </GlassTable.Td>
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+      </GlassCard>
+
+      {periods.length > 0 && (
+        <GlassCard style={{ marginTop: 18 }} padding={24}>
+          <h3 style={{ fontSize: 15, fontWeight: 700, margin: '0 0 12px', color: colors.text?.primary }}>
+            Payroll months
+          </h3>
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Month</GlassTable.Th>
+                <GlassTable.Th>Status</GlassTable.Th>
+                <GlassTable.Th>Closed</GlassTable.Th>
+                <GlassTable.Th align="right">Net</GlassTable.Th>
+                <GlassTable.Th align="right">Reopened</GlassTable.Th>
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {periods.map((p, idx) => (
+                <GlassTable.Row key={p.month} even={idx % 2 === 1}>
+                  <GlassTable.Td>
+                    <button
+                      type="button"
+                      onClick={() => setMonth(p.month)}
+                      style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', fontWeight: 600, color: colors.text?.primary }}
+                    >
+                      {p.month}
+                    </button>
+                  </GlassTable.Td>
+                  <GlassTable.Td>
+                    <StatusBadge status={p.status} />
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12, color: colors.text?.secondary }}>
+                    {p.closedAt ? `${p.closedBy || '-'} · ${formatWhen(p.closedAt)}` : '-'}
+                  </GlassTable.Td>
+                  <GlassTable.Td align="right">
+                    {p.snapshotTotals?.employees ? formatCurrency(p.snapshotTotals.netSalary) : '-'}
+                  </GlassTable.Td>
+                  <GlassTable.Td align="right">{p.reopenings?.length || 0}</GlassTable.Td>
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        </GlassCard>
+      )}
+
+      {toast.text && (
+        <div
+          style={{
+            position: 'fixed',
+            right: 18,
+            bottom: 20,
+            padding: '12px 16px',
+            borderRadius: 12,
+            background: toast.type === 'error' ? 'rgba(248,113,113,0.12)' : 'rgba(16,185,129,0.14)',
+            border: `1px solid ${toast.type === 'error' ? 'rgba(220,38,38,0.6)' : 'rgba(16,185,129,0.7)'}`,
+            color: toast.type === 'error' ? '#b91c1c' : '#065f46',
+            fontSize: 13,
+            zIndex: 50,
+          }}
+        >
+          {toast.text}
+        </div>
+      )}
+
+      {showWarning && (
+        <AutoLogoutWarning
+          timeRemaining={timeRemaining}
+          onStayLoggedIn={handleStayLoggedIn}
+          onLogout={autoLogout}
+        />
+      )}
+    </HrPageShell>
+  );
+}
@@ -0,0 +1,476 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { signOut } from 'next-auth/react';
+import { useTheme } from '@/lib/theme/ThemeContext';
+import {
+  HrPageShell,
+  HrHeaderActions,
+  GlassCard,
+  GlassTable,
+  GlassInput,
+  GlassButton,
+  getGlossPillStyles,
+} from '@/components/glass';
+import { useAutoLogout } from '@/hooks/useAutoLogout';
+import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
+import { usePermissions } from '@/hooks/usePermissions';
+
+/** Fields a column can be mapped to. Either dateTime, or date + time, is required. */
+const IMPORT_FIELDS = [
+  { key: 'empCode', label: 'Employee ID', required: true },
+  { key: 'dateTime', label: 'Date & time' },
+  { key: 'date', label: 'Date (separate column)' },
+  { key: 'time', label: 'Time (separate column)' },
+  { key: 'name', label: 'Name (preview only)' },
+  { key: 'cardNo', label: 'Card No' },
+  { key: 'serialNo', label: 'Serial No' },
+  { key: 'verifyMode', label: 'Verify mode' },
+  { key: 'attendanceStatus', label: 'Attendance status' },
+  { key: 'minor', label: 'Event minor code' },
+];
+
+const FLAG_LABELS = {
+  invalid: { text: 'Invalid', color: '#ef4444' },
+  unknownEmp: { text: 'Unknown employee', color: '#f59e0b' },
+  duplicateExisting: { text: 'Already stored', color: '#94a3b8' },
+  duplicateInFile: { text: 'Duplicate in file', color: '#94a3b8' },
+};
+
+function formatDateTime(value) {
+  if (!value) return '-';
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return '-';
+  return d.toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+}
+
+export default function HrPunchImportPage() {
+  const { colors } = useTheme();
+  const router = useRouter();
+  const { canCreate, canDelete } = usePermissions('devices');
+  const { showWarning, timeRemaining, handleStayLoggedIn, handleLogout: autoLogout } = useAutoLogout({
+    inactivityTime: 30 * 60 * 1000,
+    warningTime: 5 * 60 * 1000,
+    enabled: true,
+  });
+
+  const [devices, setDevices] = useState([]);
+  const [deviceIp, setDeviceIp] = useState('');
+  const [timezone, setTimezone] = useState('');
+  const [file, setFile] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [includeUnknown, setIncludeUnknown] = useState(false);
+  const [busy, setBusy] = useState('');
+  const [imports, setImports] = useState([]);
+  const [toast, setToast] = useState({ type: '', text: '' });
+
+  function showToast(type, text) {
+    setToast({ type, text });
+    setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 4000);
+  }
+
+  async function loadDevices() {
+    try {
+      const res = await fetch('/api/hr/devices', { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) setDevices(response.data?.devices || []);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  async function loadImports() {
+    try {
+      const res = await fetch('/api/hr/punch-imports', { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) setImports(response.data?.imports || []);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  useEffect(() => {
+    loadDevices();
+    loadImports();
+  }, []);
+
+  function buildForm(mode, withMapping) {
+    const fd = new FormData();
+    fd.append('file', file);
+    fd.append('deviceIp', deviceIp.trim());
+    if (timezone.trim()) fd.append('timezone', timezone.trim());
+    if (withMapping) fd.append('mapping', JSON.stringify(mapping));
+    fd.append('mode', mode);
+    if (includeUnknown) fd.append('includeUnknown', 'true');
+    return fd;
+  }
+
+  async function handlePreview(withMapping = true) {
+    if (!file) return showToast('error', 'Choose an export file first');
+    if (!deviceIp.trim()) return showToast('error', 'Select the device the export came from');
+    setBusy('preview');
+    try {
+      const res = await fetch('/api/hr/punch-imports', { method: 'POST', body: buildForm('preview', withMapping) });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setHeaders(response.data?.headers || []);
+        setMapping(response.data?.mapping || {});
+        setPreview(response.data?.summary ? response.data : null);
+        if (!response.data?.summary) showToast('error', response.message);
+      } else {
+        showToast('error', response.error || response.message || 'Preview failed');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Preview failed');
+    } finally {
+      setBusy('');
+    }
+  }
+
+  async function handleCommit() {
+    setBusy('commit');
+    try {
+      const res = await fetch('/api/hr/punch-imports', { method: 'POST', body: buildForm('commit', true) });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', response.message || 'Import committed');
+        setPreview(null);
+        setFile(null);
+        setHeaders([]);
+        setMapping({});
+        loadImports();
+      } else {
+        showToast('error', response.error || response.message || 'Import failed');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Import failed');
+    } finally {
+      setBusy('');
+    }
+  }
+
+  async function handleRollback(record) {
+    if (!window.confirm(`Remove all ${record.inserted} punch(es) imported from "${record.fileName}"?`)) return;
+    setBusy(record.importId);
+    try {
+      const res = await fetch(`/api/hr/punch-imports/${record.importId}`, { method: 'DELETE' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', response.message || 'Import rolled back');
+        loadImports();
+      } else {
+        showToast('error', response.error || response.message || 'Rollback failed');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Rollback failed');
+    } finally {
+      setBusy('');
+    }
+  }
+
+  const handleLogout = async () => {
+    try {
+      await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
+      router.push('/login?role=hr');
+    } catch (e) {
+      router.push('/login?role=hr');
+    }
+  };
+
+  const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+
+  const headerActions = (
+    <HrHeaderActions>
+      <button type="button" onClick={() => router.push('/hr/devices')} style={glossPill('slate')}>
+        Devices
+      </button>
+      <button type="button" onClick={() => router.push('/hr/employees')} style={glossPill('neutral')}>
+        Dashboard
+      </button>
+      <button type="button" onClick={handleLogout} style={glossPill('rose')}>
+        <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+        </svg>
+        Logout
+      </button>
+    </HrHeaderActions>
+  );
+
+  const labelStyle = { display: 'block', fontSize: 12, fontWeight: 600, marginBottom: 4, color: colors.text?.primary };
+  const selectStyle = {
+    padding: '8px 12px',
+    borderRadius: 8,
+    border: `1px solid ${colors.border?.default}`,
+    background: colors.background?.input,
+    color: colors.text?.primary,
+    fontSize: 13,
+    minWidth: 170,
+  };
+  const summary = preview?.summary;
+
+  return (
+    <HrPageShell subtitle="Import Punches" actions={headerActions}>
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          Load punch logs exported from a terminal over USB (.xlsx or .csv). Rows for unknown employee IDs and
+          punches already stored are flagged and skipped. Each import can be rolled back as a whole; re-run daily
+          attendance for the affected dates afterwards.
+        </p>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, alignItems: 'flex-end', marginBottom: 16 }}>
+          <div>
+            <label style={labelStyle}>Device</label>
+            <select value={deviceIp} onChange={(e) => setDeviceIp(e.target.value)} style={selectStyle}>
+              <option value="">Select device...</option>
+              {devices.map((d) => (
+                <option key={d._id} value={d.ip}>
+                  {d.name} ({d.ip})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Timezone (blank = device/company)</label>
+            <GlassInput
+              value={timezone}
+              placeholder="+05:00"
+              onChange={(e) => setTimezone(e.target.value)}
+              style={{ width: 140 }}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Export file</label>
+            <input
+              type="file"
+              accept=".xlsx,.csv"
+              onChange={(e) => {
+                setFile(e.target.files?.[0] || null);
+                setHeaders([]);
+                setMapping({});
+                setPreview(null);
+              }}
+              style={{ fontSize: 13, color: colors.text?.primary }}
+            />
+          </div>
+          {canCreate && (
+            <GlassButton onClick={() => handlePreview(headers.length > 0)} disabled={!!busy}>
+              {busy === 'preview' ? 'Reading...' : 'Preview'}
+            </GlassButton>
+          )}
+        </div>
+
+        {headers.length > 0 && (
+          <div
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+              gap: 12,
+              padding: 16,
+              marginBottom: 16,
+              borderRadius: 10,
+              border: `1px solid ${colors.border?.default}`,
+            }}
+          >
+            {IMPORT_FIELDS.map((field) => (
+              <div key={field.key}>
+                <label style={labelStyle}>
+                  {field.label}
+                  {field.required ? ' *' : ''}
+                </label>
+                <select
+                  value={mapping[field.key] ?? ''}
+                  onChange={(e) =>
+                    setMapping((prev) => {
+                      const next = { ...prev };
+                      if (e.target.value === '') delete next[field.key];
+                      else next[field.key] = Number(e.target.value);
+                      return next;
+                    })
+                  }
+                  style={{ ...selectStyle, width: '100%' }}
+                >
+                  <option value="">— not in file —</option>
+                  {headers.map((h, idx) => (
+                    <option key={idx} value={idx}>
+                      {h}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div style={{ display: 'flex', alignItems: 'flex-end' }}>
+              <GlassButton variant="secondary" onClick={() => handlePreview(true)} disabled={!!busy}>
+                Apply mapping
+              </GlassButton>
+            </div>
+          </div>
+        )}
+
+        {summary && (
+          <>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, alignItems: 'center', marginBottom: 12 }}>
+              <div style={{ fontSize: 13, color: colors.text?.primary }}>
+                Rows <strong>{summary.total}</strong> · Ready <strong>{summary.ready}</strong> · Unknown employee{' '}
+                <strong>{summary.unknownEmp}</strong> · Already stored <strong>{summary.duplicateExisting}</strong> ·
+                Duplicate in file <strong>{summary.duplicateInFile}</strong> · Invalid <strong>{summary.invalid}</strong>
+              </div>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: colors.text?.primary }}>
+                <input
+                  type="checkbox"
+                  checked={includeUnknown}
+                  onChange={(e) => setIncludeUnknown(e.target.checked)}
+                />
+                Also import unknown employee IDs
+              </label>
+              {canCreate && (
+                <GlassButton onClick={handleCommit} disabled={!!busy} style={{ marginLeft: 'auto' }}>
+                  {busy === 'commit'
+                    ? 'Importing...'
+                    : `Import ${summary.ready + (includeUnknown ? summary.unknownEmp : 0)} punch(es)`}
+                </GlassButton>
+              )}
+            </div>
+
+            <GlassTable>
+              <GlassTable.Head>
+                <tr>
+                  <GlassTable.Th>Row</GlassTable.Th>
+                  <GlassTable.Th>Employee ID</GlassTable.Th>
+                  <GlassTable.Th>Name</GlassTable.Th>
+                  <GlassTable.Th>Punch time</GlassTable.Th>
+                  <GlassTable.Th>Flags</GlassTable.Th>
+                </tr>
+              </GlassTable.Head>
+              <GlassTable.Body>
+                {preview.rows.map((r, idx) => (
+                  <GlassTable.Row key={r.rowNumber} even={idx % 2 === 1}>
+                    <GlassTable.Td>{r.rowNumber}</GlassTable.Td>
+                    <GlassTable.Td>{r.empCode || '-'}</GlassTable.Td>
+                    <GlassTable.Td>{r.name || '-'}</GlassTable.Td>
+                    <GlassTable.Td>{formatDateTime(r.eventTime)}</GlassTable.Td>
+                    <GlassTable.Td style={{ fontSize: 12 }}>
+                      {r.flags.length === 0 ? (
+                        <span style={{ color: '#10b981', fontWeight: 600 }}>Ready</span>
+                      ) : (
+                        r.flags.map((f) => (
+                          <span key={f} style={{ color: FLAG_LABELS[f]?.color, fontWeight: 600, marginRight: 8 }}>
+                            {FLAG_LABELS[f]?.text || f}
+                          </span>
+                        ))
+                      )}
+                      {r.problems.length > 0 && ` — ${r.problems.join(', ')}`}
+                    </GlassTable.Td>
+                  </GlassTable.Row>
+                ))}
+              </GlassTable.Body>
+            </GlassTable>
+            {preview.truncated && (
+              <div style={{ fontSize: 12, color: colors.text?.secondary, marginTop: 8 }}>
+                Showing the first {preview.rows.length} rows (flagged rows first).
+              </div>
+            )}
+          </>
+        )}
+      </GlassCard>
+
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <h3 style={{ fontSize: 15, fontWeight: 700, margin: '0 0 12px', color: colors.text?.primary }}>
+          Import history
+        </h3>
+        {imports.length === 0 ? (
+          <div style={{ fontSize: 13, color: colors.text?.secondary }}>No imports yet.</div>
+        ) : (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Imported</GlassTable.Th>
+                <GlassTable.Th>File</GlassTable.Th>
+                <GlassTable.Th>Device</GlassTable.Th>
+                <GlassTable.Th>Dates</GlassTable.Th>
+                <GlassTable.Th align="right">Inserted</GlassTable.Th>
+                <GlassTable.Th align="right">Skipped</GlassTable.Th>
+                <GlassTable.Th>Status</GlassTable.Th>
+                {canDelete && <GlassTable.Th align="right">Actions</GlassTable.Th>}
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {imports.map((imp, idx) => (
+                <GlassTable.Row key={imp._id} even={idx % 2 === 1}>
+                  <GlassTable.Td>
+                    {formatDateTime(imp.createdAt)}
+                    <div style={{ fontSize: 11, color: colors.text?.secondary }}>{imp.createdBy}</div>
+                  </GlassTable.Td>
+                  <GlassTable.Td>{imp.fileName}</GlassTable.Td>
+                  <GlassTable.Td>{imp.deviceIp}</GlassTable.Td>
+                  <GlassTable.Td>
+                    {imp.dateFrom}
+                    {imp.dateTo && imp.dateTo !== imp.dateFrom ? ` → ${imp.dateTo}` : ''}
+                  </GlassTable.Td>
+                  <GlassTable.Td align="right">{imp.inserted}</GlassTable.Td>
+                  <GlassTable.Td align="right">{imp.duplicates + imp.unknownEmp + imp.invalid}</GlassTable.Td>
+                  <GlassTable.Td style={{ fontWeight: 600, color: imp.status === 'rolled_back' ? '#94a3b8' : '#10b981' }}>
+                    {imp.status === 'rolled_back' ? `Rolled back (${imp.removed} removed)` : 'Committed'}
+                  </GlassTable.Td>
+                  {canDelete && (
+                    <GlassTable.Td align="right">
+                      {imp.status === 'committed' && (
+                        <GlassButton
+                          variant="ghost"
+                          onClick={() => handleRollback(imp)}
+                          disabled={!!busy}
+                          style={{ padding: '4px 10px', fontSize: 12 }}
+                        >
+                          {busy === imp.importId ? 'Rolling back...' : 'Roll back'}
+                        </GlassButton>
+                      )}
+                    </GlassTable.Td>
+                  )}
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+      </GlassCard>
+
+      {toast.text && (
+        <div
+          style={{
+            position: 'fixed',
+            right: 18,
+            bottom: 20,
+            padding: '12px 16px',
+            borderRadius: 12,
+            background: toast.type === 'error' ? 'rgba(248,113,113,0.12)' : 'rgba(16,185,129,0.14)',
+            border: `1px solid ${toast.type === 'error' ? 'rgba(220,38,38,0.6)' : 'rgba(16,185,129,0.7)'}`,
+            color: toast.type === 'error' ? '#b91c1c' : '#065f46',
+            fontSize: 13,
+            zIndex: 50,
+          }}
+        >
+          {toast.text}
+        </div>
+      )}
+
+      {showWarning && (
+        <AutoLogoutWarning
+          timeRemaining={timeRemaining}
+          onStayLoggedIn={handleStayLoggedIn}
+          onLogout={autoLogout}
+        />
+      )}
+    </HrPageShell>
+  );
+}
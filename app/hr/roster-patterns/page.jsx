@@ -0,0 +1,463 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { signOut } from 'next-auth/react';
+import { useTheme } from '@/lib/theme/ThemeContext';
+import {
+  HrPageShell,
+  HrHeaderActions,
+  GlassCard,
+  GlassTable,
+  GlassInput,
+  GlassButton,
+  getGlossPillStyles,
+} from '@/components/glass';
+import { useAutoLogout } from '@/hooks/useAutoLogout';
+import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
+import { usePermissions } from '@/hooks/usePermissions';
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  steps: [{ shiftCode: '', days: 5 }, { shiftCode: '', days: 2 }],
+  anchorDate: '',
+  empCodes: '',
+  departments: '',
+  isActive: true,
+  fromDate: '',
+  horizonDays: 56,
+};
+
+/** "D1 ×7 → Off ×2" */
+function formatSteps(steps) {
+  return (steps || []).map((s) => `${s.shiftCode || 'Off'} ×${s.days}`).join(' → ');
+}
+
+function formatWhen(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export default function HrRosterPatternsPage() {
+  const { colors } = useTheme();
+  const router = useRouter();
+  const { canCreate, canUpdate } = usePermissions('employeeShifts');
+  const { showWarning, timeRemaining, handleStayLoggedIn, handleLogout: autoLogout } = useAutoLogout({
+    inactivityTime: 30 * 60 * 1000,
+    warningTime: 5 * 60 * 1000,
+    enabled: true,
+  });
+
+  const [patterns, setPatterns] = useState([]);
+  const [shifts, setShifts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [toast, setToast] = useState({ type: '', text: '' });
+
+  function showToast(type, text) {
+    setToast({ type, text });
+    setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 4000);
+  }
+
+  async function loadPatterns() {
+    setLoading(true);
+    try {
+      const [res, shiftsRes] = await Promise.all([
+        fetch('/api/hr/roster-patterns', { cache: 'no-store' }),
+        fetch('/api/hr/shifts', { cache: 'no-store' }),
+      ]);
+      const response = await res.json();
+      const shiftsResponse = await shiftsRes.json();
+      if (res.ok && response.success) {
+        setPatterns(response.data?.patterns || []);
+      } else {
+        showToast('error', response.error || response.message || 'Failed to load roster patterns');
+      }
+      if (shiftsRes.ok && shiftsResponse.success) setShifts(shiftsResponse.data?.shifts || []);
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to load roster patterns');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadPatterns();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  function openCreate() {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setShowForm(true);
+  }
+
+  function openEdit(pattern) {
+    setEditingId(pattern._id);
+    setForm({
+      name: pattern.name,
+      description: pattern.description || '',
+      steps: (pattern.steps || []).map((s) => ({ shiftCode: s.shiftCode || '', days: s.days })),
+      anchorDate: pattern.anchorDate || '',
+      empCodes: (pattern.empCodes || []).join(', '),
+      departments: (pattern.departments || []).join(', '),
+      isActive: pattern.isActive !== false,
+      fromDate: '',
+      horizonDays: 56,
+    });
+    setShowForm(true);
+  }
+
+  function updateStep(index, patch) {
+    setForm((prev) => ({ ...prev, steps: prev.steps.map((s, i) => (i === index ? { ...s, ...patch } : s)) }));
+  }
+
+  function generationMessage(prefix, generation) {
+    if (!generation) return prefix;
+    return `${prefix}: ${generation.employees} employee(s) rostered ${generation.fromDate} – ${generation.toDate}`;
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = {
+        ...form,
+        steps: form.steps.map((s) => ({ shiftCode: s.shiftCode || null, days: Number(s.days) })),
+        fromDate: form.fromDate || undefined,
+        horizonDays: Number(form.horizonDays) || undefined,
+      };
+      const res = await fetch(editingId ? `/api/hr/roster-patterns/${editingId}` : '/api/hr/roster-patterns', {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', generationMessage(editingId ? 'Roster updated' : 'Roster created', response.data?.generation));
+        setShowForm(false);
+        loadPatterns();
+      } else {
+        showToast('error', response.error || response.message || 'Failed to save roster pattern');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to save roster pattern');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleRegenerate(pattern) {
+    try {
+      const res = await fetch(`/api/hr/roster-patterns/${pattern._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({}),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', generationMessage('Roster regenerated', response.data?.generation));
+        loadPatterns();
+      } else {
+        showToast('error', response.error || response.message || 'Failed to regenerate roster');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to regenerate roster');
+    }
+  }
+
+  async function handleDelete(pattern) {
+    if (!window.confirm(`Delete roster "${pattern.name}"? Its shifts from today on are removed; past days are kept.`)) return;
+    try {
+      const res = await fetch(`/api/hr/roster-patterns/${pattern._id}`, { method: 'DELETE' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', 'Roster pattern deleted');
+        loadPatterns();
+      } else {
+        showToast('error', response.error || response.message || 'Failed to delete roster pattern');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to delete roster pattern');
+    }
+  }
+
+  const handleLogout = async () => {
+    try {
+      await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
+      router.push('/login?role=hr');
+    } catch (e) {
+      router.push('/login?role=hr');
+    }
+  };
+
+  const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+
+  const headerActions = (
+    <HrHeaderActions>
+      <button type="button" onClick={() => router.push('/hr/shifts')} style={glossPill('slate')}>
+        Shifts
+      </button>
+      <button type="button" onClick={() => router.push('/hr/employees')} style={glossPill('neutral')}>
+        Dashboard
+      </button>
+      <button type="button" onClick={handleLogout} style={glossPill('rose')}>
+        <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+        </svg>
+        Logout
+      </button>
+    </HrHeaderActions>
+  );
+
+  const labelStyle = { display: 'block', fontSize: 12, fontWeight: 600, marginBottom: 4, color: colors.text?.primary };
+  const selectStyle = {
+    width: '100%',
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: `1px solid ${colors.border?.default}`,
+    backgroundColor: colors.background?.input,
+    color: colors.text?.primary,
+    fontSize: 13,
+  };
+  const cycleDays = form.steps.reduce((sum, s) => sum + (Number(s.days) || 0), 0);
+
+  return (
+    <HrPageShell subtitle="Roster Patterns" actions={headerActions}>
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          A roster repeats a sequence of shifts and days off from its anchor date (day 1 of the first step).
+          Saving writes the employees&apos; shift history from today (or the chosen date) for the next weeks,
+          replacing their later shift changes; days off count as weekly off days. Employees listed on a roster
+          take precedence over a department on another roster. Schedule <code>/api/cron/roster</code> to keep
+          the horizon rolling.
+        </p>
+
+        <div style={{ display: 'flex', gap: 12, marginBottom: 16 }}>
+          <GlassButton variant="secondary" onClick={loadPatterns} disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </GlassButton>
+          {canCreate && <GlassButton onClick={openCreate}>Add roster</GlassButton>}
+        </div>
+
+        {showForm && (
+          <form
+            onSubmit={handleSave}
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))',
+              gap: 12,
+              padding: 16,
+              marginBottom: 16,
+              borderRadius: 10,
+              border: `1px solid ${colors.border?.default}`,
+            }}
+          >
+            <div>
+              <label style={labelStyle}>Name</label>
+              <GlassInput value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+            </div>
+            <div>
+              <label style={labelStyle}>Anchor date (day 1 of the first step)</label>
+              <GlassInput
+                type="date"
+                value={form.anchorDate}
+                onChange={(e) => setForm({ ...form, anchorDate: e.target.value })}
+                required
+              />
+            </div>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Description</label>
+              <GlassInput value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+            </div>
+
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Steps (cycle: {cycleDays} day{cycleDays === 1 ? '' : 's'})</label>
+              {form.steps.map((step, index) => (
+                <div key={index} style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 6 }}>
+                  <span style={{ fontSize: 12, color: colors.text?.secondary, width: 20 }}>{index + 1}.</span>
+                  <select
+                    value={step.shiftCode}
+                    onChange={(e) => updateStep(index, { shiftCode: e.target.value })}
+                    style={{ ...selectStyle, width: 200 }}
+                  >
+                    <option value="">Day off</option>
+                    {shifts.map((s) => (
+                      <option key={s._id} value={s.code}>
+                        {s.code} – {s.name}
+                      </option>
+                    ))}
+                  </select>
+                  <GlassInput
+                    type="number"
+                    min={1}
+                    max={366}
+                    value={step.days}
+                    onChange={(e) => updateStep(index, { days: e.target.value })}
+                    style={{ width: 90 }}
+                    required
+                  />
+                  <span style={{ fontSize: 12, color: colors.text?.secondary }}>days</span>
+                  {form.steps.length > 1 && (
+                    <GlassButton
+                      variant="ghost"
+                      onClick={() => setForm({ ...form, steps: form.steps.filter((_, i) => i !== index) })}
+                    >
+                      Remove
+                    </GlassButton>
+                  )}
+                </div>
+              ))}
+              <GlassButton
+                variant="secondary"
+                onClick={() => setForm({ ...form, steps: [...form.steps, { shiftCode: '', days: 1 }] })}
+              >
+                Add step
+              </GlassButton>
+            </div>
+
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Employee codes (comma separated)</label>
+              <GlassInput value={form.empCodes} onChange={(e) => setForm({ ...form, empCodes: e.target.value })} />
+            </div>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Departments (comma separated)</label>
+              <GlassInput value={form.departments} onChange={(e) => setForm({ ...form, departments: e.target.value })} />
+            </div>
+            <div>
+              <label style={labelStyle}>Generate from (blank = today)</label>
+              <GlassInput type="date" value={form.fromDate} onChange={(e) => setForm({ ...form, fromDate: e.target.value })} />
+            </div>
+            <div>
+              <label style={labelStyle}>Days ahead</label>
+              <GlassInput
+                type="number"
+                min={1}
+                max={366}
+                value={form.horizonDays}
+                onChange={(e) => setForm({ ...form, horizonDays: e.target.value })}
+              />
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: colors.text?.primary }}>
+              <input
+                type="checkbox"
+                checked={form.isActive}
+                onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+              />
+              Active
+            </label>
+            <div style={{ display: 'flex', gap: 8, gridColumn: '1 / -1' }}>
+              <GlassButton type="submit" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Save and regenerate' : 'Create roster'}
+              </GlassButton>
+              <GlassButton variant="ghost" onClick={() => setShowForm(false)}>
+                Cancel
+              </GlassButton>
+            </div>
+          </form>
+        )}
+
+        {loading && patterns.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>Loading...</div>
+        ) : patterns.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>
+            No roster patterns yet.
+          </div>
+        ) : (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Roster</GlassTable.Th>
+                <GlassTable.Th>Cycle</GlassTable.Th>
+                <GlassTable.Th>Assigned</GlassTable.Th>
+                <GlassTable.Th>Generated</GlassTable.Th>
+                {canUpdate && <GlassTable.Th align="right">Actions</GlassTable.Th>}
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {patterns.map((p, idx) => (
+                <GlassTable.Row key={p._id} even={idx % 2 === 1}>
+                  <GlassTable.Td>
+                    <div style={{ fontWeight: 600 }}>{p.name}</div>
+                    <div style={{ fontSize: 12, color: colors.text?.secondary }}>
+                      From {p.anchorDate}
+                      {p.isActive === false ? ' · inactive' : ''}
+                    </div>
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>
+                    {formatSteps(p.steps)}
+                    <div style={{ color: colors.text?.secondary }}>{p.cycleLengthDays}-day cycle</div>
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>
+                    {(p.empCodes || []).length > 0 && <div>Employees: {p.empCodes.join(', ')}</div>}
+                    {(p.departments || []).length > 0 && <div>Departments: {p.departments.join(', ')}</div>}
+                    {!(p.empCodes || []).length && !(p.departments || []).length && '—'}
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>
+                    {p.generatedUntil ? `${p.generatedFrom} – ${p.generatedUntil}` : '—'}
+                    {p.generatedAt && <div style={{ color: colors.text?.secondary }}>{formatWhen(p.generatedAt)}</div>}
+                  </GlassTable.Td>
+                  {canUpdate && (
+                    <GlassTable.Td align="right">
+                      <div style={{ display: 'inline-flex', gap: 6 }}>
+                        <GlassButton variant="secondary" onClick={() => openEdit(p)}>
+                          Edit
+                        </GlassButton>
+                        <GlassButton variant="secondary" onClick={() => handleRegenerate(p)}>
+                          Regenerate
+                        </GlassButton>
+                        <GlassButton variant="ghost" onClick={() => handleDelete(p)}>
+                          Delete
+                        </GlassButton>
+                      </div>
+                    </GlassTable.Td>
+                  )}
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+      </GlassCard>
+
+      {toast.text && (
+        <div
+          style={{
+            position: 'fixed',
+            right: 18,
+            bottom: 20,
+            padding: '12px 16px',
+            borderRadius: 12,
+            background: toast.type === 'error' ? 'rgba(248,113,113,0.12)' : 'rgba(16,185,129,0.14)',
+            border: `1px solid ${toast.type === 'error' ? 'rgba(220,38,38,0.6)' : 'rgba(16,185,129,0.7)'}`,
+            color: toast.type === 'error' ? '#b91c1c' : '#065f46',
+            fontSize: 13,
+            zIndex: 50,
+          }}
+        >
+          {toast.text}
+        </div>
+      )}
+
+      {showWarning && (
+        <AutoLogoutWarning
+          timeRemaining={timeRemaining}
+          onStayLoggedIn={handleStayLoggedIn}
+          onLogout={autoLogout}
+        />
+      )}
+    </HrPageShell>
+  );
+}
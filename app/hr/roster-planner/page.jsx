@@ -0,0 +1,463 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/navigation';
+import { signOut } from 'next-auth/react';
+import { useTheme } from '@/lib/theme/ThemeContext';
+import {
+  HrPageShell,
+  HrHeaderActions,
+  GlassCard,
+  GlassTable,
+  GlassInput,
+  GlassButton,
+  getGlossPillStyles,
+} from '@/components/glass';
+import { useAutoLogout } from '@/hooks/useAutoLogout';
+import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
+import { usePermissions } from '@/hooks/usePermissions';
+
+function currentMonth() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function nextYmd(ymd) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Pending cell edits → one change per run of consecutive days with the same shift */
+function pendingToChanges(pending) {
+  const byEmp = new Map();
+  for (const [key, shiftCode] of pending) {
+    const [empCode, date] = key.split('|');
+    if (!byEmp.has(empCode)) byEmp.set(empCode, []);
+    byEmp.get(empCode).push({ date, shiftCode });
+  }
+  const changes = [];
+  for (const [empCode, cells] of byEmp) {
+    cells.sort((a, b) => a.date.localeCompare(b.date));
+    for (const cell of cells) {
+      const last = changes[changes.length - 1];
+      if (last && last.empCode === empCode && last.shiftCode === cell.shiftCode && nextYmd(last.toDate) === cell.date) {
+        last.toDate = cell.date;
+      } else {
+        changes.push({ empCode, fromDate: cell.date, toDate: cell.date, shiftCode: cell.shiftCode });
+      }
+    }
+  }
+  return changes;
+}
+
+const WEEKDAY = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+export default function HrRosterPlannerPage() {
+  const { colors } = useTheme();
+  const router = useRouter();
+  const { canUpdate } = usePermissions('employeeShifts');
+  const { showWarning, timeRemaining, handleStayLoggedIn, handleLogout: autoLogout } = useAutoLogout({
+    inactivityTime: 30 * 60 * 1000,
+    warningTime: 5 * 60 * 1000,
+    enabled: true,
+  });
+
+  const [departments, setDepartments] = useState([]);
+  const [department, setDepartment] = useState('');
+  const [month, setMonth] = useState(currentMonth());
+  const [roster, setRoster] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(new Set());
+  const [pending, setPending] = useState(new Map());
+  const [applyShift, setApplyShift] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [toast, setToast] = useState({ type: '', text: '' });
+  const dragRef = useRef(null);
+
+  function showToast(type, text) {
+    setToast({ type, text });
+    setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 4000);
+  }
+
+  async function loadRoster(dept = department, mon = month) {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ month: mon });
+      if (dept) params.set('department', dept);
+      const res = await fetch(`/api/hr/roster-planner?${params}`, { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setDepartments(response.data?.departments || []);
+        setRoster(dept ? response.data : null);
+        setSelected(new Set());
+        setPending(new Map());
+        setPreview(null);
+      } else {
+        showToast('error', response.error || response.message || 'Failed to load roster');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to load roster');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadRoster('', month);
+    const stopDrag = () => {
+      dragRef.current = null;
+    };
+    window.addEventListener('mouseup', stopDrag);
+    return () => window.removeEventListener('mouseup', stopDrag);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  function rectangle(from, to) {
+    const cells = new Set();
+    const employees = roster?.employees || [];
+    const dates = roster?.dates || [];
+    for (let r = Math.min(from.row, to.row); r <= Math.max(from.row, to.row); r++) {
+      for (let c = Math.min(from.col, to.col); c <= Math.max(from.col, to.col); c++) {
+        cells.add(`${employees[r].empCode}|${dates[c]}`);
+      }
+    }
+    return cells;
+  }
+
+  function handleCellDown(e, row, col) {
+    if (!canUpdate) return;
+    e.preventDefault();
+    const key = `${roster.employees[row].empCode}|${roster.dates[col]}`;
+    const base = e.ctrlKey || e.metaKey ? new Set(selected) : new Set();
+    if ((e.ctrlKey || e.metaKey) && selected.has(key)) {
+      base.delete(key);
+      setSelected(base);
+      return;
+    }
+    dragRef.current = { anchor: { row, col }, base };
+    setSelected(new Set([...base, key]));
+  }
+
+  function handleCellEnter(row, col) {
+    const drag = dragRef.current;
+    if (!drag) return;
+    setSelected(new Set([...drag.base, ...rectangle(drag.anchor, { row, col })]));
+  }
+
+  function selectRow(empCode) {
+    if (!canUpdate) return;
+    setSelected(new Set(roster.dates.map((d) => `${empCode}|${d}`)));
+  }
+
+  function applyToSelection() {
+    if (!applyShift || selected.size === 0) return;
+    const next = new Map(pending);
+    for (const key of selected) {
+      const [empCode, date] = key.split('|');
+      const current = roster.employees.find((emp) => emp.empCode === empCode)?.days?.[date]?.shiftCode || '';
+      if (current === applyShift) next.delete(key);
+      else next.set(key, applyShift);
+    }
+    setPending(next);
+    setSelected(new Set());
+    setPreview(null);
+  }
+
+  function clearPending() {
+    setPending(new Map());
+    setPreview(null);
+  }
+
+  async function submit(commit) {
+    const changes = pendingToChanges(pending);
+    if (changes.length === 0) return;
+    setSaving(true);
+    try {
+      const res = await fetch('/api/hr/roster-planner', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ changes, commit }),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        if (commit) {
+          showToast('success', response.message || 'Roster saved');
+          loadRoster();
+        } else {
+          setPreview(response.data);
+        }
+      } else {
+        showToast('error', response.error || response.message || 'Failed to save roster');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to save roster');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const handleLogout = async () => {
+    try {
+      await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
+      router.push('/login?role=hr');
+    } catch (e) {
+      router.push('/login?role=hr');
+    }
+  };
+
+  const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+
+  const headerActions = (
+    <HrHeaderActions>
+      <button type="button" onClick={() => router.push('/hr/roster-patterns')} style={glossPill('slate')}>
+        Roster Patterns
+      </button>
+      <button type="button" onClick={() => router.push('/hr/employees')} style={glossPill('neutral')}>
+        Dashboard
+      </button>
+      <button type="button" onClick={handleLogout} style={glossPill('rose')}>
+        <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+        </svg>
+        Logout
+      </button>
+    </HrHeaderActions>
+  );
+
+  const labelStyle = { display: 'block', fontSize: 12, fontWeight: 600, marginBottom: 4, color: colors.text?.primary };
+  const selectStyle = {
+    width: '100%',
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: `1px solid ${colors.border?.default}`,
+    backgroundColor: colors.background?.input,
+    color: colors.text?.primary,
+    fontSize: 13,
+  };
+
+  function cellStyle(day, key) {
+    const style = {
+      minWidth: 38,
+      padding: '4px 2px',
+      textAlign: 'center',
+      fontSize: 11,
+      cursor: canUpdate ? 'pointer' : 'default',
+      userSelect: 'none',
+      border: `1px solid ${colors.border?.default}`,
+    };
+    if (day.off) style.background = 'rgba(148,163,184,0.18)';
+    if (day.leave) style.background = 'rgba(251,191,36,0.2)';
+    if (pending.has(key)) style.background = 'rgba(59,130,246,0.2)';
+    if (selected.has(key)) style.outline = '2px solid rgba(37,99,235,0.8)';
+    return style;
+  }
+
+  const pendingChanges = pendingToChanges(pending);
+
+  return (
+    <HrPageShell subtitle="Roster Planner" actions={headerActions}>
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          Each cell is the shift in effect for that employee and day. Grey days are weekly / Saturday or roster
+          days off, amber days have a leave. Drag across cells (Ctrl/Cmd-click to add cells, click a name for the
+          whole month), pick a shift and apply it; preview the changes, then save. Saving writes dated shift
+          history; reprocess attendance for past days that changed.
+        </p>
+
+        <div style={{ display: 'flex', gap: 12, alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 16 }}>
+          <div style={{ minWidth: 220 }}>
+            <label style={labelStyle}>Department</label>
+            <select
+              value={department}
+              onChange={(e) => {
+                setDepartment(e.target.value);
+                loadRoster(e.target.value, month);
+              }}
+              style={selectStyle}
+            >
+              <option value="">Select department</option>
+              {departments.map((d) => (
+                <option key={d} value={d}>
+                  {d}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Month</label>
+            <GlassInput
+              type="month"
+              value={month}
+              onChange={(e) => {
+                setMonth(e.target.value);
+                if (department && e.target.value) loadRoster(department, e.target.value);
+              }}
+            />
+          </div>
+          <GlassButton variant="secondary" onClick={() => loadRoster()} disabled={loading || !department}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </GlassButton>
+        </div>
+
+        {canUpdate && roster && (
+          <div style={{ display: 'flex', gap: 12, alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 16 }}>
+            <div style={{ minWidth: 200 }}>
+              <label style={labelStyle}>Shift for selected days ({selected.size})</label>
+              <select value={applyShift} onChange={(e) => setApplyShift(e.target.value)} style={selectStyle}>
+                <option value="">Select shift</option>
+                {(roster.shifts || [])
+                  .filter((s) => s.isActive !== false)
+                  .map((s) => (
+                    <option key={s._id} value={s.code}>
+                      {s.code} – {s.name} ({s.startTime}–{s.endTime})
+                    </option>
+                  ))}
+              </select>
+            </div>
+            <GlassButton onClick={applyToSelection} disabled={!applyShift || selected.size === 0}>
+              Apply
+            </GlassButton>
+            <GlassButton variant="secondary" onClick={() => submit(false)} disabled={saving || pending.size === 0}>
+              Preview ({pendingChanges.length})
+            </GlassButton>
+            <GlassButton onClick={() => submit(true)} disabled={saving || !preview}>
+              {saving ? 'Saving...' : 'Save changes'}
+            </GlassButton>
+            <GlassButton variant="ghost" onClick={clearPending} disabled={pending.size === 0}>
+              Discard
+            </GlassButton>
+          </div>
+        )}
+
+        {preview && (
+          <div
+            style={{
+              padding: 12,
+              marginBottom: 16,
+              borderRadius: 10,
+              border: `1px solid ${colors.border?.default}`,
+              fontSize: 12,
+              color: colors.text?.primary,
+            }}
+          >
+            <div style={{ fontWeight: 600, marginBottom: 6 }}>
+              {preview.diff.length} day(s) change · {preview.inserted} history entr{preview.inserted === 1 ? 'y' : 'ies'}{' '}
+              added, {preview.updated} shortened, {preview.deleted} replaced
+            </div>
+            {preview.changes.map((c) => (
+              <div key={`${c.empCode}|${c.fromDate}`}>
+                {c.empCode}: {c.fromDate === c.toDate ? c.fromDate : `${c.fromDate} – ${c.toDate}`} → {c.shiftCode}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {!department ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>
+            Select a department to plan its roster.
+          </div>
+        ) : loading && !roster ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>Loading...</div>
+        ) : roster && roster.employees.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>
+            No active employees in this department.
+          </div>
+        ) : (
+          roster && (
+            <div style={{ overflowX: 'auto' }}>
+              <GlassTable>
+                <GlassTable.Head>
+                  <tr>
+                    <GlassTable.Th>Employee</GlassTable.Th>
+                    {roster.dates.map((date) => (
+                      <GlassTable.Th key={date} align="center">
+                        <div style={{ fontSize: 11 }}>{date.slice(8)}</div>
+                        <div style={{ fontSize: 10, fontWeight: 400 }}>
+                          {WEEKDAY[new Date(`${date}T00:00:00Z`).getUTCDay()]}
+                        </div>
+                      </GlassTable.Th>
+                    ))}
+                  </tr>
+                </GlassTable.Head>
+                <GlassTable.Body>
+                  {roster.employees.map((emp, row) => (
+                    <GlassTable.Row key={emp.empCode} even={row % 2 === 1}>
+                      <GlassTable.Td>
+                        <div
+                          onClick={() => selectRow(emp.empCode)}
+                          style={{ fontWeight: 600, whiteSpace: 'nowrap', cursor: canUpdate ? 'pointer' : 'default' }}
+                        >
+                          {emp.name || emp.empCode}
+                        </div>
+                        <div style={{ fontSize: 11, color: colors.text?.secondary }}>{emp.empCode}</div>
+                      </GlassTable.Td>
+                      {roster.dates.map((date, col) => {
+                        const key = `${emp.empCode}|${date}`;
+                        const day = emp.days[date];
+                        const title = [
+                          day.shiftCode || 'No shift',
+                          day.off === 'roster' ? 'Roster day off' : day.off ? 'Weekly off' : '',
+                          day.leave ? `Leave (${day.leave})` : '',
+                          pending.has(key) ? `Pending: ${pending.get(key)}` : '',
+                        ]
+                          .filter(Boolean)
+                          .join(' · ');
+                        return (
+                          <td
+                            key={date}
+                            title={title}
+                            onMouseDown={(e) => handleCellDown(e, row, col)}
+                            onMouseEnter={() => handleCellEnter(row, col)}
+                            style={cellStyle(day, key)}
+                          >
+                            <div style={{ fontWeight: pending.has(key) ? 700 : 500 }}>
+                              {pending.get(key) || day.shiftCode || '—'}
+                            </div>
+                            {(day.off || day.leave) && (
+                              <div style={{ fontSize: 9, color: colors.text?.secondary }}>{day.leave ? 'Leave' : 'Off'}</div>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </GlassTable.Row>
+                  ))}
+                </GlassTable.Body>
+              </GlassTable>
+            </div>
+          )
+        )}
+      </GlassCard>
+
+      {toast.text && (
+        <div
+          style={{
+            position: 'fixed',
+            right: 18,
+            bottom: 20,
+            padding: '12px 16px',
+            borderRadius: 12,
+            background: toast.type === 'error' ? 'rgba(248,113,113,0.12)' : 'rgba(16,185,129,0.14)',
+            border: `1px solid ${toast.type === 'error' ? 'rgba(220,38,38,0.6)' : 'rgba(16,185,129,0.7)'}`,
+            color: toast.type === 'error' ? '#b91c1c' : '#065f46',
+            fontSize: 13,
+            zIndex: 50,
+          }}
+        >
+          {toast.text}
+        </div>
+      )}
+
+      {showWarning && (
+        <AutoLogoutWarning
+          timeRemaining={timeRemaining}
+          onStayLoggedIn={handleStayLoggedIn}
+          onLogout={autoLogout}
+        />
+      )}
+    </HrPageShell>
+  );
+}
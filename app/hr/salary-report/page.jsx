@@ -404,6 +404,7 @@ export default function HrSalaryReportPage() {
 
       const salaryMap = new Map();
       const grossMap = new Map();
+      const adjustmentMap = new Map(); // period totals: deductions and approved overtime
       const metaMap = new Map();
 
       monthResults.forEach(({ month, employees }) => {
@@ -414,6 +415,11 @@ export default function HrSalaryReportPage() {
           salaryMap.get(code)[month] = emp.netSalary ?? 0;
           grossMap.get(code)[month] =
             emp.recordedMonthlySalary ?? emp.monthlySalary ?? 0;
+          const adj = adjustmentMap.get(code) || { deductions: 0, overtime: 0, overtimeMinutes: 0 };
+          adj.deductions += Number(emp.salaryDeductAmount) || 0;
+          adj.overtime += Number(emp.overtimeAmount) || 0;
+          adj.overtimeMinutes += Number(emp.overtimeMinutes) || 0;
+          adjustmentMap.set(code, adj);
           if (!metaMap.has(code)) {
             metaMap.set(code, {
               empCode: emp.empCode,
@@ -480,6 +486,7 @@ export default function HrSalaryReportPage() {
           const val = Number(monthSalaries[m]);
           if (Number.isFinite(val)) total += val;
         });
+        const adj = adjustmentMap.get(code) || { deductions: 0, overtime: 0, overtimeMinutes: 0 };
         return {
           empCode: meta.empCode,
           name: meta.name,
@@ -490,6 +497,9 @@ export default function HrSalaryReportPage() {
           hasSalaryRaise,
           raisedMonths,
           raiseDetails,
+          deductions: Number(adj.deductions.toFixed(2)),
+          overtime: Number(adj.overtime.toFixed(2)),
+          overtimeMinutes: adj.overtimeMinutes,
           total,
         };
       });
@@ -523,6 +533,9 @@ export default function HrSalaryReportPage() {
         { header: 'Department', key: 'department', width: 18 },
         { header: 'Gross Salary / Month', key: 'grossSalary', width: 18 },
         { header: 'Salary Raised?', key: 'salaryRaised', width: 14 },
+        { header: 'Deductions', key: 'deductions', width: 14 },
+        { header: 'Overtime (hrs)', key: 'overtimeHours', width: 14 },
+        { header: 'Overtime Pay', key: 'overtime', width: 14 },
         ...reportMonths.map((m) => ({
           header: `${monthLabel(m)} (Net)`,
           key: m,
@@ -548,6 +561,9 @@ export default function HrSalaryReportPage() {
           department: row.department,
           grossSalary: row.grossSalary ?? '',
           salaryRaised: row.hasSalaryRaise ? 'Yes' : 'No',
+          deductions: row.deductions,
+          overtimeHours: Number((row.overtimeMinutes / 60).toFixed(2)),
+          overtime: row.overtime,
           total: row.total,
         };
         reportMonths.forEach((m) => {
@@ -589,6 +605,10 @@ export default function HrSalaryReportPage() {
         });
         excelRow.getCell('grossSalary').numFmt = '#,##0';
         excelRow.getCell('grossSalary').alignment = { horizontal: 'right' };
+        ['deductions', 'overtime'].forEach((key) => {
+          excelRow.getCell(key).numFmt = '#,##0';
+          excelRow.getCell(key).alignment = { horizontal: 'right' };
+        });
         excelRow.getCell('total').numFmt = '#,##0';
         excelRow.getCell('total').alignment = { horizontal: 'right' };
       });
@@ -1000,6 +1020,11 @@ export default function HrSalaryReportPage() {
                     {reportMonths.length > 1 && (
                       <th style={{ ...thStyle, textAlign: 'center' }}>Status</th>
                     )}
+                    <th style={{ ...thStyle, textAlign: 'right' }}>Deductions</th>
+                    <th style={{ ...thStyle, textAlign: 'right' }}>
+                      Overtime
+                      <div style={{ fontSize: 10, fontWeight: 500, opacity: 0.9 }}>Approved</div>
+                    </th>
                     {reportMonths.map((m) => (
                       <th key={m} style={{ ...thStyle, textAlign: 'right' }}>
                         {monthLabel(m)}
@@ -1078,6 +1103,21 @@ export default function HrSalaryReportPage() {
                           )}
                         </td>
                       )}
+                      <td style={{ ...baseCell(), textAlign: 'right', fontVariantNumeric: 'tabular-nums' }}>
+                        {row.deductions ? `− ${formatCurrency(row.deductions)}` : '-'}
+                      </td>
+                      <td style={{ ...baseCell(), textAlign: 'right', fontVariantNumeric: 'tabular-nums' }}>
+                        {row.overtime ? (
+                          <>
+                            + {formatCurrency(row.overtime)}
+                            <div style={{ fontSize: 10, color: reportTheme.textMuted }}>
+                              {(row.overtimeMinutes / 60).toFixed(1)} hrs
+                            </div>
+                          </>
+                        ) : (
+                          '-'
+                        )}
+                      </td>
                       {reportMonths.map((m) => {
                         const isRaiseMonth = Array.isArray(row.raisedMonths) && row.raisedMonths.includes(m);
                         const detail = row.raiseDetails?.[m];
@@ -0,0 +1,283 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { signOut } from 'next-auth/react';
+import { useTheme } from '@/lib/theme/ThemeContext';
+import {
+  HrPageShell,
+  HrHeaderActions,
+  GlassCard,
+  GlassTable,
+  GlassInput,
+  GlassButton,
+  getGlossPillStyles,
+} from '@/components/glass';
+import { useAutoLogout } from '@/hooks/useAutoLogout';
+import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
+import { usePermissions } from '@/hooks/usePermissions';
+
+const STATUS_FILTERS = [
+  { id: 'awaitingHr', label: 'To review' },
+  { id: 'awaitingColleague', label: 'Awaiting colleague' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'rejected', label: 'Rejected' },
+  { id: 'all', label: 'All' },
+];
+const STATUS_LABELS = {
+  awaitingColleague: 'Awaiting colleague',
+  awaitingHr: 'Awaiting HR',
+  approved: 'Approved',
+  declined: 'Declined by colleague',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled',
+};
+
+function formatWhen(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export default function HrShiftSwapsPage() {
+  const { colors } = useTheme();
+  const router = useRouter();
+  const { canUpdate } = usePermissions('employeeShifts');
+  const { showWarning, timeRemaining, handleStayLoggedIn, handleLogout: autoLogout } = useAutoLogout({
+    inactivityTime: 30 * 60 * 1000,
+    warningTime: 5 * 60 * 1000,
+    enabled: true,
+  });
+
+  const [requests, setRequests] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('awaitingHr');
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [notes, setNotes] = useState({});
+  const [toast, setToast] = useState({ type: '', text: '' });
+
+  function showToast(type, text) {
+    setToast({ type, text });
+    setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 3000);
+  }
+
+  async function loadRequests(status = statusFilter) {
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/hr/shift-swaps?status=${status}`, { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setRequests(response.data?.requests || []);
+      } else {
+        showToast('error', response.error || response.message || 'Failed to load swaps');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to load swaps');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadRequests(statusFilter);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [statusFilter]);
+
+  async function handleReview(request, action) {
+    setBusyId(request._id);
+    try {
+      const res = await fetch(`/api/hr/shift-swaps/${request._id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, note: notes[request._id] || '' }),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', action === 'approve' ? 'Swap approved for the day' : 'Swap rejected');
+        loadRequests();
+      } else {
+        showToast('error', response.error || response.message || 'Failed to review swap');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to review swap');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  const handleLogout = async () => {
+    try {
+      await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
+      router.push('/login?role=hr');
+    } catch (e) {
+      router.push('/login?role=hr');
+    }
+  };
+
+  const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+
+  const headerActions = (
+    <HrHeaderActions>
+      <button type="button" onClick={() => router.push('/hr/roster-planner')} style={glossPill('slate')}>
+        Roster Planner
+      </button>
+      <button type="button" onClick={() => router.push('/hr/employees')} style={glossPill('neutral')}>
+        Dashboard
+      </button>
+      <button type="button" onClick={handleLogout} style={glossPill('rose')}>
+        <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+        </svg>
+        Logout
+      </button>
+    </HrHeaderActions>
+  );
+
+  const showActions = canUpdate && statusFilter === 'awaitingHr';
+
+  return (
+    <HrPageShell subtitle="Shift Swaps" actions={headerActions}>
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          Employees ask a colleague in their department to swap shifts for one day; swaps the colleague has accepted
+          wait here. Approving gives each of them the other&apos;s shift for that date only, and their attendance
+          for the day is judged against it.
+        </p>
+
+        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 16 }}>
+          {STATUS_FILTERS.map((f) => (
+            <button
+              key={f.id}
+              type="button"
+              onClick={() => setStatusFilter(f.id)}
+              style={glossPill(statusFilter === f.id ? 'slate' : 'neutral')}
+            >
+              {f.label}
+            </button>
+          ))}
+          <GlassButton variant="secondary" onClick={() => loadRequests()} disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </GlassButton>
+        </div>
+
+        {loading && requests.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>Loading...</div>
+        ) : requests.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>
+            No {statusFilter === 'all' ? '' : (STATUS_LABELS[statusFilter] || statusFilter).toLowerCase()} swaps.
+          </div>
+        ) : (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Day</GlassTable.Th>
+                <GlassTable.Th>Requested by</GlassTable.Th>
+                <GlassTable.Th>Swaps with</GlassTable.Th>
+                <GlassTable.Th>Reason</GlassTable.Th>
+                <GlassTable.Th>{showActions ? 'Note' : 'Review'}</GlassTable.Th>
+                {showActions && <GlassTable.Th align="right">Actions</GlassTable.Th>}
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {requests.map((r, idx) => (
+                <GlassTable.Row key={r._id} even={idx % 2 === 1}>
+                  <GlassTable.Td>
+                    {r.date}
+                    <div style={{ fontSize: 12, color: colors.text?.secondary }}>{r.department || '—'}</div>
+                  </GlassTable.Td>
+                  <GlassTable.Td>
+                    <div style={{ fontWeight: 600 }}>{r.requesterName || r.requesterEmpCode}</div>
+                    <div style={{ fontSize: 12, color: colors.text?.secondary }}>
+                      {r.requesterEmpCode} · {r.requesterShift} → {r.colleagueShift}
+                    </div>
+                  </GlassTable.Td>
+                  <GlassTable.Td>
+                    <div style={{ fontWeight: 600 }}>{r.colleagueName || r.colleagueEmpCode}</div>
+                    <div style={{ fontSize: 12, color: colors.text?.secondary }}>
+                      {r.colleagueEmpCode} · {r.colleagueShift} → {r.requesterShift}
+                    </div>
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12, maxWidth: 280 }}>
+                    {r.reason}
+                    <div style={{ color: colors.text?.secondary }}>
+                      Sent {formatWhen(r.createdAt)}
+                      {r.colleagueRespondedAt ? ` · answered ${formatWhen(r.colleagueRespondedAt)}` : ''}
+                    </div>
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>
+                    {showActions ? (
+                      <GlassInput
+                        value={notes[r._id] || ''}
+                        placeholder="Optional note"
+                        onChange={(e) => setNotes((prev) => ({ ...prev, [r._id]: e.target.value }))}
+                      />
+                    ) : (
+                      <>
+                        <div style={{ fontWeight: 600 }}>{STATUS_LABELS[r.status] || r.status}</div>
+                        {r.reviewedBy && (
+                          <div style={{ color: colors.text?.secondary }}>
+                            {r.reviewedBy} · {formatWhen(r.reviewedAt)}
+                          </div>
+                        )}
+                        {r.reviewNote && <div>{r.reviewNote}</div>}
+                      </>
+                    )}
+                  </GlassTable.Td>
+                  {showActions && (
+                    <GlassTable.Td align="right">
+                      <div style={{ display: 'inline-flex', gap: 6 }}>
+                        <GlassButton onClick={() => handleReview(r, 'approve')} disabled={busyId === r._id}>
+                          Approve
+                        </GlassButton>
+                        <GlassButton
+                          variant="ghost"
+                          onClick={() => handleReview(r, 'reject')}
+                          disabled={busyId === r._id}
+                        >
+                          Reject
+                        </GlassButton>
+                      </div>
+                    </GlassTable.Td>
+                  )}
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+      </GlassCard>
+
+      {toast.text && (
+        <div
+          style={{
+            position: 'fixed',
+            right: 18,
+            bottom: 20,
+            padding: '12px 16px',
+            borderRadius: 12,
+            background: toast.type === 'error' ? 'rgba(248,113,113,0.12)' : 'rgba(16,185,129,0.14)',
+            border: `1px solid ${toast.type === 'error' ? 'rgba(220,38,38,0.6)' : 'rgba(16,185,129,0.7)'}`,
+            color: toast.type === 'error' ? '#b91c1c' : '#065f46',
+            fontSize: 13,
+            zIndex: 50,
+          }}
+        >
+          {toast.text}
+        </div>
+      )}
+
+      {showWarning && (
+        <AutoLogoutWarning
+          timeRemaining={timeRemaining}
+          onStayLoggedIn={handleStayLoggedIn}
+          onLogout={autoLogout}
+        />
+      )}
+    </HrPageShell>
+  );
+}
@@ -52,6 +52,13 @@ export default function ShiftManagementPage() {
     startTime: '',
     endTime: '',
     crossesMidnight: false,
+    /** 'flexible' = judged on the core window and required hours */
+    shiftType: 'fixed',
+    coreStartTime: '',
+    coreEndTime: '',
+    requiredHours: 8,
+    /** Split shifts: [{ startTime, endTime, checkInGracePeriod, checkOutGracePeriod }] ('' grace = shift grace) */
+    segments: [],
     checkInGracePeriod: 20,
     checkOutGracePeriod: 20,
     /** YYYY-MM-DD — new grace applies from this company date (set with shift save) */
@@ -123,6 +130,11 @@ export default function ShiftManagementPage() {
       startTime: '',
       endTime: '',
       crossesMidnight: false,
+      shiftType: 'fixed',
+      coreStartTime: '',
+      coreEndTime: '',
+      requiredHours: 8,
+      segments: [],
       checkInGracePeriod: 20,
       checkOutGracePeriod: 20,
       graceEffectiveFrom: todayYmd,
@@ -167,6 +179,16 @@ export default function ShiftManagementPage() {
       startTime: shift.startTime || '',
       endTime: shift.endTime || '',
       crossesMidnight: shift.crossesMidnight || false,
+      shiftType: shift.shiftType || 'fixed',
+      coreStartTime: shift.coreStartTime || '',
+      coreEndTime: shift.coreEndTime || '',
+      requiredHours: shift.requiredHours != null ? Number(shift.requiredHours) : 8,
+      segments: (shift.segments || []).map((seg) => ({
+        startTime: seg.startTime || '',
+        endTime: seg.endTime || '',
+        checkInGracePeriod: seg.checkInGracePeriod ?? '',
+        checkOutGracePeriod: seg.checkOutGracePeriod ?? '',
+      })),
       checkInGracePeriod: g.checkIn,
       checkOutGracePeriod: g.checkOut,
       graceEffectiveFrom: eff,
@@ -184,6 +206,13 @@ export default function ShiftManagementPage() {
     setModalOpen(true);
   }
 
+  function updateSegment(idx, key, value) {
+    setFormData((prev) => ({
+      ...prev,
+      segments: prev.segments.map((seg, i) => (i === idx ? { ...seg, [key]: value } : seg)),
+    }));
+  }
+
   function closeModal() {
     setModalOpen(false);
     setEditingShift(null);
@@ -227,6 +256,12 @@ export default function ShiftManagementPage() {
         delete payload.priorCheckInGracePeriod;
         delete payload.priorCheckOutGracePeriod;
       }
+      // Split shifts: start / end / crosses midnight are derived from the segments
+      if (payload.shiftType === 'split') {
+        delete payload.startTime;
+        delete payload.endTime;
+        delete payload.crossesMidnight;
+      }
 
       const res = await fetch(url, {
         method,
@@ -680,6 +715,16 @@ export default function ShiftManagementPage() {
                       <td style={{ padding: '12px 16px', fontSize: 14, color: colors.text.table.cell }}>
                         {shift.startTime} - {shift.endTime}
                         {shift.crossesMidnight && ' (next day)'}
+                        {shift.shiftType === 'split' && (shift.segments || []).length > 0 && (
+                          <div style={{ fontSize: 12, color: colors.text.secondary, marginTop: 2 }}>
+                            Split · {shift.segments.map((seg) => `${seg.startTime}–${seg.endTime}`).join(', ')}
+                          </div>
+                        )}
+                        {shift.shiftType === 'flexible' && (
+                          <div style={{ fontSize: 12, color: colors.text.secondary, marginTop: 2 }}>
+                            Flexible · core {shift.coreStartTime}–{shift.coreEndTime} · {shift.requiredHours ?? 8}h required
+                          </div>
+                        )}
                       </td>
                       <td style={{ padding: '12px 16px', fontSize: 14, color: colors.text.table.cell }}>
                         {gr.checkIn} min
@@ -916,6 +961,77 @@ export default function ShiftManagementPage() {
                 </div>
               </div>
 
+              {formData.shiftType !== 'split' && (
+                <div
+                  className="shift-form-grid"
+                  style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+                    gap: 16,
+                    marginBottom: 16,
+                  }}
+                >
+                  <div>
+                    <label
+                      style={{
+                        fontSize: 13,
+                        fontWeight: 600,
+                        color: colors.text.secondary,
+                        marginBottom: 6,
+                        display: 'block',
+                      }}
+                    >
+                      {formData.shiftType === 'flexible' ? 'Earliest Check-in *' : 'Start Time *'}
+                    </label>
+                    <input
+                      type="time"
+                      value={formData.startTime}
+                      onChange={(e) => setFormData({ ...formData, startTime: e.target.value })}
+                      style={{
+                        padding: '10px 14px',
+                        borderRadius: 8,
+                        border: `1px solid ${colors.border.input}`,
+                        fontSize: 14,
+                        width: '100%',
+                        outline: 'none',
+                        backgroundColor: colors.background.input,
+                        color: colors.text.primary,
+                      }}
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label
+                      style={{
+                        fontSize: 13,
+                        fontWeight: 600,
+                        color: colors.text.secondary,
+                        marginBottom: 6,
+                        display: 'block',
+                      }}
+                    >
+                      {formData.shiftType === 'flexible' ? 'Latest Check-out *' : 'End Time *'}
+                    </label>
+                    <input
+                      type="time"
+                      value={formData.endTime}
+                      onChange={(e) => setFormData({ ...formData, endTime: e.target.value })}
+                      style={{
+                        padding: '10px 14px',
+                        borderRadius: 8,
+                        border: `1px solid ${colors.border.input}`,
+                        fontSize: 14,
+                        width: '100%',
+                        outline: 'none',
+                        backgroundColor: colors.background.input,
+                        color: colors.text.primary,
+                      }}
+                      required
+                    />
+                  </div>
+                </div>
+              )}
+
               <div
                 className="shift-form-grid"
                 style={{
@@ -935,12 +1051,21 @@ export default function ShiftManagementPage() {
                       display: 'block',
                     }}
                   >
-                    Start Time *
+                    Shift Type
                   </label>
-                  <input
-                    type="time"
-                    value={formData.startTime}
-                    onChange={(e) => setFormData({ ...formData, startTime: e.target.value })}
+                  <select
+                    value={formData.shiftType}
+                    onChange={(e) => {
+                      const shiftType = e.target.value;
+                      const segments =
+                        shiftType === 'split' && formData.segments.length === 0
+                          ? [
+                              { startTime: '', endTime: '', checkInGracePeriod: '', checkOutGracePeriod: '' },
+                              { startTime: '', endTime: '', checkInGracePeriod: '', checkOutGracePeriod: '' },
+                            ]
+                          : formData.segments;
+                      setFormData({ ...formData, shiftType, segments });
+                    }}
                     style={{
                       padding: '10px 14px',
                       borderRadius: 8,
@@ -951,10 +1076,115 @@ export default function ShiftManagementPage() {
                       backgroundColor: colors.background.input,
                       color: colors.text.primary,
                     }}
-                    required
-                  />
+                  >
+                    <option value="fixed">Fixed (start / end time)</option>
+                    <option value="flexible">Flexible (core hours)</option>
+                    <option value="split">Split (segments)</option>
+                  </select>
                 </div>
-                <div>
+                {formData.shiftType === 'flexible' && (
+                  <>
+                    <div>
+                      <label
+                        style={{
+                          fontSize: 13,
+                          fontWeight: 600,
+                          color: colors.text.secondary,
+                          marginBottom: 6,
+                          display: 'block',
+                        }}
+                      >
+                        Core Start *
+                      </label>
+                      <input
+                        type="time"
+                        value={formData.coreStartTime}
+                        onChange={(e) => setFormData({ ...formData, coreStartTime: e.target.value })}
+                        style={{
+                          padding: '10px 14px',
+                          borderRadius: 8,
+                          border: `1px solid ${colors.border.input}`,
+                          fontSize: 14,
+                          width: '100%',
+                          outline: 'none',
+                          backgroundColor: colors.background.input,
+                          color: colors.text.primary,
+                        }}
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label
+                        style={{
+                          fontSize: 13,
+                          fontWeight: 600,
+                          color: colors.text.secondary,
+                          marginBottom: 6,
+                          display: 'block',
+                        }}
+                      >
+                        Core End *
+                      </label>
+                      <input
+                        type="time"
+                        value={formData.coreEndTime}
+                        onChange={(e) => setFormData({ ...formData, coreEndTime: e.target.value })}
+                        style={{
+                          padding: '10px 14px',
+                          borderRadius: 8,
+                          border: `1px solid ${colors.border.input}`,
+                          fontSize: 14,
+                          width: '100%',
+                          outline: 'none',
+                          backgroundColor: colors.background.input,
+                          color: colors.text.primary,
+                        }}
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label
+                        style={{
+                          fontSize: 13,
+                          fontWeight: 600,
+                          color: colors.text.secondary,
+                          marginBottom: 6,
+                          display: 'block',
+                        }}
+                      >
+                        Required Hours *
+                      </label>
+                      <input
+                        type="number"
+                        value={formData.requiredHours}
+                        onChange={(e) => setFormData({ ...formData, requiredHours: Number(e.target.value) })}
+                        style={{
+                          padding: '10px 14px',
+                          borderRadius: 8,
+                          border: `1px solid ${colors.border.input}`,
+                          fontSize: 14,
+                          width: '100%',
+                          outline: 'none',
+                          backgroundColor: colors.background.input,
+                          color: colors.text.primary,
+                        }}
+                        min="1"
+                        max="24"
+                        step="0.5"
+                        required
+                      />
+                    </div>
+                  </>
+                )}
+              </div>
+              {formData.shiftType === 'flexible' && (
+                <p style={{ fontSize: 12, color: colors.text.secondary, marginTop: -8, marginBottom: 16 }}>
+                  Late is counted from the core start. Working fewer than the required hours (or leaving before
+                  the core end) counts as early leave; check-in grace and check-out grace still apply.
+                </p>
+              )}
+              {formData.shiftType === 'split' && (
+                <div style={{ marginBottom: 16 }}>
                   <label
                     style={{
                       fontSize: 13,
@@ -964,26 +1194,110 @@ export default function ShiftManagementPage() {
                       display: 'block',
                     }}
                   >
-                    End Time *
+                    Segments * (start, end, in-grace, out-grace — blank grace uses the shift grace)
                   </label>
-                  <input
-                    type="time"
-                    value={formData.endTime}
-                    onChange={(e) => setFormData({ ...formData, endTime: e.target.value })}
-                    style={{
-                      padding: '10px 14px',
-                      borderRadius: 8,
-                      border: `1px solid ${colors.border.input}`,
-                      fontSize: 14,
-                      width: '100%',
-                      outline: 'none',
-                      backgroundColor: colors.background.input,
-                      color: colors.text.primary,
-                    }}
-                    required
-                  />
+                  {formData.segments.map((seg, idx) => (
+                    <div
+                      key={idx}
+                      style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr auto', gap: 8, marginBottom: 8 }}
+                    >
+                        <input
+                          type="time"
+                          value={seg.startTime}
+                          onChange={(e) => updateSegment(idx, 'startTime', e.target.value)}
+                          style={{
+                            padding: '8px 10px',
+                            borderRadius: 8,
+                            border: `1px solid ${colors.border.input}`,
+                            fontSize: 13,
+                            width: '100%',
+                            outline: 'none',
+                            backgroundColor: colors.background.input,
+                            color: colors.text.primary,
+                          }}
+                          required
+                        />
+                        <input
+                          type="time"
+                          value={seg.endTime}
+                          onChange={(e) => updateSegment(idx, 'endTime', e.target.value)}
+                          style={{
+                            padding: '8px 10px',
+                            borderRadius: 8,
+                            border: `1px solid ${colors.border.input}`,
+                            fontSize: 13,
+                            width: '100%',
+                            outline: 'none',
+                            backgroundColor: colors.background.input,
+                            color: colors.text.primary,
+                          }}
+                          required
+                        />
+                        <input
+                          type="number"
+                          value={seg.checkInGracePeriod}
+                          onChange={(e) => updateSegment(idx, 'checkInGracePeriod', e.target.value)}
+                          style={{
+                            padding: '8px 10px',
+                            borderRadius: 8,
+                            border: `1px solid ${colors.border.input}`,
+                            fontSize: 13,
+                            width: '100%',
+                            outline: 'none',
+                            backgroundColor: colors.background.input,
+                            color: colors.text.primary,
+                          }}
+                          min="0"
+                          placeholder="In grace"
+                        />
+                        <input
+                          type="number"
+                          value={seg.checkOutGracePeriod}
+                          onChange={(e) => updateSegment(idx, 'checkOutGracePeriod', e.target.value)}
+                          style={{
+                            padding: '8px 10px',
+                            borderRadius: 8,
+                            border: `1px solid ${colors.border.input}`,
+                            fontSize: 13,
+                            width: '100%',
+                            outline: 'none',
+                            backgroundColor: colors.background.input,
+                            color: colors.text.primary,
+                          }}
+                          min="0"
+                          placeholder="Out grace"
+                        />
+                      <button
+                        type="button"
+                        onClick={() => setFormData({ ...formData, segments: formData.segments.filter((_, i) => i !== idx) })}
+                        disabled={formData.segments.length <= 2}
+                        style={{ ...glossPill('neutral'), padding: '6px 10px', fontSize: 12 }}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setFormData({
+                        ...formData,
+                        segments: [
+                          ...formData.segments,
+                          { startTime: '', endTime: '', checkInGracePeriod: '', checkOutGracePeriod: '' },
+                        ],
+                      })
+                    }
+                    style={{ ...glossPill('neutral'), padding: '6px 12px', fontSize: 12 }}
+                  >
+                    + Add segment
+                  </button>
+                  <p style={{ fontSize: 12, color: colors.text.secondary, marginTop: 8 }}>
+                    Punches are matched to the nearest segment and each segment is judged late / early on its
+                    own; the day counts at most one late and one early violation.
+                  </p>
                 </div>
-              </div>
+              )}
 
               <div
                 className="shift-form-grid"
@@ -1171,24 +1485,26 @@ export default function ShiftManagementPage() {
                     placeholder="e.g. 20"
                   />
                 </div>
-                <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 28 }}>
-                  <input
-                    type="checkbox"
-                    checked={formData.crossesMidnight}
-                    onChange={(e) => setFormData({ ...formData, crossesMidnight: e.target.checked })}
-                    style={{ width: 18, height: 18, cursor: 'pointer' }}
-                  />
-                  <label
-                    style={{
-                      fontSize: 13,
-                      fontWeight: 600,
-                      color: colors.text.secondary,
-                      cursor: 'pointer',
-                    }}
-                  >
-                    Crosses Midnight (next day)
-                  </label>
-                </div>
+                {formData.shiftType !== 'split' && (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 28 }}>
+                    <input
+                      type="checkbox"
+                      checked={formData.crossesMidnight}
+                      onChange={(e) => setFormData({ ...formData, crossesMidnight: e.target.checked })}
+                      style={{ width: 18, height: 18, cursor: 'pointer' }}
+                    />
+                    <label
+                      style={{
+                        fontSize: 13,
+                        fontWeight: 600,
+                        color: colors.text.secondary,
+                        cursor: 'pointer',
+                      }}
+                    >
+                      Crosses Midnight (next day)
+                    </label>
+                  </div>
+                )}
               </div>
 
               <div style={{ marginBottom: 16 }}>
@@ -8,6 +8,7 @@ import { HrPageShell, HrHeaderActions, GlassCard, getGlossPillStyles } from '@/c
 import { useAutoLogout } from '@/hooks/useAutoLogout';
 import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
 import { usePermissions } from '@/hooks/usePermissions';
+import PolicyVersionTimeline from '@/components/common/PolicyVersionTimeline';
 
 export default function ViolationRulesPage() {
   const router = useRouter();
@@ -16,6 +17,9 @@ export default function ViolationRulesPage() {
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [toast, setToast] = useState({ type: '', text: '' });
+  const [versions, setVersions] = useState([]);
+  // '' = today; a later date schedules the change
+  const [effectiveFrom, setEffectiveFrom] = useState('');
 
   // Form state
   const [formData, setFormData] = useState({
@@ -36,6 +40,11 @@ export default function ViolationRulesPage() {
       halfDayDays: 0.5,
       paidLeaveDays: 0.0,
     },
+    workedHoursConfig: {
+      enabled: false,
+      halfDayBelowPercent: 50,
+      absentBelowPercent: 25,
+    },
     description: '',
   });
 
@@ -72,22 +81,31 @@ export default function ViolationRulesPage() {
     }, 3000);
   }
 
+  // Put one version of the rules into the form
+  function fillForm(rules) {
+    setFormData((prev) => ({
+      violationConfig: rules.violationConfig || prev.violationConfig,
+      absentConfig: rules.absentConfig || prev.absentConfig,
+      leaveConfig: rules.leaveConfig || prev.leaveConfig,
+      workedHoursConfig: rules.workedHoursConfig || prev.workedHoursConfig,
+      description: rules.description || '',
+    }));
+  }
+
+  // Rules in force today into the form, plus the version timeline
+  function applyResponse(data) {
+    if (data.rules) fillForm(data.rules);
+    setVersions(data.versions || []);
+    setEffectiveFrom('');
+  }
+
   // Load existing rules
   async function loadRules() {
     try {
       setLoading(true);
       const res = await fetch('/api/hr/violation-rules');
       if (!res.ok) throw new Error('Failed to load violation rules');
-      const data = await res.json();
-      
-      if (data.rules) {
-        setFormData({
-          violationConfig: data.rules.violationConfig || formData.violationConfig,
-          absentConfig: data.rules.absentConfig || formData.absentConfig,
-          leaveConfig: data.rules.leaveConfig || formData.leaveConfig,
-          description: data.rules.description || '',
-        });
-      }
+      applyResponse(await res.json());
     } catch (err) {
       console.error(err);
       showToast('error', err.message || 'Failed to load violation rules');
@@ -111,16 +129,18 @@ export default function ViolationRulesPage() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           ...formData,
+          effectiveFrom: effectiveFrom || undefined,
           updatedBy: session?.user?.email || 'HR',
         }),
       });
 
+      const data = await res.json();
       if (!res.ok) {
-        const errorData = await res.json();
-        throw new Error(errorData.error || 'Failed to save violation rules');
+        throw new Error(data.error || 'Failed to save violation rules');
       }
 
-      showToast('success', 'Violation rules updated successfully');
+      showToast('success', data.message || 'Violation rules updated successfully');
+      applyResponse(data);
     } catch (err) {
       console.error('Save error:', err);
       showToast('error', err.message || 'Failed to save violation rules');
@@ -129,6 +149,24 @@ export default function ViolationRulesPage() {
     }
   }
 
+  function editVersion(version) {
+    fillForm(version);
+    setEffectiveFrom(version.effectiveFrom);
+  }
+
+  async function deleteVersion(version) {
+    if (!window.confirm(`Delete the violation rules scheduled from ${version.effectiveFrom}?`)) return;
+    try {
+      const res = await fetch(`/api/hr/violation-rules?effectiveFrom=${version.effectiveFrom}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to delete');
+      showToast('success', data.message || 'Scheduled violation rules deleted');
+      applyResponse(data);
+    } catch (err) {
+      showToast('error', err.message || 'Failed to delete');
+    }
+  }
+
   // Helper to update nested form data
   function updateNestedField(section, field, value) {
     setFormData((prev) => ({
@@ -719,6 +757,121 @@ export default function ViolationRulesPage() {
               </div>
             </div>
 
+            {/* Worked Hours (short day) Configuration */}
+            <div
+              className="rules-form-section"
+              style={{
+                marginBottom: 24,
+                padding: '20px 24px',
+                borderRadius: 12,
+                backgroundColor: colors.background.secondary,
+                border: `1px solid ${colors.border.default}`,
+              }}
+            >
+              <h3
+                style={{
+                  fontSize: 18,
+                  fontWeight: 700,
+                  marginBottom: 16,
+                  color: colors.text.primary,
+                  borderBottom: `2px solid ${colors.primary[500]}`,
+                  paddingBottom: 8,
+                }}
+              >
+                Short Day Rules (Worked Hours)
+              </h3>
+              <p style={{ fontSize: 12, color: colors.text.secondary, marginBottom: 16 }}>
+                Classify a Present day from the hours between check-in and check-out, as a percentage of the
+                shift&apos;s paid hours. Below the Half Day threshold the day becomes Half Day; below the Absent
+                threshold it becomes Absent. Days edited by HR are not changed.
+              </p>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 16, cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={!!formData.workedHoursConfig.enabled}
+                  onChange={(e) => updateNestedField('workedHoursConfig', 'enabled', e.target.checked)}
+                />
+                <span style={{ fontSize: 13, fontWeight: 600, color: colors.text.primary }}>
+                  Detect half days and absences from worked hours
+                </span>
+              </label>
+              <div
+                className="rules-form-grid"
+                style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
+                  gap: 16,
+                }}
+              >
+                <div>
+                  <label
+                    style={{
+                      fontSize: 13,
+                      fontWeight: 600,
+                      color: colors.text.secondary,
+                      marginBottom: 6,
+                      display: 'block',
+                    }}
+                  >
+                    Half Day below (% of paid hours)
+                  </label>
+                  <input
+                    type="number"
+                    step="1"
+                    value={formData.workedHoursConfig.halfDayBelowPercent}
+                    onChange={(e) => updateNestedField('workedHoursConfig', 'halfDayBelowPercent', Number(e.target.value))}
+                    min="0"
+                    max="100"
+                    disabled={!formData.workedHoursConfig.enabled}
+                    style={{
+                      padding: '10px 14px',
+                      borderRadius: 8,
+                      border: `1px solid ${colors.border.input}`,
+                      fontSize: 14,
+                      width: '100%',
+                      outline: 'none',
+                      backgroundColor: colors.background.input,
+                      color: colors.text.primary,
+                      opacity: formData.workedHoursConfig.enabled ? 1 : 0.6,
+                    }}
+                  />
+                </div>
+                <div>
+                  <label
+                    style={{
+                      fontSize: 13,
+                      fontWeight: 600,
+                      color: colors.text.secondary,
+                      marginBottom: 6,
+                      display: 'block',
+                    }}
+                  >
+                    Absent below (% of paid hours)
+                  </label>
+                  <input
+                    type="number"
+                    step="1"
+                    value={formData.workedHoursConfig.absentBelowPercent}
+                    onChange={(e) => updateNestedField('workedHoursConfig', 'absentBelowPercent', Number(e.target.value))}
+                    min="0"
+                    max="100"
+                    disabled={!formData.workedHoursConfig.enabled}
+                    style={{
+                      padding: '10px 14px',
+                      borderRadius: 8,
+                      border: `1px solid ${colors.border.input}`,
+                      fontSize: 14,
+                      width: '100%',
+                      outline: 'none',
+                      backgroundColor: colors.background.input,
+                      color: colors.text.primary,
+                      opacity: formData.workedHoursConfig.enabled ? 1 : 0.6,
+                    }}
+                  />
+                </div>
+              </div>
+            </div>
+
             {/* Per-day salary lives on Company Settings */}
             <div
               className="rules-form-section"
@@ -793,9 +946,37 @@ export default function ViolationRulesPage() {
                   display: 'flex',
                   gap: 12,
                   justifyContent: 'flex-end',
+                  alignItems: 'flex-end',
                   marginTop: 24,
                 }}
               >
+                <div>
+                  <label
+                    style={{
+                      fontSize: 13,
+                      fontWeight: 600,
+                      color: colors.text.secondary,
+                      marginBottom: 6,
+                      display: 'block',
+                    }}
+                  >
+                    Effective from (empty = today)
+                  </label>
+                  <input
+                    type="date"
+                    value={effectiveFrom}
+                    onChange={(e) => setEffectiveFrom(e.target.value)}
+                    style={{
+                      padding: '10px 14px',
+                      borderRadius: 8,
+                      border: `1px solid ${colors.border.input}`,
+                      fontSize: 14,
+                      outline: 'none',
+                      backgroundColor: colors.background.input,
+                      color: colors.text.primary,
+                    }}
+                  />
+                </div>
                 <button
                   type="submit"
                   disabled={saving}
@@ -825,7 +1006,7 @@ export default function ViolationRulesPage() {
                     }
                   }}
                 >
-                  {saving ? 'Saving...' : 'Save Violation Rules'}
+                  {saving ? 'Saving...' : effectiveFrom ? 'Schedule Violation Rules' : 'Save Violation Rules'}
                 </button>
               </div>
             )}
@@ -833,6 +1014,24 @@ export default function ViolationRulesPage() {
           </form>
         )}
       </GlassCard>
+
+      <PolicyVersionTimeline
+        versions={versions}
+        canUpdate={canUpdate}
+        onEdit={editVersion}
+        onDelete={deleteVersion}
+        summarize={(v) =>
+          [
+            `${v.violationConfig?.freeViolations} free`,
+            `every ${v.violationConfig?.milestoneInterval}th = 1 day`,
+            `${v.violationConfig?.perMinuteRate} day/min (max ${v.violationConfig?.maxPerMinuteFine})`,
+            v.workedHoursConfig?.enabled ? 'short day rules on' : null,
+            v.description,
+          ]
+            .filter(Boolean)
+            .join(' · ')
+        }
+      />
     </HrPageShell>
   );
 }
@@ -0,0 +1,457 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { signOut } from 'next-auth/react';
+import { useTheme } from '@/lib/theme/ThemeContext';
+import {
+  HrPageShell,
+  HrHeaderActions,
+  GlassCard,
+  GlassTable,
+  GlassInput,
+  GlassButton,
+  getGlossPillStyles,
+} from '@/components/glass';
+import { useAutoLogout } from '@/hooks/useAutoLogout';
+import AutoLogoutWarning from '@/components/ui/AutoLogoutWarning';
+import { usePermissions } from '@/hooks/usePermissions';
+
+const EMPTY_FORM = {
+  scope: 'department',
+  target: '',
+  allowedCidrs: '',
+  allowEquipmentIp: false,
+  geofences: '',
+  exemptWorkFromHome: false,
+  requireSelfie: false,
+  isActive: true,
+  notes: '',
+};
+
+/** "Office, 31.5204, 74.3587, 200" per line → geofence objects */
+function parseGeofenceLines(text) {
+  return String(text || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const parts = line.split(',').map((p) => p.trim());
+      const [name, latitude, longitude, radiusMeters] = parts.length >= 4 ? parts : ['', ...parts];
+      return { name, latitude, longitude, radiusMeters };
+    });
+}
+
+function formatGeofenceLines(geofences) {
+  return (geofences || [])
+    .map((g) => `${g.name || 'Site'}, ${g.latitude}, ${g.longitude}, ${g.radiusMeters}`)
+    .join('\n');
+}
+
+function formatWhen(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export default function HrWebClockRulesPage() {
+  const { colors } = useTheme();
+  const router = useRouter();
+  const { canCreate, canUpdate, canDelete } = usePermissions('webClockRules');
+  const { showWarning, timeRemaining, handleStayLoggedIn, handleLogout: autoLogout } = useAutoLogout({
+    inactivityTime: 30 * 60 * 1000,
+    warningTime: 5 * 60 * 1000,
+    enabled: true,
+  });
+
+  const [rules, setRules] = useState([]);
+  const [rejections, setRejections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [toast, setToast] = useState({ type: '', text: '' });
+
+  function showToast(type, text) {
+    setToast({ type, text });
+    setTimeout(() => setToast((prev) => (prev.text === text ? { type: '', text: '' } : prev)), 3000);
+  }
+
+  async function loadRules() {
+    setLoading(true);
+    try {
+      const res = await fetch('/api/hr/web-clock-rules', { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setRules(response.data?.rules || []);
+        setRejections(response.data?.rejections || []);
+      } else {
+        showToast('error', response.error || response.message || 'Failed to load rules');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to load rules');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadRules();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  function openCreate() {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setShowForm(true);
+  }
+
+  function openEdit(rule) {
+    setEditingId(rule._id);
+    setForm({
+      scope: rule.scope,
+      target: rule.target,
+      allowedCidrs: (rule.allowedCidrs || []).join(', '),
+      allowEquipmentIp: !!rule.allowEquipmentIp,
+      geofences: formatGeofenceLines(rule.geofences),
+      exemptWorkFromHome: !!rule.exemptWorkFromHome,
+      requireSelfie: !!rule.requireSelfie,
+      isActive: rule.isActive !== false,
+      notes: rule.notes || '',
+    });
+    setShowForm(true);
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await fetch(editingId ? `/api/hr/web-clock-rules/${editingId}` : '/api/hr/web-clock-rules', {
+        method: editingId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...form, geofences: parseGeofenceLines(form.geofences) }),
+      });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', editingId ? 'Rule updated' : 'Rule created');
+        setShowForm(false);
+        loadRules();
+      } else {
+        showToast('error', response.error || response.message || 'Failed to save rule');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to save rule');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete(rule) {
+    if (!window.confirm(`Delete the web clock rule for ${rule.scope} "${rule.target}"?`)) return;
+    try {
+      const res = await fetch(`/api/hr/web-clock-rules/${rule._id}`, { method: 'DELETE' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        showToast('success', 'Rule deleted');
+        loadRules();
+      } else {
+        showToast('error', response.error || response.message || 'Failed to delete rule');
+      }
+    } catch (err) {
+      console.error(err);
+      showToast('error', 'Failed to delete rule');
+    }
+  }
+
+  const handleLogout = async () => {
+    try {
+      await signOut({ redirect: false, callbackUrl: '/login?role=hr' });
+      router.push('/login?role=hr');
+    } catch (e) {
+      router.push('/login?role=hr');
+    }
+  };
+
+  const glossPill = (variant = 'neutral') => getGlossPillStyles(colors, variant);
+
+  const headerActions = (
+    <HrHeaderActions>
+      <button type="button" onClick={() => router.push('/hr/employees/manage')} style={glossPill('slate')}>
+        Manage Employees
+      </button>
+      <button type="button" onClick={() => router.push('/hr/employees')} style={glossPill('neutral')}>
+        Dashboard
+      </button>
+      <button type="button" onClick={handleLogout} style={glossPill('rose')}>
+        <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+        </svg>
+        Logout
+      </button>
+    </HrHeaderActions>
+  );
+
+  const labelStyle = { display: 'block', fontSize: 12, fontWeight: 600, marginBottom: 4, color: colors.text?.primary };
+  const selectStyle = {
+    width: '100%',
+    padding: '8px 10px',
+    borderRadius: 8,
+    border: `1px solid ${colors.border?.default}`,
+    backgroundColor: colors.background?.input,
+    color: colors.text?.primary,
+    fontSize: 13,
+  };
+
+  return (
+    <HrPageShell subtitle="Web Clock Rules" actions={headerActions}>
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <p style={{ fontSize: 13, color: colors.text?.secondary, marginBottom: 16 }}>
+          Limit where employees with web clock enabled may clock in / out. An employee rule replaces their
+          department&apos;s rule. With IP ranges set, the request must come from one of them (or from the IP
+          recorded in IT equipment, if allowed); with geofences set, the browser location must be inside one.
+          Employees without a rule can clock in from anywhere.
+        </p>
+
+        <div style={{ display: 'flex', gap: 12, marginBottom: 16 }}>
+          <GlassButton variant="secondary" onClick={loadRules} disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </GlassButton>
+          {canCreate && <GlassButton onClick={openCreate}>Add rule</GlassButton>}
+        </div>
+
+        {showForm && (
+          <form
+            onSubmit={handleSave}
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))',
+              gap: 12,
+              padding: 16,
+              marginBottom: 16,
+              borderRadius: 10,
+              border: `1px solid ${colors.border?.default}`,
+            }}
+          >
+            <div>
+              <label style={labelStyle}>Applies to</label>
+              <select
+                value={form.scope}
+                onChange={(e) => setForm({ ...form, scope: e.target.value })}
+                disabled={!!editingId}
+                style={selectStyle}
+              >
+                <option value="department">Department</option>
+                <option value="employee">Employee</option>
+              </select>
+            </div>
+            <div>
+              <label style={labelStyle}>{form.scope === 'employee' ? 'Employee code' : 'Department name'}</label>
+              <GlassInput
+                value={form.target}
+                onChange={(e) => setForm({ ...form, target: e.target.value })}
+                disabled={!!editingId}
+                required
+              />
+            </div>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Allowed IP ranges (comma separated, blank = any network)</label>
+              <GlassInput
+                value={form.allowedCidrs}
+                placeholder="203.0.113.0/24, 198.51.100.7"
+                onChange={(e) => setForm({ ...form, allowedCidrs: e.target.value })}
+              />
+            </div>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Geofences — one per line: name, latitude, longitude, radius (m)</label>
+              <textarea
+                rows={3}
+                value={form.geofences}
+                placeholder="Head office, 31.5204, 74.3587, 200"
+                onChange={(e) => setForm({ ...form, geofences: e.target.value })}
+                style={{ ...selectStyle, fontFamily: 'inherit', resize: 'vertical' }}
+              />
+            </div>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Notes</label>
+              <GlassInput value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: colors.text?.primary }}>
+              <input
+                type="checkbox"
+                checked={form.allowEquipmentIp}
+                onChange={(e) => setForm({ ...form, allowEquipmentIp: e.target.checked })}
+              />
+              Also allow the employee&apos;s IT equipment IP
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: colors.text?.primary }}>
+              <input
+                type="checkbox"
+                checked={form.exemptWorkFromHome}
+                onChange={(e) => setForm({ ...form, exemptWorkFromHome: e.target.checked })}
+              />
+              Skip network / location checks for &quot;Work From Home&quot; employees
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: colors.text?.primary }}>
+              <input
+                type="checkbox"
+                checked={form.requireSelfie}
+                onChange={(e) => setForm({ ...form, requireSelfie: e.target.checked })}
+              />
+              Require a selfie with each punch
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: colors.text?.primary }}>
+              <input
+                type="checkbox"
+                checked={form.isActive}
+                onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+              />
+              Active
+            </label>
+            <div style={{ display: 'flex', gap: 8, gridColumn: '1 / -1' }}>
+              <GlassButton type="submit" disabled={saving}>
+                {saving ? 'Saving...' : editingId ? 'Save changes' : 'Create rule'}
+              </GlassButton>
+              <GlassButton variant="ghost" onClick={() => setShowForm(false)}>
+                Cancel
+              </GlassButton>
+            </div>
+          </form>
+        )}
+
+        {loading && rules.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>Loading...</div>
+        ) : rules.length === 0 ? (
+          <div style={{ padding: '24px 0', textAlign: 'center', color: colors.text?.secondary }}>
+            No rules yet — web clock is allowed from anywhere.
+          </div>
+        ) : (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>Applies to</GlassTable.Th>
+                <GlassTable.Th>IP ranges</GlassTable.Th>
+                <GlassTable.Th>Geofences</GlassTable.Th>
+                <GlassTable.Th>Options</GlassTable.Th>
+                {(canUpdate || canDelete) && <GlassTable.Th align="right">Actions</GlassTable.Th>}
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {rules.map((r, idx) => (
+                <GlassTable.Row key={r._id} even={idx % 2 === 1}>
+                  <GlassTable.Td>
+                    <div style={{ fontWeight: 600 }}>{r.target}</div>
+                    <div style={{ fontSize: 12, color: colors.text?.secondary, textTransform: 'capitalize' }}>
+                      {r.scope}
+                      {r.isActive === false ? ' · inactive' : ''}
+                    </div>
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>
+                    {(r.allowedCidrs || []).join(', ') || (r.allowEquipmentIp ? '' : 'Any')}
+                    {r.allowEquipmentIp && <div style={{ color: colors.text?.secondary }}>+ IT equipment IP</div>}
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>
+                    {(r.geofences || []).length === 0
+                      ? 'None'
+                      : r.geofences.map((g) => (
+                          <div key={`${g.latitude},${g.longitude}`}>
+                            {g.name || 'Site'} · {g.radiusMeters} m
+                          </div>
+                        ))}
+                  </GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>
+                    {[r.exemptWorkFromHome && 'WFH exempt', r.requireSelfie && 'Selfie required']
+                      .filter(Boolean)
+                      .join(' · ') || '—'}
+                    {r.notes && <div style={{ color: colors.text?.secondary }}>{r.notes}</div>}
+                  </GlassTable.Td>
+                  {(canUpdate || canDelete) && (
+                    <GlassTable.Td align="right">
+                      <div style={{ display: 'inline-flex', gap: 6 }}>
+                        {canUpdate && (
+                          <GlassButton variant="secondary" onClick={() => openEdit(r)}>
+                            Edit
+                          </GlassButton>
+                        )}
+                        {canDelete && (
+                          <GlassButton variant="ghost" onClick={() => handleDelete(r)}>
+                            Delete
+                          </GlassButton>
+                        )}
+                      </div>
+                    </GlassTable.Td>
+                  )}
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+      </GlassCard>
+
+      <GlassCard style={{ marginTop: 18 }} padding={24}>
+        <h3 style={{ fontSize: 15, fontWeight: 700, margin: '0 0 12px', color: colors.text?.primary }}>
+          Recent rejected attempts
+        </h3>
+        {rejections.length === 0 ? (
+          <div style={{ fontSize: 13, color: colors.text?.secondary }}>No rejected web clock attempts.</div>
+        ) : (
+          <GlassTable>
+            <GlassTable.Head>
+              <tr>
+                <GlassTable.Th>When</GlassTable.Th>
+                <GlassTable.Th>Employee</GlassTable.Th>
+                <GlassTable.Th>Action</GlassTable.Th>
+                <GlassTable.Th>IP</GlassTable.Th>
+                <GlassTable.Th>Reason</GlassTable.Th>
+              </tr>
+            </GlassTable.Head>
+            <GlassTable.Body>
+              {rejections.map((r, idx) => (
+                <GlassTable.Row key={r._id} even={idx % 2 === 1}>
+                  <GlassTable.Td>{formatWhen(r.createdAt)}</GlassTable.Td>
+                  <GlassTable.Td>{r.actorId}</GlassTable.Td>
+                  <GlassTable.Td>{r.details?.clockAction === 'out' ? 'Clock out' : 'Clock in'}</GlassTable.Td>
+                  <GlassTable.Td>{r.ip}</GlassTable.Td>
+                  <GlassTable.Td style={{ fontSize: 12 }}>{r.details?.reason || '—'}</GlassTable.Td>
+                </GlassTable.Row>
+              ))}
+            </GlassTable.Body>
+          </GlassTable>
+        )}
+      </GlassCard>
+
+      {toast.text && (
+        <div
+          style={{
+            position: 'fixed',
+            right: 18,
+            bottom: 20,
+            padding: '12px 16px',
+            borderRadius: 12,
+            background: toast.type === 'error' ? 'rgba(248,113,113,0.12)' : 'rgba(16,185,129,0.14)',
+            border: `1px solid ${toast.type === 'error' ? 'rgba(220,38,38,0.6)' : 'rgba(16,185,129,0.7)'}`,
+            color: toast.type === 'error' ? '#b91c1c' : '#065f46',
+            fontSize: 13,
+            zIndex: 50,
+          }}
+        >
+          {toast.text}
+        </div>
+      )}
+
+      {showWarning && (
+        <AutoLogoutWarning
+          timeRemaining={timeRemaining}
+          onStayLoggedIn={handleStayLoggedIn}
+          onLogout={autoLogout}
+        />
+      )}
+    </HrPageShell>
+  );
+}
@@ -0,0 +1,156 @@
+/**
+ * Raw Punches Panel
+ *
+ * Every device event behind one attendance cell, with how daily processing used it
+ * (check-in, check-out, or ignored and why). Loads on demand; render with a key per
+ * cell so switching cells starts fresh.
+ */
+
+'use client';
+
+import { useState } from 'react';
+
+const USED_STYLES = {
+  checkIn: { label: 'Check-in', color: '#15803d', bg: '#dcfce7' },
+  checkOut: { label: 'Check-out', color: '#1d4ed8', bg: '#dbeafe' },
+  suppressed: { label: 'Debounced', color: '#b45309', bg: '#fef3c7' },
+  ignored: { label: 'Ignored', color: '#6b7280', bg: '#f3f4f6' },
+};
+
+function formatPunchTime(value) {
+  if (!value) return '-';
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return '-';
+  return d.toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+}
+
+export default function RawPunchesPanel({ empCode, date }) {
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [data, setData] = useState(null);
+
+  async function load() {
+    setLoading(true);
+    setError('');
+    try {
+      const qs = new URLSearchParams({ empCode: String(empCode), date });
+      const res = await fetch(`/api/hr/monthly-attendance/punches?${qs}`, { cache: 'no-store' });
+      const response = await res.json();
+      if (res.ok && response.success) {
+        setData(response.data);
+      } else {
+        setError(response.error || response.message || 'Failed to load punches');
+      }
+    } catch (err) {
+      console.error(err);
+      setError('Failed to load punches');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function toggle() {
+    const next = !open;
+    setOpen(next);
+    if (next && !data && !loading) load();
+  }
+
+  const cellStyle = { padding: '6px 8px', borderBottom: '1px solid #e5e7eb', textAlign: 'left', verticalAlign: 'top' };
+
+  return (
+    <div style={{ marginBottom: 16, borderRadius: 12, border: '1px solid #e0e7ff', backgroundColor: '#ffffff' }}>
+      <button
+        type="button"
+        onClick={toggle}
+        style={{
+          width: '100%',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          padding: '9px 12px',
+          border: 'none',
+          background: 'transparent',
+          fontSize: 12.5,
+          fontWeight: 700,
+          color: '#1e3a8a',
+          cursor: 'pointer',
+        }}
+      >
+        <span>Raw punches{data ? ` (${data.punches.length})` : ''}</span>
+        <span style={{ fontSize: 11, color: '#6b7280' }}>{open ? 'Hide' : 'Show'}</span>
+      </button>
+
+      {open && (
+        <div style={{ padding: '0 12px 12px' }}>
+          {loading && <div style={{ fontSize: 12, color: '#6b7280' }}>Loading...</div>}
+          {error && <div style={{ fontSize: 12, color: '#b91c1c' }}>{error}</div>}
+          {data && !loading && (
+            <>
+              <p style={{ fontSize: 11, color: '#6b7280', margin: '0 0 8px' }}>
+                Business window {formatPunchTime(data.window.from)} → {formatPunchTime(data.window.to)}
+                {data.source === 'manual' && ' · Saved record was edited manually'}
+              </p>
+              {data.punches.length === 0 ? (
+                <div style={{ fontSize: 12, color: '#6b7280' }}>No device events in this window.</div>
+              ) : (
+                <div style={{ maxHeight: 240, overflowY: 'auto' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 11.5 }}>
+                    <thead>
+                      <tr style={{ color: '#374151' }}>
+                        <th style={cellStyle}>Time</th>
+                        <th style={cellStyle}>Device</th>
+                        <th style={cellStyle}>Verify</th>
+                        <th style={cellStyle}>Minor</th>
+                        <th style={cellStyle}>Used as</th>
+                        <th style={cellStyle}>Why</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {data.punches.map((p, idx) => {
+                        const used = USED_STYLES[p.used || (p.suppressed ? 'suppressed' : 'ignored')];
+                        return (
+                          <tr key={p._id || idx}>
+                            <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{formatPunchTime(p.eventTime)}</td>
+                            <td style={cellStyle}>
+                              {p.deviceName || p.deviceIp || '-'}
+                              {p.deviceName && <div style={{ fontSize: 10, color: '#9ca3af' }}>{p.deviceIp}</div>}
+                              {p.imported && <div style={{ fontSize: 10, color: '#9ca3af' }}>imported</div>}
+                            </td>
+                            <td style={cellStyle}>{p.verifyMode || '-'}</td>
+                            <td style={cellStyle}>{p.minor ?? '-'}</td>
+                            <td style={cellStyle}>
+                              <span
+                                style={{
+                                  padding: '2px 8px',
+                                  borderRadius: 999,
+                                  backgroundColor: used.bg,
+                                  color: used.color,
+                                  fontWeight: 700,
+                                  whiteSpace: 'nowrap',
+                                }}
+                              >
+                                {used.label}
+                              </span>
+                            </td>
+                            <td style={{ ...cellStyle, color: '#4b5563' }}>{p.reason}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
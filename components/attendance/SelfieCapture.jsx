@@ -0,0 +1,133 @@
+/**
+ * Selfie Capture
+ *
+ * Camera preview in a small overlay; "Capture" grabs one frame as a JPEG blob for web
+ * clock selfie proof. The camera is released when the overlay unmounts.
+ */
+
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+
+export default function SelfieCapture({ title = 'Selfie', onCapture, onCancel }) {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const [error, setError] = useState('');
+  const [ready, setReady] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        if (!navigator.mediaDevices?.getUserMedia) {
+          throw new Error('This browser cannot access the camera');
+        }
+        const stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'user', width: { ideal: 640 }, height: { ideal: 480 } },
+          audio: false,
+        });
+        if (cancelled) {
+          stream.getTracks().forEach((t) => t.stop());
+          return;
+        }
+        streamRef.current = stream;
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+          await videoRef.current.play().catch(() => {});
+        }
+        setReady(true);
+      } catch (err) {
+        if (!cancelled) setError(err?.message || 'Camera access was denied');
+      }
+    })();
+    return () => {
+      cancelled = true;
+      streamRef.current?.getTracks().forEach((t) => t.stop());
+      streamRef.current = null;
+    };
+  }, []);
+
+  function capture() {
+    const video = videoRef.current;
+    if (!video || !video.videoWidth) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    canvas.toBlob((blob) => blob && onCapture(blob), 'image/jpeg', 0.85);
+  }
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        zIndex: 1000,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: 'rgba(15,23,42,0.6)',
+      }}
+    >
+      <div
+        style={{
+          width: 'min(92vw, 380px)',
+          padding: 16,
+          borderRadius: 14,
+          backgroundColor: '#ffffff',
+          color: '#0f172a',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: 10,
+        }}
+      >
+        <div style={{ fontSize: 14, fontWeight: 700 }}>{title}</div>
+        {error ? (
+          <div style={{ fontSize: 12, color: '#b91c1c' }}>{error}</div>
+        ) : (
+          <video
+            ref={videoRef}
+            playsInline
+            muted
+            style={{ width: '100%', borderRadius: 10, backgroundColor: '#0f172a', transform: 'scaleX(-1)' }}
+          />
+        )}
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+          <button
+            type="button"
+            onClick={onCancel}
+            style={{
+              padding: '6px 14px',
+              borderRadius: 8,
+              border: '1px solid #cbd5e1',
+              backgroundColor: '#ffffff',
+              fontSize: 12,
+              fontWeight: 600,
+              cursor: 'pointer',
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={capture}
+            disabled={!ready || !!error}
+            style={{
+              padding: '6px 14px',
+              borderRadius: 8,
+              border: 'none',
+              backgroundColor: '#2563eb',
+              color: '#ffffff',
+              fontSize: 12,
+              fontWeight: 600,
+              cursor: !ready || error ? 'not-allowed' : 'pointer',
+              opacity: !ready || error ? 0.55 : 1,
+            }}
+          >
+            Capture &amp; submit
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+/**
+ * Policy Version Timeline
+ *
+ * Effective-dated versions of a settings document (company settings, violation rules,
+ * leave policy) as returned by the settings APIs: the dates each version covers, whether it
+ * is past, current or scheduled, and a summary of its values. Scheduled versions can be
+ * loaded into the page's form or deleted.
+ */
+
+'use client';
+
+import { useTheme } from '@/lib/theme/ThemeContext';
+import { GlassCard, GlassTable, GlassButton } from '@/components/glass';
+
+const STATE_STYLES = {
+  current: { label: 'In force', color: '#15803d', bg: '#dcfce7' },
+  scheduled: { label: 'Scheduled', color: '#1d4ed8', bg: '#dbeafe' },
+  past: { label: 'Past', color: '#6b7280', bg: '#f3f4f6' },
+};
+
+function formatYmd(ymd) {
+  if (!ymd) return '';
+  return new Date(`${ymd}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+export default function PolicyVersionTimeline({ versions, summarize, onEdit, onDelete, canUpdate = false }) {
+  const { colors } = useTheme();
+  if (!versions?.length) return null;
+
+  return (
+    <GlassCard style={{ marginTop: 18 }} padding={24}>
+      <h3 style={{ fontSize: 15, fontWeight: 700, margin: '0 0 6px', color: colors.text?.primary }}>
+        Version timeline
+      </h3>
+      <p style={{ fontSize: 12, color: colors.text?.secondary, margin: '0 0 12px' }}>
+        Each day is calculated with the version in force on it, so re-opening an earlier month keeps
+        the rules that applied then. Changes can start today or be scheduled for a later date.
+      </p>
+      <GlassTable>
+        <GlassTable.Head>
+          <tr>
+            <GlassTable.Th>Applies</GlassTable.Th>
+            <GlassTable.Th>State</GlassTable.Th>
+            <GlassTable.Th>Values</GlassTable.Th>
+            <GlassTable.Th>Saved by</GlassTable.Th>
+            {canUpdate && <GlassTable.Th align="right">Actions</GlassTable.Th>}
+          </tr>
+        </GlassTable.Head>
+        <GlassTable.Body>
+          {versions.map((v, idx) => {
+            const state = STATE_STYLES[v.state] || STATE_STYLES.past;
+            return (
+              <GlassTable.Row key={v.effectiveFrom || 'original'} even={idx % 2 === 1}>
+                <GlassTable.Td style={{ fontSize: 12, whiteSpace: 'nowrap' }}>
+                  {v.effectiveFrom ? `From ${formatYmd(v.effectiveFrom)}` : 'From the beginning'}
+                  <div style={{ color: colors.text?.secondary }}>
+                    {v.effectiveTo ? `to ${formatYmd(v.effectiveTo)}` : 'onwards'}
+                  </div>
+                </GlassTable.Td>
+                <GlassTable.Td>
+                  <span
+                    style={{
+                      padding: '2px 8px',
+                      borderRadius: 999,
+                      fontSize: 11,
+                      fontWeight: 600,
+                      color: state.color,
+                      background: state.bg,
+                    }}
+                  >
+                    {state.label}
+                  </span>
+                </GlassTable.Td>
+                <GlassTable.Td style={{ fontSize: 12 }}>{summarize(v)}</GlassTable.Td>
+                <GlassTable.Td style={{ fontSize: 12, color: colors.text?.secondary }}>
+                  {v.updatedBy || '-'}
+                </GlassTable.Td>
+                {canUpdate && (
+                  <GlassTable.Td align="right">
+                    {v.state === 'scheduled' && (
+                      <div style={{ display: 'inline-flex', gap: 6 }}>
+                        <GlassButton variant="secondary" onClick={() => onEdit(v)}>
+                          Edit
+                        </GlassButton>
+                        <GlassButton variant="ghost" onClick={() => onDelete(v)}>
+                          Delete
+                        </GlassButton>
+                      </div>
+                    )}
+                  </GlassTable.Td>
+                )}
+              </GlassTable.Row>
+            );
+          })}
+        </GlassTable.Body>
+      </GlassTable>
+    </GlassCard>
+  );
+}
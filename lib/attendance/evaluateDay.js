@@ -0,0 +1,470 @@
+// lib/attendance/evaluateDay.js
+// Day-evaluation engine: turns one employee-day (punches + the shift effective on the date)
+// into status, late/early minutes and the per-day deduction inputs. Daily processing, the
+// monthly sheet (GET and HR edits), web clock-out and punch corrections all go through
+// evaluateDay() so the same punches always produce the same result.
+//
+// Month-level accumulation (violation numbering, milestone days, per-minute fines) stays with
+// the monthly sheet — it depends on the order of violations across the month, not on one day.
+
+import Department from '../../models/Department';
+import { getCompanySettingsVersions } from '../settings/getCompanySettings';
+import { getViolationRuleVersions, DEFAULT_VIOLATION_RULES } from '../settings/getViolationRules';
+import { getOvertimeRules } from '../settings/getOvertimeRules';
+import { getAttendanceStatuses } from '../settings/getAttendanceStatuses';
+import { pickVersionForDate } from '../settings/policyVersions';
+import { shiftWithGracePolicyForAttendanceRow, shiftWithGraceResolvedForDate } from '../shift/gracePeriods.js';
+import { isFlexibleShift, getRequiredWorkMinutes } from '../shift/flexitime.js';
+import { getSegmentWindows, assignPunchesToSegments, judgeSegments, summarizeSegments } from '../shift/splitShift.js';
+import { computeLateEarly } from '../calculations/violations';
+import {
+  normalizeStatus,
+  extractShiftCode,
+  classifyWorkedHours,
+  getStatusDefinition,
+  DEFAULT_STATUS_CATALOG,
+} from '../calculations/attendanceRules';
+import { isSaturdayOffForEmployee, getSaturdayIndexInMonth } from '../calculations/weekendPolicy';
+import {
+  DEFAULT_ABSENT_CONFIG,
+  DEFAULT_LEAVE_CONFIG,
+  DEFAULT_WORKED_HOURS_CONFIG,
+  getLeaveDeductionDays,
+  getMissingPunchDeductionDays,
+} from '../calculations/salaryDeduction';
+import { calculateAwayDeductionDays, getPaidWorkHours } from '../calculations/awayDeduction';
+import { computeOvertimeMinutes, DEFAULT_OVERTIME_RULES } from '../calculations/overtime';
+import { getHolidayStatus } from './holidays';
+
+/**
+ * Manual/leave status that must not be overwritten by punch-derived Present/Absent: any
+ * catalog status other than Present and Absent.
+ * @param {string|null} status
+ * @param {object} [catalog] - Status catalog (see getAttendanceStatuses())
+ */
+export function isManualOrLeaveStatus(status, catalog = DEFAULT_STATUS_CATALOG) {
+  return !!getStatusDefinition(status, catalog) && status !== 'Present' && status !== 'Absent';
+}
+
+/**
+ * Stored status that processing must keep: a manual/leave status, unless it was set by the
+ * worked-hours rule or the holiday calendar (those are re-derived on every run).
+ */
+export function hasProtectedStatus(record, catalog = DEFAULT_STATUS_CATALOG) {
+  return (
+    !!record &&
+    isManualOrLeaveStatus(record.attendanceStatus, catalog) &&
+    !record.workedHoursRule &&
+    !record.holidayId
+  );
+}
+
+/** Department fields needed for Saturday policy and the unified Saturday shift. */
+export const DEPARTMENT_POLICY_FIELDS =
+  'name saturdayPolicy fifthSaturdayPolicy saturdayShiftMode saturdayUnifiedStart saturdayUnifiedEnd saturdayUnifiedCrossesMidnight';
+
+// Status categories that are never judged on punches.
+const NON_WORKING_CATEGORIES = new Set(['leave', 'holiday', 'remote']);
+
+/**
+ * Department name (lowercased) → Saturday policy config.
+ * @param {Array<object>} departmentDocs - Department docs selected with DEPARTMENT_POLICY_FIELDS
+ * @returns {Map<string, object>}
+ */
+export function buildDepartmentPolicyMap(departmentDocs) {
+  const map = new Map();
+  (departmentDocs || []).forEach((d) => {
+    if (d.name == null) return;
+    map.set(String(d.name).trim().toLowerCase(), {
+      saturdayPolicy: d.saturdayPolicy || 'alternate',
+      fifthSaturdayPolicy: d.fifthSaturdayPolicy || 'working_all',
+      saturdayShiftMode: d.saturdayShiftMode || 'own_time',
+      saturdayUnifiedStart: d.saturdayUnifiedStart || '21:00',
+      saturdayUnifiedEnd: d.saturdayUnifiedEnd || '06:00',
+      saturdayUnifiedCrossesMidnight: d.saturdayUnifiedCrossesMidnight ?? true,
+    });
+  });
+  return map;
+}
+
+/**
+ * CompanySettings and ViolationRules versions in force on `date`, picked from a context
+ * returned by loadEvaluationContext(). Use it when one context covers several days.
+ * @param {{ companySettingsVersions: object[], violationRuleVersions: object[] }} context
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ companySettings: object, violationRules: object }}
+ */
+export function policiesForDate(context, date) {
+  return {
+    companySettings: pickVersionForDate(context.companySettingsVersions, date),
+    violationRules: pickVersionForDate(context.violationRuleVersions, date) || DEFAULT_VIOLATION_RULES,
+  };
+}
+
+/**
+ * Load the settings every evaluation needs: the CompanySettings and ViolationRules versions
+ * (defaults when none), OvertimeRules, the status catalog and the department Saturday policies.
+ * `companySettings` / `violationRules` are the versions in force on `date` (default: company
+ * today); callers covering several days pick per day with policiesForDate().
+ * @param {{ date?: string }} [options]
+ * @returns {Promise<{ companySettings: object, violationRules: object, companySettingsVersions: object[], violationRuleVersions: object[], overtimeRules: object, statusCatalog: object, departmentPolicyMap: Map<string, object> }>}
+ */
+export async function loadEvaluationContext({ date } = {}) {
+  const [companySettingsVersions, violationRuleVersions, overtimeRules, statusCatalog, departmentDocs] =
+    await Promise.all([
+      getCompanySettingsVersions(),
+      getViolationRuleVersions(),
+      getOvertimeRules(),
+      getAttendanceStatuses(),
+      Department.find().select(DEPARTMENT_POLICY_FIELDS).lean().maxTimeMS(1500),
+    ]);
+  const context = {
+    companySettingsVersions,
+    violationRuleVersions,
+    overtimeRules,
+    statusCatalog,
+    departmentPolicyMap: buildDepartmentPolicyMap(departmentDocs),
+  };
+  return { ...context, ...policiesForDate(context, date) };
+}
+
+/**
+ * Is `date` an off day for this employee? Weekly off days come from CompanySettings;
+ * Saturday (6) is always decided by the department policy / employee Saturday group.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {object} options
+ * @param {object} options.employee - needs department, saturdayGroup
+ * @param {Map<string, object>} options.departmentPolicyMap
+ * @param {object} options.companySettings
+ * @returns {{ dow: number, isSaturday: boolean, isWeekendOff: boolean }}
+ */
+export function resolveWeekendOff(date, { employee, departmentPolicyMap, companySettings }) {
+  const [year, month, day] = String(date).split('-').map(Number);
+  const dow = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const isSaturday = dow === 6;
+  if (!isSaturday) {
+    const weeklyOffDays = (companySettings?.weeklyOffDays || [0]).filter((d) => d !== 6);
+    return { dow, isSaturday, isWeekendOff: weeklyOffDays.includes(dow) };
+  }
+  const firstDow = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  const saturdayIndex = getSaturdayIndexInMonth(year, month - 1, day, dow, firstDow);
+  return {
+    dow,
+    isSaturday,
+    isWeekendOff: isSaturdayOffForEmployee(saturdayIndex, employee, departmentPolicyMap, employee?.department || ''),
+  };
+}
+
+/**
+ * Shift to judge punches against. On a worked Saturday, a department using 'unified_time'
+ * replaces every shift with one common Saturday timing (the stored shift code is unchanged).
+ */
+export function resolveDayShift(shift, { isSaturday, isWeekendOff, departmentPolicy }) {
+  if (!isSaturday || isWeekendOff) return shift;
+  const cfg = departmentPolicy;
+  if (cfg && cfg.saturdayShiftMode === 'unified_time' && cfg.saturdayUnifiedStart && cfg.saturdayUnifiedEnd) {
+    return {
+      code: 'SAT-UNIFIED',
+      name: 'Saturday Unified',
+      startTime: cfg.saturdayUnifiedStart,
+      endTime: cfg.saturdayUnifiedEnd,
+      crossesMidnight: !!cfg.saturdayUnifiedCrossesMidnight,
+    };
+  }
+  return shift;
+}
+
+function resolveStatus({ storedStatus, manuallyEdited, paidLeave, holiday, hasPunch, isSaturday, isWeekendOff, statusCatalog }) {
+  let status;
+  if (storedStatus) {
+    status = normalizeStatus(storedStatus, { isWeekendOff, catalog: statusCatalog });
+  } else if (holiday) {
+    status = getHolidayStatus();
+  } else if (hasPunch) {
+    status = 'Present';
+  } else {
+    status = isWeekendOff ? 'Holiday' : 'Absent';
+  }
+  // Paid leave recorded in HR Leaves always wins (a day already on a balance leave keeps its label)
+  if (paidLeave && !getStatusDefinition(status, statusCatalog)?.requiresBalance) status = 'Paid Leave';
+
+  // Department Saturday policy overrides — skip when HR chose the status or it is a holiday
+  if (isSaturday && !manuallyEdited && !holiday) {
+    if (!isWeekendOff && status === 'Holiday') {
+      status = hasPunch ? 'Present' : 'Absent';
+    }
+    if (isWeekendOff && status === 'Absent' && !hasPunch) {
+      status = 'Holiday';
+    }
+  }
+  return status;
+}
+
+/**
+ * Punches for a split-shift day whose check-in or check-out was edited: the stored segment
+ * punches that still fall between the (new) day edges, plus the edges themselves. An edited
+ * first or last punch replaces the stored one; the middle segments keep their punches.
+ */
+function mergeEditedPunches(storedSegments, checkIn, checkOut) {
+  const from = checkIn ? checkIn.getTime() : -Infinity;
+  const to = checkOut ? checkOut.getTime() : Infinity;
+  const inner = (Array.isArray(storedSegments) ? storedSegments : [])
+    .flatMap((sg) => [sg.checkIn, sg.checkOut])
+    .filter(Boolean)
+    .map((d) => new Date(d))
+    .filter((d) => d.getTime() > from && d.getTime() < to);
+  return [checkIn, ...inner, checkOut].filter(Boolean).sort((a, b) => a - b);
+}
+
+/**
+ * Evaluate one employee-day.
+ *
+ * @param {object} input
+ * @param {string} input.date - YYYY-MM-DD business day
+ * @param {Date|null} input.checkIn
+ * @param {Date|null} input.checkOut
+ * @param {Date[]} [input.punches] - Every counted punch of the day; split shifts match them to segments
+ *   (otherwise the row's stored segment punches, with check-in / check-out as the day's edges, are used)
+ * @param {object|string|null} input.shift - Shift effective on the date (object, or code looked up in allShiftsMap)
+ * @param {Map<string, object>} [input.allShiftsMap] - Shifts by code/_id
+ * @param {object|null} [input.record] - Stored ShiftAttendance row: grace snapshot, excused flags, awayHours, workedHoursRule, segments
+ * @param {string|null} [input.storedStatus] - Status set by HR or a leave; omit to derive from punches
+ * @param {boolean} [input.manuallyEdited=false] - HR chose the status (Saturday policy does not adjust it)
+ * @param {boolean} [input.paidLeave=false] - Paid leave recorded in HR Leaves
+ * @param {object} input.employee - needs department, saturdayGroup
+ * @param {Map<string, object>} input.departmentPolicyMap - see buildDepartmentPolicyMap()
+ * @param {object} input.companySettings
+ * @param {boolean} [input.rosterDayOff=false] - Day off in the employee's rotating roster (treated as a weekly off)
+ * @param {object|null} [input.holiday] - Holiday calendar entry for the employee on the date (see findHoliday());
+ *   replaces a punch-derived status, not an HR edit or leave
+ * @param {object} [input.violationRules] - ViolationRules (absentConfig, leaveConfig, workedHoursConfig); defaults when omitted
+ * @param {object} [input.overtimeRules] - OvertimeRules; defaults when omitted
+ * @param {object} [input.statusCatalog] - Status catalog (see getAttendanceStatuses()); its categories,
+ *   paid flag and deduction days decide how a status is treated. Built-in statuses when omitted
+ * @param {string} [input.companyTodayYmd] - Decides whether the row's grace snapshot applies
+ * @returns {{
+ *   status: string, isWeekendOff: boolean, isSaturday: boolean, shift: object|string|null,
+ *   late: boolean, earlyLeave: boolean, lateMinutes: number, earlyMinutes: number,
+ *   lateExcused: boolean, earlyExcused: boolean, excused: boolean, violationDay: boolean,
+ *   workedHours: number|null, workedHoursRule: 'halfDay'|'absent'|null, workedHoursThreshold: number|null,
+ *   segments: Array<object>|null,
+ *   deductions: { missingPunchDays: number, leaveDays: number, leaveBucket: 'unpaid'|'absent'|'halfDay'|null, awayHours: number, awayDays: number },
+ *   overtime: { dayType: 'weekday'|'offDay'|'holiday', minutes: number },
+ *   holidayId: any
+ * }}
+ *   lateMinutes / earlyMinutes are minutes beyond grace. violationDay: late/early on this day
+ *   count toward the monthly violation sequence. workedHoursRule: the short-day rule that turned a
+ *   Present day into Half Day / Absent; workedHoursThreshold is its % of paid hours. overtime.minutes: eligible OT after threshold and
+ *   rounding (before HR approval and the monthly cap). segments (split shifts): per-segment
+ *   check-in/out and late/early; the day's late/early is their roll-up and a segment without
+ *   both punches makes the day a missing-punch day. holidayId: set when the status came from
+ *   the holiday calendar (stored on the row so the status follows the calendar on later runs).
+ */
+export function evaluateDay({
+  date,
+  checkIn = null,
+  checkOut = null,
+  punches = null,
+  shift = null,
+  allShiftsMap = null,
+  record = null,
+  storedStatus = null,
+  manuallyEdited = false,
+  paidLeave = false,
+  employee,
+  departmentPolicyMap,
+  companySettings,
+  rosterDayOff = false,
+  holiday = null,
+  violationRules = DEFAULT_VIOLATION_RULES,
+  overtimeRules = DEFAULT_OVERTIME_RULES,
+  statusCatalog = DEFAULT_STATUS_CATALOG,
+  companyTodayYmd = null,
+}) {
+  const weekend = resolveWeekendOff(date, { employee, departmentPolicyMap, companySettings });
+  const { isSaturday } = weekend;
+  const isWeekendOff = weekend.isWeekendOff || rosterDayOff;
+  const departmentPolicy = departmentPolicyMap?.get(String(employee?.department || '').trim().toLowerCase());
+
+  let shiftObj = shift;
+  if (typeof shiftObj === 'string') {
+    shiftObj = allShiftsMap?.get(extractShiftCode(shiftObj)) || null;
+  }
+  shiftObj = resolveDayShift(shiftObj, { isSaturday, isWeekendOff, departmentPolicy });
+
+  const hasPunch = !!checkIn || !!checkOut;
+  const bothMissing = !checkIn && !checkOut;
+
+  // Split shift: punches matched to each segment and judged separately
+  let segments = null;
+  let segmentSummary = null;
+  const segmentWindows = hasPunch ? getSegmentWindows(shiftObj, date) : [];
+  if (segmentWindows.length) {
+    const stored = Array.isArray(record?.segments) && record.segments.length === segmentWindows.length ? record.segments : null;
+    const storedTimes = (stored || []).flatMap((sg) => [sg.checkIn, sg.checkOut]).filter(Boolean).map((d) => new Date(d).getTime());
+    const storedMatch =
+      storedTimes.length > 0 &&
+      Math.min(...storedTimes) === checkIn?.getTime() &&
+      Math.max(...storedTimes) === checkOut?.getTime();
+    const groups = punches?.length
+      ? assignPunchesToSegments(punches, segmentWindows)
+      : storedMatch
+        ? stored
+        : assignPunchesToSegments(mergeEditedPunches(record?.segments, checkIn, checkOut), segmentWindows);
+    segments = judgeSegments(segmentWindows, groups);
+    segmentSummary = summarizeSegments(segments);
+  }
+
+  const partialPunch = (hasPunch && !(checkIn && checkOut)) || segmentSummary?.incompleteSegments > 0;
+  const sameTimePunch = checkIn && checkOut && Math.abs(checkIn.getTime() - checkOut.getTime()) < 60000;
+
+  // A Half Day / Absent set by the worked-hours rule or a holiday from the calendar is
+  // re-derived; on a holiday, a stored punch-derived status gives way to it
+  const autoStatus =
+    !manuallyEdited &&
+    (!!record?.workedHoursRule || !!record?.holidayId || (!!holiday && !isManualOrLeaveStatus(storedStatus, statusCatalog)));
+  const effectiveStoredStatus = autoStatus ? null : storedStatus;
+  let status = resolveStatus({
+    storedStatus: effectiveStoredStatus,
+    manuallyEdited,
+    paidLeave,
+    holiday,
+    hasPunch,
+    isSaturday,
+    isWeekendOff,
+    statusCatalog,
+  });
+
+  // Short working day: worked hours below the ViolationRules thresholds (% of paid hours,
+  // or of the required hours on a flexible shift)
+  let workedHours =
+    checkIn && checkOut && !sameTimePunch ? Number(((checkOut.getTime() - checkIn.getTime()) / 3600000).toFixed(2)) : null;
+  if (workedHours != null && segmentSummary) workedHours = Number((segmentSummary.workedMinutes / 60).toFixed(2));
+  const workedHoursConfig = violationRules?.workedHoursConfig || DEFAULT_WORKED_HOURS_CONFIG;
+  let workedHoursRule = null;
+  if (status === 'Present' && !manuallyEdited && !isWeekendOff && workedHours != null) {
+    const expectedHours = isFlexibleShift(shiftObj) ? getRequiredWorkMinutes(shiftObj) / 60 : getPaidWorkHours(shiftObj);
+    workedHoursRule = classifyWorkedHours(workedHours, expectedHours, workedHoursConfig);
+    if (workedHoursRule === 'absent') status = 'Absent';
+    else if (workedHoursRule === 'halfDay') status = 'Half Day';
+  }
+  const workedHoursThreshold =
+    workedHoursRule === 'absent'
+      ? workedHoursConfig.absentBelowPercent
+      : workedHoursRule === 'halfDay'
+        ? workedHoursConfig.halfDayBelowPercent
+        : null;
+
+  // How the (final) status is treated comes from its catalog entry
+  const statusDef = getStatusDefinition(status, statusCatalog);
+  const category = statusDef?.category || null;
+  const isNonWorking = NON_WORKING_CATEGORIES.has(category);
+
+  // Late / early only with both punches on a non-holiday. Same-minute in/out is a data error
+  // and is left to the missing-punch rules.
+  let late = false;
+  let earlyLeave = false;
+  let lateMinutes = 0;
+  let earlyMinutes = 0;
+  if (checkIn && checkOut && category !== 'holiday' && !sameTimePunch) {
+    const shiftDated = shiftWithGraceResolvedForDate(shiftObj, date);
+    const shiftForViolation = shiftWithGracePolicyForAttendanceRow(shiftDated, record, date, companyTodayYmd);
+    const flags = segmentSummary || computeLateEarly(shiftForViolation, checkIn, checkOut, allShiftsMap, date);
+    late = !!flags.late;
+    earlyLeave = !!flags.earlyLeave;
+    lateMinutes = flags.lateMinutes || 0;
+    earlyMinutes = flags.earlyMinutes || 0;
+  }
+
+  // Separate late/early excuses; legacy `excused` applies to whichever violation the day has
+  const lateExcused = record?.lateExcused !== undefined ? !!record.lateExcused : !!(record?.excused && late);
+  const earlyExcused = record?.earlyExcused !== undefined ? !!record.earlyExcused : !!(record?.excused && earlyLeave);
+
+  // Half Day / worked-hours Absent: no late/early violation (only the day deduction applies)
+  const violationDay =
+    !!(checkIn && checkOut) && !isNonWorking && category !== 'halfDay' && !workedHoursRule;
+
+  const absentConfig = violationRules?.absentConfig || DEFAULT_ABSENT_CONFIG;
+  const leaveConfig = violationRules?.leaveConfig || DEFAULT_LEAVE_CONFIG;
+
+  // Missing punch / no punch on a working day. An HR-marked Absent on an off day still counts.
+  let missingPunchDays = 0;
+  const isAbsentDay =
+    (partialPunch || bothMissing) &&
+    !isNonWorking &&
+    !(category === 'absent' && status !== 'Absent') &&
+    !(lateExcused || earlyExcused);
+  const hrMarkedAbsentOnWeekendOff = manuallyEdited && isWeekendOff && status === 'Absent';
+  if (isAbsentDay && (!isWeekendOff || hrMarkedAbsentOnWeekendOff)) {
+    missingPunchDays = getMissingPunchDeductionDays(bothMissing, partialPunch, absentConfig);
+  }
+  // Punched in and out but worked below the absent threshold: deducted like a day without punches
+  if (workedHoursRule === 'absent') {
+    missingPunchDays = getMissingPunchDeductionDays(true, false, absentConfig);
+  }
+
+  // Unpaid leave, an absence other than a plain Absent (e.g. Leave Without Inform) and Half Day
+  const leaveDays = getLeaveDeductionDays(status, leaveConfig, absentConfig, statusCatalog);
+  let leaveBucket = null;
+  if (category === 'leave' && !statusDef.paid) leaveBucket = 'unpaid';
+  else if (category === 'absent' && status !== 'Absent') leaveBucket = 'absent';
+  else if (category === 'halfDay') leaveBucket = 'halfDay';
+
+  // HR-recorded away from workstation (hourly, proportional to the shift's paid hours)
+  const awayHours = Number(record?.awayHours) || 0;
+  let awayDays = 0;
+  const awayEligible = !isNonWorking || category === 'remote';
+  if (awayHours > 0 && checkIn && !isWeekendOff && awayEligible) {
+    awayDays = calculateAwayDeductionDays(awayHours, getPaidWorkHours(shiftObj));
+  }
+
+  // Overtime: worked days only (Present), or punches on a holiday / off day. The plain Holiday
+  // status on a weekly off day is an off day; any other holiday-category status is a holiday.
+  const holidayId = holiday && !effectiveStoredStatus && !paidLeave ? holiday._id : null;
+  const overtimeDayType =
+    category === 'holiday' && (status !== 'Holiday' || !isWeekendOff || holidayId)
+      ? 'holiday'
+      : isWeekendOff
+        ? 'offDay'
+        : 'weekday';
+  let overtimeMinutes = 0;
+  if (checkIn && checkOut && !sameTimePunch && (category === 'present' || category === 'holiday')) {
+    overtimeMinutes = computeOvertimeMinutes({
+      date,
+      checkIn,
+      checkOut,
+      shift: shiftObj,
+      dayType: overtimeDayType,
+      rules: overtimeRules,
+    });
+  }
+
+  return {
+    status,
+    isWeekendOff,
+    isSaturday,
+    shift: shiftObj,
+    late,
+    earlyLeave,
+    lateMinutes,
+    earlyMinutes,
+    lateExcused,
+    earlyExcused,
+    excused: lateExcused || earlyExcused,
+    violationDay,
+    workedHours,
+    workedHoursRule,
+    workedHoursThreshold,
+    segments,
+    deductions: {
+      missingPunchDays,
+      leaveDays: leaveBucket ? leaveDays : 0,
+      leaveBucket,
+      awayHours,
+      awayDays,
+    },
+    overtime: { dayType: overtimeDayType, minutes: overtimeMinutes },
+    holidayId,
+  };
+}
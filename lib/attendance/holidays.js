@@ -0,0 +1,149 @@
+/**
+ * Holiday calendar → attendance.
+ *
+ * A Holiday covers an inclusive date range, optionally limited to some departments. Daily
+ * processing and the monthly sheet pass the employee's holiday to evaluateDay(), which marks
+ * the day "Holiday" — a paid off day, whatever the holiday's type. Punches are kept
+ * and count as holiday work for overtime. HR edits and leaves on the day still win.
+ * Recurring holidays repeat on the same month/day every year from their first year.
+ */
+
+import Holiday, { HOLIDAY_TYPES } from '../../models/Holiday';
+import { ValidationError } from '../errors/errorHandler';
+import { addDaysYmd } from '../shift/rosterPattern';
+
+export const MAX_HOLIDAY_DAYS = 31;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Attendance status a holiday gives the day. The type only groups holidays in the calendar;
+ * "Eid Holiday" stays a status HR sets by hand, since not every religious holiday is Eid.
+ */
+export function getHolidayStatus() {
+  return 'Holiday';
+}
+
+function toList(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(raw.map((v) => String(v || '').trim()).filter(Boolean))];
+}
+
+/** Same month/day `years` later; 29 Feb falls back to 28 Feb outside leap years. */
+function shiftYears(ymd, years) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const daysInMonth = new Date(Date.UTC(y + years, m, 0)).getUTCDate();
+  return `${y + years}-${String(m).padStart(2, '0')}-${String(Math.min(d, daysInMonth)).padStart(2, '0')}`;
+}
+
+/**
+ * Validate a create/update payload. On update, fields missing from the body keep their
+ * current value.
+ * @param {object} body
+ * @param {object|null} [existing] - Holiday being updated (lean)
+ */
+export function normalizeHolidayInput(body, existing = null) {
+  const src = body || {};
+  const pick = (key, fallback) => (src[key] !== undefined ? src[key] : existing ? existing[key] : fallback);
+
+  const name = String(pick('name', '') || '').trim();
+  if (!name) throw new ValidationError('name is required');
+
+  const startDate = String(pick('startDate', '') || '').trim();
+  const endDate = String(pick('endDate', '') || startDate || '').trim();
+  if (!DATE_REGEX.test(startDate) || !DATE_REGEX.test(endDate)) {
+    throw new ValidationError('startDate and endDate must be in YYYY-MM-DD format');
+  }
+  if (endDate < startDate) throw new ValidationError('endDate is before startDate');
+  if (addDaysYmd(startDate, MAX_HOLIDAY_DAYS - 1) < endDate) {
+    throw new ValidationError(`A holiday can cover at most ${MAX_HOLIDAY_DAYS} days`);
+  }
+
+  const type = pick('type', 'public');
+  if (!HOLIDAY_TYPES.includes(type)) {
+    throw new ValidationError(`type must be one of: ${HOLIDAY_TYPES.join(', ')}`);
+  }
+
+  return {
+    name,
+    startDate,
+    endDate,
+    type,
+    departments: toList(pick('departments', [])),
+    recurring: !!pick('recurring', false),
+    isActive: pick('isActive', true) !== false,
+    notes: String(pick('notes', '') || '').trim(),
+  };
+}
+
+/**
+ * Active holidays overlapping [startDate, endDate], recurring ones moved to every year they
+ * fall in the range.
+ * @returns {Promise<Array<{ _id: any, name: string, type: string, departments: string[], startDate: string, endDate: string, recurring: boolean }>>}
+ */
+export async function getHolidaysInRange(startDate, endDate) {
+  const docs = await Holiday.find({
+    isActive: true,
+    startDate: { $lte: endDate },
+    $or: [{ recurring: true }, { endDate: { $gte: startDate } }],
+  })
+    .select('name type departments startDate endDate recurring')
+    .lean()
+    .maxTimeMS(2000);
+
+  const firstYear = Number(startDate.slice(0, 4));
+  const lastYear = Number(endDate.slice(0, 4));
+  const out = [];
+  for (const doc of docs) {
+    if (!doc.recurring) {
+      out.push(doc);
+      continue;
+    }
+    const baseYear = Number(doc.startDate.slice(0, 4));
+    // One year back catches a holiday running over New Year
+    for (let year = Math.max(baseYear, firstYear - 1); year <= lastYear; year++) {
+      const occurrence = {
+        ...doc,
+        startDate: shiftYears(doc.startDate, year - baseYear),
+        endDate: shiftYears(doc.endDate, year - baseYear),
+      };
+      if (occurrence.startDate <= endDate && occurrence.endDate >= startDate) out.push(occurrence);
+    }
+  }
+  return out.sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+/**
+ * Date ranges a holiday gives to attendance, for assertPayrollOpen: its own range, or every
+ * occurrence up to next year for a recurring one. Inactive holidays touch no days.
+ * @param {object|null} holiday - Holiday (lean) or normalizeHolidayInput() result
+ * @param {string} todayYmd - Company today
+ * @returns {Array<{ from: string, to: string }>}
+ */
+export function holidayDateRanges(holiday, todayYmd) {
+  if (!holiday || holiday.isActive === false || !DATE_REGEX.test(String(holiday.startDate || ''))) return [];
+  const endDate = holiday.endDate || holiday.startDate;
+  if (!holiday.recurring) return [{ from: holiday.startDate, to: endDate }];
+  const ranges = [];
+  const baseYear = Number(holiday.startDate.slice(0, 4));
+  for (let year = baseYear; year <= Number(todayYmd.slice(0, 4)) + 1; year++) {
+    ranges.push({ from: shiftYears(holiday.startDate, year - baseYear), to: shiftYears(endDate, year - baseYear) });
+  }
+  return ranges;
+}
+
+/**
+ * Holiday that applies to an employee of `department` on `date`, or null.
+ * @param {object[]} holidays - from getHolidaysInRange()
+ */
+export function findHoliday(holidays, date, department) {
+  const dept = String(department || '').trim().toLowerCase();
+  return (
+    (holidays || []).find(
+      (h) =>
+        h.startDate <= date &&
+        h.endDate >= date &&
+        (!h.departments?.length || h.departments.some((d) => String(d).trim().toLowerCase() === dept))
+    ) || null
+  );
+}
@@ -0,0 +1,985 @@
+// lib/attendance/monthlySheet.js
+// Monthly attendance sheet: every employee's days for a month (status, late / early, leaves,
+// away time, overtime) rolled up into violation counts, deduction days and net salary.
+// GET /api/hr/monthly-attendance serves it; closing a payroll period snapshots it.
+//
+// VIOLATION DEDUCTION FORMULA: see the header of app/api/hr/monthly-attendance/route.js.
+
+import { connectDB } from '../db';
+import Employee from '../../models/Employee';
+import ShiftAttendance from '../../models/ShiftAttendance';
+import Shift from '../../models/Shift';
+import { isFlexibleShift, getRequiredWorkMinutes } from '../shift/flexitime.js';
+import { getCompanyTodayYmd } from '../time/companyToday.js';
+import LeaveRecord from '../../models/LeaveRecord';
+import { extractShiftCode, calculateSalaryAmounts } from '../calculations';
+import { getPaidWorkHours, getShiftDurationHours, getShiftBreakMinutes, buildDeductionRemarks } from '../calculations/awayDeduction';
+import { nextOvertimeStatus, summarizeMonthlyOvertime } from '../calculations/overtime';
+import { memoize } from '../utils/memoize';
+import {
+  getRosterDaysOff,
+  getShiftsForEmployeesInDateRange,
+} from '../shift/getShiftForDate.js';
+import { findHoliday, getHolidaysInRange } from './holidays';
+import {
+  evaluateDay,
+  loadEvaluationContext,
+  policiesForDate,
+  resolveDayShift,
+  resolveWeekendOff,
+} from './evaluateDay';
+import { fetchEmployeesForMonthlySheet } from '../employees/activeFilter';
+import { ValidationError } from '../errors/errorHandler';
+
+// -----------------------------------------------------------------------------
+// TIMEZONE + COMPANY DAY (ends at 08:55 local)
+// -----------------------------------------------------------------------------
+
+function parseOffsetToMinutes(offsetStr) {
+  if (!offsetStr) return 5 * 60; // default +05:00
+
+  const str = String(offsetStr).trim();
+  const m = /^([+-])?(\d{1,2})(?::?(\d{2}))?$/.exec(str);
+  if (!m) return 5 * 60;
+
+  const sign = m[1] === '-' ? -1 : 1;
+  const hours = parseInt(m[2] || '0', 10);
+  const mins = parseInt(m[3] || '0', 10);
+  return sign * (hours * 60 + mins);
+}
+
+// company timezone offset in minutes & ms (same on local + Vercel)
+const COMPANY_OFFSET_MIN = parseOffsetToMinutes(
+  process.env.TIMEZONE_OFFSET || '+05:00'
+);
+const COMPANY_OFFSET_MS = COMPANY_OFFSET_MIN * 60 * 1000;
+
+// current “company day” with 08:55 cutoff in company local time
+function getCompanyTodayParts() {
+  const nowUtc = new Date();
+  const localMs = nowUtc.getTime() + COMPANY_OFFSET_MS;
+  const local = new Date(localMs);
+
+  const h = local.getUTCHours();
+  const m = local.getUTCMinutes();
+
+  // before 08:55 → still previous company day
+  if (h < 8 || (h === 8 && m < 55)) {
+    local.setUTCDate(local.getUTCDate() - 1);
+  }
+
+  return {
+    year: local.getUTCFullYear(),
+    monthIndex: local.getUTCMonth(),
+    day: local.getUTCDate(),
+  };
+}
+
+// company-local date for a calendar day (YYYY-MM, day)
+// PERFORMANCE: Memoized to avoid recalculating same date parts
+const _getCompanyLocalDatePartsOriginal = function(year, monthIndex, day) {
+  // build 00:00 UTC, then shift to company local and read UTC* fields
+  const baseUtc = Date.UTC(year, monthIndex, day, 0, 0, 0);
+  const local = new Date(baseUtc + COMPANY_OFFSET_MS);
+  return {
+    year: local.getUTCFullYear(),
+    monthIndex: local.getUTCMonth(),
+    day: local.getUTCDate(),
+    dow: local.getUTCDay(), // 0–6 in company timezone
+  };
+};
+
+const getCompanyLocalDateParts = memoize(_getCompanyLocalDatePartsOriginal, (year, monthIndex, day) => {
+  return `${year}-${monthIndex}-${day}`;
+});
+
+/**
+ * Build the monthly sheet.
+ * @param {object} options
+ * @param {string} [options.month] - YYYY-MM (default: current month)
+ * @param {string} [options.search] - empCode / name filter (ignored for EMPLOYEE viewers)
+ * @param {{ role: string, empCode?: string }} [options.viewer] - EMPLOYEE viewers get only their own row
+ * @returns {Promise<{ month: string, daysInMonth: number, employees: object[], statuses: object[] }>}
+ */
+export async function buildMonthlySheet({ month, search = '', viewer = null } = {}) {
+  if (!month) {
+    const now = new Date();
+    month = now.toISOString().slice(0, 7); // YYYY-MM
+  }
+
+  const [yearStr, monthStr] = month.split('-');
+  const year = Number(yearStr);
+  const monthIndex = Number(monthStr) - 1;
+
+  if (Number.isNaN(year) || Number.isNaN(monthIndex)) {
+    throw new ValidationError('Invalid "month" format. Use YYYY-MM.');
+  }
+
+  const monthEnd = new Date(Date.UTC(year, monthIndex + 1, 0, 0, 0, 0));
+  const daysInMonth = monthEnd.getUTCDate();
+  const monthPrefix = `${yearStr}-${monthStr}`;
+
+  // company "today" in company time (with 08:55 cutoff)
+  const companyToday = getCompanyTodayParts();
+  const companyTodayYmd = getCompanyTodayYmd();
+
+  let monthRelation = 0; // -1 past, 0 same, 1 future
+  if (year < companyToday.year) monthRelation = -1;
+  else if (year > companyToday.year) monthRelation = 1;
+  else if (monthIndex < companyToday.monthIndex) monthRelation = -1;
+  else if (monthIndex > companyToday.monthIndex) monthRelation = 1;
+  else monthRelation = 0;
+
+  // OPTIMIZATION: Connect DB early
+  await connectDB();
+
+  // Company settings and violation rules versions (defaults if none), department Saturday
+  // policies. Each day uses the versions in force on it (policiesForDate).
+  const evaluationContext = await loadEvaluationContext();
+  const { overtimeRules, statusCatalog, departmentPolicyMap } = evaluationContext;
+
+  const isEmployeeViewer = viewer?.role === 'EMPLOYEE';
+  const myEmpCode = isEmployeeViewer ? String(viewer.empCode || '').trim() : '';
+  if (isEmployeeViewer && !myEmpCode) {
+    const err = new Error('Unauthorized');
+    err.code = 'UNAUTHORIZED';
+    throw err;
+  }
+
+  const monthStartDate = `${monthPrefix}-01`;
+  const monthEndDate = `${monthPrefix}-${String(daysInMonth).padStart(2, '0')}`;
+
+  // OPTIMIZATION: Run queries in parallel; employees scoped to one row when viewer is EMPLOYEE
+  const [shiftCount, employeesRaw] = await Promise.all([
+    Shift.countDocuments({ isActive: true }).maxTimeMS(1500),
+    isEmployeeViewer
+      ? Employee.find({ empCode: myEmpCode })
+          .select('empCode name department designation shift shiftId monthlySalary monthlySalarySnapshots saturdayGroup')
+          .lean()
+          .maxTimeMS(1500)
+      : fetchEmployeesForMonthlySheet(Employee, ShiftAttendance, {
+          monthStartDate,
+          monthEndDate,
+          monthRelation,
+          projection: 'empCode name department designation shift shiftId monthlySalary monthlySalarySnapshots saturdayGroup',
+          maxTimeMS: 2500,
+        }),
+  ]);
+
+  let employees = employeesRaw || [];
+
+  const useDynamicShifts = shiftCount > 0;
+
+  // Server-side search: narrow employees before loading month attendance (much cheaper)
+  if (search && !isEmployeeViewer) {
+    const term = search.toLowerCase();
+    employees = employees.filter((emp) => {
+      const code = String(emp.empCode || '').toLowerCase();
+      const name = String(emp.name || '').toLowerCase();
+      return code.includes(term) || name.includes(term);
+    });
+  }
+
+  const shiftAttendanceFilter = {
+    date: { $gte: monthStartDate, $lte: monthEndDate },
+  };
+  if (isEmployeeViewer) {
+    shiftAttendanceFilter.empCode = myEmpCode;
+  } else if (search) {
+    const codes = employees.map((e) => e.empCode).filter(Boolean);
+    // No matches → skip heavy attendance scan
+    shiftAttendanceFilter.empCode = { $in: codes.length ? codes : ['__none__'] };
+  }
+
+  const shiftDocs = await ShiftAttendance.find(shiftAttendanceFilter)
+    .select(
+      'date empCode checkIn checkOut shift attendanceStatus reason excused lateExcused earlyExcused leaveType manuallyEdited checkInGracePeriod checkOutGracePeriod awayHours awayNote awayReportedBy breaks breakMinutesTaken proposedAwayMinutes awayProposalStatus overtimeMinutes overtimeStatus overtimeApprovedMinutes workedHoursRule holidayId segments webClockInCheck.photoUrl webClockOutCheck.photoUrl'
+    )
+    .lean()
+    .maxTimeMS(4000); // Reduced timeout for faster response
+
+  // Group ALL records by empCode|date (there may be multiple per day if shift changed)
+  const allDocsByEmpDate = new Map();
+  for (const doc of shiftDocs) {
+    if (!doc.empCode || !doc.date) continue;
+    const key = `${doc.empCode}|${doc.date}`;
+    if (!allDocsByEmpDate.has(key)) allDocsByEmpDate.set(key, []);
+    allDocsByEmpDate.get(key).push(doc);
+  }
+
+  // Paid leave from HR Leaves: reflect on monthly sheet from LeaveRecord
+  const empCodes = employees.map((e) => e.empCode);
+  const leaveRecords = await LeaveRecord.find({
+    empCode: { $in: empCodes },
+    date: { $gte: monthStartDate, $lte: monthEndDate },
+    leaveType: 'paid',
+  })
+    .select('empCode date')
+    .lean()
+    .maxTimeMS(2000);
+  const paidLeaveKeys = new Set((leaveRecords || []).map((lr) => `${lr.empCode}|${lr.date}`));
+
+  // OPTIMIZATION: Pre-fetch all shifts in parallel with other queries
+  const allShiftsMap = new Map();
+  if (useDynamicShifts) {
+    // OPTIMIZATION: Fetch shifts with minimal fields, fast timeout
+    // Load ALL shifts (active + inactive) so historical codes (R1, R2) resolve correctly when deactivated
+    const allShifts = await Shift.find({})
+      .select(
+        '_id name code startTime endTime crossesMidnight shiftType coreStartTime coreEndTime requiredHours segments breakMinutes paidHoursPerDay gracePeriod checkInGracePeriod checkOutGracePeriod graceEffectiveFrom priorCheckInGracePeriod priorCheckOutGracePeriod'
+      )
+      .sort({ code: 1 }) // Consistent ordering
+      .lean()
+      .maxTimeMS(1500); // Reduced timeout
+    
+    allShifts.forEach((s) => {
+      allShiftsMap.set(s._id.toString(), s);
+      allShiftsMap.set(s.code, s); // Also index by code for quick lookup
+    });
+  }
+
+  const shiftById = new Map();
+  allShiftsMap.forEach((s) => {
+    if (s && s._id && s.code) shiftById.set(s._id.toString(), s.code);
+  });
+  const shiftForDateMap = await getShiftsForEmployeesInDateRange(
+    empCodes,
+    monthStartDate,
+    monthEndDate,
+    { employees, shiftById }
+  );
+  const [rosterDaysOff, holidays] = await Promise.all([
+    getRosterDaysOff(empCodes, monthStartDate, monthEndDate),
+    getHolidaysInRange(monthStartDate, monthEndDate),
+  ]);
+
+  // Pick the correct record per (empCode, date): prefer the one matching effective shift for that date
+  const docsByEmpDate = new Map();
+  for (const [key, docs] of allDocsByEmpDate) {
+    if (docs.length === 1) {
+      docsByEmpDate.set(key, docs[0]);
+    } else {
+      const effectiveShift = shiftForDateMap.get(key) || '';
+      const match = docs.find((d) => d.shift && d.shift.toUpperCase() === effectiveShift.toUpperCase());
+      docsByEmpDate.set(key, match || docs[docs.length - 1]);
+    }
+  }
+
+  // First four Saturdays of the month (used to detect each employee's Saturday group)
+  const firstFourSaturdays = [];
+  let saturdayCounter = 0;
+  for (let day = 1; day <= daysInMonth; day++) {
+    const { dow } = getCompanyLocalDateParts(year, monthIndex, day);
+    if (dow === 6 && saturdayCounter < 4) {
+      saturdayCounter += 1;
+      firstFourSaturdays.push({ day, saturdayIndex: saturdayCounter });
+    }
+  }
+
+  const employeesOut = [];
+
+  for (const emp of employees) {
+    const empShift = emp.shift || '';
+    const days = [];
+
+    let lateCount = 0;
+    let earlyCount = 0;
+    let unpaidLeaveDays = 0;
+    let absentDays = 0;
+    let halfDays = 0;
+    let missingPunchDays = 0;       // missing check-in OR check-out → 1 day
+    let lateViolationCount = 0;     // late violations counted separately
+    let earlyViolationCount = 0;     // early violations counted separately
+    let violationBaseDays = 0;      // full days from 3rd, 6th, 9th, ... (each type)
+    let perMinuteFineDays = 0;      // extra days from per-minute fine
+    let awayDeductionDays = 0;      // HR-recorded away-from-workstation (hours / shift hours)
+    let totalAwayHours = 0;
+    let totalLateMinutes = 0;       // sum of late minutes (beyond grace)
+    let totalEarlyMinutes = 0;
+    const overtimeDays = [];        // days with OT (paid once HR approves; see summarizeMonthlyOvertime)
+
+    let employeeOffDayCount = 0; // weekend/off days for this employee (used by 'actual' working-days mode)
+
+    // Auto-detect Saturday group from actual attendance pattern
+    // Uses both punches AND no-punches to determine which group the employee is in
+    // Group A: off 1st & 3rd (odd), works 2nd & 4th (even)
+    // Group B: off 2nd & 4th (even), works 1st & 3rd (odd)
+    {
+      let oddPunches = 0, evenPunches = 0;
+      let oddNoPunch = 0, evenNoPunch = 0;
+      for (const sat of firstFourSaturdays) {
+        const d = sat.day;
+        const satNum = sat.saturdayIndex;
+        // Skip future days — no data to detect from
+        if (monthRelation > 0 || (monthRelation === 0 && d > companyToday.day)) continue;
+        const dk = `${emp.empCode}|${monthPrefix}-${String(d).padStart(2, '0')}`;
+        const satDoc = docsByEmpDate.get(dk);
+        const hasSatPunch = satDoc && (satDoc.checkIn || satDoc.checkOut);
+        if (satNum === 1 || satNum === 3) {
+          if (hasSatPunch) oddPunches++; else oddNoPunch++;
+        } else {
+          if (hasSatPunch) evenPunches++; else evenNoPunch++;
+        }
+      }
+      // Score: punches on your working Saturdays + no-punches on your off Saturdays
+      // A works even Saturdays, B works odd Saturdays
+      const scoreA = evenPunches + oddNoPunch;
+      const scoreB = oddPunches + evenNoPunch;
+      if (scoreA > scoreB) emp.saturdayGroup = 'A';
+      else if (scoreB > scoreA) emp.saturdayGroup = 'B';
+    }
+
+    // Cache for shift lookups per employee (to avoid repeated lookups for same date)
+    const shiftCache = new Map();
+    let employeeShiftObj = null; // Cache employee's current shift object
+
+    // Pre-fetch employee's current shift once (if exists and using dynamic shifts)
+    if (useDynamicShifts) {
+      if (emp.shiftId) {
+        employeeShiftObj = allShiftsMap.get(emp.shiftId.toString());
+      }
+      // If shiftId lookup failed, try shift code (might be formatted string)
+      if (!employeeShiftObj && emp.shift) {
+        const extractedCode = extractShiftCode(emp.shift);
+        employeeShiftObj = allShiftsMap.get(extractedCode);
+      }
+    }
+
+    // Shift history removed - using only employee's current shift
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      const dd = String(day).padStart(2, '0');
+      const date = `${monthPrefix}-${dd}`;
+      const key = `${emp.empCode}|${date}`;
+      const doc = docsByEmpDate.get(key);
+      const { companySettings, violationRules } = policiesForDate(evaluationContext, date);
+
+      // FUTURE days (no salary effect)
+      let isFutureDay = false;
+      if (monthRelation > 0) {
+        isFutureDay = true;
+      } else if (monthRelation === 0 && day > companyToday.day) {
+        isFutureDay = true;
+      }
+
+      // Weekly off days from company settings; Saturdays by department policy / Saturday group
+      const { isSaturday, isWeekendOff } = resolveWeekendOff(date, { employee: emp, departmentPolicyMap, companySettings });
+      if (isWeekendOff) employeeOffDayCount++;
+
+      // Get shift for this date - use shift effective on this date (history-first)
+      const shiftForDate = shiftForDateMap.get(`${emp.empCode}|${date}`);
+      let shiftObj = shiftCache.get(date);
+      let shiftCode = '';
+
+      if (useDynamicShifts) {
+        if (shiftForDate) {
+          shiftCode = shiftForDate;
+          shiftObj = allShiftsMap.get(shiftForDate) || null;
+          if (shiftObj) shiftCache.set(date, shiftObj);
+        }
+        if (!shiftObj) {
+          if (employeeShiftObj) {
+            shiftObj = employeeShiftObj;
+            shiftCode = shiftCode || employeeShiftObj.code;
+            shiftCache.set(date, shiftObj);
+          } else if (doc?.shift) {
+            const normalizedShiftCode = extractShiftCode(doc.shift);
+            shiftObj = allShiftsMap.get(normalizedShiftCode);
+            shiftCode = shiftCode || (shiftObj ? shiftObj.code : normalizedShiftCode);
+            if (shiftObj) shiftCache.set(date, shiftObj);
+          } else if (emp.shift) {
+            const extractedCode = extractShiftCode(emp.shift);
+            shiftObj = allShiftsMap.get(extractedCode);
+            shiftCode = shiftCode || (shiftObj ? shiftObj.code : extractedCode);
+            if (shiftObj) shiftCache.set(date, shiftObj);
+          } else {
+            shiftCode = shiftCode || empShift || '';
+          }
+        } else if (!shiftCode) {
+          shiftCode = shiftObj.code;
+        }
+      } else {
+        shiftCode = shiftForDate || doc?.shift || empShift || '';
+      }
+
+      if (isFutureDay) {
+        days.push({
+          date,
+          shift: shiftCode,
+          status: '',
+          reason: '',
+          checkIn: null,
+          checkOut: null,
+          late: false,
+          earlyLeave: false,
+          excused: false,
+          leaveType: null,
+          isFuture: true,
+        });
+        continue;
+      }
+
+      // Saturday unified-shift-time override (per-department, OFF by default): the shift
+      // object used for calculation is replaced; display shiftCode is kept as-is.
+      shiftObj = resolveDayShift(shiftObj, {
+        isSaturday,
+        isWeekendOff,
+        departmentPolicy: departmentPolicyMap.get(String(emp.department || '').trim().toLowerCase()),
+      });
+
+      const checkIn = doc?.checkIn ? new Date(doc.checkIn) : null;
+      // Ensure checkOut is properly converted - handle both Date objects and ISO strings
+      // Try multiple field names in case of variations
+      let checkOut = null;
+      const checkOutValue = doc?.checkOut || doc?.checkout || doc?.check_out;
+      if (checkOutValue != null) {
+        try {
+          // Handle both Date objects and ISO strings
+          if (checkOutValue instanceof Date) {
+            checkOut = checkOutValue;
+          } else if (typeof checkOutValue === 'string') {
+            checkOut = new Date(checkOutValue);
+          } else if (checkOutValue.constructor === Date) {
+            checkOut = checkOutValue;
+          }
+          // Validate the date is valid
+          if (checkOut && isNaN(checkOut.getTime())) {
+            checkOut = null;
+          }
+        } catch (e) {
+          checkOut = null;
+        }
+      }
+      
+      // ====================================================================================
+      // NIGHT SHIFT CHECKOUT RETRIEVAL LOGIC
+      // ====================================================================================
+      // For night shifts that cross midnight: checkOut may be stored on the next day's record
+      // since the shift ends on the next working day (e.g., Dec 26 shift 21:00-06:00 ends on Dec 27 at 06:00)
+      // This logic applies to ALL night shift employees (N1, N2, S1, S2, or any shift with crossesMidnight=true)
+      // 
+      // Strategy:
+      // 1. First try to get checkOut from current day's record (already done above)
+      // 2. If checkOut is missing but checkIn exists, check next day's record
+      // 3. Use next day's checkOut if it belongs to current day's night shift
+      // ====================================================================================
+      if (checkIn && !checkOut && day < daysInMonth) {
+        // Check if this is a night shift (crosses midnight)
+        const isNightShift = shiftObj?.crossesMidnight || 
+                             (shiftCode && ['N1', 'N2', 'S1', 'S2'].includes(shiftCode));
+        
+        if (isNightShift) {
+          const nextDay = day + 1;
+          const nextDayStr = String(nextDay).padStart(2, '0');
+          const nextDate = `${monthPrefix}-${nextDayStr}`;
+          const nextKey = `${emp.empCode}|${nextDate}`;
+          const nextDoc = docsByEmpDate.get(nextKey);
+          
+          // If next day's record has a checkOut, check if it belongs to current day's night shift
+          if (nextDoc?.checkOut) {
+            try {
+              const nextCheckOutValue = nextDoc.checkOut || nextDoc.checkout || nextDoc.check_out;
+              if (nextCheckOutValue != null) {
+                const nextCheckOut = nextCheckOutValue instanceof Date 
+                  ? nextCheckOutValue 
+                  : new Date(nextCheckOutValue);
+                if (!isNaN(nextCheckOut.getTime())) {
+                  const checkOutLocal = new Date(nextCheckOut.getTime() + COMPANY_OFFSET_MS);
+                  const checkOutHour = checkOutLocal.getUTCHours();
+                  const checkOutMin = checkOutLocal.getUTCMinutes();
+                  const checkOutTotalMin = checkOutHour * 60 + checkOutMin;
+                  
+                  // Check if next day has checkIn - if not, the checkOut definitely belongs to previous day
+                  let nextDayHasCheckIn = false;
+                  if (nextDoc.checkIn) {
+                    try {
+                      const nextCheckIn = nextDoc.checkIn instanceof Date 
+                        ? nextDoc.checkIn 
+                        : new Date(nextDoc.checkIn);
+                      if (!isNaN(nextCheckIn.getTime())) {
+                        nextDayHasCheckIn = true;
+                      }
+                    } catch (e) {
+                      // Ignore errors
+                    }
+                  }
+                  
+                  // For night shifts: checkOut before 08:00 belongs to previous day's shift
+                  // Also if next day has no checkIn, the checkOut definitely belongs to previous day
+                  // Use 08:00 (480 minutes) as the cutoff - anything before this is from previous night shift
+                  if (checkOutTotalMin < 480 || !nextDayHasCheckIn) {
+                    checkOut = nextCheckOut;
+                  } else if (nextDayHasCheckIn) {
+                    // If next day has checkIn, check if checkIn is in evening (new shift) vs early morning (same shift)
+                    try {
+                      const nextCheckIn = nextDoc.checkIn instanceof Date 
+                        ? nextDoc.checkIn 
+                        : new Date(nextDoc.checkIn);
+                      if (!isNaN(nextCheckIn.getTime())) {
+                        const checkInLocal = new Date(nextCheckIn.getTime() + TZ_MS);
+                        const checkInHour = checkInLocal.getUTCHours();
+                        
+                        // If checkOut is before 08:00 and checkIn is after 18:00 (evening),
+                        // then checkOut belongs to previous day's night shift
+                        // (checkIn is the start of the next shift)
+                        if (checkOutTotalMin < 480 && checkInHour >= 18) {
+                          checkOut = nextCheckOut;
+                        }
+                      }
+                    } catch (e) {
+                      // Ignore errors - fallback to not using this checkOut
+                    }
+                  }
+                }
+              }
+            } catch (e) {
+              // Ignore errors
+            }
+          }
+        }
+      }
+      
+      // Also check: if current day has checkOut but it's after 08:00 and we have a night shift,
+      // it might actually belong to the previous day. But we'll keep it for now since it's in the current record.
+      
+      // Debug logging for specific employees and dates to troubleshoot checkOut issues
+      const shouldDebug = (emp.empCode === '812593' && (date.includes('-19') || date.includes('-24'))) ||
+                          (emp.empCode === '00002' && date.includes('-26')) ||
+                          (emp.empCode === '25057' && date.includes('-26'));
+      
+      if (shouldDebug) {
+        const nextDay = day < daysInMonth ? day + 1 : null;
+        const nextDayKey = nextDay ? `${emp.empCode}|${monthPrefix}-${String(nextDay).padStart(2, '0')}` : null;
+        const nextDayDoc = nextDayKey ? docsByEmpDate.get(nextDayKey) : null;
+      }
+      
+      // Shift to judge punches against: the date's shift, else the employee's current one
+      const normalizedShiftCode = shiftCode ? extractShiftCode(shiftCode) : null;
+      let shiftForCalc = (shiftObj && shiftObj.startTime)
+        ? shiftObj
+        : (normalizedShiftCode ? allShiftsMap?.get(normalizedShiftCode) : null);
+      if (!shiftForCalc && employeeShiftObj && employeeShiftObj.startTime) {
+        shiftForCalc = employeeShiftObj;
+      }
+      if (!shiftForCalc && emp.shift) {
+        shiftForCalc = allShiftsMap?.get(extractShiftCode(emp.shift));
+      }
+
+      // Status, late/early minutes and deduction inputs (lib/attendance/evaluateDay.js)
+      const evaluation = evaluateDay({
+        date,
+        checkIn,
+        checkOut,
+        shift: shiftForCalc,
+        allShiftsMap,
+        record: doc,
+        storedStatus: doc?.attendanceStatus,
+        manuallyEdited: doc?.manuallyEdited === true,
+        paidLeave: paidLeaveKeys.has(key),
+        employee: emp,
+        departmentPolicyMap,
+        companySettings,
+        violationRules,
+        overtimeRules,
+        statusCatalog,
+        rosterDayOff: rosterDaysOff.has(key),
+        holiday: findHoliday(holidays, date, emp.department),
+        companyTodayYmd,
+      });
+      const { status, late, earlyLeave, lateMinutes, earlyMinutes, lateExcused, earlyExcused } = evaluation;
+      const reason = doc?.reason || '';
+
+      // Check late separately
+      if (late && !lateExcused) {
+        lateCount++;
+        totalLateMinutes += lateMinutes;
+      }
+      // Check early separately
+      if (earlyLeave && !earlyExcused) {
+        earlyCount++;
+        totalEarlyMinutes += earlyMinutes;
+      }
+
+      // =============================================================================
+      // SALARY DEDUCTION FORMULA - LATE AND EARLY COUNTED SEPARATELY
+      // =============================================================================
+      //
+      // LATE and EARLY violations are tracked independently. Each has its own count.
+      // - 2 late + 2 early → 3rd late = 1 day, 3rd early = 1 day → Total 2 days
+      // - A day with BOTH late and early counts as 1 late + 1 early violation
+      //
+      // RULES (same for both late and early):
+      // - 1st & 2nd: FREE | 3rd, 6th, 9th...: 1 FULL DAY | 4th, 5th, 7th, 8th...: PER-MINUTE FINE
+      //
+      // =============================================================================
+
+      // --- LATE VIOLATION (counted separately) ---
+      if (late && !lateExcused && evaluation.violationDay) {
+        lateViolationCount += 1;
+        const vNo = lateViolationCount;
+        const vConfig = violationRules.violationConfig;
+
+        if (vNo > vConfig.freeViolations) {
+          if (vNo % vConfig.milestoneInterval === 0) {
+            violationBaseDays += 1;
+          } else {
+            const fineForThisDay = Math.min(
+              lateMinutes * vConfig.perMinuteRate,
+              vConfig.maxPerMinuteFine
+            );
+            perMinuteFineDays += fineForThisDay;
+          }
+        }
+      }
+
+      // --- EARLY VIOLATION (counted separately) ---
+      if (earlyLeave && !earlyExcused && evaluation.violationDay) {
+        earlyViolationCount += 1;
+        const vNo = earlyViolationCount;
+        const vConfig = violationRules.violationConfig;
+
+        if (vNo > vConfig.freeViolations) {
+          if (vNo % vConfig.milestoneInterval === 0) {
+            violationBaseDays += 1;
+          } else {
+            const fineForThisDay = Math.min(
+              earlyMinutes * vConfig.perMinuteRate,
+              vConfig.maxPerMinuteFine
+            );
+            perMinuteFineDays += fineForThisDay;
+          }
+        }
+      }
+
+      // ----------------- ABSENT / MISSING PUNCH / LEAVE DEDUCTION -----------------
+      // Day amounts come from ViolationRules via evaluateDay
+      absentDays += evaluation.deductions.missingPunchDays;
+      if (evaluation.deductions.leaveBucket === 'unpaid') {
+        unpaidLeaveDays += evaluation.deductions.leaveDays;
+      } else if (evaluation.deductions.leaveBucket === 'absent') {
+        // Leave Without Inform is handled in absentConfig
+        absentDays += evaluation.deductions.leaveDays;
+      } else if (evaluation.deductions.leaveBucket === 'halfDay') {
+        halfDays += evaluation.deductions.leaveDays;
+      }
+      // Paid Leave = no deduction (excluded from all deduction logic)
+
+      // HR-recorded away from workstation (hourly proportional deduction)
+      const awayHoursRaw = evaluation.deductions.awayHours;
+      const shiftGrossHours = getShiftDurationHours(shiftObj);
+      const shiftBreakMinutes = getShiftBreakMinutes(shiftObj);
+      const shiftPaidHours = getPaidWorkHours(shiftObj);
+      const awayDeductionForDay = evaluation.deductions.awayDays;
+      if (awayDeductionForDay > 0) {
+        awayDeductionDays += awayDeductionForDay;
+        totalAwayHours += awayHoursRaw;
+      }
+
+      // Overtime: approval sticks only while the recomputed minutes match what HR reviewed
+      const overtimeMinutes = evaluation.overtime.minutes;
+      const overtimeStatus = nextOvertimeStatus(doc, overtimeMinutes);
+      const overtimeApprovedMinutes =
+        overtimeStatus === 'approved' ? doc?.overtimeApprovedMinutes ?? overtimeMinutes : 0;
+      if (overtimeStatus) {
+        overtimeDays.push({
+          date,
+          overtimeStatus,
+          overtimeMinutes,
+          overtimeApprovedMinutes,
+          overtimeDayType: evaluation.overtime.dayType,
+          shift: evaluation.shift,
+        });
+      }
+
+      days.push({
+        date,
+        shift: shiftCode, // Use shift code for display
+        status,
+        reason,
+        checkIn: checkIn ? checkIn.toISOString() : null,
+        checkOut: checkOut ? checkOut.toISOString() : null,
+        late,
+        earlyLeave,
+        excused: lateExcused || earlyExcused, // For backward compatibility
+        lateExcused,
+        earlyExcused,
+        leaveType: doc?.leaveType || null, // Leave type from the status catalog ('paid', marriage, ...)
+        awayHours: awayHoursRaw,
+        awayDeductionDays: awayDeductionForDay,
+        awayNote: doc?.awayNote || '',
+        awayReportedBy: doc?.awayReportedBy || '',
+        shiftHours: shiftPaidHours,
+        shiftGrossHours,
+        // Flexible shift: hours required between check-in and check-out (early = shortfall)
+        requiredHours: isFlexibleShift(evaluation.shift) ? getRequiredWorkMinutes(evaluation.shift) / 60 : null,
+        breakMinutes: shiftBreakMinutes,
+        breaks: doc?.breaks || [],
+        breakMinutesTaken: doc?.breakMinutesTaken || 0,
+        proposedAwayMinutes: doc?.proposedAwayMinutes || 0,
+        awayProposalStatus: doc?.awayProposalStatus || null,
+        overtimeMinutes,
+        overtimeDayType: overtimeMinutes > 0 ? evaluation.overtime.dayType : null,
+        overtimeStatus,
+        overtimeApprovedMinutes,
+        workedHours: evaluation.workedHours,
+        workedHoursRule: evaluation.workedHoursRule,
+        workedHoursThreshold: evaluation.workedHoursThreshold,
+        segments: evaluation.segments,
+        checkInPhotoUrl: doc?.webClockInCheck?.photoUrl || null,
+        checkOutPhotoUrl: doc?.webClockOutCheck?.photoUrl || null,
+        isFuture: false,
+      });
+    }
+
+    // =============================================================================
+    // FINAL SALARY DEDUCTION CALCULATION - COMBINING ALL DEDUCTION COMPONENTS
+    // =============================================================================
+    //
+    // TOTAL SALARY DEDUCTION FORMULA:
+    // --------------------------------
+    // Salary Deduction (days) = 
+    //   Violation Full Days +          // From 3rd, 6th, 9th, ... violations (1 day each)
+    //   Violation Per-Minute Days +    // From 4th, 5th, 7th, 8th, ... violations (minutes × 0.007)
+    //   Unpaid Leave Days +            // Unpaid Leave + Sick Leave (1 day each)
+    //   Absent Days +                  // Missing punches or no attendance (1 day each, LWI = 1.5 days)
+    //   Half Days                      // Half-day leaves (0.5 day each)
+    //
+    // COMPONENT BREAKDOWN:
+    // --------------------
+    // 1. VIOLATION FULL DAYS (violationBaseDays):
+    //    - Accumulated from milestone violations (3rd, 6th, 9th, 12th, ...)
+    //    - Each milestone violation = 1 full day
+    //    - Example: 9 violations → 3 full days (from violations #3, #6, #9)
+    //
+    // 2. VIOLATION PER-MINUTE DAYS (perMinuteFineDays):
+    //    - Accumulated from non-milestone violations after 3rd (4th, 5th, 7th, 8th, ...)
+    //    - Formula per violation: min(violationMinutes × 0.007, 1.0) days
+    //    - Example: 4th violation (30 min) + 5th violation (20 min) + 7th violation (15 min)
+    //              = (30×0.007) + (20×0.007) + (15×0.007) = 0.21 + 0.14 + 0.105 = 0.455 days
+    //
+    // 3. UNPAID LEAVE DAYS (unpaidLeaveDays):
+    //    - Unpaid Leave status: 1 day per occurrence
+    //    - Sick Leave status: 1 day per occurrence (treated as unpaid)
+    //    - Example: 3 Unpaid Leave + 2 Sick Leave = 5 days
+    //
+    // 4. ABSENT DAYS (absentDays):
+    //    - Missing both check-in AND check-out: 1 day per occurrence
+    //    - Missing only check-in OR only check-out: 1 day per occurrence
+    //    - Leave Without Inform (LWI) status: 1.5 days per occurrence
+    //    - Example: 2 days missing punches + 1 LWI = 2 + 1.5 = 3.5 days
+    //
+    // 5. HALF DAYS (halfDays):
+    //    - Half Day status: 0.5 day per occurrence
+    //    - Example: 3 Half Days = 1.5 days
+    //
+    // COMPLETE EXAMPLE CALCULATION:
+    // -----------------------------
+    // Employee with:
+    //   - 8 violations (violations #3, #4, #5, #6, #7, #8 with 20, 30, 15, 10, 25, 10 min)
+    //   - 2 Unpaid Leave
+    //   - 1 Sick Leave
+    //   - 3 Absent days (missing punches)
+    //   - 1 Leave Without Inform (1.5 days)
+    //   - 2 Half Days
+    //
+    // Calculation:
+    //   violationFullDays = 2 (from violations #3 and #6)
+    //   perMinuteDays = (20×0.007) + (30×0.007) + (15×0.007) + (25×0.007) + (10×0.007)
+    //                = 0.14 + 0.21 + 0.105 + 0.175 + 0.07 = 0.70 days
+    //   unpaidLeaveDays = 2 + 1 = 3 days
+    //   absentDays = 3 + 1.5 = 4.5 days
+    //   halfDays = 2 × 0.5 = 1.0 day
+    //
+    //   TOTAL = 2.0 + 0.70 + 3.0 + 4.5 + 1.0 = 11.2 days deduction
+    //
+    // SALARY CALCULATION:
+    // -------------------
+    // Per-Day Salary = Gross Monthly Salary ÷ 30 days
+    // Deduction Amount = Per-Day Salary × Total Deduction Days
+    // Net Salary = Gross Salary - Deduction Amount
+    //
+    // Example (continued from above):
+    //   Gross Salary = ₹30,000
+    //   Per-Day Salary = ₹30,000 ÷ 30 = ₹1,000
+    //   Deduction Amount = ₹1,000 × 11.2 = ₹11,200
+    //   Net Salary = ₹30,000 - ₹11,200 = ₹18,800
+    //
+    // =============================================================================
+
+    // Component 1: Violation Full Days (from milestone violations: 3rd, 6th, 9th, ...)
+    const violationFullDays = violationBaseDays;
+
+    // Component 2: Violation Per-Minute Days (from non-milestone violations: 4th, 5th, 7th, 8th, ...)
+    const perMinuteDays = perMinuteFineDays;
+
+    // Component 3: Other Deductions
+    // - unpaidLeaveDays: Unpaid Leave + Sick Leave (1 day each)
+    // - absentDays: Missing punches (1 day each) + Leave Without Inform (1.5 days each)
+    // - halfDays: Half Day leaves (0.5 day each)
+    // Note: Missing punch is counted as absent (1 day), not a separate category
+    const salaryDeductDaysRaw =
+      violationFullDays +      // Full days from milestone violations
+      perMinuteDays +          // Days from per-minute violation fines
+      awayDeductionDays +      // Away from workstation (hours / shift hours)
+      unpaidLeaveDays +        // Unpaid Leave + Sick Leave
+      absentDays +             // Missing punches + Leave Without Inform
+      halfDays;                // Half-day leaves
+
+    // Calculate final deduction (rounded to 3 decimal places for precision)
+    // No artificial cap applied - if deduction exceeds month days, it reflects actual violations/absences
+    // Example: If deduction = 35 days in a 30-day month, employee will have negative/zero net salary
+    const salaryDeductDays = Number(salaryDeductDaysRaw.toFixed(3));
+
+
+    const grossSalary = emp.monthlySalary || 0;
+
+    const snapshotRaw =
+      emp.monthlySalarySnapshots?.[monthPrefix] ??
+      (typeof emp.monthlySalarySnapshots?.get === 'function'
+        ? emp.monthlySalarySnapshots.get(monthPrefix)
+        : undefined);
+    let recordedMonthlySalary = grossSalary;
+    if (snapshotRaw != null && Number.isFinite(Number(snapshotRaw))) {
+      recordedMonthlySalary = Number(snapshotRaw);
+    } else {
+      Employee.updateOne(
+        { empCode: emp.empCode, [`monthlySalarySnapshots.${monthPrefix}`]: { $exists: false } },
+        { $set: { [`monthlySalarySnapshots.${monthPrefix}`]: grossSalary } }
+      ).catch(() => {});
+    }
+
+    // Working days per month, controlled by CompanySettings.workingDaysMode (the version in
+    // force on the first day of the month):
+    //  - 'legacy' (default): daysInMonth - 6 (preserves historical behavior)
+    //  - 'actual': daysInMonth minus this employee's real weekend/off days
+    //  - 'fixed' : a fixed configured number
+    const { companySettings } = policiesForDate(evaluationContext, monthStartDate);
+    let workingDaysInMonth;
+    if (companySettings.workingDaysMode === 'fixed') {
+      workingDaysInMonth = companySettings.fixedDaysPerMonth || 26;
+    } else if (companySettings.workingDaysMode === 'actual') {
+      workingDaysInMonth = Math.max(1, daysInMonth - employeeOffDayCount);
+    } else {
+      workingDaysInMonth = daysInMonth - 6;
+    }
+    const salaryCalc = calculateSalaryAmounts(
+      grossSalary, 
+      salaryDeductDays, 
+      { daysPerMonth: workingDaysInMonth } // Per-day salary based on working days
+    );
+    const perDaySalary = salaryCalc.perDaySalary;
+    const salaryDeductAmount = salaryCalc.deductionAmount;
+
+    // Approved overtime is paid on top: hourly rate (per-day ÷ paid hours) × day-type multiplier,
+    // within OvertimeRules.monthlyCapHours
+    const overtime = summarizeMonthlyOvertime(overtimeDays, perDaySalary, overtimeRules);
+    const netSalary = salaryCalc.netSalary + overtime.amount;
+
+    const deductionRemarks = buildDeductionRemarks(days, perDaySalary, statusCatalog);
+
+    // Get dynamic shift for the employee - use current shift assignment (no history)
+    let dynamicShift = emp.shift || '';
+    if (useDynamicShifts) {
+      // Use employee's current shift object (from shiftId field)
+      if (employeeShiftObj && employeeShiftObj.code) {
+        dynamicShift = employeeShiftObj.code;
+      } else if (emp.shiftId) {
+        // Try to get shift from employee's shiftId if shift object wasn't found
+        const shiftFromId = allShiftsMap.get(emp.shiftId.toString());
+        if (shiftFromId && shiftFromId.code) {
+          dynamicShift = shiftFromId.code;
+        }
+      } else if (emp.shift) {
+        // Last fallback: try to extract shift code from emp.shift (might be formatted string)
+        const extractedCode = extractShiftCode(emp.shift);
+        // Try to look it up in allShiftsMap to verify it's valid
+        const shiftFromCode = allShiftsMap.get(extractedCode);
+        if (shiftFromCode && shiftFromCode.code) {
+          dynamicShift = shiftFromCode.code;
+        } else {
+          // Use extracted code even if not found in map (might be a valid code not in active shifts)
+          dynamicShift = extractedCode;
+        }
+      }
+    }
+
+    employeesOut.push({
+      empCode: emp.empCode,
+      name: emp.name || '',
+      department: emp.department || '',
+      designation: emp.designation || '',
+      shift: dynamicShift,
+      monthlySalary: grossSalary, // GROSS (current)
+      recordedMonthlySalary, // GROSS locked when month was first opened
+      netSalary: Number(netSalary.toFixed(2)), // NET after deduction
+      salaryDeductAmount: Number(salaryDeductAmount.toFixed(2)),
+      overtimeMinutes: overtime.approvedMinutes, // approved, within the monthly cap
+      overtimePendingMinutes: overtime.pendingMinutes,
+      overtimeCappedMinutes: overtime.cappedMinutes,
+      overtimeAmount: overtime.amount,
+      lateCount,
+      earlyCount,
+      lateViolationCount,
+      earlyViolationCount,
+      violationDays: lateViolationCount + earlyViolationCount, // total for backward compatibility
+      missingPunchDays,
+      unpaidLeaveDays,
+      absentDays,
+      halfDays,
+      awayDeductionDays,
+      totalAwayHours,
+      salaryDeductDays,
+      perDaySalary: Number(perDaySalary.toFixed(2)),
+      deductionRemarks,
+      totalLateMinutes,
+      totalEarlyMinutes,
+      days,
+    });
+  }
+
+  // Stable Multi-Criteria Sort (Optimized)
+  // Algorithm: JavaScript's native sort (Timsort-like, stable O(n log n))
+  // Sort criteria: 1) Department (alphabetical), 2) Employee Code (numeric-aware)
+  employeesOut.sort((a, b) => {
+    // Primary sort: Department (case-insensitive)
+    const da = (a.department || '').toLowerCase().trim();
+    const db = (b.department || '').toLowerCase().trim();
+    if (da !== db) {
+      return da.localeCompare(db, undefined, { sensitivity: 'base' });
+    }
+    
+    // Secondary sort: Employee Code (numeric-aware for better ordering)
+    const codeA = String(a.empCode || '').trim();
+    const codeB = String(b.empCode || '').trim();
+    
+    // Try numeric comparison first (if both are numeric)
+    const numA = Number(codeA);
+    const numB = Number(codeB);
+    if (!isNaN(numA) && !isNaN(numB) && codeA === String(numA) && codeB === String(numB)) {
+      return numA - numB; // Numeric sort
+    }
+    
+    // Fallback to string comparison with natural ordering
+    return codeA.localeCompare(codeB, undefined, { 
+      numeric: true, // Natural sort: "2" comes before "10"
+      sensitivity: 'base' 
+    });
+  });
+
+  // Employees can only see their own data; HR/ADMIN see all
+  let filteredEmployees = employeesOut;
+  if (viewer?.role === 'EMPLOYEE') {
+    const myEmpCode = String(viewer.empCode || '').trim();
+    filteredEmployees = employeesOut.filter((e) => String(e.empCode || '').trim() === myEmpCode);
+  }
+
+  const result = {
+    month: monthPrefix,
+    daysInMonth,
+    employees: filteredEmployees,
+    // Status catalog for labels, short codes and colors in the sheet and the employee dashboard
+    statuses: statusCatalog.statuses,
+  };
+
+  return result;
+}
@@ -0,0 +1,58 @@
+// lib/attendance/payrollLock.js
+// Closed payroll months are read-only. Routes that change attendance, shifts or leaves call
+// assertPayrollOpen with the days they touch before writing; an ADMIN has to reopen the month
+// (PATCH /api/hr/payroll-periods/[month]) to change it again.
+import { connectDB } from '../db';
+import PayrollPeriod from '../../models/PayrollPeriod';
+import { ForbiddenError } from '../errors/errorHandler';
+
+const MONTH_REGEX = /^\d{4}-\d{2}$/;
+
+/** YYYY-MM of a YYYY-MM-DD day, or null when it is not a date. */
+export function payrollMonthOf(date) {
+  const month = String(date || '').slice(0, 7);
+  return MONTH_REGEX.test(month) ? month : null;
+}
+
+/**
+ * Closed payroll months (YYYY-MM, ascending) among the given days and ranges.
+ * @param {Array<string | { from: string, to?: string|null }>} days - YYYY-MM-DD days, or inclusive
+ *   ranges; a range without `to` runs on indefinitely (a shift change applies to every later day)
+ * @returns {Promise<string[]>}
+ */
+export async function getClosedPayrollMonths(days) {
+  const or = [];
+  for (const entry of days || []) {
+    if (entry && typeof entry === 'object') {
+      const from = payrollMonthOf(entry.from);
+      if (!from) continue;
+      const to = payrollMonthOf(entry.to);
+      or.push({ month: to ? { $gte: from, $lte: to } : { $gte: from } });
+      continue;
+    }
+    const month = payrollMonthOf(entry);
+    if (month) or.push({ month });
+  }
+  if (!or.length) return [];
+
+  await connectDB();
+  const closed = await PayrollPeriod.find({ status: 'closed', $or: or })
+    .select('month')
+    .sort({ month: 1 })
+    .lean()
+    .maxTimeMS(2000);
+  return closed.map((p) => p.month);
+}
+
+/**
+ * Throws ForbiddenError when any of the days falls in a closed payroll month.
+ * @param {Array<string | { from: string, to?: string|null }>} days - see getClosedPayrollMonths
+ */
+export async function assertPayrollOpen(days) {
+  const closed = await getClosedPayrollMonths(days);
+  if (!closed.length) return;
+  const label = closed.length === 1 ? `Payroll month ${closed[0]} is` : `Payroll months ${closed.join(', ')} are`;
+  throw new ForbiddenError(
+    `${label} closed. An admin has to reopen ${closed.length === 1 ? 'it' : 'them'} before attendance, shifts or leaves can change.`
+  );
+}
@@ -0,0 +1,370 @@
+// next-app/lib/attendance/processDailyAttendance.js
+// Punch-based: first punch = check-in, last punch = check-out. Aggregation for efficiency.
+// Preserves paid leave and manual attendance edits. Shared by the HR daily attendance
+// button, the scheduled run (lib/attendance/processingRuns.js) and date-range
+// reprocessing (lib/attendance/reprocess.js).
+
+import AttendanceEvent from '../../models/AttendanceEvent';
+import Employee from '../../models/Employee';
+import ShiftAttendance from '../../models/ShiftAttendance';
+import Shift from '../../models/Shift';
+import { ValidationError } from '../errors/errorHandler';
+import { mergeActiveFilter } from '../employees/activeFilter';
+import { getPunchDebounceConfig } from '../device/punchDebounce';
+import { computeBreaksFromPunches, nextAwayProposalStatus } from '../shift/breakTracking';
+import { overtimeFieldsForRow } from '../calculations/overtime';
+import { resolveGracePeriodsForCalendarDate } from '../shift/gracePeriods.js';
+import { getRosterDaysOff, getShiftsForEmployeesOnDate } from '../shift/getShiftForDate.js';
+import { findHoliday, getHolidaysInRange } from './holidays';
+import { getCompanyTodayYmd } from '../time/companyToday.js';
+import { evaluateDay, hasProtectedStatus, loadEvaluationContext } from './evaluateDay';
+
+import { getNextDateStr } from '../../app/api/hr/daily-attendance/attendance/time-utils.js';
+import {
+  getFirstAndLastPunchPerEmployee,
+  resolveCheckOutFromPunches,
+} from '../../app/api/hr/daily-attendance/attendance/punch-helpers.js';
+import { ensureCheckInBeforeCheckOut } from '../../app/api/hr/daily-attendance/attendance/validation.js';
+
+/** Normalize empCode to string for Map keys (device may send number). */
+function toEmpCodeKey(value) {
+  if (value == null || value === '') return '';
+  return String(value).trim();
+}
+
+/** Composite key for (empCode, shift) to look up existing records. */
+function toEmpCodeShiftKey(empCode, shift) {
+  return `${toEmpCodeKey(empCode)}|${shift || 'Unknown'}`;
+}
+
+/**
+ * Build and save ShiftAttendance for one business day (09:00 → 08:00 next day).
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {object} [options]
+ * @param {string} [options.tzOffset]
+ * @param {object} [options.employeeFilter] - Extra Employee query (e.g. { department }) to process a subset
+ * @param {boolean} [options.dryRun=false] - Build the rows without writing them
+ * @returns {Promise<{ date: string, employees: number, savedCount: number, skippedManual: number, items: object[], rows: object[], allShifts: object[] }>}
+ *   skippedManual: saved rows whose HR edits were kept instead of being recomputed.
+ *   rows: one per saved row — { filter, existing, update ($set), protected: 'manuallyEdited'|'status'|null }
+ */
+export async function processDailyAttendance(
+  date,
+  { tzOffset = process.env.TIMEZONE_OFFSET || '+05:00', employeeFilter = {}, dryRun = false } = {}
+) {
+  const TZ = tzOffset;
+  const nextDateStr = getNextDateStr(date);
+
+  // Load ALL shifts (active + inactive) so historical attendance (R1, R2) resolves when shifts are deactivated
+  const allShifts = await Shift.find({})
+    .select(
+      '_id name code startTime endTime crossesMidnight shiftType coreStartTime coreEndTime requiredHours segments breakMinutes isActive gracePeriod checkInGracePeriod checkOutGracePeriod graceEffectiveFrom priorCheckInGracePeriod priorCheckOutGracePeriod'
+    )
+    .lean()
+    .maxTimeMS(2000);
+
+  if (allShifts.length === 0) {
+    throw new ValidationError('No shifts found. Please create shifts first.');
+  }
+
+  const startLocal = new Date(`${date}T09:00:00${TZ}`);
+  const endLocal = new Date(`${nextDateStr}T08:00:00${TZ}`);
+  const debounce = await getPunchDebounceConfig({ date });
+
+  const [allEmployees, existingRecords, punchMap, evaluationContext] = await Promise.all([
+    Employee.find(mergeActiveFilter({ ...employeeFilter }))
+      .select('empCode name shift shiftId department designation saturdayGroup')
+      .lean()
+      .maxTimeMS(2000),
+    ShiftAttendance.find({ date })
+      .select(
+        'date empCode employeeName department designation checkIn checkOut shift attendanceStatus reason leaveType totalPunches manuallyEdited late earlyLeave excused lateExcused earlyExcused checkInGracePeriod checkOutGracePeriod breaks breakMinutesTaken proposedAwayMinutes awayProposalStatus overtimeMinutes overtimeDayType overtimeStatus overtimeApprovedMinutes overtimeReviewedBy overtimeReviewedAt workedHoursRule holidayId segments punchCorrectionId'
+      )
+      .lean()
+      .maxTimeMS(2000),
+    getFirstAndLastPunchPerEmployee(AttendanceEvent, startLocal, endLocal, 5000, TZ, debounce),
+    loadEvaluationContext({ date }),
+  ]);
+  const companyTodayYmd = getCompanyTodayYmd();
+  const { statusCatalog } = evaluationContext;
+
+  const shiftByCode = new Map();
+  const shiftById = new Map();
+  for (const shift of allShifts) {
+    shiftByCode.set(shift.code, shift);
+    if (shift._id) {
+      shiftById.set(shift._id.toString(), shift.code);
+      shiftById.set(String(shift._id), shift.code);
+    }
+  }
+
+  const empCodesForDate = allEmployees.map((e) => toEmpCodeKey(e.empCode)).filter(Boolean);
+  const shiftForDateMap = await getShiftsForEmployeesOnDate(empCodesForDate, date, {
+    employees: allEmployees,
+    shiftById,
+  });
+  const [rosterDaysOff, holidays] = await Promise.all([
+    getRosterDaysOff(empCodesForDate, date, date),
+    getHolidaysInRange(date, date),
+  ]);
+
+  const empInfoMap = new Map();
+  for (const emp of allEmployees) {
+    const empKey = toEmpCodeKey(emp.empCode);
+    if (!empKey) continue;
+    const employeeShift = shiftForDateMap.get(empKey) ?? '';
+    empInfoMap.set(empKey, {
+      name: emp.name || '',
+      shift: employeeShift,
+      department: emp.department || '',
+      designation: emp.designation || '',
+    });
+  }
+
+  const existingByEmpCodeShift = new Map();
+  for (const record of existingRecords) {
+    const key = toEmpCodeShiftKey(record.empCode, record.shift);
+    if (!toEmpCodeKey(record.empCode)) continue;
+    existingByEmpCodeShift.set(key, record);
+  }
+
+  const items = [];
+
+  for (const emp of allEmployees) {
+    const empKey = toEmpCodeKey(emp.empCode);
+    const assignedShift = shiftForDateMap.get(empKey) || empInfoMap.get(empKey)?.shift || '';
+    const shift = assignedShift || 'Unknown';
+    const existingRecord = existingByEmpCodeShift.get(toEmpCodeShiftKey(empKey, shift));
+    const punches = punchMap.get(empKey);
+
+    let checkIn = null;
+    let checkOut = null;
+    let totalPunches = 0;
+
+    // HR manually edited on Monthly page: preserve status/reason fields.
+    // But if manual record is missing checkOut, auto-fill from punches so daily page
+    // does not keep showing "-" when a valid OUT punch exists.
+    if (existingRecord?.manuallyEdited) {
+      if (existingRecord.checkIn) checkIn = new Date(existingRecord.checkIn);
+      if (existingRecord.checkOut) checkOut = new Date(existingRecord.checkOut);
+      // Drop checkout that is before check-in (stale/wrong night-shift data).
+      if (checkIn && checkOut && checkOut <= checkIn) checkOut = null;
+      if (!checkIn && punches?.firstPunch && !punches.checkoutOnly) checkIn = punches.firstPunch;
+      // A check-out approved through a punch correction stays; device punches only fill a missing one
+      const keepCorrectedOut = !!existingRecord.punchCorrectionId && !!checkOut;
+      const punchOut = punches && !keepCorrectedOut ? resolveCheckOutFromPunches(checkIn, punches) : null;
+      if (punchOut) checkOut = punchOut;
+      totalPunches = checkIn && checkOut ? 2 : checkIn ? 1 : checkOut ? 1 : 0;
+    } else if (punches) {
+      if (punches.checkoutOnly) {
+        checkOut = punches.lastPunch || null;
+        totalPunches = checkOut ? 1 : 0;
+        // Night shift: evening check-in may be missing from device; keep stored check-in if valid.
+        if (!checkIn && existingRecord?.checkIn) {
+          const storedIn = new Date(existingRecord.checkIn);
+          if (!isNaN(storedIn.getTime()) && checkOut && storedIn < checkOut) {
+            checkIn = storedIn;
+            totalPunches = 2;
+          }
+        }
+      } else {
+        checkIn = punches.firstPunch || null;
+        checkOut = punches.count > 1 ? punches.lastPunch : null;
+        totalPunches = punches.count;
+      }
+      if (!checkOut && checkIn) {
+        const derived = resolveCheckOutFromPunches(checkIn, punches);
+        if (derived) {
+          checkOut = derived;
+          if (totalPunches < 2) totalPunches = 2;
+        }
+      }
+    }
+
+    if (!existingRecord?.manuallyEdited) {
+      if (!checkIn && existingRecord?.checkIn) {
+        checkIn = new Date(existingRecord.checkIn);
+        if (totalPunches === 0) totalPunches = checkOut ? 2 : 1;
+      }
+      if (!checkOut && existingRecord?.checkOut && totalPunches >= 1) {
+        const existingCheckOut = new Date(existingRecord.checkOut);
+        if (!isNaN(existingCheckOut.getTime())) checkOut = ensureCheckInBeforeCheckOut(checkIn, existingCheckOut) || checkOut;
+        if (checkOut && totalPunches === 1) totalPunches = 2;
+      }
+      checkOut = ensureCheckInBeforeCheckOut(checkIn, checkOut);
+    }
+
+    // Manual/leave statuses and HR edits are kept; otherwise the status follows the punches
+    // (including a Half Day / Absent from the worked-hours rule).
+    // Late/early is judged with the grace snapshot this run will store for the row.
+    const keepStatus = hasProtectedStatus(existingRecord, statusCatalog) || !!existingRecord?.manuallyEdited;
+    const shiftObj = shiftByCode.get(shift);
+    const graceSnap = resolveGracePeriodsForCalendarDate(shiftObj || {}, date);
+    const evaluation = evaluateDay({
+      date,
+      checkIn,
+      checkOut,
+      // Split shifts match every punch to a segment (not when check-in/out came from HR or the stored row)
+      punches: existingRecord?.manuallyEdited || punches?.checkoutOnly ? null : punches?.punches,
+      shift: shiftObj || shift,
+      allShiftsMap: shiftByCode,
+      record: { ...existingRecord, checkInGracePeriod: graceSnap.checkIn, checkOutGracePeriod: graceSnap.checkOut },
+      storedStatus: keepStatus ? existingRecord.attendanceStatus : null,
+      manuallyEdited: !!existingRecord?.manuallyEdited,
+      employee: emp,
+      ...evaluationContext,
+      rosterDayOff: rosterDaysOff.has(`${empKey}|${date}`),
+      holiday: findHoliday(holidays, date, emp.department),
+      companyTodayYmd,
+    });
+    const breakInfo =
+      shiftObj && punches?.punches?.length > 2
+        ? computeBreaksFromPunches({ punches: punches.punches, date, shift: shiftObj, timezoneOffset: TZ })
+        : { breaks: [], breakMinutesTaken: 0, proposedAwayMinutes: 0 };
+
+    const info = empInfoMap.get(empKey) || {};
+    items.push({
+      empCode: emp.empCode,
+      employeeName: emp.name || info.name || '',
+      department: emp.department || info.department || '',
+      designation: emp.designation || info.designation || '',
+      shift,
+      checkIn,
+      checkOut,
+      totalPunches,
+      attendanceStatus: evaluation.status,
+      reason: existingRecord?.reason ?? '',
+      leaveType: existingRecord?.leaveType ?? null,
+      manuallyEdited: existingRecord?.manuallyEdited ?? false,
+      late: keepStatus ? existingRecord.late ?? false : evaluation.late,
+      earlyLeave: keepStatus ? existingRecord.earlyLeave ?? false : evaluation.earlyLeave,
+      excused: existingRecord?.excused ?? false,
+      lateExcused: existingRecord?.lateExcused ?? false,
+      earlyExcused: existingRecord?.earlyExcused ?? false,
+      breaks: breakInfo.breaks,
+      breakMinutesTaken: breakInfo.breakMinutesTaken,
+      proposedAwayMinutes: breakInfo.proposedAwayMinutes,
+      overtimeMinutes: evaluation.overtime.minutes,
+      overtimeDayType: evaluation.overtime.dayType,
+      workedHoursRule: evaluation.workedHoursRule,
+      holidayId: evaluation.holidayId,
+      segments: evaluation.segments,
+    });
+  }
+
+  const presentItems = items.filter(
+    (item) =>
+      item.totalPunches > 0 ||
+      hasProtectedStatus(existingByEmpCodeShift.get(toEmpCodeShiftKey(item.empCode, item.shift)), statusCatalog)
+  );
+
+  const rows = presentItems.map((item) => {
+    const existing = existingByEmpCodeShift.get(toEmpCodeShiftKey(item.empCode, item.shift));
+    const preserveManual = hasProtectedStatus(existing, statusCatalog);
+    const preserveManuallyEdited = existing?.manuallyEdited;
+
+    const shiftDef = shiftByCode.get(item.shift);
+    const graceSnap = resolveGracePeriodsForCalendarDate(shiftDef || {}, date);
+
+    const update = {
+      date,
+      empCode: item.empCode,
+      employeeName: item.employeeName,
+      department: item.department || '',
+      designation: item.designation || '',
+      shift: item.shift,
+      checkIn: item.checkIn,
+      checkOut: item.checkOut || null,
+      totalPunches: item.totalPunches,
+      checkInGracePeriod: graceSnap.checkIn,
+      checkOutGracePeriod: graceSnap.checkOut,
+      breaks: item.breaks,
+      breakMinutesTaken: item.breakMinutesTaken,
+      proposedAwayMinutes: item.proposedAwayMinutes,
+      awayProposalStatus: nextAwayProposalStatus(existing, item.proposedAwayMinutes),
+      ...overtimeFieldsForRow(existing, { minutes: item.overtimeMinutes, dayType: item.overtimeDayType }),
+      workedHoursRule: item.workedHoursRule,
+      holidayId: item.holidayId,
+      ...(item.segments ? { segments: item.segments } : {}),
+      updatedAt: new Date(),
+    };
+
+    if (preserveManuallyEdited) {
+      // Preserve manual status/reason fields. Use recomputed check-in/out (device punches win over invalid stored times),
+      // except on days fixed by an approved punch correction: those times were reviewed and stay as stored.
+      const existingCheckIn = existing.checkIn ?? null;
+      const existingCheckOut = existing.checkOut ?? null;
+      if (existing.punchCorrectionId) {
+        update.checkIn = existingCheckIn || item.checkIn || null;
+        update.checkOut = existingCheckOut || item.checkOut || null;
+        if (existing.segments) update.segments = existing.segments;
+      } else {
+        update.checkIn = item.checkIn || existingCheckIn || null;
+        update.checkOut = item.checkOut || existingCheckOut || null;
+      }
+      update.totalPunches = update.checkIn && update.checkOut ? 2 : update.checkIn ? 1 : update.checkOut ? 1 : 0;
+      update.attendanceStatus = existing.attendanceStatus;
+      update.reason = existing.reason ?? '';
+      update.leaveType = existing.leaveType ?? null;
+      update.manuallyEdited = true;
+      update.late = existing.late ?? false;
+      update.earlyLeave = existing.earlyLeave ?? false;
+      update.excused = existing.excused ?? false;
+      update.lateExcused = existing.lateExcused ?? false;
+      update.earlyExcused = existing.earlyExcused ?? false;
+      if (
+        existing.checkInGracePeriod != null &&
+        existing.checkOutGracePeriod != null
+      ) {
+        update.checkInGracePeriod = existing.checkInGracePeriod;
+        update.checkOutGracePeriod = existing.checkOutGracePeriod;
+      }
+    } else if (preserveManual) {
+      update.attendanceStatus = existing.attendanceStatus;
+      if (existing.reason != null) update.reason = existing.reason;
+      if (existing.leaveType != null) update.leaveType = existing.leaveType;
+    } else {
+      update.attendanceStatus = item.attendanceStatus;
+      update.late = item.late;
+      update.earlyLeave = item.earlyLeave;
+    }
+
+    return {
+      filter: { date, empCode: item.empCode, shift: item.shift },
+      existing: existing || null,
+      update,
+      protected: preserveManuallyEdited ? 'manuallyEdited' : preserveManual ? 'status' : null,
+    };
+  });
+
+  const skippedManual = rows.filter((row) => row.protected === 'manuallyEdited').length;
+  const bulkOps = rows.map((row) => ({
+    updateOne: { filter: row.filter, update: { $set: row.update }, upsert: true },
+  }));
+
+  if (!dryRun && bulkOps.length > 0) {
+    // Single-collection bulk write does not need a transaction; avoiding it reduces latency.
+    await ShiftAttendance.bulkWrite(bulkOps, { ordered: false, maxTimeMS: 5000 });
+  }
+
+  const shiftOrder = new Map();
+  allShifts.forEach((s, idx) => shiftOrder.set(s.code, idx + 1));
+  shiftOrder.set('Unknown', 999);
+  items.sort((a, b) => {
+    const sa = shiftOrder.get(a.shift) ?? 999;
+    const sb = shiftOrder.get(b.shift) ?? 999;
+    if (sa !== sb) return sa - sb;
+    return String(a.empCode).localeCompare(String(b.empCode));
+  });
+
+  return {
+    date,
+    employees: allEmployees.length,
+    savedCount: presentItems.length,
+    skippedManual,
+    items,
+    rows,
+    allShifts,
+  };
+}
@@ -0,0 +1,157 @@
+// next-app/lib/attendance/processingRuns.js
+/**
+ * Daily attendance processing with a run log.
+ *
+ * Every processing of a business day (HR button or scheduler) is recorded as an
+ * AttendanceProcessingRun. The scheduler processes the previous business day and
+ * catches up on earlier days that have no complete run: a successful run only counts
+ * when it started after the business day ended (08:00 next day), so a mid-day refresh
+ * from the HR dashboard does not mark the day as done. Days in a closed payroll month are
+ * never processed again.
+ */
+
+import AttendanceProcessingRun from '../../models/AttendanceProcessingRun';
+import { processDailyAttendance } from './processDailyAttendance';
+import { getCompanyTodayYmd } from '../time/companyToday';
+import { assertPayrollOpen, getClosedPayrollMonths, payrollMonthOf } from './payrollLock';
+
+/** A run still "running" after this long is assumed dead and the day can be retried */
+const RUN_LOCK_MINUTES = 15;
+export const DEFAULT_CATCH_UP_DAYS = 7;
+export const MAX_CATCH_UP_DAYS = 31;
+
+/** YYYY-MM-DD shifted by whole days. */
+export function addDaysYmd(ymd, days) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Instant the business day closes (08:00 company time on the next calendar day). */
+export function businessDayEnd(date, tzOffset = process.env.TIMEZONE_OFFSET || '+05:00') {
+  return new Date(`${addDaysYmd(date, 1)}T08:00:00${tzOffset}`);
+}
+
+/**
+ * Process one business day and record the run. Errors are recorded on the run and rethrown.
+ * A day in a closed payroll month is rejected before a run is recorded.
+ *
+ * @param {object} params
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {'manual'|'cron'} [params.trigger='manual']
+ * @param {string} [params.triggeredBy='']
+ * @param {boolean} [params.catchUp=false]
+ * @returns {Promise<{ run: object, result: Awaited<ReturnType<typeof processDailyAttendance>> }>}
+ */
+export async function runDailyProcessing({ date, trigger = 'manual', triggeredBy = '', catchUp = false }) {
+  await assertPayrollOpen([date]);
+  const startedAt = new Date();
+  const run = await AttendanceProcessingRun.create({ date, trigger, triggeredBy, catchUp, startedAt });
+
+  try {
+    const result = await processDailyAttendance(date);
+    const finishedAt = new Date();
+    const finished = await AttendanceProcessingRun.findByIdAndUpdate(
+      run._id,
+      {
+        $set: {
+          status: 'success',
+          finishedAt,
+          durationMs: finishedAt.getTime() - startedAt.getTime(),
+          employees: result.employees,
+          savedCount: result.savedCount,
+          skippedManual: result.skippedManual,
+        },
+      },
+      { new: true }
+    ).lean();
+    return { run: finished, result };
+  } catch (err) {
+    const finishedAt = new Date();
+    await AttendanceProcessingRun.updateOne(
+      { _id: run._id },
+      {
+        $set: {
+          status: 'failed',
+          finishedAt,
+          durationMs: finishedAt.getTime() - startedAt.getTime(),
+          error: err?.message || String(err),
+        },
+      }
+    ).catch((logErr) => console.error('Failed to record attendance processing run:', logErr));
+    throw err;
+  }
+}
+
+/**
+ * Business days the scheduler should process, oldest first: the previous business day
+ * and up to `maxDays` days before it that have no complete successful run, skipping closed
+ * payroll months.
+ *
+ * @param {{ today?: string, maxDays?: number, now?: Date }} [options]
+ * @returns {Promise<string[]>}
+ */
+export async function findDatesToProcess({
+  today = getCompanyTodayYmd(),
+  maxDays = DEFAULT_CATCH_UP_DAYS,
+  now = new Date(),
+} = {}) {
+  const candidates = [];
+  for (let i = 1; i <= maxDays; i++) candidates.push(addDaysYmd(today, -i));
+
+  const runs = await AttendanceProcessingRun.find({
+    date: { $in: candidates },
+    $or: [
+      { status: 'success' },
+      { status: 'running', startedAt: { $gte: new Date(now.getTime() - RUN_LOCK_MINUTES * 60 * 1000) } },
+    ],
+  })
+    .select('date status startedAt')
+    .lean()
+    .maxTimeMS(2000);
+
+  const done = new Set();
+  for (const r of runs) {
+    if (r.status === 'running' || new Date(r.startedAt) >= businessDayEnd(r.date)) done.add(r.date);
+  }
+  const closedMonths = new Set(await getClosedPayrollMonths(candidates));
+  return candidates.filter((d) => !done.has(d) && !closedMonths.has(payrollMonthOf(d))).reverse();
+}
+
+/**
+ * Scheduler entry point: process every day returned by findDatesToProcess, one after
+ * another. A failing day is logged and does not stop the others.
+ *
+ * @param {{ maxDays?: number, trigger?: 'manual'|'cron', triggeredBy?: string }} [options]
+ * @returns {Promise<object[]>} Finished runs (lean)
+ */
+export async function runScheduledProcessing({
+  maxDays = DEFAULT_CATCH_UP_DAYS,
+  trigger = 'cron',
+  triggeredBy = '',
+} = {}) {
+  const today = getCompanyTodayYmd();
+  const previousDay = addDaysYmd(today, -1);
+  const dates = await findDatesToProcess({ today, maxDays });
+
+  const runs = [];
+  for (const date of dates) {
+    try {
+      const { run } = await runDailyProcessing({
+        date,
+        trigger,
+        triggeredBy,
+        catchUp: date !== previousDay,
+      });
+      runs.push(run);
+    } catch (err) {
+      const failed = await AttendanceProcessingRun.findOne({ date, trigger })
+        .sort({ startedAt: -1 })
+        .lean()
+        .maxTimeMS(1500)
+        .catch(() => null);
+      runs.push(failed || { date, status: 'failed', error: err?.message || String(err) });
+    }
+  }
+  return runs;
+}
@@ -0,0 +1,159 @@
+// next-app/lib/attendance/punchCorrection.js
+/**
+ * Missed-punch corrections: an employee proposes a check-in or check-out time for a day,
+ * HR approves or rejects it. Approval writes the time to ShiftAttendance the same way a
+ * manual edit on the monthly page does and recomputes late / early leave. The row keeps
+ * punchCorrectionId, so daily processing leaves its check-in / check-out as stored.
+ */
+
+import ShiftAttendance from '../../models/ShiftAttendance';
+import Shift from '../../models/Shift';
+import Employee from '../../models/Employee';
+import { getRosterDaysOff, getShiftsForEmployeesOnDate } from '../shift/getShiftForDate';
+import { findHoliday, getHolidaysInRange } from './holidays';
+import { resolveGracePeriodsForCalendarDate } from '../shift/gracePeriods';
+import { getCompanyTodayYmd } from '../time/companyToday';
+import { ValidationError, NotFoundError } from '../errors/errorHandler';
+import { evaluateDay, loadEvaluationContext } from './evaluateDay';
+import { overtimeFieldsForRow } from '../calculations/overtime';
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Check-outs before this hour on a midnight-crossing shift belong to the next calendar day */
+const NEXT_DAY_CHECKOUT_BEFORE_HOUR = 8;
+
+/**
+ * Absolute instant for a local HH:MM on a business date.
+ * @param {{ date: string, time: string, type: 'checkIn'|'checkOut', shift?: object|null, tzOffset?: string }} params
+ * @returns {Date}
+ */
+export function resolveCorrectionTime({ date, time, type, shift = null, tzOffset = '+05:00' }) {
+  if (!TIME_RE.test(String(time || ''))) throw new ValidationError('time must be HH:MM');
+  const at = new Date(`${date}T${time}:00${tzOffset}`);
+  const hour = Number(time.slice(0, 2));
+  if (type === 'checkOut' && shift?.crossesMidnight && hour < NEXT_DAY_CHECKOUT_BEFORE_HOUR) {
+    return new Date(at.getTime() + DAY_MS);
+  }
+  return at;
+}
+
+/**
+ * Shift map (by id and code) + the employee's shift code on a date.
+ * @returns {Promise<{ shiftCode: string, shiftObj: object|null, allShiftsMap: Map<string, object>, rosterDayOff: boolean, holiday: object|null }>}
+ */
+export async function resolveEmployeeShiftForDate(employee, date) {
+  const shifts = await Shift.find({})
+    .select(
+      '_id code startTime endTime crossesMidnight shiftType coreStartTime coreEndTime requiredHours segments gracePeriod checkInGracePeriod checkOutGracePeriod graceEffectiveFrom priorCheckInGracePeriod priorCheckOutGracePeriod'
+    )
+    .lean()
+    .maxTimeMS(1500);
+  const shiftById = new Map();
+  const allShiftsMap = new Map();
+  for (const s of shifts) {
+    if (!s?._id || !s?.code) continue;
+    shiftById.set(s._id.toString(), s.code);
+    allShiftsMap.set(s._id.toString(), s);
+    allShiftsMap.set(s.code, s);
+  }
+  const empCode = String(employee.empCode);
+  const [shiftForDateMap, rosterDaysOff, holidays] = await Promise.all([
+    getShiftsForEmployeesOnDate([empCode], date, { employees: [employee], shiftById }),
+    getRosterDaysOff([empCode], date, date),
+    getHolidaysInRange(date, date),
+  ]);
+  let shiftCode = (shiftForDateMap.get(empCode) || '').trim().toUpperCase();
+  if (!shiftCode) shiftCode = employee.shift ? String(employee.shift).trim().toUpperCase() : '';
+  return {
+    shiftCode,
+    shiftObj: allShiftsMap.get(shiftCode) || null,
+    allShiftsMap,
+    rosterDayOff: rosterDaysOff.has(`${empCode}|${date}`),
+    holiday: findHoliday(holidays, date, employee.department),
+  };
+}
+
+/**
+ * Apply an approved request to ShiftAttendance.
+ *
+ * @param {object} request - PunchCorrectionRequest (lean)
+ * @param {{ approvedBy: string }} options
+ * @returns {Promise<object>} Updated ShiftAttendance (lean)
+ */
+export async function applyPunchCorrection(request, { approvedBy }) {
+  const { empCode, date, type } = request;
+  const employee = await Employee.findOne({ empCode })
+    .select('empCode name department designation shift shiftId saturdayGroup')
+    .lean()
+    .maxTimeMS(2000);
+  if (!employee) throw new NotFoundError(`Employee ${empCode}`);
+
+  const { shiftCode: currentShiftCode, allShiftsMap, rosterDayOff, holiday } = await resolveEmployeeShiftForDate(
+    employee,
+    date
+  );
+  const shiftCode = request.shift || currentShiftCode;
+  if (!shiftCode) throw new ValidationError('No shift assigned for this date; assign a shift before approving');
+
+  const existing = await ShiftAttendance.findOne({ date, empCode, shift: shiftCode })
+    .select('_id checkIn checkOut attendanceStatus checkInGracePeriod checkOutGracePeriod overtimeMinutes overtimeStatus')
+    .lean()
+    .maxTimeMS(2000);
+
+  const requested = new Date(request.requestedTime);
+  const checkIn = type === 'checkIn' ? requested : existing?.checkIn ? new Date(existing.checkIn) : null;
+  const checkOut = type === 'checkOut' ? requested : existing?.checkOut ? new Date(existing.checkOut) : null;
+  if (checkIn && checkOut && checkOut.getTime() <= checkIn.getTime()) {
+    throw new ValidationError('Check-out would be before check-in; reject the request or edit the day manually');
+  }
+
+  // A day with a punch is no longer absent; leave / holiday statuses set by HR stay
+  const status = existing?.attendanceStatus;
+  const { late, earlyLeave, status: attendanceStatus, overtime, segments, holidayId } = evaluateDay({
+    date,
+    checkIn,
+    checkOut,
+    shift: allShiftsMap.get(shiftCode) || shiftCode,
+    allShiftsMap,
+    record: existing,
+    storedStatus: status && status !== 'Absent' ? status : null,
+    manuallyEdited: true,
+    employee,
+    ...(await loadEvaluationContext({ date })),
+    rosterDayOff,
+    holiday,
+    companyTodayYmd: getCompanyTodayYmd(),
+  });
+  const $set = {
+    date,
+    empCode,
+    shift: shiftCode,
+    employeeName: employee.name || '',
+    department: employee.department || '',
+    designation: employee.designation || '',
+    checkIn,
+    checkOut,
+    totalPunches: checkIn && checkOut ? 2 : 1,
+    attendanceStatus,
+    late,
+    earlyLeave,
+    ...overtimeFieldsForRow(existing, overtime),
+    workedHoursRule: null,
+    holidayId,
+    ...(segments ? { segments } : {}),
+    manuallyEdited: true,
+    punchCorrectionId: request._id,
+    punchCorrectedBy: approvedBy,
+    punchCorrectedAt: new Date(),
+    updatedAt: new Date(),
+  };
+  if (existing?.checkInGracePeriod == null || existing?.checkOutGracePeriod == null) {
+    const graceSnap = resolveGracePeriodsForCalendarDate(allShiftsMap.get(shiftCode) || {}, date);
+    $set.checkInGracePeriod = graceSnap.checkIn;
+    $set.checkOutGracePeriod = graceSnap.checkOut;
+  }
+
+  return ShiftAttendance.findOneAndUpdate({ date, empCode, shift: shiftCode }, { $set }, { upsert: true, new: true })
+    .lean()
+    .maxTimeMS(2000);
+}
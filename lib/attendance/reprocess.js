@@ -0,0 +1,142 @@
+// next-app/lib/attendance/reprocess.js
+/**
+ * Re-run daily attendance over a date range, optionally for one employee or department.
+ *
+ * Always builds a dry-run diff first (old vs new value of every field daily processing
+ * writes, per row) and a hash of it. Commit takes the hash of the diff HR
+ * reviewed, recomputes, and writes only when the diff is still the same — and then only
+ * the rows listed in it. Rows HR owns (manuallyEdited, or a leave / manual status) are
+ * listed as untouched and never written here.
+ */
+
+import { createHash } from 'crypto';
+import ShiftAttendance from '../../models/ShiftAttendance';
+import { ValidationError } from '../errors/errorHandler';
+import { processDailyAttendance } from './processDailyAttendance';
+import { addDaysYmd } from './processingRuns';
+
+export const MAX_REPROCESS_DAYS = 31;
+/** Fields of the recomputed $set that are not compared (they change on every run) */
+export const REPROCESS_IGNORED_FIELDS = ['updatedAt'];
+/** Booleans a stored row may lack; missing means false */
+const FALSE_DEFAULT_FIELDS = ['late', 'earlyLeave', 'excused', 'lateExcused', 'earlyExcused', 'manuallyEdited'];
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Comparable form of a stored or computed value: dates as ISO, ids as strings, empty lists as null. */
+function canonical(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  if (Array.isArray(value)) return value.length ? value.map(canonical) : null;
+  if (typeof value === 'object') {
+    if (value._bsontype === 'ObjectId' || typeof value.toHexString === 'function') return String(value);
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined) out[key] = canonical(value[key]);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Field-level diff between a stored row and its recomputed $set, over every field the $set writes.
+ * @returns {Record<string, { old: any, new: any }>}
+ */
+export function diffAttendanceRow(existing, update) {
+  const diff = {};
+  for (const field of Object.keys(update)) {
+    if (REPROCESS_IGNORED_FIELDS.includes(field)) continue;
+    const fallback = FALSE_DEFAULT_FIELDS.includes(field) ? false : null;
+    const before = existing?.[field] ?? fallback;
+    const after = update[field] ?? fallback;
+    if (JSON.stringify(canonical(before)) !== JSON.stringify(canonical(after))) {
+      diff[field] = { old: canonical(before), new: canonical(after) };
+    }
+  }
+  return diff;
+}
+
+/** Stable fingerprint of a dry-run diff, echoed back by the commit. */
+export function hashReprocessChanges(changes) {
+  return createHash('sha256').update(JSON.stringify(changes)).digest('hex');
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.from - YYYY-MM-DD
+ * @param {string} params.to - YYYY-MM-DD (inclusive)
+ * @param {string} [params.empCode]
+ * @param {string} [params.department]
+ * @param {boolean} [params.commit=false]
+ * @param {string} [params.diffHash] - Required with commit: diffHash of the reviewed dry run
+ * @returns {Promise<{ from: string, to: string, dates: string[], changes: object[], untouched: object[], unchangedCount: number, diffHash: string, written: number, committed: boolean }>}
+ */
+export async function reprocessAttendanceRange({ from, to, empCode = '', department = '', commit = false, diffHash = '' }) {
+  if (!YMD_RE.test(String(from || '')) || !YMD_RE.test(String(to || ''))) {
+    throw new ValidationError('from and to must be YYYY-MM-DD');
+  }
+  if (from > to) throw new ValidationError('from must not be after to');
+
+  const dates = [];
+  for (let d = from; d <= to; d = addDaysYmd(d, 1)) {
+    dates.push(d);
+    if (dates.length > MAX_REPROCESS_DAYS) {
+      throw new ValidationError(`Reprocess at most ${MAX_REPROCESS_DAYS} days at a time`);
+    }
+  }
+
+  const employeeFilter = {};
+  if (empCode) employeeFilter.empCode = String(empCode).trim();
+  if (department) employeeFilter.department = String(department).trim();
+
+  const changes = [];
+  const untouched = [];
+  let unchangedCount = 0;
+  let written = 0;
+  const ops = [];
+
+  for (const date of dates) {
+    const { rows } = await processDailyAttendance(date, { employeeFilter, dryRun: true });
+
+    for (const row of rows) {
+      const { update, existing } = row;
+      const key = {
+        date,
+        empCode: update.empCode,
+        employeeName: update.employeeName,
+        department: update.department,
+        shift: update.shift,
+      };
+      if (row.protected) {
+        untouched.push({
+          ...key,
+          attendanceStatus: existing?.attendanceStatus || '',
+          reason: row.protected === 'manuallyEdited' ? 'Edited by HR' : `Status "${existing?.attendanceStatus}"`,
+        });
+        continue;
+      }
+
+      const diff = diffAttendanceRow(existing, update);
+      if (existing && Object.keys(diff).length === 0) {
+        unchangedCount += 1;
+        continue;
+      }
+      changes.push({ ...key, change: existing ? 'update' : 'create', diff });
+      ops.push({ updateOne: { filter: row.filter, update: { $set: update }, upsert: true } });
+    }
+  }
+
+  const currentHash = hashReprocessChanges(changes);
+  if (commit) {
+    if (!diffHash || diffHash !== currentHash) {
+      throw new ValidationError('Attendance changed since the preview was built; preview again before committing');
+    }
+    for (let i = 0; i < ops.length; i += 500) {
+      await ShiftAttendance.bulkWrite(ops.slice(i, i + 500), { ordered: false, maxTimeMS: 5000 });
+    }
+    written = ops.length;
+  }
+
+  return { from, to, dates, changes, untouched, unchangedCount, diffHash: currentHash, written, committed: !!commit };
+}
@@ -0,0 +1,96 @@
+/**
+ * Leave & attendance status catalog → HR edits.
+ *
+ * Statuses live in the AttendanceStatus collection (see getAttendanceStatuses()). System
+ * statuses are referenced by the evaluation code, so only their display fields (short code,
+ * aliases, color, order) can change. HR-added statuses pick a leave / holiday / remote
+ * category and say whether the day is paid, how many salary days an unpaid day deducts and
+ * whether it counts as present.
+ */
+
+import { CUSTOM_STATUS_CATEGORIES } from '../calculations/attendanceRules';
+import { ValidationError } from '../errors/errorHandler';
+
+const COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+const DISPLAY_FIELDS = ['shortCode', 'aliases', 'color', 'sortOrder'];
+const BEHAVIOR_FIELDS = ['label', 'category', 'paid', 'deductionDays', 'countsAsPresent', 'requiresBalance', 'leaveType', 'isActive'];
+
+function toList(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(raw.map((v) => String(v || '').trim()).filter(Boolean))];
+}
+
+/**
+ * Validate a create/update payload. On update, fields missing from the body keep their
+ * current value; the label never changes (it is stored on attendance rows).
+ * @param {object} body
+ * @param {object|null} existing - AttendanceStatus being updated (lean)
+ * @param {object} catalog - Current catalog (buildStatusCatalog), for short code / alias clashes
+ */
+export function normalizeStatusInput(body, existing, catalog) {
+  const src = body || {};
+  if (existing?.isSystem) {
+    const changed = BEHAVIOR_FIELDS.filter((k) => src[k] !== undefined && src[k] !== existing[k]);
+    if (changed.length) {
+      throw new ValidationError(`${existing.label} is a system status: only ${DISPLAY_FIELDS.join(', ')} can change`);
+    }
+  }
+  const pick = (key, fallback) => (src[key] !== undefined ? src[key] : existing ? existing[key] : fallback);
+
+  const label = existing ? existing.label : String(src.label || '').trim();
+  if (!label) throw new ValidationError('label is required');
+  if (label.length > 40) throw new ValidationError('label can be at most 40 characters');
+
+  const shortCode = String(pick('shortCode', '') || '').trim();
+  if (!shortCode) throw new ValidationError('shortCode is required');
+  if (shortCode.length > 6) throw new ValidationError('shortCode can be at most 6 characters');
+
+  const aliases = toList(pick('aliases', []));
+  const color = String(pick('color', '#64748b') || '').trim();
+  if (!COLOR_REGEX.test(color)) throw new ValidationError('color must be a hex color like #d97706');
+
+  // Label, short code and aliases all resolve a typed / imported status, so none may clash
+  for (const key of [label, shortCode, ...aliases]) {
+    const owner = catalog.byAlias.get(key.toLowerCase());
+    if (owner && owner !== existing?.label) {
+      throw new ValidationError(`"${key}" is already used by ${owner}`);
+    }
+  }
+
+  const sortOrder = Number(pick('sortOrder', 100));
+  if (!Number.isFinite(sortOrder)) throw new ValidationError('sortOrder must be a number');
+
+  if (existing?.isSystem) {
+    return { shortCode, aliases, color, sortOrder };
+  }
+
+  const category = pick('category', 'leave');
+  if (!CUSTOM_STATUS_CATEGORIES.includes(category)) {
+    throw new ValidationError(`category must be one of: ${CUSTOM_STATUS_CATEGORIES.join(', ')}`);
+  }
+  const paid = pick('paid', true) !== false;
+  const deductionDays = paid ? 0 : Number(pick('deductionDays', 1));
+  if (!Number.isFinite(deductionDays) || deductionDays < 0 || deductionDays > 5) {
+    throw new ValidationError('deductionDays must be between 0 and 5');
+  }
+  const requiresBalance = !!pick('requiresBalance', false);
+  if (requiresBalance && (category !== 'leave' || !paid)) {
+    throw new ValidationError('Only a paid leave can draw from the paid leave balance');
+  }
+  const leaveType = String(pick('leaveType', '') || '').trim().toLowerCase() || null;
+
+  return {
+    label,
+    shortCode,
+    aliases,
+    color,
+    category,
+    paid,
+    deductionDays,
+    countsAsPresent: !!pick('countsAsPresent', false),
+    requiresBalance,
+    leaveType,
+    isActive: pick('isActive', true) !== false,
+    sortOrder,
+  };
+}
@@ -0,0 +1,17 @@
+// next-app/lib/auth/cronAuth.js
+import { timingSafeEqual } from 'crypto';
+
+/**
+ * Scheduled jobs call in with `Authorization: Bearer <CRON_SECRET>` (the header
+ * Vercel Cron sends). Returns false when CRON_SECRET is not configured.
+ * @param {Request} req
+ * @returns {boolean}
+ */
+export function isAuthorizedCronRequest(req) {
+  const secret = process.env.CRON_SECRET || '';
+  if (!secret) return false;
+  const header = req.headers.get('authorization') || '';
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(secret);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
@@ -15,8 +15,14 @@ export const PERMISSION_MODULES = [
   { key: 'shifts', label: 'Shifts', actions: ['view', 'create', 'update', 'delete'] },
   { key: 'employeeShifts', label: 'Employee Shifts', actions: ['view', 'create', 'update'] },
   { key: 'dailyAttendance', label: 'Daily Attendance', actions: ['view', 'create', 'export'] },
+  { key: 'devices', label: 'Attendance Devices', actions: ['view', 'create', 'update', 'delete'] },
+  { key: 'webClockRules', label: 'Web Clock Rules', actions: ['view', 'create', 'update', 'delete'] },
   { key: 'monthlyAttendance', label: 'Monthly Attendance', actions: ['view', 'update', 'export'] },
+  { key: 'holidays', label: 'Holiday Calendar', actions: ['view', 'create', 'update', 'delete'] },
+  { key: 'attendanceStatuses', label: 'Leave & Status Types', actions: ['view', 'create', 'update'] },
+  { key: 'overtime', label: 'Overtime', actions: ['view', 'update'] },
   { key: 'salaryReport', label: 'Salary Report', actions: ['view', 'export'] },
+  { key: 'payrollPeriods', label: 'Payroll Close', actions: ['view', 'update'] },
   { key: 'departments', label: 'Departments', actions: ['view', 'create', 'update'] },
   { key: 'companySettings', label: 'Company Settings', actions: ['view', 'update'] },
   { key: 'violationRules', label: 'Violation Rules', actions: ['view', 'create', 'update'] },
@@ -96,7 +102,9 @@ export const PERMISSION_PRESETS = {
       p.shifts = { view: true, create: false, update: false, delete: false };
       p.employeeShifts = { view: true, create: true, update: true };
       p.dailyAttendance = { view: true, create: true, export: true };
+      p.devices = { view: true, create: false, update: false, delete: false };
       p.monthlyAttendance = { view: true, update: true };
+      p.overtime = { view: true, update: true };
       p.leaves = { view: true, create: true, delete: false };
       return p;
     },
@@ -104,12 +112,14 @@ export const PERMISSION_PRESETS = {
   payroll_officer: {
     id: 'payroll_officer',
     label: 'Payroll Officer',
-    description: 'Salary report, bank export, monthly attendance view',
+    description: 'Salary report, bank export, payroll close, monthly attendance view',
     build: () => {
       const p = createEmptyPermissions();
       p.employees = { view: true, create: false, update: false, delete: false };
       p.monthlyAttendance = { view: true, update: false };
+      p.overtime = { view: true, update: false };
       p.salaryReport = { view: true, export: true };
+      p.payrollPeriods = { view: true, update: true };
       p.bankDetails = { view: true, export: true };
       p.leaves = { view: true, create: false, delete: false };
       return p;
@@ -5,13 +5,13 @@
  * This module centralizes all attendance status definitions and rules.
  * 
  * CONFIGURATION:
- * - Add/modify status types here
+ * - Status types live in the AttendanceStatus collection (HR → Leave & Status Types);
+ *   DEFAULT_ATTENDANCE_STATUSES below seeds it
  * - Modify weekend/holiday rules
- * - Customize status normalization logic
  */
 
 /**
- * Valid attendance statuses
+ * System statuses the evaluation code refers to by label (the full list is the status catalog)
  */
 export const ATTENDANCE_STATUSES = {
   PRESENT: 'Present',
@@ -24,154 +24,153 @@ export const ATTENDANCE_STATUSES = {
   LEAVE_WITHOUT_INFORM: 'Leave Without Inform',
   WORK_FROM_HOME: 'Work From Home',
   HALF_DAY: 'Half Day',
-  // Extraordinary leaves (paid, no deduction)
-  MARRIAGE_LEAVE: 'Marriage Leave',
-  DEATH_LEAVE: 'Death Leave',
-  MATERNITY_LEAVE: 'Maternity Leave',
-  PATERNITY_LEAVE: 'Paternity Leave',
-  HAJJ_LEAVE: 'Hajj Leave',
-  UMRAH_LEAVE: 'Umrah Leave',
 };
 
-/** All extraordinary leave statuses (paid, no salary deduction) */
-export const EXTRAORDINARY_LEAVE_STATUSES = [
-  'Marriage Leave',
-  'Death Leave',
-  'Maternity Leave',
-  'Paternity Leave',
-  'Hajj Leave',
-  'Umrah Leave',
-];
+/**
+ * Status categories. They decide how evaluation treats a day:
+ * - present / absent / halfDay: working-day statuses judged on punches (system statuses only)
+ * - leave: a leave day, paid or deducted
+ * - holiday: a paid off day; punches on it are holiday work
+ * - remote: worked away from the office (no punch rules)
+ */
+export const STATUS_CATEGORIES = ['present', 'absent', 'halfDay', 'leave', 'holiday', 'remote'];
+
+/** Categories HR may give a status they add to the catalog */
+export const CUSTOM_STATUS_CATEGORIES = ['leave', 'holiday', 'remote'];
+
+/**
+ * Built-in catalog. Seeds the AttendanceStatus collection and is used wherever the collection
+ * is not available (client fallbacks, defaults). deductionDays null = taken from Violation Rules.
+ * System statuses are referenced by the evaluation code and cannot be renamed or deactivated.
+ */
+export const DEFAULT_ATTENDANCE_STATUSES = [
+  { label: 'Present', shortCode: 'P', aliases: [], color: '#16a34a', category: 'present', paid: true, deductionDays: 0, countsAsPresent: true, requiresBalance: false, leaveType: null, isSystem: true },
+  { label: 'Absent', shortCode: 'A', aliases: ['no punch'], color: '#dc2626', category: 'absent', paid: false, deductionDays: null, countsAsPresent: false, requiresBalance: false, leaveType: null, isSystem: true },
+  { label: 'Holiday', shortCode: 'H', aliases: ['off'], color: '#64748b', category: 'holiday', paid: true, deductionDays: 0, countsAsPresent: false, requiresBalance: false, leaveType: null, isSystem: true },
+  { label: 'Eid Holiday', shortCode: 'Eid', aliases: ['eh'], color: '#0d9488', category: 'holiday', paid: true, deductionDays: 0, countsAsPresent: false, requiresBalance: false, leaveType: null, isSystem: true },
+  { label: 'Sick Leave', shortCode: 'SL', aliases: [], color: '#f59e0b', category: 'leave', paid: false, deductionDays: null, countsAsPresent: false, requiresBalance: false, leaveType: null, isSystem: true },
+  { label: 'Paid Leave', shortCode: 'PL', aliases: [], color: '#f59e0b', category: 'leave', paid: true, deductionDays: null, countsAsPresent: false, requiresBalance: true, leaveType: 'paid', isSystem: true },
+  { label: 'Un Paid Leave', shortCode: 'UPL', aliases: ['unpaid leave'], color: '#9333ea', category: 'leave', paid: false, deductionDays: null, countsAsPresent: false, requiresBalance: false, leaveType: null, isSystem: true },
+  { label: 'Leave Without Inform', shortCode: 'LWI', aliases: ['leave without info'], color: '#dc2626', category: 'absent', paid: false, deductionDays: null, countsAsPresent: false, requiresBalance: false, leaveType: null, isSystem: true },
+  { label: 'Work From Home', shortCode: 'WFH', aliases: [], color: '#2563eb', category: 'remote', paid: true, deductionDays: 0, countsAsPresent: true, requiresBalance: false, leaveType: null, isSystem: true },
+  { label: 'Half Day', shortCode: 'Half', aliases: [], color: '#ea580c', category: 'halfDay', paid: false, deductionDays: null, countsAsPresent: true, requiresBalance: false, leaveType: null, isSystem: true },
+  // Extraordinary leaves (paid, no deduction)
+  { label: 'Marriage Leave', shortCode: 'ML', aliases: [], color: '#d97706', category: 'leave', paid: true, deductionDays: 0, countsAsPresent: false, requiresBalance: false, leaveType: 'marriage', isSystem: false },
+  { label: 'Death Leave', shortCode: 'DL', aliases: [], color: '#d97706', category: 'leave', paid: true, deductionDays: 0, countsAsPresent: false, requiresBalance: false, leaveType: 'death', isSystem: false },
+  { label: 'Maternity Leave', shortCode: 'MatL', aliases: [], color: '#d97706', category: 'leave', paid: true, deductionDays: 0, countsAsPresent: false, requiresBalance: false, leaveType: 'maternity', isSystem: false },
+  { label: 'Paternity Leave', shortCode: 'PatL', aliases: [], color: '#d97706', category: 'leave', paid: true, deductionDays: 0, countsAsPresent: false, requiresBalance: false, leaveType: 'paternity', isSystem: false },
+  { label: 'Hajj Leave', shortCode: 'Hajj', aliases: [], color: '#d97706', category: 'leave', paid: true, deductionDays: 0, countsAsPresent: false, requiresBalance: false, leaveType: 'hajj', isSystem: false },
+  { label: 'Umrah Leave', shortCode: 'Umrah', aliases: [], color: '#d97706', category: 'leave', paid: true, deductionDays: 0, countsAsPresent: false, requiresBalance: false, leaveType: 'umrah', isSystem: false },
+].map((status, index) => ({ ...status, isActive: true, sortOrder: index + 1 }));
+
+/**
+ * Lookup structure over a list of statuses (AttendanceStatus docs or the defaults).
+ * Label, short code and aliases all resolve to the label, case-insensitively.
+ * @param {Array<object>} [statuses]
+ * @returns {{ statuses: Array<object>, byLabel: Map<string, object>, byAlias: Map<string, string> }}
+ */
+export function buildStatusCatalog(statuses = DEFAULT_ATTENDANCE_STATUSES) {
+  const sorted = [...statuses].sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
+  const byLabel = new Map();
+  const byAlias = new Map();
+  for (const status of sorted) {
+    byLabel.set(status.label, status);
+    for (const key of [status.label, status.shortCode, ...(status.aliases || [])]) {
+      const alias = String(key || '').trim().toLowerCase();
+      if (alias && !byAlias.has(alias)) byAlias.set(alias, status.label);
+    }
+  }
+  return { statuses: sorted, byLabel, byAlias };
+}
+
+export const DEFAULT_STATUS_CATALOG = buildStatusCatalog();
+
+/**
+ * Catalog entry for a status label, or null for a status the catalog does not know.
+ * @param {string} status
+ * @param {ReturnType<typeof buildStatusCatalog>} [catalog]
+ */
+export function getStatusDefinition(status, catalog = DEFAULT_STATUS_CATALOG) {
+  return catalog.byLabel.get(status) || null;
+}
 
 /**
  * Normalize attendance status from various formats
  * 
  * Handles:
  * - Case variations (e.g., "present", "Present", "PRESENT")
- * - Abbreviations (e.g., "P", "SL", "PL", "UPL", "LWI", "WFH")
+ * - Short codes and aliases from the status catalog (e.g., "P", "SL", "UPL", "no punch")
  * - Legacy formats
  * 
  * @param {string} rawStatus - Raw status string from database or input
  * @param {Object} options - Normalization options
  * @param {boolean} options.isWeekendOff - Whether this is a weekend/holiday
+ * @param {Object} [options.catalog] - Status catalog (buildStatusCatalog); built-in statuses when omitted
  * @returns {string} Normalized status
  */
-export function normalizeStatus(rawStatus, { isWeekendOff = false } = {}) {
-  let s = (rawStatus || '').trim();
-  
+export function normalizeStatus(rawStatus, { isWeekendOff = false, catalog = DEFAULT_STATUS_CATALOG } = {}) {
+  const s = (rawStatus || '').trim();
+
   if (!s) {
     if (isWeekendOff) return ATTENDANCE_STATUSES.HOLIDAY;
     return ATTENDANCE_STATUSES.ABSENT;
   }
 
-  const lower = s.toLowerCase();
-
-  // Present
-  if (lower === 'present' || lower === 'p') {
-    return ATTENDANCE_STATUSES.PRESENT;
-  }
-
-  // Holiday/Off
-  if (lower === 'holiday' || lower === 'h' || lower === 'off') {
-    return ATTENDANCE_STATUSES.HOLIDAY;
-  }
-
-  // Eid Holiday (paid holiday)
-  if (lower === 'eid holiday' || lower === 'eid' || lower === 'eh') {
-    return ATTENDANCE_STATUSES.EID_HOLIDAY;
-  }
-
-  // Absent
-  if (lower === 'absent' || lower === 'a' || lower === 'no punch') {
-    return ATTENDANCE_STATUSES.ABSENT;
-  }
-
-  // Sick Leave
-  if (lower === 'sick leave' || lower === 'sl') {
-    return ATTENDANCE_STATUSES.SICK_LEAVE;
-  }
-
-  // Paid Leave
-  if (lower === 'paid leave' || lower === 'pl') {
-    return ATTENDANCE_STATUSES.PAID_LEAVE;
-  }
-
-  // Unpaid Leave
-  if (lower === 'un paid leave' || lower === 'unpaid leave' || lower === 'upl') {
-    return ATTENDANCE_STATUSES.UNPAID_LEAVE;
-  }
-
-  // Leave Without Inform
-  if (lower === 'leave without inform' || lower === 'lwi' || lower === 'leave without info') {
-    return ATTENDANCE_STATUSES.LEAVE_WITHOUT_INFORM;
-  }
-
-  // Work From Home
-  if (lower === 'work from home' || lower === 'wfh') {
-    return ATTENDANCE_STATUSES.WORK_FROM_HOME;
-  }
-
-  // Half Day
-  if (lower === 'half day' || lower === 'half') {
-    return ATTENDANCE_STATUSES.HALF_DAY;
-  }
-
-  // Extraordinary leaves
-  if (lower === 'marriage leave' || lower === 'ml') return ATTENDANCE_STATUSES.MARRIAGE_LEAVE;
-  if (lower === 'death leave' || lower === 'dl') return ATTENDANCE_STATUSES.DEATH_LEAVE;
-  if (lower === 'maternity leave' || lower === 'matl') return ATTENDANCE_STATUSES.MATERNITY_LEAVE;
-  if (lower === 'paternity leave' || lower === 'patl') return ATTENDANCE_STATUSES.PATERNITY_LEAVE;
-  if (lower === 'hajj leave' || lower === 'hajj') return ATTENDANCE_STATUSES.HAJJ_LEAVE;
-  if (lower === 'umrah leave' || lower === 'umrah') return ATTENDANCE_STATUSES.UMRAH_LEAVE;
-
   // Return as-is if no match (might be a custom status)
-  return s;
+  return catalog.byAlias.get(s.toLowerCase()) || s;
 }
 
 /**
  * Check if a status represents a leave type
  * 
  * @param {string} status - Normalized status
+ * @param {Object} [catalog] - Status catalog
  * @returns {boolean} True if status is a leave type
  */
-export function isLeaveType(status) {
-  return [
-    ATTENDANCE_STATUSES.SICK_LEAVE,
-    ATTENDANCE_STATUSES.PAID_LEAVE,
-    ATTENDANCE_STATUSES.UNPAID_LEAVE,
-    ATTENDANCE_STATUSES.LEAVE_WITHOUT_INFORM,
-    ...EXTRAORDINARY_LEAVE_STATUSES,
-  ].includes(status);
+export function isLeaveType(status, catalog = DEFAULT_STATUS_CATALOG) {
+  const def = getStatusDefinition(status, catalog);
+  return !!def && (def.category === 'leave' || status === ATTENDANCE_STATUSES.LEAVE_WITHOUT_INFORM);
 }
 
 /**
  * Check if a status should NOT have salary deduction
  * 
  * @param {string} status - Normalized status
+ * @param {Object} [catalog] - Status catalog
  * @returns {boolean} True if status should not deduct salary
  */
-export function isNonDeductibleStatus(status) {
-  return [
-    ATTENDANCE_STATUSES.HOLIDAY,
-    ATTENDANCE_STATUSES.EID_HOLIDAY,
-    ATTENDANCE_STATUSES.PAID_LEAVE,
-    ATTENDANCE_STATUSES.WORK_FROM_HOME,
-    ATTENDANCE_STATUSES.PRESENT, // Present with no violations = no deduction
-    ...EXTRAORDINARY_LEAVE_STATUSES,
-  ].includes(status);
+export function isNonDeductibleStatus(status, catalog = DEFAULT_STATUS_CATALOG) {
+  // Present with no violations = no deduction
+  return !!getStatusDefinition(status, catalog)?.paid;
 }
 
 /**
  * Check if a status represents an absent day
  * 
  * @param {string} status - Normalized status
+ * @param {Object} [catalog] - Status catalog
  * @returns {boolean} True if status represents absence
  */
-export function isAbsentStatus(status) {
-  return [
-    ATTENDANCE_STATUSES.ABSENT,
-    ATTENDANCE_STATUSES.LEAVE_WITHOUT_INFORM,
-  ].includes(status);
+export function isAbsentStatus(status, catalog = DEFAULT_STATUS_CATALOG) {
+  return getStatusDefinition(status, catalog)?.category === 'absent';
+}
+
+/**
+ * Classify a short working day from the hours between check-in and check-out.
+ *
+ * @param {number} workedHours - Hours between check-in and check-out
+ * @param {number} paidHours - Shift paid hours per day
+ * @param {Object} config - ViolationRules.workedHoursConfig
+ * @returns {'absent'|'halfDay'|null} Rule that fired (null = full day)
+ */
+export function classifyWorkedHours(workedHours, paidHours, config) {
+  if (!config?.enabled || !(paidHours > 0)) return null;
+  const percent = (workedHours / paidHours) * 100;
+  const absentBelow = Number(config.absentBelowPercent) || 0;
+  const halfDayBelow = Number(config.halfDayBelowPercent) || 0;
+  if (absentBelow > 0 && percent < absentBelow) return 'absent';
+  if (halfDayBelow > 0 && percent < halfDayBelow) return 'halfDay';
+  return null;
 }
 
 /**
@@ -211,46 +210,10 @@ export function extractShiftCode(shiftStr) {
  * Get status short code for display
  * 
  * @param {string} status - Normalized status
+ * @param {Object} [catalog] - Status catalog
  * @returns {string} Short code (e.g., "P", "A", "SL")
  */
-export function getStatusShortCode(status) {
+export function getStatusShortCode(status, catalog = DEFAULT_STATUS_CATALOG) {
   if (!status) return '-';
-
-  switch (status) {
-    case ATTENDANCE_STATUSES.PRESENT:
-      return 'P';
-    case ATTENDANCE_STATUSES.HOLIDAY:
-      return 'H';
-    case ATTENDANCE_STATUSES.EID_HOLIDAY:
-      return 'Eid';
-    case ATTENDANCE_STATUSES.ABSENT:
-      return 'A';
-    case ATTENDANCE_STATUSES.SICK_LEAVE:
-      return 'SL';
-    case ATTENDANCE_STATUSES.PAID_LEAVE:
-      return 'PL';
-    case ATTENDANCE_STATUSES.UNPAID_LEAVE:
-      return 'UPL';
-    case ATTENDANCE_STATUSES.LEAVE_WITHOUT_INFORM:
-      return 'LWI';
-    case ATTENDANCE_STATUSES.WORK_FROM_HOME:
-      return 'WFH';
-    case ATTENDANCE_STATUSES.HALF_DAY:
-      return 'Half';
-    case ATTENDANCE_STATUSES.MARRIAGE_LEAVE:
-      return 'ML';
-    case ATTENDANCE_STATUSES.DEATH_LEAVE:
-      return 'DL';
-    case ATTENDANCE_STATUSES.MATERNITY_LEAVE:
-      return 'MatL';
-    case ATTENDANCE_STATUSES.PATERNITY_LEAVE:
-      return 'PatL';
-    case ATTENDANCE_STATUSES.HAJJ_LEAVE:
-      return 'Hajj';
-    case ATTENDANCE_STATUSES.UMRAH_LEAVE:
-      return 'Umrah';
-    default:
-      return status;
-  }
+  return getStatusDefinition(status, catalog)?.shortCode || status;
 }
-
@@ -4,6 +4,8 @@
  * Example: 8 paid hours + 1h break → hourly rate = daily salary ÷ 8.
  */
 
+import { DEFAULT_STATUS_CATALOG, getStatusDefinition } from './attendanceRules';
+
 export const DEFAULT_PAID_HOURS = 8;
 export const DEFAULT_BREAK_MINUTES = 60;
 
@@ -80,8 +82,9 @@ const STATUS_DEDUCTION_TITLES = {
 
 /**
  * Build employee-visible deduction remark lines from monthly day rows.
+ * Unpaid statuses HR added to the status catalog are listed under their own label.
  */
-export function buildDeductionRemarks(days = [], perDaySalary = 0) {
+export function buildDeductionRemarks(days = [], perDaySalary = 0, catalog = DEFAULT_STATUS_CATALOG) {
   const remarks = [];
 
   for (const d of days) {
@@ -126,11 +129,14 @@ export function buildDeductionRemarks(days = [], perDaySalary = 0) {
       });
     }
 
-    if (STATUS_DEDUCTION_TITLES[d.status]) {
+    const statusDef = getStatusDefinition(d.status, catalog);
+    const statusTitle =
+      STATUS_DEDUCTION_TITLES[d.status] || (statusDef && !statusDef.isSystem && !statusDef.paid ? d.status : null);
+    if (statusTitle) {
       remarks.push({
         date: d.date,
         type: 'status',
-        title: STATUS_DEDUCTION_TITLES[d.status],
+        title: statusTitle,
         detail: d.status,
         days: null,
         amount: null,
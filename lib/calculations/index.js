@@ -13,3 +13,4 @@ export * from './attendanceRules';
 export * from './weekendPolicy';
 export * from './awayDeduction';
 
+export * from './overtime';
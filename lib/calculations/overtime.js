@@ -0,0 +1,179 @@
+/**
+ * Overtime (OT) calculation.
+ *
+ * - Working day: minutes punched out after the shift's end time (night shifts end the next day);
+ *   on a flexible shift, minutes worked beyond its required hours.
+ * - Off day / holiday: every minute between check-in and check-out.
+ * OT below the minimum is dropped, the rest is rounded to the configured step. HR approves
+ * each day; approved minutes are paid at hourly rate (daily salary ÷ paid hours) × multiplier,
+ * up to the monthly cap.
+ */
+
+import { parseOffsetToMinutes } from '../time/companyTodayCore.js';
+import { getPaidWorkHours } from './awayDeduction';
+import { isFlexibleShift, getRequiredWorkMinutes } from '../shift/flexitime.js';
+
+const COMPANY_OFFSET_MS =
+  parseOffsetToMinutes(process.env.TIMEZONE_OFFSET || '+05:00') * 60 * 1000;
+
+export const OVERTIME_DAY_TYPES = ['weekday', 'offDay', 'holiday'];
+export const OVERTIME_ROUNDING_MODES = ['down', 'nearest', 'up'];
+
+/** Used when no OvertimeRules document exists. */
+export const DEFAULT_OVERTIME_RULES = {
+  enabled: true,
+  minOvertimeMinutes: 30,
+  roundingMinutes: 15,
+  roundingMode: 'down',
+  weekdayMultiplier: 1.5,
+  offDayMultiplier: 2,
+  holidayMultiplier: 2,
+  monthlyCapHours: 0, // 0 = no cap
+};
+
+function parseTimeToMinutes(timeStr) {
+  const [h, m] = String(timeStr || '').split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+}
+
+/**
+ * Shift end as an instant for a business day (company timezone).
+ * @param {object} shiftObj - needs startTime, endTime, crossesMidnight
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Date|null}
+ */
+export function getShiftEndForDate(shiftObj, date) {
+  if (!shiftObj?.startTime || !shiftObj?.endTime || !date) return null;
+  const [year, month, day] = String(date).split('-').map(Number);
+  const start = parseTimeToMinutes(shiftObj.startTime);
+  let end = parseTimeToMinutes(shiftObj.endTime);
+  if (shiftObj.crossesMidnight && end <= start) end += 24 * 60;
+  return new Date(Date.UTC(year, month - 1, day) + end * 60000 - COMPANY_OFFSET_MS);
+}
+
+/**
+ * Apply the minimum threshold and rounding step to raw OT minutes.
+ * @returns {number}
+ */
+export function applyOvertimeRounding(rawMinutes, rules = DEFAULT_OVERTIME_RULES) {
+  const minutes = Math.max(0, Math.floor(Number(rawMinutes) || 0));
+  const minimum = Number(rules?.minOvertimeMinutes) || 0;
+  if (minutes <= 0 || minutes < minimum) return 0;
+  const step = Number(rules?.roundingMinutes) || 0;
+  if (step <= 1) return minutes;
+  const mode = rules?.roundingMode || 'down';
+  if (mode === 'up') return Math.ceil(minutes / step) * step;
+  if (mode === 'nearest') return Math.round(minutes / step) * step;
+  return Math.floor(minutes / step) * step;
+}
+
+/**
+ * Eligible OT minutes for one day (after threshold + rounding).
+ *
+ * @param {object} input
+ * @param {string} input.date - YYYY-MM-DD business day
+ * @param {Date|null} input.checkIn
+ * @param {Date|null} input.checkOut
+ * @param {object|null} input.shift - Shift judged for the day (startTime, endTime, crossesMidnight; shiftType, requiredHours)
+ * @param {'weekday'|'offDay'|'holiday'} input.dayType
+ * @param {object} [input.rules] - OvertimeRules
+ * @returns {number}
+ */
+export function computeOvertimeMinutes({ date, checkIn, checkOut, shift, dayType, rules = DEFAULT_OVERTIME_RULES }) {
+  if (rules?.enabled === false || !checkIn || !checkOut) return 0;
+  let raw = 0;
+  if (dayType === 'offDay' || dayType === 'holiday') {
+    raw = (checkOut.getTime() - checkIn.getTime()) / 60000;
+  } else if (isFlexibleShift(shift)) {
+    raw = (checkOut.getTime() - checkIn.getTime()) / 60000 - getRequiredWorkMinutes(shift);
+  } else {
+    const shiftEnd = getShiftEndForDate(shift, date);
+    if (!shiftEnd) return 0;
+    raw = (checkOut.getTime() - shiftEnd.getTime()) / 60000;
+  }
+  return applyOvertimeRounding(raw, rules);
+}
+
+/**
+ * Pay multiplier for a day type.
+ * @returns {number}
+ */
+export function getOvertimeMultiplier(dayType, rules = DEFAULT_OVERTIME_RULES) {
+  const key = dayType === 'holiday' ? 'holidayMultiplier' : dayType === 'offDay' ? 'offDayMultiplier' : 'weekdayMultiplier';
+  const v = Number(rules?.[key]);
+  return v > 0 ? v : DEFAULT_OVERTIME_RULES[key];
+}
+
+/**
+ * Approval status after recomputing a row's OT minutes: HR's decision sticks while the
+ * minutes are unchanged; new minutes go back to pending.
+ */
+export function nextOvertimeStatus(existing, overtimeMinutes) {
+  const prevStatus = existing?.overtimeStatus || null;
+  if (prevStatus && (existing?.overtimeMinutes ?? 0) === overtimeMinutes) return prevStatus;
+  return overtimeMinutes > 0 ? 'pending' : null;
+}
+
+/**
+ * OT fields to $set on a ShiftAttendance row from an evaluateDay() result.
+ * @param {object|null} existing - Stored row (overtimeMinutes, overtimeStatus)
+ * @param {{ dayType: string, minutes: number }} overtime
+ */
+export function overtimeFieldsForRow(existing, overtime) {
+  const minutes = overtime?.minutes || 0;
+  const status = nextOvertimeStatus(existing, minutes);
+  const fields = {
+    overtimeMinutes: minutes,
+    overtimeDayType: minutes > 0 ? overtime.dayType : null,
+    overtimeStatus: status,
+  };
+  if (status !== existing?.overtimeStatus) {
+    fields.overtimeApprovedMinutes = null;
+    fields.overtimeReviewedBy = null;
+    fields.overtimeReviewedAt = null;
+  }
+  return fields;
+}
+
+/**
+ * Month totals from day rows. Only approved minutes are paid; the monthly cap is applied
+ * in date order.
+ *
+ * @param {Array<{ date: string, overtimeStatus?: string, overtimeMinutes?: number, overtimeApprovedMinutes?: number, overtimeDayType?: string, shift?: object }>} days
+ * @param {number} perDaySalary
+ * @param {object} [rules] - OvertimeRules
+ * @returns {{ approvedMinutes: number, pendingMinutes: number, cappedMinutes: number, amount: number }}
+ */
+export function summarizeMonthlyOvertime(days = [], perDaySalary = 0, rules = DEFAULT_OVERTIME_RULES) {
+  const capMinutes = (Number(rules?.monthlyCapHours) || 0) * 60;
+  let approvedMinutes = 0;
+  let pendingMinutes = 0;
+  let cappedMinutes = 0;
+  let amount = 0;
+
+  const sorted = [...days].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  for (const d of sorted) {
+    if (d?.overtimeStatus === 'pending') {
+      pendingMinutes += Number(d.overtimeMinutes) || 0;
+      continue;
+    }
+    if (d?.overtimeStatus !== 'approved') continue;
+    let minutes = Number(d.overtimeApprovedMinutes ?? d.overtimeMinutes) || 0;
+    if (capMinutes > 0) {
+      const room = Math.max(0, capMinutes - approvedMinutes);
+      cappedMinutes += Math.max(0, minutes - room);
+      minutes = Math.min(minutes, room);
+    }
+    if (minutes <= 0) continue;
+    approvedMinutes += minutes;
+    const hourlyRate = perDaySalary / getPaidWorkHours(d.shift);
+    amount += (minutes / 60) * hourlyRate * getOvertimeMultiplier(d.overtimeDayType, rules);
+  }
+
+  return {
+    approvedMinutes,
+    pendingMinutes,
+    cappedMinutes,
+    amount: Number(amount.toFixed(2)),
+  };
+}
@@ -11,6 +11,8 @@
  * Default values are provided as fallback if rules are not found.
  */
 
+import { DEFAULT_STATUS_CATALOG, getStatusDefinition } from './attendanceRules';
+
 /**
  * Default Violation Deduction Configuration (fallback)
  */
@@ -40,6 +42,17 @@ export const DEFAULT_LEAVE_CONFIG = {
   paidLeaveDays: 0.0,
 };
 
+/**
+ * Default worked-hours thresholds (fallback). Off by default so short days stay
+ * "Present" until HR enables the rule in Violation Rules.
+ * Percentages are of the shift's paid hours (paidHoursPerDay, default 8).
+ */
+export const DEFAULT_WORKED_HOURS_CONFIG = {
+  enabled: false,
+  halfDayBelowPercent: 50,
+  absentBelowPercent: 25,
+};
+
 /**
  * Default Salary Calculation Configuration (fallback only).
  * Production payroll uses CompanySettings.workingDaysMode — see getCompanySettings().
@@ -152,12 +165,19 @@ export function calculateSalaryAmounts(grossSalary, deductionDays, salaryConfig
  * @param {string} leaveType - Leave type (e.g., 'Un Paid Leave', 'Sick Leave', etc.)
  * @param {Object} leaveConfig - Leave configuration from database (optional)
  * @param {Object} absentConfig - Absent configuration from database (optional)
+ * @param {Object} [catalog] - Status catalog; a status with its own deductionDays uses them
  * @returns {number} Deduction days for this leave type
  */
-export function getLeaveDeductionDays(leaveType, leaveConfig = null, absentConfig = null) {
+export function getLeaveDeductionDays(leaveType, leaveConfig = null, absentConfig = null, catalog = DEFAULT_STATUS_CATALOG) {
   const leaveCfg = leaveConfig || DEFAULT_LEAVE_CONFIG;
   const absentCfg = absentConfig || DEFAULT_ABSENT_CONFIG;
-  
+
+  const def = getStatusDefinition(leaveType, catalog);
+  if (def && def.deductionDays != null) {
+    return def.paid ? 0 : Number(def.deductionDays) || 0;
+  }
+
+  // deductionDays not set: the Violation Rules setting for the status
   switch (leaveType) {
     case 'Un Paid Leave':
       return leaveCfg.unpaidLeaveDays;
@@ -169,16 +189,6 @@ export function getLeaveDeductionDays(leaveType, leaveConfig = null, absentConfi
       return leaveCfg.paidLeaveDays;
     case 'Leave Without Inform':
       return absentCfg.leaveWithoutInformDays;
-    // Extraordinary leaves (all paid, no deduction)
-    case 'Marriage Leave':
-    case 'Death Leave':
-    case 'Maternity Leave':
-    case 'Paternity Leave':
-    case 'Hajj Leave':
-    case 'Umrah Leave':
-      return 0;
-    case 'Eid Holiday':
-      return 0;
     default:
       return 0;
   }
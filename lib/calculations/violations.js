@@ -14,6 +14,7 @@ import {
   resolveGracePeriodsForCalendarDate,
   shiftWithGraceResolvedForDate,
 } from '../shift/gracePeriods.js';
+import { isFlexibleShift, getRequiredWorkMinutes } from '../shift/flexitime.js';
 import { parseOffsetToMinutes } from '../time/companyTodayCore.js';
 
 // Company timezone offset. Parsed properly so ANY offset works (not just +05:00),
@@ -58,6 +59,9 @@ function parseTimeToMinutes(timeStr) {
 
 /**
  * Calculate late/early violations for a day
+ *
+ * Flexible shifts (shiftType 'flexible'): late is measured from the core start; early is the
+ * shortfall against requiredHours, or leaving before the core end, whichever is larger.
  * 
  * @param {Object|String} shift - Shift object (with startTime, endTime, grace fields) or shift code string
  * @param {Date} checkIn - Check-in time
@@ -86,6 +90,7 @@ export function computeLateEarly(
   let graceCheckIn = null;
   let graceCheckOut = null;
   let crossesMidnight = false;
+  let flexible = false;
 
   // Get shift object - could be already an object or a code string
   let shiftObj = null;
@@ -107,9 +112,10 @@ export function computeLateEarly(
   }
 
   if (shiftObj && shiftObj.startTime) {
-    // Use shift times from database (fully dynamic)
-    startMin = parseTimeToMinutes(shiftObj.startTime);
-    rawEndMin = parseTimeToMinutes(shiftObj.endTime);
+    // Use shift times from database (fully dynamic); flexible shifts are judged on the core window
+    flexible = isFlexibleShift(shiftObj);
+    startMin = parseTimeToMinutes(flexible ? shiftObj.coreStartTime : shiftObj.startTime);
+    rawEndMin = parseTimeToMinutes(flexible ? shiftObj.coreEndTime : shiftObj.endTime);
     const g =
       calendarDateYmd != null && calendarDateYmd !== ''
         ? resolveGracePeriodsForCalendarDate(shiftObj, calendarDateYmd)
@@ -159,6 +165,11 @@ export function computeLateEarly(
   // - Check-out BEFORE shift end, but within grace period → GREEN (on-time)
   // - Check-out BEFORE shift end - grace period → ORANGE (violation)
   let earlyMinutesTotal = endMin - outMin;
+  if (flexible) {
+    // Flexitime: short of the required hours counts like leaving early
+    const workedMinutes = Math.floor((checkOut.getTime() - checkIn.getTime()) / 60000);
+    earlyMinutesTotal = Math.max(earlyMinutesTotal, getRequiredWorkMinutes(shiftObj) - workedMinutes);
+  }
   if (earlyMinutesTotal < 0) earlyMinutesTotal = 0; // Late departure = not early
 
   // Determine violations: only if minutes exceed grace period
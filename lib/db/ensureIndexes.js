@@ -23,14 +23,27 @@ export async function ensureAllIndexes() {
       { default: ViolationRules },
       { default: Shift },
       { default: Department },
-      { default: PaidLeaveQuarter },
       { default: LeavePolicy },
       { default: AttendanceEvent },
       { default: Complaint },
       { default: LeaveRecord },
       { default: EmployeeShiftHistory },
-      { default: PaidLeave },
       { default: MonthlyAttendance },
+      { default: Device },
+      { default: DeviceSyncRun },
+      { default: PunchImport },
+      { default: WebClockRule },
+      { default: PunchCorrectionRequest },
+      { default: AttendanceProcessingRun },
+      { default: OvertimeRules },
+      { default: RosterPattern },
+      { default: ShiftSwapRequest },
+      { default: Holiday },
+      { default: AttendanceStatus },
+      { default: CompanySettings },
+      { default: PayrollPeriod },
+      { default: WebClockPhoto },
+      { default: DeviceOfflineInterval },
     ] = await Promise.all([
       import('../../models/Employee'),
       import('../../models/ShiftAttendance'),
@@ -38,14 +51,27 @@ export async function ensureAllIndexes() {
       import('../../models/ViolationRules'),
       import('../../models/Shift'),
       import('../../models/Department'),
-      import('../../models/PaidLeaveQuarter'),
       import('../../models/LeavePolicy'),
       import('../../models/AttendanceEvent'),
       import('../../models/Complaint'),
       import('../../models/LeaveRecord'),
       import('../../models/EmployeeShiftHistory'),
-      import('../../models/PaidLeave'),
       import('../../models/MonthlyAttendance'),
+      import('../../models/Device'),
+      import('../../models/DeviceSyncRun'),
+      import('../../models/PunchImport'),
+      import('../../models/WebClockRule'),
+      import('../../models/PunchCorrectionRequest'),
+      import('../../models/AttendanceProcessingRun'),
+      import('../../models/OvertimeRules'),
+      import('../../models/RosterPattern'),
+      import('../../models/ShiftSwapRequest'),
+      import('../../models/Holiday'),
+      import('../../models/AttendanceStatus'),
+      import('../../models/CompanySettings'),
+      import('../../models/PayrollPeriod'),
+      import('../../models/WebClockPhoto'),
+      import('../../models/DeviceOfflineInterval'),
     ]);
     
     // Drop old unique index on ShiftAttendance if it exists (was causing E11000 duplicate key errors)
@@ -63,6 +89,19 @@ export async function ensureAllIndexes() {
       // Index might not exist or already dropped — safe to ignore
     }
 
+    // LeavePolicy and CompanySettings used to be one document per configId; they are now
+    // effective-dated versions, unique on { configId, effectiveFrom }
+    for (const Model of [LeavePolicy, CompanySettings]) {
+      try {
+        const indexes = await Model.collection.indexes();
+        if (indexes.some((idx) => idx.name === 'configId_1' && idx.unique === true)) {
+          await Model.collection.dropIndex('configId_1');
+        }
+      } catch (e) {
+        // Collection may not exist yet — safe to ignore
+      }
+    }
+
     // Create indexes - they will be created in background if collection is large
     // Note: createIndexes() doesn't accept options, but indexes defined in schema
     // with { background: true } will be created in background
@@ -108,12 +147,6 @@ export async function ensureAllIndexes() {
         }
         throw err;
       }),
-      PaidLeaveQuarter.createIndexes().catch(err => {
-        if (err.message?.includes('already exists')) {
-          return Promise.resolve();
-        }
-        throw err;
-      }),
       LeavePolicy.createIndexes().catch(err => {
         if (err.message?.includes('already exists')) {
           return Promise.resolve();
@@ -144,13 +177,97 @@ export async function ensureAllIndexes() {
         }
         throw err;
       }),
-      PaidLeave.createIndexes().catch(err => {
+      MonthlyAttendance.createIndexes().catch(err => {
         if (err.message?.includes('already exists')) {
           return Promise.resolve();
         }
         throw err;
       }),
-      MonthlyAttendance.createIndexes().catch(err => {
+      Device.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      DeviceSyncRun.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      PunchImport.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      WebClockRule.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      PunchCorrectionRequest.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      AttendanceProcessingRun.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      OvertimeRules.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      RosterPattern.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      ShiftSwapRequest.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      Holiday.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      AttendanceStatus.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      CompanySettings.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      PayrollPeriod.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      WebClockPhoto.createIndexes().catch(err => {
+        if (err.message?.includes('already exists')) {
+          return Promise.resolve();
+        }
+        throw err;
+      }),
+      DeviceOfflineInterval.createIndexes().catch(err => {
         if (err.message?.includes('already exists')) {
           return Promise.resolve();
         }
@@ -167,14 +284,27 @@ export async function ensureAllIndexes() {
         'ViolationRules',
         'Shift',
         'Department',
-        'PaidLeaveQuarter',
         'LeavePolicy',
         'AttendanceEvent',
         'Complaint',
         'LeaveRecord',
         'EmployeeShiftHistory',
-        'PaidLeave',
         'MonthlyAttendance',
+        'Device',
+        'DeviceSyncRun',
+        'PunchImport',
+        'WebClockRule',
+        'PunchCorrectionRequest',
+        'AttendanceProcessingRun',
+        'OvertimeRules',
+        'RosterPattern',
+        'ShiftSwapRequest',
+        'Holiday',
+        'AttendanceStatus',
+        'CompanySettings',
+        'PayrollPeriod',
+        'WebClockPhoto',
+        'DeviceOfflineInterval',
       ];
       if (result.status === 'rejected') {
         const errorMsg = result.reason?.message || '';
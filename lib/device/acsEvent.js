@@ -0,0 +1,193 @@
+// next-app/lib/device/acsEvent.js
+/**
+ * Hikvision ISAPI AcsEvent normalization + idempotent storage.
+ *
+ * Shared by the push endpoint (POST /api/device/events) and any other path that
+ * receives raw device events, so every source produces identical AttendanceEvent rows.
+ */
+
+import { parseOffsetToMinutes } from '../time/companyTodayCore';
+
+/**
+ * Parse a device timestamp. Devices normally send an offset ("2025-01-10T09:01:02+05:00");
+ * when they don't, the time is treated as company-local.
+ * @param {string|number|Date} value
+ * @param {string} [tzOffset='+05:00']
+ * @returns {Date|null}
+ */
+export function parseDeviceTime(value, tzOffset = '+05:00') {
+  if (value == null || value === '') return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+  const str = String(value).trim();
+  const hasZone = /(?:Z|[+-]\d{2}:?\d{2})$/i.test(str);
+  if (hasZone) {
+    const d = new Date(str);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+
+  const m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/.exec(str);
+  if (!m) return null;
+  const utcMs = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+  return new Date(utcMs - parseOffsetToMinutes(tzOffset) * 60 * 1000);
+}
+
+function toOptionalNumber(value) {
+  if (value == null || value === '') return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+function toOptionalString(value) {
+  if (value == null) return undefined;
+  const s = String(value).trim();
+  return s === '' ? undefined : s;
+}
+
+/**
+ * Normalize one access-control event into an AttendanceEvent document.
+ *
+ * Accepts both shapes the device produces:
+ * - alertStream push: `{ ipAddress, dateTime, eventType: 'AccessControllerEvent', AccessControllerEvent: {...} }`
+ * - AcsEvent/search InfoList item: `{ major, minor, time, employeeNoString, serialNo, ... }`
+ *
+ * @param {object} payload
+ * @param {object} [options]
+ * @param {string} [options.deviceIp] - Fallback when the payload has no ipAddress
+ * @param {string} [options.tzOffset='+05:00']
+ * @returns {object|null} AttendanceEvent fields, or null when the payload is not an access event
+ */
+export function normalizeAcsEvent(payload, { deviceIp, tzOffset = '+05:00' } = {}) {
+  if (!payload || typeof payload !== 'object') return null;
+
+  const ace = payload.AccessControllerEvent && typeof payload.AccessControllerEvent === 'object'
+    ? payload.AccessControllerEvent
+    : null;
+  if (!ace && payload.eventType && payload.eventType !== 'AccessControllerEvent') return null;
+
+  const src = ace || payload;
+  const major = toOptionalNumber(src.majorEventType ?? src.major);
+  const minor = toOptionalNumber(src.subEventType ?? src.minor);
+  if (major === undefined || minor === undefined) return null;
+
+  const eventTime = parseDeviceTime(payload.dateTime ?? src.time ?? src.dateTime, tzOffset);
+  if (!eventTime) return null;
+
+  const ip = toOptionalString(payload.ipAddress) || toOptionalString(deviceIp);
+  if (!ip) return null;
+
+  const doc = {
+    deviceIp: ip,
+    eventTime,
+    empCode: toOptionalString(src.employeeNoString ?? src.employeeNo),
+    cardNo: toOptionalString(src.cardNo),
+    doorNo: toOptionalNumber(src.doorNo ?? src.cardReaderNo),
+    serialNo: toOptionalNumber(src.serialNo),
+    verifyMode: toOptionalString(src.currentVerifyMode),
+    attendanceStatus: toOptionalString(src.attendanceStatus),
+    major,
+    minor,
+    raw: payload,
+  };
+  for (const key of Object.keys(doc)) {
+    if (doc[key] === undefined) delete doc[key];
+  }
+  return doc;
+}
+
+/**
+ * Pull event objects out of an already-parsed JSON body.
+ * Handles a single alert, an array of alerts, and an AcsEvent/search response.
+ * @param {any} body
+ * @returns {object[]}
+ */
+export function extractAcsEventPayloads(body) {
+  if (!body) return [];
+  if (Array.isArray(body)) return body.flatMap(extractAcsEventPayloads);
+  if (typeof body !== 'object') return [];
+  if (Array.isArray(body.AcsEvent?.InfoList)) return body.AcsEvent.InfoList;
+  if (Array.isArray(body.InfoList)) return body.InfoList;
+  return [body];
+}
+
+/**
+ * Parse a multipart alertStream body. Devices post a JSON part (usually named
+ * "event_log" or "AccessControllerEvent") followed by an optional picture part;
+ * only the JSON parts are kept.
+ * @param {string} text - Raw body decoded as latin1/utf8
+ * @param {string} contentType - Request Content-Type header (carries the boundary)
+ * @returns {object[]} Parsed JSON parts
+ */
+export function parseMultipartAlertStream(text, contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!m) return [];
+  const boundary = `--${(m[1] || m[2]).trim()}`;
+
+  const parts = [];
+  for (const chunk of String(text || '').split(boundary)) {
+    const sep = chunk.indexOf('\r\n\r\n') >= 0 ? '\r\n\r\n' : '\n\n';
+    const idx = chunk.indexOf(sep);
+    if (idx < 0) continue;
+    const headers = chunk.slice(0, idx).toLowerCase();
+    const content = chunk.slice(idx + sep.length).trim();
+    if (headers.includes('image/') || !content.startsWith('{')) continue;
+    try {
+      parts.push(JSON.parse(content));
+    } catch {
+      // Ignore malformed parts — remaining parts in the stream are still usable
+    }
+  }
+  return parts;
+}
+
+/**
+ * Filter used to recognise an event that was already stored.
+ * deviceIp + serialNo is the device's own identity for an event; the fallback
+ * covers old firmware that omits serialNo.
+ * @param {object} doc - Normalized event
+ * @returns {object}
+ */
+export function getEventIdentityFilter(doc) {
+  if (typeof doc.serialNo === 'number') {
+    return { deviceIp: doc.deviceIp, serialNo: doc.serialNo };
+  }
+  return {
+    deviceIp: doc.deviceIp,
+    eventTime: doc.eventTime,
+    empCode: doc.empCode ?? null,
+    minor: doc.minor,
+  };
+}
+
+/**
+ * Insert normalized events, skipping ones already stored (replayed buffers).
+ * @param {object} AttendanceEvent - Mongoose model
+ * @param {object[]} docs - Output of normalizeAcsEvent
+ * @returns {Promise<{ inserted: number, duplicates: number }>}
+ */
+export async function storeAttendanceEvents(AttendanceEvent, docs) {
+  if (!docs.length) return { inserted: 0, duplicates: 0 };
+
+  const ops = docs.map((doc) => ({
+    updateOne: {
+      filter: getEventIdentityFilter(doc),
+      update: { $setOnInsert: doc },
+      upsert: true,
+    },
+  }));
+
+  let inserted = 0;
+  try {
+    const result = await AttendanceEvent.bulkWrite(ops, { ordered: false });
+    inserted = result.upsertedCount || 0;
+  } catch (err) {
+    // Two concurrent deliveries of the same event can race on the unique index;
+    // the loser gets E11000, which simply means "already stored".
+    const writeErrors = err?.writeErrors || err?.result?.result?.writeErrors || [];
+    const onlyDuplicates = writeErrors.length > 0 && writeErrors.every((e) => (e.code ?? e.err?.code) === 11000);
+    if (!onlyDuplicates) throw err;
+    inserted = err.result?.upsertedCount ?? err.result?.result?.nUpserted ?? 0;
+  }
+
+  return { inserted, duplicates: docs.length - inserted };
+}
@@ -0,0 +1,233 @@
+// next-app/lib/device/deviceHealth.js
+/**
+ * Device last-seen tracking and silence detection.
+ *
+ * A device is "online" while it keeps contacting us (events or alertStream heartbeats)
+ * within its silentAfterMinutes. A contact after a longer silence stores that silence as a
+ * DeviceOfflineInterval. For a business date we report the offline stretches inside each
+ * shift — those are the hours where missing punches (and "Absent" rows) are most likely a
+ * device problem, not people. A device that stayed reachable but had no punches is not silent.
+ */
+
+import { resolveShiftWindow } from '../shift/resolveShiftWindow.js';
+import { DEFAULT_SILENT_AFTER_MINUTES } from '../../models/Device';
+import DeviceOfflineInterval from '../../models/DeviceOfflineInterval';
+
+const MINUTE_MS = 60 * 1000;
+
+function addDaysYmd(ymd, days) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function maxDate(...values) {
+  let best = null;
+  for (const v of values) {
+    if (!v) continue;
+    const d = v instanceof Date ? v : new Date(v);
+    if (Number.isNaN(d.getTime())) continue;
+    if (!best || d > best) best = d;
+  }
+  return best;
+}
+
+/**
+ * Record that devices contacted the ingest endpoint. Unknown IPs are registered
+ * automatically (named after their IP) so HR sees them on the devices page. When the
+ * previous contact is older than the device's silentAfterMinutes, the silence in between
+ * is stored as a DeviceOfflineInterval.
+ *
+ * @param {object} Device - Mongoose model
+ * @param {Map<string, Date|null>} contacts - deviceIp → latest eventTime in this delivery (null for heartbeats)
+ * @param {Date} [now]
+ */
+export async function recordDeviceContact(Device, contacts, now = new Date()) {
+  if (!contacts || contacts.size === 0) return;
+  const intervals = [];
+  for (const [ip, lastEventAt] of contacts) {
+    const update = {
+      $set: { lastHeartbeatAt: now },
+      $setOnInsert: { name: ip },
+    };
+    if (lastEventAt) update.$max = { lastEventAt };
+    // The previous document tells us how long the device was quiet before this contact
+    const touch = () =>
+      Device.findOneAndUpdate({ ip }, update, { upsert: true, new: false })
+        .select('lastHeartbeatAt silentAfterMinutes')
+        .lean();
+    let previous;
+    try {
+      previous = await touch();
+    } catch (err) {
+      // Two first deliveries from a new device race on the unique ip; the loser updates instead
+      if (err?.code !== 11000) throw err;
+      previous = await touch();
+    }
+    const lastContact = previous?.lastHeartbeatAt ? new Date(previous.lastHeartbeatAt) : null;
+    const thresholdMin = previous?.silentAfterMinutes || DEFAULT_SILENT_AFTER_MINUTES;
+    if (lastContact && now - lastContact >= thresholdMin * MINUTE_MS) {
+      intervals.push({
+        deviceIp: ip,
+        from: lastContact,
+        to: now,
+        minutes: Math.floor((now - lastContact) / MINUTE_MS),
+      });
+    }
+  }
+  if (intervals.length > 0) {
+    try {
+      await DeviceOfflineInterval.insertMany(intervals, { ordered: false });
+    } catch (err) {
+      // Two deliveries ending the same silence: the unique { deviceIp, from } keeps one
+      const writeErrors = err?.writeErrors || [];
+      const onlyDuplicates = writeErrors.length > 0
+        ? writeErrors.every((e) => (e.code ?? e.err?.code) === 11000)
+        : err?.code === 11000;
+      if (!onlyDuplicates) throw err;
+    }
+  }
+}
+
+/**
+ * Parts of offline intervals that fall inside one shift window (up to now).
+ * @param {Array<{ from: Date, to: Date, ongoing?: boolean }>} intervals - Stored intervals plus the current silence, if any
+ * @param {{ shiftStart: Date, shiftEnd: Date }} window
+ * @param {Date} now
+ * @returns {Array<{ from: Date, to: Date, minutes: number, ongoing: boolean }>}
+ */
+export function findSilentGaps(intervals, window, now) {
+  if (!window || window.shiftStart > now) return [];
+  const endBound = window.shiftEnd < now ? window.shiftEnd : now;
+  const gaps = [];
+  for (const interval of intervals) {
+    const from = interval.from > window.shiftStart ? interval.from : window.shiftStart;
+    const to = interval.to < endBound ? interval.to : endBound;
+    const minutes = Math.floor((to - from) / MINUTE_MS);
+    if (minutes < 1) continue;
+    gaps.push({ from, to, minutes, ongoing: !!interval.ongoing && to === endBound && endBound === now });
+  }
+  return gaps.sort((a, b) => a.from - b.from);
+}
+
+/**
+ * Build per-device health: last seen, online/offline status and (optionally) silent
+ * stretches during shifts on a business date.
+ *
+ * @param {object} params
+ * @param {object[]} params.devices - Lean Device docs
+ * @param {object} params.AttendanceEvent - Mongoose model
+ * @param {string} [params.date] - Business date YYYY-MM-DD (09:00 → 08:00 next day)
+ * @param {object[]} [params.shifts] - Shifts whose windows are checked for silence
+ * @param {string} [params.tzOffset='+05:00']
+ * @param {Date} [params.now]
+ * @returns {Promise<object[]>}
+ */
+export async function getDeviceHealth({
+  devices,
+  AttendanceEvent,
+  date,
+  shifts = [],
+  tzOffset = '+05:00',
+  now = new Date(),
+}) {
+  if (!devices?.length) return [];
+  const ips = devices.map((d) => d.ip);
+
+  // lastEventAt is derived from AttendanceEvent so events stored by other
+  // paths (imports, pull sync) count too; the stored value is only a fallback.
+  const latestEvents = await Promise.all(
+    ips.map((ip) =>
+      AttendanceEvent.findOne({ deviceIp: ip })
+        .sort({ eventTime: -1 })
+        .select('eventTime')
+        .lean()
+        .maxTimeMS(2000)
+    )
+  );
+
+  const eventCountByIp = new Map();
+  const offlineByIp = new Map();
+  let windows = [];
+  if (date) {
+    const dayStart = new Date(`${date}T09:00:00${tzOffset}`);
+    const dayEnd = new Date(`${addDaysYmd(date, 1)}T08:00:00${tzOffset}`);
+    const [eventCounts, offline] = await Promise.all([
+      AttendanceEvent.aggregate([
+        { $match: { deviceIp: { $in: ips }, eventTime: { $gte: dayStart, $lte: dayEnd } } },
+        { $group: { _id: '$deviceIp', count: { $sum: 1 } } },
+      ]).option({ maxTimeMS: 5000 }),
+      DeviceOfflineInterval.find({ deviceIp: { $in: ips }, from: { $lt: dayEnd }, to: { $gt: dayStart } })
+        .select('deviceIp from to')
+        .sort({ from: 1 })
+        .lean()
+        .maxTimeMS(3000),
+    ]);
+    for (const row of eventCounts) eventCountByIp.set(row._id, row.count);
+    for (const interval of offline) {
+      if (!offlineByIp.has(interval.deviceIp)) offlineByIp.set(interval.deviceIp, []);
+      offlineByIp.get(interval.deviceIp).push({ from: new Date(interval.from), to: new Date(interval.to) });
+    }
+    windows = shifts
+      .map((shift) => ({
+        shift: shift.code,
+        window: resolveShiftWindow({ date, shift, timezoneOffset: tzOffset }),
+      }))
+      .filter((w) => w.window);
+  }
+
+  return devices.map((device, idx) => {
+    const lastEventAt = maxDate(latestEvents[idx]?.eventTime, device.lastEventAt);
+    const lastSeenAt = maxDate(lastEventAt, device.lastHeartbeatAt);
+    const thresholdMin = device.silentAfterMinutes || DEFAULT_SILENT_AFTER_MINUTES;
+    const minutesSinceSeen = lastSeenAt ? Math.floor((now - lastSeenAt) / MINUTE_MS) : null;
+
+    let status = 'offline';
+    if (device.isActive === false) status = 'inactive';
+    else if (minutesSinceSeen != null && minutesSinceSeen < thresholdMin) status = 'online';
+
+    const silentGaps = [];
+    if (date && device.isActive !== false) {
+      const intervals = [...(offlineByIp.get(device.ip) || [])];
+      // The silence still going on has no stored interval yet
+      if (status === 'offline') {
+        const since = lastSeenAt || device.createdAt;
+        intervals.push({ from: since ? new Date(since) : new Date(0), to: now, ongoing: true });
+      }
+      for (const { shift, window } of windows) {
+        for (const gap of findSilentGaps(intervals, window, now)) {
+          silentGaps.push({ shift, ...gap });
+        }
+      }
+    }
+
+    return {
+      ...device,
+      lastEventAt,
+      lastSeenAt,
+      minutesSinceSeen,
+      status,
+      eventCount: date ? eventCountByIp.get(device.ip) || 0 : undefined,
+      silentGaps,
+    };
+  });
+}
+
+/**
+ * Active devices that are offline now or went silent during a shift on the date.
+ * Shape kept small — this is attached to the daily attendance response.
+ * @param {object[]} health - Output of getDeviceHealth
+ * @returns {object[]}
+ */
+export function getDeviceAlerts(health) {
+  return health
+    .filter((d) => d.status === 'offline' || d.silentGaps.length > 0)
+    .map((d) => ({
+      ip: d.ip,
+      name: d.name,
+      location: d.location || '',
+      status: d.status,
+      lastSeenAt: d.lastSeenAt,
+      silentGaps: d.silentGaps,
+    }));
+}
@@ -0,0 +1,109 @@
+// next-app/lib/device/isapiClient.js
+/**
+ * Minimal Hikvision ISAPI client: JSON POST with HTTP Digest authentication.
+ * Devices answer the first request with a 401 Digest challenge; we then retry once
+ * with the computed Authorization header.
+ */
+
+import crypto from 'crypto';
+import { isIPv6 } from 'net';
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+function md5(value) {
+  return crypto.createHash('md5').update(value).digest('hex');
+}
+
+function parseDigestChallenge(header) {
+  const out = {};
+  const re = /(\w+)=(?:"([^"]*)"|([^,\s]+))/g;
+  let m;
+  while ((m = re.exec(header || '')) !== null) {
+    out[m[1].toLowerCase()] = m[2] ?? m[3];
+  }
+  return out;
+}
+
+/**
+ * Build the Authorization header answering a Digest challenge (RFC 2617, qop=auth).
+ * @returns {string}
+ */
+export function buildDigestAuthorization({ challenge, method, uri, username, password }) {
+  const c = parseDigestChallenge(challenge);
+  const realm = c.realm || '';
+  const nonce = c.nonce || '';
+  const qop = (c.qop || '').split(',').map((q) => q.trim()).includes('auth') ? 'auth' : '';
+  const nc = '00000001';
+  const cnonce = crypto.randomBytes(8).toString('hex');
+
+  const ha1 = md5(`${username}:${realm}:${password}`);
+  const ha2 = md5(`${method}:${uri}`);
+  const response = qop
+    ? md5(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+    : md5(`${ha1}:${nonce}:${ha2}`);
+
+  const parts = [
+    `username="${username}"`,
+    `realm="${realm}"`,
+    `nonce="${nonce}"`,
+    `uri="${uri}"`,
+    `response="${response}"`,
+  ];
+  if (c.opaque) parts.push(`opaque="${c.opaque}"`);
+  if (qop) parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+  return `Digest ${parts.join(', ')}`;
+}
+
+/**
+ * Base URL for a Device document (IPv6 addresses in brackets).
+ * @param {{ ip: string, port?: number, useHttps?: boolean }} device
+ */
+export function getDeviceBaseUrl(device) {
+  const scheme = device.useHttps ? 'https' : 'http';
+  const defaultPort = device.useHttps ? 443 : 80;
+  const port = device.port && device.port !== defaultPort ? `:${device.port}` : '';
+  const host = isIPv6(device.ip) ? `[${device.ip}]` : device.ip;
+  return `${scheme}://${host}${port}`;
+}
+
+/**
+ * POST JSON to an ISAPI path and return the parsed JSON response.
+ *
+ * @param {object} params
+ * @param {object} params.device - Device doc (ip/port/useHttps)
+ * @param {string} params.path - e.g. "/ISAPI/AccessControl/AcsEvent?format=json"
+ * @param {object} params.body
+ * @param {string} [params.username]
+ * @param {string} [params.password]
+ * @param {Function} [params.fetchImpl=fetch] - Injected for tests / stub devices
+ * @returns {Promise<object>}
+ */
+export async function isapiPostJson({ device, path, body, username = '', password = '', fetchImpl = fetch }) {
+  const url = `${getDeviceBaseUrl(device)}${path}`;
+  const payload = JSON.stringify(body);
+  const baseHeaders = { 'Content-Type': 'application/json' };
+
+  const send = (headers) =>
+    fetchImpl(url, {
+      method: 'POST',
+      headers: { ...baseHeaders, ...headers },
+      body: payload,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+  let res = await send({});
+  if (res.status === 401) {
+    const challenge = res.headers.get('www-authenticate') || '';
+    if (!/^digest/i.test(challenge)) {
+      throw new Error(`Device ${device.ip} rejected the request (401) without a Digest challenge`);
+    }
+    res = await send({
+      Authorization: buildDigestAuthorization({ challenge, method: 'POST', uri: path, username, password }),
+    });
+  }
+
+  if (!res.ok) {
+    throw new Error(`Device ${device.ip} responded ${res.status} for ${path}`);
+  }
+  return res.json();
+}
@@ -0,0 +1,240 @@
+// next-app/lib/device/pullSync.js
+/**
+ * Pull-mode device sync: page through ISAPI AcsEvent/search for each registered
+ * device and store results through the same normalization as push ingestion.
+ *
+ * Each device keeps a cursor (last stored eventTime/serialNo). The cursor is saved
+ * after every page, and only ever moves forward, so an interrupted sync resumes where
+ * it stopped; the small overlap from restarting at the cursor second is absorbed by
+ * deviceIp + serialNo de-duplication. Device.syncLockedUntil keeps two syncs of one
+ * device (manual button and cron) from running at once.
+ */
+
+import { randomUUID } from 'crypto';
+import { normalizeAcsEvent, storeAttendanceEvents } from './acsEvent';
+import { recordDeviceContact } from './deviceHealth';
+import { isapiPostJson } from './isapiClient';
+import { parseOffsetToMinutes } from '../time/companyTodayCore';
+
+export const ACS_EVENT_SEARCH_PATH = '/ISAPI/AccessControl/AcsEvent?format=json';
+
+const DEFAULT_PAGE_SIZE = 30; // most terminals cap maxResults at 30
+const DEFAULT_MAX_PAGES = 50;
+const DEFAULT_LOOKBACK_HOURS = 48;
+/** A crashed sync holds the device lock at most this long; a live one refreshes it after every page */
+const RUN_LOCK_MINUTES = 15;
+
+/**
+ * Format a Date as device-local ISO time with offset, e.g. "2025-01-10T09:00:00+05:00".
+ * @param {Date} date
+ * @param {string} tzOffset
+ * @returns {string}
+ */
+export function formatDeviceTime(date, tzOffset = '+05:00') {
+  const offsetMin = parseOffsetToMinutes(tzOffset);
+  const local = new Date(date.getTime() + offsetMin * 60 * 1000);
+  const sign = offsetMin < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMin);
+  const tz = `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+  return `${local.toISOString().slice(0, 19)}${tz}`;
+}
+
+/** Save the cursor unless the stored one is already at or past it. */
+function advanceCursor(Device, deviceId, cursor) {
+  if (!cursor?.eventTime) return Promise.resolve();
+  const behind = [{ 'syncCursor.eventTime': null }, { 'syncCursor.eventTime': { $lt: cursor.eventTime } }];
+  if (cursor.serialNo != null) {
+    behind.push({ 'syncCursor.eventTime': cursor.eventTime, 'syncCursor.serialNo': { $lt: cursor.serialNo } });
+    behind.push({ 'syncCursor.eventTime': cursor.eventTime, 'syncCursor.serialNo': null });
+  }
+  return Device.updateOne({ _id: deviceId, $or: behind }, { $set: { syncCursor: cursor } });
+}
+
+function isAfterCursor(doc, cursor) {
+  if (!cursor?.eventTime) return true;
+  const a = doc.eventTime.getTime();
+  const b = new Date(cursor.eventTime).getTime();
+  if (a !== b) return a > b;
+  return (doc.serialNo ?? -1) > (cursor.serialNo ?? -1);
+}
+
+/**
+ * Sync one device.
+ *
+ * @param {object} params
+ * @param {object} params.device - Lean Device doc
+ * @param {{ Device: object, DeviceSyncRun: object, AttendanceEvent: object }} params.models
+ * @param {string} [params.trigger='manual']
+ * @param {string} [params.triggeredBy='']
+ * @param {Function} [params.fetchImpl] - Passed to the ISAPI client (stub devices / tests)
+ * @param {Date} [params.now]
+ * @param {number} [params.maxPages]
+ * @param {number} [params.pageSize]
+ * @returns {Promise<object>} The finished DeviceSyncRun (lean), or `{ skipped: true, reason }`
+ */
+export async function syncDevice({
+  device,
+  models,
+  trigger = 'manual',
+  triggeredBy = '',
+  fetchImpl,
+  now = new Date(),
+  maxPages = DEFAULT_MAX_PAGES,
+  pageSize = DEFAULT_PAGE_SIZE,
+}) {
+  const { Device, DeviceSyncRun, AttendanceEvent } = models;
+
+  // Atomic lock: only one caller can move syncLockedUntil from free / expired to its own time
+  let lockedUntil = new Date(Date.now() + RUN_LOCK_MINUTES * 60 * 1000);
+  const locked = await Device.findOneAndUpdate(
+    { _id: device._id, $or: [{ syncLockedUntil: null }, { syncLockedUntil: { $lte: new Date() } }] },
+    { $set: { syncLockedUntil: lockedUntil } },
+    { new: true }
+  )
+    .select('syncCursor')
+    .lean();
+  if (!locked) {
+    return { skipped: true, reason: 'A sync for this device is already running', deviceIp: device.ip };
+  }
+  const releaseLock = () =>
+    Device.updateOne({ _id: device._id, syncLockedUntil: lockedUntil }, { $set: { syncLockedUntil: null } });
+
+  const tzOffset = device.timezone || process.env.TIMEZONE_OFFSET || '+05:00';
+  // Cursor read under the lock: the caller's device document may predate the last sync
+  const cursorFrom = {
+    eventTime: locked.syncCursor?.eventTime || null,
+    serialNo: locked.syncCursor?.serialNo ?? null,
+  };
+  let run;
+  try {
+    run = await DeviceSyncRun.create({
+      deviceId: device._id,
+      deviceIp: device.ip,
+      deviceName: device.name || '',
+      trigger,
+      triggeredBy,
+      startedAt: now,
+      cursorFrom,
+      cursorTo: cursorFrom,
+    });
+  } catch (err) {
+    await releaseLock();
+    throw err;
+  }
+
+  const counts = { pages: 0, fetched: 0, inserted: 0, duplicates: 0, ignored: 0 };
+  let cursor = { ...cursorFrom };
+  let status = 'success';
+  let error = '';
+
+  try {
+    const startTime = cursor.eventTime
+      ? new Date(cursor.eventTime)
+      : new Date(now.getTime() - DEFAULT_LOOKBACK_HOURS * 60 * 60 * 1000);
+    const searchID = randomUUID();
+    let position = 0;
+
+    while (true) {
+      if (counts.pages >= maxPages) {
+        status = 'partial'; // cursor is saved; the next run carries on
+        break;
+      }
+
+      const response = await isapiPostJson({
+        device,
+        path: ACS_EVENT_SEARCH_PATH,
+        body: {
+          AcsEventCond: {
+            searchID,
+            searchResultPosition: position,
+            maxResults: pageSize,
+            major: 0,
+            minor: 0,
+            startTime: formatDeviceTime(startTime, tzOffset),
+            endTime: formatDeviceTime(now, tzOffset),
+            timeReverseOrder: false,
+          },
+        },
+        username: device.isapiUsername || process.env.DEVICE_ISAPI_USERNAME || 'admin',
+        password: process.env.DEVICE_ISAPI_PASSWORD || '',
+        fetchImpl,
+      });
+
+      const result = response?.AcsEvent || {};
+      const list = Array.isArray(result.InfoList) ? result.InfoList : [];
+      counts.pages += 1;
+      counts.fetched += list.length;
+
+      const docs = [];
+      for (const item of list) {
+        const doc = normalizeAcsEvent(item, { deviceIp: device.ip, tzOffset });
+        if (doc) docs.push(doc);
+      }
+      counts.ignored += list.length - docs.length;
+
+      const stored = await storeAttendanceEvents(AttendanceEvent, docs);
+      counts.inserted += stored.inserted;
+      counts.duplicates += stored.duplicates;
+
+      for (const doc of docs) {
+        if (isAfterCursor(doc, cursor)) {
+          cursor = { eventTime: doc.eventTime, serialNo: doc.serialNo ?? null };
+        }
+      }
+
+      // Persist progress after every page so an interruption loses nothing, and keep the lock
+      const refreshedUntil = new Date(Date.now() + RUN_LOCK_MINUTES * 60 * 1000);
+      const [, , refreshed] = await Promise.all([
+        advanceCursor(Device, device._id, cursor),
+        DeviceSyncRun.updateOne({ _id: run._id }, { $set: { ...counts, cursorTo: cursor } }),
+        Device.updateOne({ _id: device._id, syncLockedUntil: lockedUntil }, { $set: { syncLockedUntil: refreshedUntil } }),
+      ]);
+      if (!refreshed?.matchedCount) throw new Error('Sync lock was lost; another sync took over this device');
+      lockedUntil = refreshedUntil;
+
+      const more = String(result.responseStatusStrg || '').toUpperCase() === 'MORE';
+      if (!more || list.length === 0) break;
+      position += Number(result.numOfMatches) || list.length;
+    }
+  } catch (err) {
+    status = 'failed';
+    error = err?.message || String(err);
+  }
+
+  const finishedAt = new Date();
+  const [finished] = await Promise.all([
+    DeviceSyncRun.findByIdAndUpdate(
+      run._id,
+      { $set: { ...counts, cursorTo: cursor, status, error, finishedAt } },
+      { new: true }
+    ).lean(),
+    Device.updateOne(
+      { _id: device._id },
+      { $set: { lastSyncAt: finishedAt, lastSyncStatus: status } }
+    ),
+  ]);
+  await releaseLock();
+
+  // A device that answered is alive, even if it had nothing new
+  if (status !== 'failed') {
+    await recordDeviceContact(Device, new Map([[device.ip, cursor.eventTime || null]]), finishedAt);
+  }
+
+  return finished;
+}
+
+/**
+ * Sync every active device with pull mode enabled, one after another.
+ * @param {object} params - Same as syncDevice minus `device`; optional `deviceId` limits to one device
+ * @returns {Promise<object[]>}
+ */
+export async function syncAllDevices({ models, deviceId, ...rest }) {
+  const filter = deviceId ? { _id: deviceId } : { pullEnabled: true, isActive: true };
+  const devices = await models.Device.find(filter).lean().maxTimeMS(2000);
+
+  const results = [];
+  for (const device of devices) {
+    results.push(await syncDevice({ device, models, ...rest }));
+  }
+  return results;
+}
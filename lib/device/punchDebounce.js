@@ -0,0 +1,76 @@
+// next-app/lib/device/punchDebounce.js
+/**
+ * Punch debounce: employees often scan 2–4 times in a few seconds, or at two doors in a
+ * row. A punch within the debounce window of the previous *kept* punch of the same
+ * employee is suppressed — it stays stored in AttendanceEvent (and visible in the raw
+ * punch explorer) but is not counted for check-in/out.
+ *
+ * The window is CompanySettings.punchDebounceSeconds, overridden per device by
+ * Device.punchDebounceSeconds (the device that recorded the later scan decides).
+ * Repeats in the same second always collapse, even with a 0 window.
+ */
+
+import Device from '../../models/Device';
+import { getCompanySettings } from '../settings/getCompanySettings';
+
+/**
+ * @typedef {object} PunchDebounceConfig
+ * @property {number} defaultSeconds
+ * @property {Map<string, number>} secondsByDevice - deviceIp → override
+ */
+
+/**
+ * Load the company window and per-device overrides.
+ * @param {{ date?: string }} [options] - business day whose settings version applies (default: today)
+ * @returns {Promise<PunchDebounceConfig>}
+ */
+export async function getPunchDebounceConfig({ date } = {}) {
+  const [settings, overrides] = await Promise.all([
+    getCompanySettings({ date }),
+    Device.find({ punchDebounceSeconds: { $ne: null } })
+      .select('ip punchDebounceSeconds')
+      .lean()
+      .maxTimeMS(1500)
+      .catch(() => []),
+  ]);
+  return {
+    defaultSeconds: Number(settings.punchDebounceSeconds) || 0,
+    secondsByDevice: new Map(overrides.map((d) => [d.ip, d.punchDebounceSeconds])),
+  };
+}
+
+/**
+ * Debounce window (seconds) for an event's device.
+ * @param {string} deviceIp
+ * @param {PunchDebounceConfig} [config]
+ */
+export function getDebounceSeconds(deviceIp, config) {
+  if (!config) return 0;
+  const override = config.secondsByDevice?.get(deviceIp);
+  return override != null ? override : config.defaultSeconds || 0;
+}
+
+/**
+ * Mark near-duplicate punches of ONE employee.
+ *
+ * @param {Array<{ eventTime: Date|string, deviceIp?: string }>} events - Sorted ascending
+ * @param {PunchDebounceConfig} [config]
+ * @returns {Array<{ event: object, suppressed: boolean, windowSeconds: number, keptAt: Date|null }>}
+ *   `keptAt` is the punch a suppressed scan was folded into
+ */
+export function debouncePunches(events, config) {
+  let lastKept = null;
+  return events.map((event) => {
+    const t = new Date(event.eventTime);
+    const windowSeconds = getDebounceSeconds(event.deviceIp, config);
+    if (lastKept) {
+      const sameSecond = Math.floor(t.getTime() / 1000) === Math.floor(lastKept.getTime() / 1000);
+      const withinWindow = t.getTime() - lastKept.getTime() < windowSeconds * 1000;
+      if (sameSecond || withinWindow) {
+        return { event, suppressed: true, windowSeconds, keptAt: lastKept };
+      }
+    }
+    lastKept = t;
+    return { event, suppressed: false, windowSeconds, keptAt: null };
+  });
+}
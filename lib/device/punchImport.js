@@ -0,0 +1,320 @@
+// next-app/lib/device/punchImport.js
+/**
+ * Punch log import (USB / Excel exports from offline terminals).
+ *
+ * parseSpreadsheet → rows as arrays of cell values
+ * suggestMapping   → best-guess column mapping from header names
+ * buildImportRows  → normalized AttendanceEvent-shaped rows + per-row problems
+ * flagImportRows   → mark unknown employees and duplicates (in file / already stored)
+ */
+
+import ExcelJS from 'exceljs';
+import { Readable } from 'stream';
+import { parseOffsetToMinutes } from '../time/companyTodayCore';
+
+export const MAX_IMPORT_ROWS = 20000;
+
+/** Punch events the attendance routes count (see punch-helpers minor filter). */
+export const DEFAULT_IMPORT_MAJOR = 5;
+export const DEFAULT_IMPORT_MINOR = 38;
+
+const HEADER_HINTS = {
+  empCode: ['employee id', 'employee no', 'emp code', 'empcode', 'person id', 'user id', 'id'],
+  dateTime: ['time', 'date time', 'datetime', 'event time', 'punch time', 'attendance time'],
+  date: ['date'],
+  time: ['clock', 'hour'],
+  name: ['name', 'person name', 'employee name'],
+  cardNo: ['card no', 'card number', 'card'],
+  serialNo: ['serial no', 'serial', 'no.'],
+  verifyMode: ['verify mode', 'verification mode', 'authentication mode', 'verify type'],
+  attendanceStatus: ['attendance status', 'status', 'check type'],
+  minor: ['minor', 'event type', 'minor type'],
+};
+
+function cellToPlain(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.text != null) return String(value.text); // hyperlink / rich text
+    if (value.richText) return value.richText.map((r) => r.text).join('');
+    if (value.result != null) return value.result; // formula
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Read the first worksheet of an .xlsx or .csv file.
+ * @param {Buffer} buffer
+ * @param {string} fileName
+ * @returns {Promise<{ headers: string[], rows: any[][], rowNumbers: number[] }>} rowNumbers - Sheet row of each entry in rows
+ */
+export async function parseSpreadsheet(buffer, fileName) {
+  const workbook = new ExcelJS.Workbook();
+  let sheet;
+  if (/\.csv$/i.test(fileName || '')) {
+    // Keep every CSV cell as text; dates are interpreted with the import timezone below
+    sheet = await workbook.csv.read(Readable.from(buffer), { map: (v) => v });
+  } else {
+    await workbook.xlsx.load(buffer);
+    sheet = workbook.worksheets[0];
+  }
+  if (!sheet) return { headers: [], rows: [], rowNumbers: [] };
+
+  const all = [];
+  const numbers = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const values = Array.isArray(row.values) ? row.values.slice(1) : [];
+    all.push(values.map(cellToPlain));
+    numbers.push(rowNumber);
+  });
+
+  // Exports often start with a title block — use the first row with 2+ text cells as header
+  const headerIdx = all.findIndex(
+    (r) => r.filter((v) => typeof v === 'string' && v.trim()).length >= 2
+  );
+  if (headerIdx < 0) return { headers: [], rows: [], rowNumbers: [] };
+
+  const headers = all[headerIdx].map((h, i) => (h == null ? `Column ${i + 1}` : String(h).trim()));
+  return { headers, rows: all.slice(headerIdx + 1), rowNumbers: numbers.slice(headerIdx + 1) };
+}
+
+/**
+ * Guess a mapping (field → column index) from header names.
+ * @param {string[]} headers
+ * @returns {Record<string, number>}
+ */
+export function suggestMapping(headers) {
+  const norm = headers.map((h) => String(h || '').trim().toLowerCase());
+  const mapping = {};
+  const used = new Set();
+  for (const field of Object.keys(HEADER_HINTS)) {
+    for (const hint of HEADER_HINTS[field]) {
+      const idx = norm.findIndex((h, i) => !used.has(i) && h === hint);
+      if (idx >= 0) {
+        mapping[field] = idx;
+        used.add(idx);
+        break;
+      }
+    }
+  }
+  // Separate "Date" + "Time" columns: the "Time" column is only the clock part
+  if (mapping.date !== undefined && mapping.dateTime !== undefined && norm[mapping.dateTime] === 'time') {
+    mapping.time = mapping.dateTime;
+    delete mapping.dateTime;
+  }
+  // A single "date" column that also carries the time is really dateTime
+  if (mapping.dateTime === undefined && mapping.date !== undefined && mapping.time === undefined) {
+    mapping.dateTime = mapping.date;
+    delete mapping.date;
+  }
+  return mapping;
+}
+
+function wallTimeToDate(y, mo, d, h, mi, s, tzOffset) {
+  const utcMs = Date.UTC(y, mo - 1, d, h, mi, s);
+  return new Date(utcMs - parseOffsetToMinutes(tzOffset) * 60 * 1000);
+}
+
+function parseDatePart(value) {
+  if (value instanceof Date) {
+    // exceljs returns spreadsheet dates as UTC fields holding the wall-clock value
+    return { y: value.getUTCFullYear(), mo: value.getUTCMonth() + 1, d: value.getUTCDate() };
+  }
+  const str = String(value || '').trim();
+  let m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(str);
+  if (m) return { y: +m[1], mo: +m[2], d: +m[3] };
+  m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/.exec(str); // DD/MM/YYYY (company locale)
+  if (m) return { y: +m[3], mo: +m[2], d: +m[1] };
+  return null;
+}
+
+function parseTimePart(value) {
+  if (value instanceof Date) {
+    return { h: value.getUTCHours(), mi: value.getUTCMinutes(), s: value.getUTCSeconds() };
+  }
+  if (typeof value === 'number' && value >= 0 && value < 1) {
+    const total = Math.round(value * 24 * 3600); // Excel time fraction
+    return { h: Math.floor(total / 3600), mi: Math.floor((total % 3600) / 60), s: total % 60 };
+  }
+  const m = /(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?/.exec(String(value || ''));
+  if (!m) return null;
+  let h = +m[1];
+  if (m[4]) {
+    const pm = m[4].toLowerCase() === 'pm';
+    if (pm && h < 12) h += 12;
+    if (!pm && h === 12) h = 0;
+  }
+  return { h, mi: +m[2], s: +(m[3] || 0) };
+}
+
+/**
+ * Parse a punch time from mapped cells, interpreting wall-clock values in tzOffset.
+ * @returns {Date|null}
+ */
+export function parseImportTime({ dateTime, date, time }, tzOffset = '+05:00') {
+  if (dateTime != null && dateTime !== '') {
+    if (typeof dateTime === 'string' && /(?:Z|[+-]\d{2}:\d{2})$/.test(dateTime.trim())) {
+      const d = new Date(dateTime.trim());
+      return Number.isNaN(d.getTime()) ? null : d;
+    }
+    const dp = parseDatePart(dateTime);
+    // Drop the leading date token so its digits aren't read as the time
+    const tp = parseTimePart(dateTime instanceof Date ? dateTime : String(dateTime).trim().replace(/^[^\sT]+[\sT]?/, ''));
+    if (!dp || !tp) return null;
+    return wallTimeToDate(dp.y, dp.mo, dp.d, tp.h, tp.mi, tp.s, tzOffset);
+  }
+  const dp = parseDatePart(date);
+  const tp = parseTimePart(time);
+  if (!dp || !tp) return null;
+  return wallTimeToDate(dp.y, dp.mo, dp.d, tp.h, tp.mi, tp.s, tzOffset);
+}
+
+function pick(row, mapping, field) {
+  const idx = mapping[field];
+  if (idx === undefined || idx === null || idx === '') return undefined;
+  return row[Number(idx)];
+}
+
+function toTrimmed(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+/**
+ * Turn raw spreadsheet rows into AttendanceEvent-shaped rows.
+ *
+ * @param {any[][]} rows
+ * @param {Record<string, number>} mapping
+ * @param {object} options
+ * @param {string} options.deviceIp - Device the export came from
+ * @param {string} [options.tzOffset='+05:00']
+ * @param {number[]} [options.rowNumbers] - Sheet row of each entry (from parseSpreadsheet); default: header on row 1
+ * @returns {Array<{ rowNumber: number, name: string, event: object|null, problems: string[] }>}
+ */
+export function buildImportRows(rows, mapping, { deviceIp, tzOffset = '+05:00', rowNumbers = [] }) {
+  return rows.map((row, i) => {
+    const problems = [];
+    const empCode = toTrimmed(pick(row, mapping, 'empCode'));
+    if (!empCode) problems.push('Missing employee ID');
+
+    const eventTime = parseImportTime(
+      {
+        dateTime: pick(row, mapping, 'dateTime'),
+        date: pick(row, mapping, 'date'),
+        time: pick(row, mapping, 'time'),
+      },
+      tzOffset
+    );
+    if (!eventTime) problems.push('Unreadable date/time');
+
+    const minorRaw = toTrimmed(pick(row, mapping, 'minor'));
+    const minor = minorRaw && Number.isFinite(Number(minorRaw)) ? Number(minorRaw) : DEFAULT_IMPORT_MINOR;
+    const serialRaw = toTrimmed(pick(row, mapping, 'serialNo'));
+    const serialNo = serialRaw && Number.isFinite(Number(serialRaw)) ? Number(serialRaw) : undefined;
+
+    const event = problems.length
+      ? null
+      : {
+          deviceIp,
+          eventTime,
+          empCode,
+          ...(toTrimmed(pick(row, mapping, 'cardNo')) ? { cardNo: toTrimmed(pick(row, mapping, 'cardNo')) } : {}),
+          ...(serialNo !== undefined ? { serialNo } : {}),
+          ...(toTrimmed(pick(row, mapping, 'verifyMode')) ? { verifyMode: toTrimmed(pick(row, mapping, 'verifyMode')) } : {}),
+          ...(toTrimmed(pick(row, mapping, 'attendanceStatus'))
+            ? { attendanceStatus: toTrimmed(pick(row, mapping, 'attendanceStatus')) }
+            : {}),
+          major: DEFAULT_IMPORT_MAJOR,
+          minor,
+        };
+
+    return {
+      rowNumber: rowNumbers[i] ?? i + 2,
+      name: toTrimmed(pick(row, mapping, 'name')),
+      event,
+      problems,
+    };
+  });
+}
+
+function secondKey(empCode, eventTime) {
+  return `${empCode}|${Math.floor(eventTime.getTime() / 1000)}`;
+}
+
+/**
+ * Flag rows for unknown employees and duplicates.
+ * A duplicate is the same employee punching in the same second — either earlier in
+ * the file or already stored in AttendanceEvent (from any device).
+ *
+ * @param {Array} importRows - Output of buildImportRows (mutated: adds `flags`)
+ * @param {object} params
+ * @param {Set<string>} params.knownEmpCodes
+ * @param {object} params.AttendanceEvent - Mongoose model
+ * @returns {Promise<Array>}
+ */
+export async function flagImportRows(importRows, { knownEmpCodes, AttendanceEvent }) {
+  const valid = importRows.filter((r) => r.event);
+  const existing = new Set();
+
+  if (valid.length > 0) {
+    let min = valid[0].event.eventTime;
+    let max = min;
+    const empCodes = new Set();
+    for (const r of valid) {
+      if (r.event.eventTime < min) min = r.event.eventTime;
+      if (r.event.eventTime > max) max = r.event.eventTime;
+      empCodes.add(r.event.empCode);
+    }
+    const stored = await AttendanceEvent.find({
+      empCode: { $in: [...empCodes] },
+      eventTime: { $gte: new Date(min.getTime() - 1000), $lte: new Date(max.getTime() + 1000) },
+    })
+      .select('empCode eventTime')
+      .lean()
+      .maxTimeMS(5000);
+    for (const ev of stored) {
+      existing.add(secondKey(String(ev.empCode).trim(), new Date(ev.eventTime)));
+    }
+  }
+
+  const seen = new Set();
+  for (const r of importRows) {
+    r.flags = [];
+    if (!r.event) {
+      r.flags.push('invalid');
+      continue;
+    }
+    const key = secondKey(r.event.empCode, r.event.eventTime);
+    if (!knownEmpCodes.has(r.event.empCode)) r.flags.push('unknownEmp');
+    if (existing.has(key)) r.flags.push('duplicateExisting');
+    else if (seen.has(key)) r.flags.push('duplicateInFile');
+    seen.add(key);
+  }
+  return importRows;
+}
+
+/**
+ * Count rows per flag for the preview summary.
+ * @param {Array} flaggedRows
+ */
+export function summarizeImportRows(flaggedRows) {
+  const summary = { total: flaggedRows.length, ready: 0, invalid: 0, unknownEmp: 0, duplicateExisting: 0, duplicateInFile: 0 };
+  for (const r of flaggedRows) {
+    if (r.flags.length === 0) summary.ready += 1;
+    for (const f of r.flags) summary[f] += 1;
+  }
+  return summary;
+}
+
+/**
+ * Business date (YYYY-MM-DD) a punch belongs to: the 09:00 → 08:00 window means
+ * early-morning punches count toward the previous day.
+ * @param {Date} eventTime
+ * @param {string} tzOffset
+ */
+export function getBusinessDateYmd(eventTime, tzOffset = '+05:00') {
+  const local = new Date(eventTime.getTime() + parseOffsetToMinutes(tzOffset) * 60 * 1000);
+  if (local.getUTCHours() < 9) local.setUTCDate(local.getUTCDate() - 1);
+  return local.toISOString().slice(0, 10);
+}
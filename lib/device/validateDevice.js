@@ -0,0 +1,72 @@
+// next-app/lib/device/validateDevice.js
+import { isIP } from 'net';
+import { ValidationError } from '../errors/errorHandler';
+
+const OFFSET_RE = /^[+-](0\d|1[0-4]):([0-5]\d)$/;
+
+/** True for an IPv4 or IPv6 address as stored in Device.ip / AttendanceEvent.deviceIp. */
+export function isDeviceIp(value) {
+  return isIP(String(value || '').trim()) !== 0;
+}
+
+/**
+ * Validate and normalize a device create/update payload.
+ * Only fields present in the body are returned, so the result can be used as $set.
+ * @param {object} body
+ * @param {{ requireAll?: boolean }} [options] - requireAll: name + ip must be present (create)
+ * @returns {object}
+ */
+export function validateDeviceInput(body, { requireAll = false } = {}) {
+  const out = {};
+  const src = body || {};
+
+  if (src.name !== undefined || requireAll) {
+    const name = String(src.name || '').trim();
+    if (!name) throw new ValidationError('name is required');
+    out.name = name;
+  }
+  if (src.ip !== undefined || requireAll) {
+    const ip = String(src.ip || '').trim();
+    if (!isDeviceIp(ip)) throw new ValidationError('ip must be a valid IP address');
+    out.ip = ip;
+  }
+  if (src.serialNumber !== undefined) out.serialNumber = String(src.serialNumber || '').trim();
+  if (src.location !== undefined) out.location = String(src.location || '').trim();
+  if (src.notes !== undefined) out.notes = String(src.notes || '').trim();
+  if (src.timezone !== undefined) {
+    const tz = String(src.timezone || '').trim();
+    if (tz && !OFFSET_RE.test(tz)) throw new ValidationError('timezone must look like "+05:00" or be empty');
+    out.timezone = tz;
+  }
+  if (src.silentAfterMinutes !== undefined) {
+    const n = Number(src.silentAfterMinutes);
+    if (!Number.isInteger(n) || n < 5 || n > 24 * 60) {
+      throw new ValidationError('silentAfterMinutes must be a whole number between 5 and 1440');
+    }
+    out.silentAfterMinutes = n;
+  }
+  if (src.punchDebounceSeconds !== undefined) {
+    if (src.punchDebounceSeconds === null || src.punchDebounceSeconds === '') {
+      out.punchDebounceSeconds = null;
+    } else {
+      const n = Number(src.punchDebounceSeconds);
+      if (!Number.isInteger(n) || n < 0 || n > 600) {
+        throw new ValidationError('punchDebounceSeconds must be a whole number between 0 and 600, or empty');
+      }
+      out.punchDebounceSeconds = n;
+    }
+  }
+  if (src.isActive !== undefined) out.isActive = !!src.isActive;
+  if (src.pullEnabled !== undefined) out.pullEnabled = !!src.pullEnabled;
+  if (src.useHttps !== undefined) out.useHttps = !!src.useHttps;
+  if (src.isapiUsername !== undefined) out.isapiUsername = String(src.isapiUsername || '').trim();
+  if (src.port !== undefined) {
+    const port = Number(src.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new ValidationError('port must be a whole number between 1 and 65535');
+    }
+    out.port = port;
+  }
+
+  return out;
+}
@@ -0,0 +1,388 @@
+// lib/leave/accrual.js
+// Leave accrual engine: what an employee has been credited, has taken and has left of a leave
+// type in each accrual period of a year, from the leave type rules in LeavePolicy.
+//
+// Rules per leave type (LeavePolicy.leaveTypes):
+// - accrual: monthly (credited on the 1st of each month), quarterly (1st of each quarter) or
+//   annual (the whole year on 1 January)
+// - daysPerYear: spread evenly over the periods, rounded to half days
+// - probationMonths: nothing is credited before joinDate + probationMonths
+// - proRata: the period the employee becomes eligible in is credited only for the months left
+//   in it (a month counts when eligibility starts on or before the 15th); without it that period
+//   is credited in full
+// - carryWithinYear: none (unused days lapse when the period ends), halfYear (carry within
+//   Jan–Jun and Jul–Dec, the old Q1→Q2 / Q3→Q4 rule) or year (carry until December)
+// - carryToNextYear: up to this many days unused in December open the next year. Days carried
+//   in are not carried again.
+//
+// Credits come from the policy version in force on the first day of each period; the period
+// layout and carry rules from the version in force on 1 January. Taken days are counted from
+// LeaveRecord, so there are no counters to keep in sync.
+import { connectDB } from '../db';
+import Employee from '../../models/Employee';
+import LeaveRecord from '../../models/LeaveRecord';
+import { ACCRUAL_MODES, CARRY_WITHIN_YEAR } from '../../models/LeavePolicy';
+import { getLeavePolicyVersions } from './getLeavePolicy';
+import { getQuarterLabel, getQuarterRange } from './quarterUtils';
+import { pickVersionForDate } from '../settings/policyVersions';
+import { ValidationError } from '../errors/errorHandler';
+
+const PERIOD_MONTHS = { monthly: 1, quarterly: 3, annual: 12 };
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const LEAVE_TYPE_REGEX = /^[a-z0-9_-]{1,32}$/;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const roundHalf = (n) => Math.round((Number(n) || 0) * 2) / 2;
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/** LeaveRecord types that count against a rule: 'paid' also covers legacy casual/annual records. */
+export function recordTypesFor(leaveType) {
+  return leaveType === 'paid' ? ['paid', 'casual', 'annual'] : [leaveType];
+}
+
+/**
+ * Validate leave type rules sent from the Leave Policy page.
+ * @param {unknown} input
+ * @returns {Array<object>}
+ */
+export function normalizeLeaveTypeRules(input) {
+  if (!Array.isArray(input)) throw new ValidationError('leaveTypes must be a list');
+  const seen = new Set();
+  return input.map((raw) => {
+    const leaveType = String(raw?.leaveType || '').trim().toLowerCase();
+    if (!LEAVE_TYPE_REGEX.test(leaveType)) {
+      throw new ValidationError('Each leave type needs a key of letters, digits, _ or - (e.g. paid)');
+    }
+    if (seen.has(leaveType)) throw new ValidationError(`Leave type ${leaveType} is listed twice`);
+    seen.add(leaveType);
+
+    const accrual = raw?.accrual || 'quarterly';
+    if (!ACCRUAL_MODES.includes(accrual)) {
+      throw new ValidationError(`accrual must be one of: ${ACCRUAL_MODES.join(', ')}`);
+    }
+    const carryWithinYear = raw?.carryWithinYear || 'none';
+    if (!CARRY_WITHIN_YEAR.includes(carryWithinYear)) {
+      throw new ValidationError(`carryWithinYear must be one of: ${CARRY_WITHIN_YEAR.join(', ')}`);
+    }
+    const daysPerYear = Number(raw?.daysPerYear);
+    if (!Number.isFinite(daysPerYear) || daysPerYear < 0 || daysPerYear > 366) {
+      throw new ValidationError(`Days per year of ${leaveType} must be between 0 and 366`);
+    }
+    const probationMonths = parseInt(String(raw?.probationMonths ?? 0), 10) || 0;
+    if (probationMonths < 0 || probationMonths > 24) {
+      throw new ValidationError(`Probation of ${leaveType} must be between 0 and 24 months`);
+    }
+    const carryToNextYear = Math.max(0, Math.min(366, Number(raw?.carryToNextYear) || 0));
+
+    return {
+      leaveType,
+      label: String(raw?.label || '').trim(),
+      accrual,
+      daysPerYear: roundHalf(daysPerYear),
+      proRata: raw?.proRata === true || raw?.proRata === 'true',
+      probationMonths,
+      carryWithinYear,
+      carryToNextYear: roundHalf(carryToNextYear),
+    };
+  });
+}
+
+/**
+ * Rule for a leave type in a policy version (getLeavePolicy), or null when the type does not accrue.
+ * @param {object} policy
+ * @param {string} leaveType
+ */
+export function findLeaveTypeRule(policy, leaveType) {
+  return (policy?.leaveTypes || []).find((rule) => rule.leaveType === leaveType) || null;
+}
+
+/**
+ * Balance a catalog status with requiresBalance draws from: its own leave type when the policy
+ * has a rule for it, otherwise paid leave.
+ * @param {object|null} statusDef - getStatusDefinition()
+ * @param {object} policy - getLeavePolicy()
+ * @returns {string}
+ */
+export function balanceLeaveTypeFor(statusDef, policy) {
+  const leaveType = statusDef?.leaveType;
+  return leaveType && findLeaveTypeRule(policy, leaveType) ? leaveType : 'paid';
+}
+
+/**
+ * Accrual periods of a year.
+ * @param {number} year
+ * @param {'monthly'|'quarterly'|'annual'} accrual
+ * @returns {Array<{ index: number, label: string, startDate: string, endDate: string, startMonth: number, endMonth: number }>}
+ */
+export function getAccrualPeriods(year, accrual) {
+  const size = PERIOD_MONTHS[accrual] || PERIOD_MONTHS.quarterly;
+  const periods = [];
+  for (let startMonth = 1; startMonth <= 12; startMonth += size) {
+    const endMonth = startMonth + size - 1;
+    let label = String(year);
+    if (size === 1) label = `${MONTH_LABELS[startMonth - 1]} ${year}`;
+    if (size === 3) label = getQuarterLabel(year, Math.ceil(startMonth / 3));
+    periods.push({
+      index: periods.length,
+      label,
+      startDate: `${year}-${pad2(startMonth)}-01`,
+      endDate: `${year}-${pad2(endMonth)}-${pad2(lastDayOfMonth(year, endMonth))}`,
+      startMonth,
+      endMonth,
+    });
+  }
+  return periods;
+}
+
+/**
+ * First day the employee accrues leave: joinDate plus the probation months (null = always).
+ * @param {string|null} joinDate - YYYY-MM-DD
+ * @param {number} [probationMonths]
+ * @returns {string|null}
+ */
+export function getEligibleFrom(joinDate, probationMonths = 0) {
+  if (!DATE_REGEX.test(String(joinDate || ''))) return null;
+  const [y, m, d] = joinDate.split('-').map(Number);
+  const total = y * 12 + (m - 1) + (Number(probationMonths) || 0);
+  const year = Math.floor(total / 12);
+  const month = (total % 12) + 1;
+  return `${year}-${pad2(month)}-${pad2(Math.min(d, lastDayOfMonth(year, month)))}`;
+}
+
+/** Months of `period` to credit for an employee eligible from `eligibleFrom`. */
+function creditedMonths(period, eligibleFrom, proRata) {
+  const months = period.endMonth - period.startMonth + 1;
+  if (!eligibleFrom || eligibleFrom <= period.startDate) return months;
+  if (eligibleFrom > period.endDate) return 0;
+  if (!proRata) return months;
+  const [, m, d] = eligibleFrom.split('-').map(Number);
+  return period.endMonth - m + (d <= 15 ? 1 : 0);
+}
+
+function carryGroup(period, carryWithinYear) {
+  if (carryWithinYear === 'year') return 0;
+  if (carryWithinYear === 'halfYear') return period.startMonth <= 6 ? 0 : 1;
+  return period.index;
+}
+
+/**
+ * Balance of one leave type for one employee and year. Pure: callers load the rules and dates.
+ * @param {object} input
+ * @param {number} input.year
+ * @param {object} input.rule - Rule in force on 1 January (period layout and carry)
+ * @param {(period: object) => object|null} [input.ruleForPeriod] - Rule in force on a period's first day
+ * @param {string|null} [input.eligibleFrom] - getEligibleFrom()
+ * @param {string[]} [input.takenDates] - YYYY-MM-DD of this year's leaves of the type
+ * @param {number} [input.openingCarry] - Days carried in from last year
+ */
+export function computeLeaveYear({ year, rule, ruleForPeriod, eligibleFrom = null, takenDates = [], openingCarry = 0 }) {
+  const periods = getAccrualPeriods(year, rule.accrual);
+  const dates = [...takenDates].sort();
+
+  let credited = 0;
+  let previous = null;
+  const rows = periods.map((period) => {
+    const periodRule = (ruleForPeriod && ruleForPeriod(period)) || rule;
+    // Rounding the running total keeps e.g. 20 days a year at 20 under monthly accrual
+    const raw = ((Number(periodRule.daysPerYear) || 0) * creditedMonths(period, eligibleFrom, rule.proRata)) / 12;
+    const granted = roundHalf(credited + raw) - roundHalf(credited);
+    credited += raw;
+
+    const group = carryGroup(period, rule.carryWithinYear);
+    let carriedIn = previous && previous.group === group ? previous.remaining : 0;
+    if (period.index === 0) carriedIn += openingCarry;
+
+    const periodDates = dates.filter((d) => d >= period.startDate && d <= period.endDate);
+    const available = granted + carriedIn;
+    const row = {
+      ...period,
+      group,
+      granted,
+      carriedIn,
+      available,
+      taken: periodDates.length,
+      remaining: Math.max(0, available - periodDates.length),
+      dates: periodDates,
+    };
+    previous = row;
+    return row;
+  });
+
+  const last = rows[rows.length - 1];
+  const carryCap = Math.max(0, Number(rule.carryToNextYear) || 0);
+  return {
+    year,
+    leaveType: rule.leaveType,
+    label: rule.label || rule.leaveType,
+    accrual: rule.accrual,
+    eligibleFrom,
+    openingCarry,
+    granted: rows.reduce((sum, row) => sum + row.granted, 0),
+    taken: dates.length,
+    // Unused days left at year end, less what came in from last year (that cannot carry again)
+    carryOut: Math.min(carryCap, Math.max(0, last.remaining - openingCarry)),
+    periods: rows,
+  };
+}
+
+/** A rule's days per year split evenly over quarters, for screens that show a quarterly allowance. */
+export function quarterlyShare(rule) {
+  return roundHalf((Number(rule?.daysPerYear) || 0) / 4);
+}
+
+/** The ledger period that contains `date`. */
+export function findPeriod(ledger, date) {
+  return ledger.periods.find((p) => date >= p.startDate && date <= p.endDate) || null;
+}
+
+/**
+ * Quarter view of a ledger (q1..q4: allocated, taken, remaining, dates) for the screens that
+ * show balances by quarter. Under annual accrual a quarter opens with what the last one left.
+ */
+export function summarizeByQuarter(ledger) {
+  const quarters = {};
+  let previousRemaining = 0;
+  for (let q = 1; q <= 4; q += 1) {
+    const { startDate, endDate } = getQuarterRange(ledger.year, q);
+    const dates = ledger.periods.flatMap((p) => p.dates).filter((d) => d >= startDate && d <= endDate);
+
+    // Balance on the last day of the quarter, within the period that contains it
+    const endPeriod = findPeriod(ledger, endDate);
+    const takenInPeriod = endPeriod.dates.filter((d) => d <= endDate).length;
+    const remaining = Math.max(0, endPeriod.available - takenInPeriod);
+
+    const starting = ledger.periods.filter((p) => p.startDate >= startDate && p.startDate <= endDate);
+    const allocated = starting.length
+      ? starting[0].carriedIn + starting.reduce((sum, p) => sum + p.granted, 0)
+      : previousRemaining;
+
+    quarters[`q${q}`] = { allocated, taken: dates.length, remaining, dates };
+    previousRemaining = remaining;
+  }
+  return quarters;
+}
+
+async function loadTakenDates(empCodes, leaveType, fromDate, toDate, session) {
+  const query = LeaveRecord.find({
+    empCode: { $in: empCodes },
+    date: { $gte: fromDate, $lte: toDate },
+    leaveType: { $in: recordTypesFor(leaveType) },
+  })
+    .select('empCode date')
+    .lean()
+    .maxTimeMS(3000);
+  if (session) query.session(session);
+  const byEmp = new Map();
+  for (const record of await query) {
+    const date = String(record.date || '').slice(0, 10);
+    if (!byEmp.has(record.empCode)) byEmp.set(record.empCode, []);
+    byEmp.get(record.empCode).push(date);
+  }
+  return byEmp;
+}
+
+/**
+ * Ledgers of one leave type for a year (computeLeaveYear), with last year's carry applied.
+ * @param {{ year: number, leaveType?: string, employees: Array<{ empCode: string, joinDate?: string|null }>, session?: import('mongoose').ClientSession }} input
+ * @returns {Promise<{ rule: object|null, ledgers: Map<string, object> }>} rule is null when the type does not accrue
+ */
+export async function getLeaveLedgers({ year, leaveType = 'paid', employees, session = null }) {
+  const versions = await getLeavePolicyVersions();
+  const ruleOn = (date) => findLeaveTypeRule(pickVersionForDate(versions, date), leaveType);
+  const rule = ruleOn(`${year}-01-01`);
+  const ledgers = new Map();
+  if (!rule || !employees.length) return { rule, ledgers };
+
+  const previousRule = rule.carryToNextYear > 0 ? ruleOn(`${year - 1}-01-01`) : null;
+  const taken = await loadTakenDates(
+    employees.map((e) => e.empCode),
+    leaveType,
+    previousRule ? `${year - 1}-01-01` : `${year}-01-01`,
+    `${year}-12-31`,
+    session
+  );
+
+  for (const emp of employees) {
+    const dates = taken.get(emp.empCode) || [];
+    let openingCarry = 0;
+    if (previousRule) {
+      // Last year on its own (no carry-in), so carried days never carry twice
+      const lastYear = computeLeaveYear({
+        year: year - 1,
+        rule: previousRule,
+        ruleForPeriod: (p) => ruleOn(p.startDate),
+        eligibleFrom: getEligibleFrom(emp.joinDate, previousRule.probationMonths),
+        takenDates: dates.filter((d) => d < `${year}-01-01`),
+      });
+      openingCarry = Math.min(lastYear.carryOut, rule.carryToNextYear);
+    }
+    ledgers.set(
+      emp.empCode,
+      computeLeaveYear({
+        year,
+        rule,
+        ruleForPeriod: (p) => ruleOn(p.startDate),
+        eligibleFrom: getEligibleFrom(emp.joinDate, rule.probationMonths),
+        takenDates: dates.filter((d) => d >= `${year}-01-01`),
+        openingCarry,
+      })
+    );
+  }
+  return { rule, ledgers };
+}
+
+/**
+ * Balance of one employee's leave type on a date.
+ * @param {{ empCode: string, leaveType?: string, date: string, session?: import('mongoose').ClientSession }} input
+ * @returns {Promise<{ rule: object|null, ledger: object|null, period: object|null }>}
+ */
+export async function getLeaveBalance({ empCode, leaveType = 'paid', date, session = null }) {
+  await connectDB();
+  const employee = await Employee.findOne({ empCode }).select('empCode joinDate').lean().maxTimeMS(2000);
+  const { rule, ledgers } = await getLeaveLedgers({
+    year: Number(date.slice(0, 4)),
+    leaveType,
+    employees: [employee || { empCode }],
+    session,
+  });
+  const ledger = ledgers.get(empCode) || null;
+  return { rule, ledger, period: ledger ? findPeriod(ledger, date) : null };
+}
+
+/**
+ * Throw a ValidationError when one more day of the leave type on `date` is not available
+ * (before eligibility, the period's balance is used up, or a later period of the year that
+ * the day's period carries into would be overdrawn). Types without a rule are not limited.
+ * Call before creating the LeaveRecord for `date`.
+ * @param {{ empCode: string, leaveType?: string, date: string, session?: import('mongoose').ClientSession }} input
+ * @returns {Promise<{ rule: object|null, ledger: object|null, period: object|null }>}
+ */
+export async function assertLeaveAvailable({ empCode, leaveType = 'paid', date, session = null }) {
+  const balance = await getLeaveBalance({ empCode, leaveType, date, session });
+  const { rule, ledger, period } = balance;
+  if (!rule) return balance;
+  const label = ledger.label;
+  if (ledger.eligibleFrom && date < ledger.eligibleFrom) {
+    throw new ValidationError(
+      `This employee is not eligible for ${label} until ${ledger.eligibleFrom} (joining date plus ${rule.probationMonths} month(s) probation).`
+    );
+  }
+  if (period.remaining < 1) {
+    throw new ValidationError(
+      `This employee has used ${period.taken} of ${period.available} ${label} day(s) for ${period.label}. Per company policy, no additional ${label} can be granted for this period.`
+    );
+  }
+  // The day also lowers the carry into the later periods it flows into; each must still cover its own leave
+  for (const later of ledger.periods.filter((p) => p.index > period.index && p.group === period.group)) {
+    if (later.available - later.taken < 1) {
+      throw new ValidationError(
+        `A ${label} day on ${date} would leave ${later.label} short: ${later.taken} of ${later.available} ${label} day(s) there are already used, partly from the days carried in.`
+      );
+    }
+  }
+  return balance;
+}
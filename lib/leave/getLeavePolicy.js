@@ -1,31 +1,70 @@
 // lib/leave/getLeavePolicy.js
-// Returns current leave policy from DB (used by leave APIs)
+// Returns the leave policy version in force on a date (used by leave APIs and the accrual engine)
 import { connectDB } from '../db';
 import LeavePolicy from '../../models/LeavePolicy';
+import { pickVersionForDate, sortVersions } from '../settings/policyVersions';
 
-const DEFAULT_POLICY = {
+export const DEFAULT_POLICY = {
   leavesPerQuarter: 6,
   allowCarryForward: false,
   carryForwardMax: 0,
 };
 
 /**
- * Get current leave policy. Creates default document if none exists.
- * @returns {Promise<{ leavesPerQuarter: number, allowCarryForward: boolean, carryForwardMax: number }>}
+ * Paid leave rule of a version saved before per-type rules: quarterly allowance with the
+ * Q1→Q2 / Q3→Q4 carry, and carry-forward settings applied to the year end.
  */
-export async function getLeavePolicy() {
-  await connectDB();
-  let doc = await LeavePolicy.findOne({ configId: 'default' }).lean().maxTimeMS(2000);
-  if (!doc) {
-    doc = await LeavePolicy.create({
-      configId: 'default',
-      ...DEFAULT_POLICY,
-    });
-    doc = doc.toObject ? doc.toObject() : doc;
-  }
+function legacyPaidRule(doc) {
+  const leavesPerQuarter = doc.leavesPerQuarter ?? DEFAULT_POLICY.leavesPerQuarter;
   return {
+    leaveType: 'paid',
+    label: 'Paid Leave',
+    accrual: 'quarterly',
+    daysPerYear: leavesPerQuarter * 4,
+    proRata: false,
+    probationMonths: 0,
+    carryWithinYear: 'halfYear',
+    carryToNextYear: doc.allowCarryForward ? doc.carryForwardMax ?? 0 : 0,
+  };
+}
+
+function normalize(doc) {
+  const leaveTypes = doc.leaveTypes?.length ? doc.leaveTypes : [legacyPaidRule(doc)];
+  return {
+    effectiveFrom: doc.effectiveFrom ?? null,
+    leaveTypes: leaveTypes.map((rule) => ({ ...rule, label: rule.label || rule.leaveType })),
     leavesPerQuarter: doc.leavesPerQuarter ?? DEFAULT_POLICY.leavesPerQuarter,
     allowCarryForward: doc.allowCarryForward ?? DEFAULT_POLICY.allowCarryForward,
     carryForwardMax: doc.carryForwardMax ?? DEFAULT_POLICY.carryForwardMax,
+    updatedBy: doc.updatedBy ?? null,
+    updatedAt: doc.updatedAt ?? null,
   };
 }
+
+/**
+ * Every leave policy version, oldest first. Creates the default document if none exists.
+ * @returns {Promise<Array<{ effectiveFrom: string|null, leaveTypes: object[], leavesPerQuarter: number, allowCarryForward: boolean, carryForwardMax: number }>>}
+ */
+export async function getLeavePolicyVersions() {
+  await connectDB();
+  let docs = await LeavePolicy.find({ configId: 'default' }).lean().maxTimeMS(2000);
+  if (!docs.length) {
+    const created = await LeavePolicy.create({
+      configId: 'default',
+      effectiveFrom: null,
+      ...DEFAULT_POLICY,
+    });
+    docs = [created.toObject ? created.toObject() : created];
+  }
+  return sortVersions(docs.map(normalize));
+}
+
+/**
+ * Get the leave policy in force on `date` (default: company today). Accrual uses the version
+ * in force on the first day of each period (lib/leave/accrual.js).
+ * @param {{ date?: string }} [options]
+ * @returns {Promise<{ leaveTypes: object[], leavesPerQuarter: number, allowCarryForward: boolean, carryForwardMax: number }>}
+ */
+export async function getLeavePolicy({ date } = {}) {
+  return pickVersionForDate(await getLeavePolicyVersions(), date);
+}
@@ -1,15 +1,9 @@
 /**
- * Quarter-based paid leave policy:
- * - 4 quarters per year (Q1: Jan–Mar, Q2: Apr–Jun, Q3: Jul–Sep, Q4: Oct–Dec)
- * - 6 paid leaves per quarter (no casual/annual split)
- * - Carry-forward is restricted to:
- *   - Q1 remaining -> Q2
- *   - Q3 remaining -> Q4
- * - No carry-forward to next year
+ * Calendar quarter helpers (Q1: Jan–Mar, Q2: Apr–Jun, Q3: Jul–Sep, Q4: Oct–Dec) for labels and
+ * the quarter view of leave balances. How much leave is credited and carried is decided by the
+ * leave type rules in LeavePolicy (lib/leave/accrual.js).
  */
 
-export const LEAVES_PER_QUARTER = 6;
-
 /**
  * Get quarter (1–4) and year from date string YYYY-MM-DD
  * @param {string} dateStr - YYYY-MM-DD
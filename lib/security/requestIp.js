@@ -0,0 +1,19 @@
+// next-app/lib/security/requestIp.js
+/**
+ * Client IP as seen behind our reverse proxies. Each proxy appends the address it received
+ * the request from, so with TRUSTED_PROXY_COUNT proxies (default 1) the client is that many
+ * hops from the right of x-forwarded-for; hops further left are set by the client and
+ * cannot be trusted.
+ * @param {Request} req
+ * @returns {string}
+ */
+export function getRequestIp(req) {
+  const hops = (req.headers.get('x-forwarded-for') || '')
+    .split(',')
+    .map((h) => h.trim())
+    .filter(Boolean);
+  const trusted = Math.max(1, Number.parseInt(process.env.TRUSTED_PROXY_COUNT, 10) || 1);
+  const raw = (hops.length ? hops[Math.max(0, hops.length - trusted)] : '') || req.headers.get('x-real-ip') || '';
+  // IPv4-mapped IPv6 ("::ffff:10.0.0.5") → plain IPv4
+  return raw.replace(/^::ffff:/i, '');
+}
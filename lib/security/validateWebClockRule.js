@@ -0,0 +1,66 @@
+// next-app/lib/security/validateWebClockRule.js
+import { ValidationError } from '../errors/errorHandler';
+import { WEB_CLOCK_RULE_SCOPES } from '../../models/WebClockRule';
+import { parseCidr } from './webClockRestrictions';
+
+/**
+ * Validate and normalize a web clock rule create/update payload.
+ * Only fields present in the body are returned, so the result can be used as $set.
+ * @param {object} body
+ * @param {{ requireAll?: boolean }} [options] - requireAll: scope + target must be present (create)
+ * @returns {object}
+ */
+export function validateWebClockRuleInput(body, { requireAll = false } = {}) {
+  const out = {};
+  const src = body || {};
+
+  if (src.scope !== undefined || requireAll) {
+    if (!WEB_CLOCK_RULE_SCOPES.includes(src.scope)) {
+      throw new ValidationError(`scope must be one of: ${WEB_CLOCK_RULE_SCOPES.join(', ')}`);
+    }
+    out.scope = src.scope;
+  }
+  if (src.target !== undefined || requireAll) {
+    const target = String(src.target || '').trim();
+    if (!target) throw new ValidationError('target (employee code or department) is required');
+    out.target = target;
+  }
+  if (src.allowedCidrs !== undefined) {
+    const list = Array.isArray(src.allowedCidrs)
+      ? src.allowedCidrs
+      : String(src.allowedCidrs || '').split(/[\s,]+/);
+    const cidrs = [];
+    for (const raw of list) {
+      const value = String(raw || '').trim();
+      if (!value) continue;
+      if (!parseCidr(value)) throw new ValidationError(`"${value}" is not a valid IP range (e.g. 203.0.113.0/24)`);
+      if (!cidrs.includes(value)) cidrs.push(value);
+    }
+    out.allowedCidrs = cidrs;
+  }
+  if (src.geofences !== undefined) {
+    if (!Array.isArray(src.geofences)) throw new ValidationError('geofences must be an array');
+    out.geofences = src.geofences.map((g, i) => {
+      const latitude = Number(g?.latitude);
+      const longitude = Number(g?.longitude);
+      const radiusMeters = Number(g?.radiusMeters);
+      if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+        throw new ValidationError(`Geofence ${i + 1}: latitude must be between -90 and 90`);
+      }
+      if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+        throw new ValidationError(`Geofence ${i + 1}: longitude must be between -180 and 180`);
+      }
+      if (!Number.isFinite(radiusMeters) || radiusMeters < 10 || radiusMeters > 50000) {
+        throw new ValidationError(`Geofence ${i + 1}: radius must be between 10 and 50000 metres`);
+      }
+      return { name: String(g?.name || '').trim(), latitude, longitude, radiusMeters: Math.round(radiusMeters) };
+    });
+  }
+  if (src.allowEquipmentIp !== undefined) out.allowEquipmentIp = !!src.allowEquipmentIp;
+  if (src.exemptWorkFromHome !== undefined) out.exemptWorkFromHome = !!src.exemptWorkFromHome;
+  if (src.requireSelfie !== undefined) out.requireSelfie = !!src.requireSelfie;
+  if (src.isActive !== undefined) out.isActive = !!src.isActive;
+  if (src.notes !== undefined) out.notes = String(src.notes || '').trim();
+
+  return out;
+}
@@ -0,0 +1,251 @@
+// next-app/lib/security/webClockRestrictions.js
+/**
+ * Network / location restrictions for the employee web clock.
+ *
+ * A WebClockRule for the employee (or, failing that, their department) limits where
+ * POST /api/employee/web-clock is accepted from:
+ *  - IP: client IP must be inside one of allowedCidrs, or equal EmployeeItEquipment.ip
+ *    when allowEquipmentIp is on.
+ *  - Location: browser coordinates must fall inside one of the geofences.
+ *  - Selfie: with requireSelfie, the punch must carry a photo uploaded through /api/upload.
+ *    Any photo sent must be the employee's own, recent and not used on another punch.
+ * When several are configured, all must pass. No active rule = allowed anywhere.
+ */
+
+import WebClockRule from '../../models/WebClockRule';
+import EmployeeItEquipment from '../../models/EmployeeItEquipment';
+import SecurityAuditLog from '../../models/SecurityAuditLog';
+import WebClockPhoto from '../../models/WebClockPhoto';
+
+export { getRequestIp } from './requestIp';
+
+const EARTH_RADIUS_M = 6371000;
+/** Only files written by /api/upload with purpose "webClock" are accepted as selfies */
+const WEB_CLOCK_PHOTO_RE = /^\/uploads\/web-clock\/[0-9a-f-]{36}\.(jpg|png|webp)$/;
+/** A selfie must be taken right before the punch */
+const WEB_CLOCK_PHOTO_MAX_AGE_MS = 5 * 60 * 1000;
+
+function ipv4ToInt(ip) {
+  const parts = String(ip).split('.');
+  if (parts.length !== 4) return null;
+  let n = 0;
+  for (const p of parts) {
+    if (!/^\d{1,3}$/.test(p) || Number(p) > 255) return null;
+    n = n * 256 + Number(p);
+  }
+  return n;
+}
+
+/**
+ * Parse "a.b.c.d/nn" or a single address. IPv6 is only supported as an exact address.
+ * @param {string} value
+ * @returns {{ cidr: string, base?: number, mask?: number, exact?: string }|null}
+ */
+export function parseCidr(value) {
+  const cidr = String(value || '').trim();
+  if (!cidr) return null;
+  const [addr, bitsRaw] = cidr.split('/');
+  const base = ipv4ToInt(addr);
+  if (base == null) {
+    if (bitsRaw === undefined && addr.includes(':')) return { cidr, exact: addr.toLowerCase() };
+    return null;
+  }
+  const bits = bitsRaw === undefined ? 32 : Number(bitsRaw);
+  if (!Number.isInteger(bits) || bits < 0 || bits > 32) return null;
+  const mask = bits === 0 ? 0 : (0xffffffff << (32 - bits)) >>> 0;
+  return { cidr, base: (base & mask) >>> 0, mask };
+}
+
+/**
+ * @param {string} ip
+ * @param {string} cidr
+ * @returns {boolean}
+ */
+export function ipInCidr(ip, cidr) {
+  const parsed = parseCidr(cidr);
+  if (!parsed || !ip) return false;
+  if (parsed.exact) return String(ip).toLowerCase() === parsed.exact;
+  const n = ipv4ToInt(ip);
+  if (n == null) return false;
+  return ((n & parsed.mask) >>> 0) === parsed.base;
+}
+
+/** Great-circle distance in metres. */
+export function distanceMeters(lat1, lng1, lat2, lng2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Normalize browser coordinates from the request body.
+ * @param {any} value - { latitude, longitude, accuracy? }
+ * @returns {{ latitude: number, longitude: number, accuracy: number|null }|null}
+ */
+export function normalizeLocation(value) {
+  if (!value || typeof value !== 'object') return null;
+  const latitude = Number(value.latitude);
+  const longitude = Number(value.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  const accuracy = Number(value.accuracy);
+  return { latitude, longitude, accuracy: Number.isFinite(accuracy) ? Math.round(accuracy) : null };
+}
+
+/**
+ * Selfie URL from the request body, or null when missing / not from the upload pipeline.
+ * @param {any} value
+ * @returns {string|null}
+ */
+export function normalizePhotoUrl(value) {
+  const url = String(value || '').trim();
+  return WEB_CLOCK_PHOTO_RE.test(url) ? url : null;
+}
+
+/**
+ * Mark a selfie as used by this punch. Accepted only when the employee uploaded it, within
+ * the last few minutes, and no other punch used it; the update is atomic, so two punches
+ * cannot share one photo.
+ * @param {string} photoUrl - from normalizePhotoUrl()
+ * @param {{ empCode: string, date: string, action: 'in'|'out', now?: Date }} punch
+ * @returns {Promise<{ allowed: boolean, reason: string }>}
+ */
+export async function claimWebClockPhoto(photoUrl, { empCode, date, action, now = new Date() }) {
+  const claimed = await WebClockPhoto.findOneAndUpdate(
+    {
+      url: photoUrl,
+      empCode: String(empCode),
+      usedAt: null,
+      uploadedAt: { $gte: new Date(now.getTime() - WEB_CLOCK_PHOTO_MAX_AGE_MS) },
+    },
+    { $set: { usedAt: now, usedFor: { date, action } } },
+    { new: true }
+  )
+    .lean()
+    .maxTimeMS(2000);
+  if (claimed) return { allowed: true, reason: '' };
+
+  const photo = await WebClockPhoto.findOne({ url: photoUrl }).lean().maxTimeMS(2000);
+  let reason = 'The selfie was not uploaded through the web clock';
+  if (photo && photo.empCode !== String(empCode)) reason = 'The selfie was uploaded by another employee';
+  else if (photo?.usedAt) reason = 'The selfie was already used on another punch';
+  else if (photo) reason = 'The selfie is too old; take a new one';
+  return { allowed: false, reason };
+}
+
+/**
+ * Rule for an employee: their own rule first, else their department's.
+ * @param {{ empCode: string, department?: string }} employee
+ * @returns {Promise<object|null>}
+ */
+export async function findWebClockRule(employee) {
+  const or = [{ scope: 'employee', target: String(employee.empCode) }];
+  if (employee.department) or.push({ scope: 'department', target: employee.department });
+  const rules = await WebClockRule.find({ isActive: true, $or: or }).lean().maxTimeMS(1500);
+  return rules.find((r) => r.scope === 'employee') || rules.find((r) => r.scope === 'department') || null;
+}
+
+/**
+ * Check one web clock attempt against a rule.
+ *
+ * @param {object|null} rule - WebClockRule (lean)
+ * @param {object} attempt
+ * @param {string} attempt.ip
+ * @param {{ latitude: number, longitude: number, accuracy: number|null }|null} attempt.location
+ * @param {string|null} [attempt.photoUrl]
+ * @param {{ ip?: string, workLocation?: string }|null} [attempt.equipment]
+ * @returns {{ allowed: boolean, reason: string, matchedCidr: string|null, matchedGeofence: string|null, distanceMeters: number|null }}
+ */
+export function checkWebClockRule(rule, { ip, location, photoUrl = null, equipment = null }) {
+  const result = { allowed: true, reason: '', matchedCidr: null, matchedGeofence: null, distanceMeters: null };
+  if (!rule) return result;
+  // Checked before the work-from-home exemption: remote staff are who the selfie is for
+  if (rule.requireSelfie && !photoUrl) {
+    return { ...result, allowed: false, reason: 'A selfie is required for web clock punches' };
+  }
+  if (rule.exemptWorkFromHome && equipment?.workLocation === 'Work From Home') {
+    result.reason = 'Exempt: works from home';
+    return result;
+  }
+
+  const cidrs = [...(rule.allowedCidrs || [])];
+  if (rule.allowEquipmentIp && equipment?.ip) cidrs.push(equipment.ip);
+  if (rule.allowEquipmentIp || (rule.allowedCidrs || []).length > 0) {
+    result.matchedCidr = cidrs.find((c) => ipInCidr(ip, c)) || null;
+    if (!result.matchedCidr) {
+      return { ...result, allowed: false, reason: `IP ${ip || 'unknown'} is not in an allowed network` };
+    }
+  }
+
+  const fences = rule.geofences || [];
+  if (fences.length > 0) {
+    if (!location) {
+      return { ...result, allowed: false, reason: 'Location is required but the browser did not share it' };
+    }
+    let nearest = null;
+    for (const f of fences) {
+      const d = distanceMeters(location.latitude, location.longitude, f.latitude, f.longitude);
+      if (d <= f.radiusMeters) {
+        result.matchedGeofence = f.name || `${f.latitude},${f.longitude}`;
+        result.distanceMeters = Math.round(d);
+        break;
+      }
+      if (nearest == null || d < nearest) nearest = d;
+    }
+    if (!result.matchedGeofence) {
+      return {
+        ...result,
+        allowed: false,
+        distanceMeters: Math.round(nearest),
+        reason: `Location is ${Math.round(nearest)} m from the nearest allowed site`,
+      };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Load the rule + equipment for an employee and check the attempt.
+ * @returns {Promise<{ rule: object|null, check: ReturnType<typeof checkWebClockRule> }>}
+ */
+export async function evaluateWebClockAccess(employee, { ip, location, photoUrl = null }) {
+  const rule = await findWebClockRule(employee);
+  if (!rule) return { rule: null, check: checkWebClockRule(null, { ip, location }) };
+  const equipment =
+    rule.allowEquipmentIp || rule.exemptWorkFromHome
+      ? await EmployeeItEquipment.findOne({ empCode: String(employee.empCode) })
+          .select('ip workLocation')
+          .lean()
+          .maxTimeMS(1500)
+      : null;
+  return { rule, check: checkWebClockRule(rule, { ip, location, photoUrl, equipment }) };
+}
+
+/**
+ * Record a rejected web clock attempt. Never throws — the rejection response matters more.
+ */
+export async function logWebClockRejection({ empCode, action, ip, location, photoUrl = null, rule, reason }) {
+  try {
+    await SecurityAuditLog.create({
+      actorRole: 'EMPLOYEE',
+      actorId: String(empCode),
+      action: 'WEB_CLOCK_REJECTED',
+      target: String(empCode),
+      status: 'FAILED',
+      ip: ip || 'unknown',
+      details: {
+        clockAction: action,
+        reason,
+        location,
+        photoUrl,
+        rule: rule ? { scope: rule.scope, target: rule.target } : null,
+      },
+    });
+  } catch (err) {
+    console.error('Failed to write web clock audit log:', err);
+  }
+}
@@ -0,0 +1,47 @@
+// lib/settings/getAttendanceStatuses.js
+// Returns the leave & attendance status catalog, seeding built-in statuses that are missing.
+// Includes a short in-process cache with explicit invalidation on write.
+import { connectDB } from '../db';
+import AttendanceStatus from '../../models/AttendanceStatus';
+import {
+  DEFAULT_ATTENDANCE_STATUSES,
+  DEFAULT_STATUS_CATALOG,
+  buildStatusCatalog,
+} from '../calculations/attendanceRules';
+
+const CACHE_TTL_MS = 60 * 1000;
+let _cache = null;
+let _cacheAt = 0;
+
+/** Invalidate the in-process cache (call after any status write). */
+export function invalidateAttendanceStatusCache() {
+  _cache = null;
+  _cacheAt = 0;
+}
+
+/**
+ * Get the status catalog (cached): every AttendanceStatus, active or not, so rows that
+ * already carry a deactivated status keep evaluating the same way.
+ * @returns {Promise<ReturnType<typeof buildStatusCatalog>>}
+ */
+export async function getAttendanceStatuses({ fresh = false } = {}) {
+  if (!fresh && _cache && Date.now() - _cacheAt < CACHE_TTL_MS) {
+    return _cache;
+  }
+  try {
+    await connectDB();
+    let docs = await AttendanceStatus.find({}).lean().maxTimeMS(2000);
+    const existing = new Set(docs.map((d) => d.label));
+    const missing = DEFAULT_ATTENDANCE_STATUSES.filter((s) => !existing.has(s.label));
+    if (missing.length) {
+      await AttendanceStatus.insertMany(missing, { ordered: false }).catch(() => {});
+      docs = await AttendanceStatus.find({}).lean().maxTimeMS(2000);
+    }
+    _cache = buildStatusCatalog(docs);
+    _cacheAt = Date.now();
+    return _cache;
+  } catch {
+    // Never let the catalog lookup break a request — fall back to the built-in statuses.
+    return DEFAULT_STATUS_CATALOG;
+  }
+}
@@ -1,8 +1,10 @@
 // lib/settings/getCompanySettings.js
-// Returns the single company settings document, creating defaults if none exists.
-// Includes a short in-process cache with explicit invalidation on write.
+// Returns the company settings version in force on a date, creating defaults if none exists.
+// Versions are effective-dated (see policyVersions.js). Includes a short in-process cache
+// with explicit invalidation on write.
 import { connectDB } from '../db';
 import CompanySettings from '../../models/CompanySettings';
+import { pickVersionForDate, sortVersions } from './policyVersions';
 
 export const DEFAULT_COMPANY_SETTINGS = {
   timezoneOffset: '+05:00',
@@ -13,6 +15,7 @@ export const DEFAULT_COMPANY_SETTINGS = {
   workingDaysMode: 'legacy',
   fixedDaysPerMonth: 26,
   currency: 'PKR',
+  punchDebounceSeconds: 0,
 };
 
 const CACHE_TTL_MS = 60 * 1000;
@@ -21,6 +24,7 @@ let _cacheAt = 0;
 
 function normalize(doc) {
   return {
+    effectiveFrom: doc.effectiveFrom ?? null,
     timezoneOffset: doc.timezoneOffset ?? DEFAULT_COMPANY_SETTINGS.timezoneOffset,
     businessDayCutoff: doc.businessDayCutoff ?? DEFAULT_COMPANY_SETTINGS.businessDayCutoff,
     weeklyOffDays: Array.isArray(doc.weeklyOffDays) && doc.weeklyOffDays.length
@@ -31,6 +35,9 @@ function normalize(doc) {
     workingDaysMode: doc.workingDaysMode ?? DEFAULT_COMPANY_SETTINGS.workingDaysMode,
     fixedDaysPerMonth: doc.fixedDaysPerMonth ?? DEFAULT_COMPANY_SETTINGS.fixedDaysPerMonth,
     currency: doc.currency ?? DEFAULT_COMPANY_SETTINGS.currency,
+    punchDebounceSeconds: doc.punchDebounceSeconds ?? DEFAULT_COMPANY_SETTINGS.punchDebounceSeconds,
+    updatedBy: doc.updatedBy ?? null,
+    updatedAt: doc.updatedAt ?? null,
   };
 }
 
@@ -41,31 +48,39 @@ export function invalidateCompanySettingsCache() {
 }
 
 /**
- * Get company settings (cached). Creates the default document if none exists.
- * Always returns a fully-populated object with safe fallbacks.
+ * Every company settings version, oldest first (cached). Creates the default document if
+ * none exists. Each entry is fully populated with safe fallbacks.
  */
-export async function getCompanySettings({ fresh = false } = {}) {
+export async function getCompanySettingsVersions({ fresh = false } = {}) {
   if (!fresh && _cache && Date.now() - _cacheAt < CACHE_TTL_MS) {
     return _cache;
   }
   try {
     await connectDB();
-    let doc = await CompanySettings.findOne({ configId: 'default' }).lean().maxTimeMS(2000);
-    if (!doc) {
+    let docs = await CompanySettings.find({ configId: 'default' }).lean().maxTimeMS(2000);
+    if (!docs.length) {
       // Seed timezone from the existing env config so introducing this model
       // does not change the company's current timezone behavior.
       const seed = {
         ...DEFAULT_COMPANY_SETTINGS,
         timezoneOffset: process.env.TIMEZONE_OFFSET || DEFAULT_COMPANY_SETTINGS.timezoneOffset,
       };
-      const created = await CompanySettings.create({ configId: 'default', ...seed });
-      doc = created.toObject ? created.toObject() : created;
+      const created = await CompanySettings.create({ configId: 'default', effectiveFrom: null, ...seed });
+      docs = [created.toObject ? created.toObject() : created];
     }
-    _cache = normalize(doc);
+    _cache = sortVersions(docs.map(normalize));
     _cacheAt = Date.now();
     return _cache;
   } catch {
     // Never let settings lookup break a request — fall back to defaults.
-    return { ...DEFAULT_COMPANY_SETTINGS };
+    return [normalize(DEFAULT_COMPANY_SETTINGS)];
   }
 }
+
+/**
+ * Company settings in force on `date` (default: company today).
+ * @param {{ fresh?: boolean, date?: string }} [options]
+ */
+export async function getCompanySettings({ fresh = false, date } = {}) {
+  return pickVersionForDate(await getCompanySettingsVersions({ fresh }), date);
+}
@@ -0,0 +1,32 @@
+// lib/settings/getOvertimeRules.js
+// Returns the overtime rules document, creating defaults if none exists.
+import { connectDB } from '../db';
+import OvertimeRules from '../../models/OvertimeRules';
+import { DEFAULT_OVERTIME_RULES } from '../calculations/overtime';
+
+function normalize(doc) {
+  const out = {};
+  for (const key of Object.keys(DEFAULT_OVERTIME_RULES)) {
+    out[key] = doc?.[key] ?? DEFAULT_OVERTIME_RULES[key];
+  }
+  return out;
+}
+
+/**
+ * Get overtime rules. Creates the default document if none exists; falls back to defaults
+ * when the lookup fails so attendance evaluation never breaks on it.
+ * @returns {Promise<typeof DEFAULT_OVERTIME_RULES>}
+ */
+export async function getOvertimeRules() {
+  try {
+    await connectDB();
+    let doc = await OvertimeRules.findOne({ configId: 'default' }).lean().maxTimeMS(2000);
+    if (!doc) {
+      const created = await OvertimeRules.create({ configId: 'default', ...DEFAULT_OVERTIME_RULES });
+      doc = created.toObject ? created.toObject() : created;
+    }
+    return normalize(doc);
+  } catch {
+    return { ...DEFAULT_OVERTIME_RULES };
+  }
+}
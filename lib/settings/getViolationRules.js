@@ -0,0 +1,46 @@
+// lib/settings/getViolationRules.js
+// Returns the violation rules version in force on a date. Versions are the active
+// ViolationRules documents, effective-dated (see policyVersions.js). Not cached: HR edits
+// must show up on the next calculation.
+import { connectDB } from '../db';
+import ViolationRules from '../../models/ViolationRules';
+import {
+  DEFAULT_VIOLATION_CONFIG,
+  DEFAULT_ABSENT_CONFIG,
+  DEFAULT_LEAVE_CONFIG,
+  DEFAULT_WORKED_HOURS_CONFIG,
+} from '../calculations/salaryDeduction';
+import { pickVersionForDate, sortVersions } from './policyVersions';
+
+/** Used when no active ViolationRules document exists. */
+export const DEFAULT_VIOLATION_RULES = {
+  violationConfig: DEFAULT_VIOLATION_CONFIG,
+  absentConfig: DEFAULT_ABSENT_CONFIG,
+  leaveConfig: DEFAULT_LEAVE_CONFIG,
+  workedHoursConfig: DEFAULT_WORKED_HOURS_CONFIG,
+};
+
+export const VIOLATION_RULES_FIELDS =
+  'violationConfig absentConfig leaveConfig workedHoursConfig effectiveFrom description updatedBy updatedAt';
+
+/**
+ * Every active violation rules version, oldest first; the defaults when there is none.
+ * @returns {Promise<object[]>}
+ */
+export async function getViolationRuleVersions() {
+  await connectDB();
+  const docs = await ViolationRules.find({ isActive: true })
+    .select(VIOLATION_RULES_FIELDS)
+    .lean()
+    .maxTimeMS(1500);
+  if (!docs.length) return [{ ...DEFAULT_VIOLATION_RULES, effectiveFrom: null, description: 'Default rules' }];
+  return sortVersions(docs);
+}
+
+/**
+ * Violation rules in force on `date` (default: company today).
+ * @param {{ date?: string }} [options]
+ */
+export async function getViolationRules({ date } = {}) {
+  return pickVersionForDate(await getViolationRuleVersions(), date);
+}
@@ -0,0 +1,74 @@
+// lib/settings/policyVersions.js
+// Effective-dated policy versions (CompanySettings, ViolationRules, LeavePolicy).
+// Each document is one version that applies from its `effectiveFrom` (company day, YYYY-MM-DD)
+// until the next version starts. The version without effectiveFrom covers every day before
+// the first dated one — the same rule as graceEffectiveFrom on shifts. Days that already
+// happened keep the version that was in force, so a new version can only start today or later.
+import { ValidationError } from '../errors/errorHandler';
+import { getCompanyTodayYmd } from '../time/companyToday.js';
+import { addDaysYmd } from '../shift/rosterPattern';
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Versions ordered by effectiveFrom, the undated (original) version first. */
+export function sortVersions(versions) {
+  return [...(versions || [])].sort((a, b) =>
+    String(a?.effectiveFrom || '').localeCompare(String(b?.effectiveFrom || ''))
+  );
+}
+
+/**
+ * Version in force on `date`: the latest one whose effectiveFrom is on or before it.
+ * Falls back to the earliest version when every version starts later.
+ * @param {object[]} versions
+ * @param {string} [date] - YYYY-MM-DD (default: company today)
+ * @returns {object|null}
+ */
+export function pickVersionForDate(versions, date) {
+  const day = String(date || getCompanyTodayYmd()).slice(0, 10);
+  const sorted = sortVersions(versions);
+  let picked = null;
+  for (const version of sorted) {
+    if (version.effectiveFrom && version.effectiveFrom > day) break;
+    picked = version;
+  }
+  return picked || sorted[0] || null;
+}
+
+/**
+ * Validate the effectiveFrom of a version being saved. Empty means today.
+ * @param {unknown} value
+ * @param {string} [todayYmd]
+ * @returns {string} YYYY-MM-DD
+ */
+export function resolveEffectiveFrom(value, todayYmd = getCompanyTodayYmd()) {
+  if (value == null || value === '') return todayYmd;
+  const ymd = String(value).trim();
+  if (!DATE_REGEX.test(ymd)) throw new ValidationError('effectiveFrom must be in YYYY-MM-DD format');
+  if (ymd < todayYmd) {
+    throw new ValidationError('effectiveFrom cannot be in the past; earlier days keep the version in force then');
+  }
+  return ymd;
+}
+
+/** A version that has not started yet (can still be deleted). */
+export function isScheduledVersion(version, todayYmd = getCompanyTodayYmd()) {
+  return !!version?.effectiveFrom && version.effectiveFrom > todayYmd;
+}
+
+/**
+ * Timeline for the settings pages: every version with the last day it applies and whether
+ * it is past, current or scheduled.
+ * @param {object[]} versions
+ * @param {string} [todayYmd]
+ * @returns {Array<object & { effectiveTo: string|null, state: 'past'|'current'|'scheduled' }>}
+ */
+export function buildVersionTimeline(versions, todayYmd = getCompanyTodayYmd()) {
+  const sorted = sortVersions(versions);
+  const current = pickVersionForDate(sorted, todayYmd);
+  return sorted.map((version, i) => ({
+    ...version,
+    effectiveTo: sorted[i + 1] ? addDaysYmd(sorted[i + 1].effectiveFrom, -1) : null,
+    state: version === current ? 'current' : isScheduledVersion(version, todayYmd) ? 'scheduled' : 'past',
+  }));
+}
@@ -0,0 +1,90 @@
+/**
+ * Break tracking from intermediate punches.
+ * The first punch of the day is check-in and the last is check-out; punches in between
+ * pair up as out → in breaks. Each break is attributed to its shift date and clipped to
+ * the shift window, so scans before the shift or after it ends never count. Break time
+ * beyond the shift's allowance is proposed to HR as away time (awayHours). On a split shift
+ * breaks are paired within each segment, so the gap between segments is never a break.
+ */
+
+import { resolveShiftWindow, resolveShiftDateForBreak, clipIntervalToShiftWindow } from './resolveShiftWindow.js';
+import { getShiftBreakMinutes } from '../calculations/awayDeduction.js';
+import { getSegmentWindows, assignPunchesToSegments } from './splitShift.js';
+
+export const AWAY_PROPOSAL_STATUSES = ['pending', 'accepted', 'dismissed'];
+
+/**
+ * @param {object} params
+ * @param {Date[]} params.punches - Counted punches for the business day, sorted ascending
+ * @param {string} params.date - Business/shift date YYYY-MM-DD
+ * @param {object} params.shift - Shift doc (startTime, endTime, crossesMidnight, breakMinutes)
+ * @param {string} [params.timezoneOffset='+05:00']
+ * @returns {{ breaks: Array<{ outAt: Date, inAt: Date, minutes: number }>, breakMinutesTaken: number, allowanceMinutes: number, proposedAwayMinutes: number }}
+ */
+export function computeBreaksFromPunches({ punches, date, shift, timezoneOffset = '+05:00' }) {
+  const allowanceMinutes = getShiftBreakMinutes(shift);
+  const breaks = [];
+
+  const segmentWindows = getSegmentWindows(shift, date);
+  if (segmentWindows.length) {
+    const groups = assignPunchesToSegments(punches, segmentWindows);
+    groups.forEach((group, i) => {
+      const window = { shiftStart: segmentWindows[i].start, shiftEnd: segmentWindows[i].end };
+      const inner = group.punches.slice(1, -1);
+      for (let j = 0; j + 1 < inner.length; j += 2) {
+        const { clippedStart, clippedEnd, durationMin } = clipIntervalToShiftWindow(inner[j], inner[j + 1], window);
+        if (durationMin > 0) breaks.push({ outAt: clippedStart, inAt: clippedEnd, minutes: durationMin });
+      }
+    });
+    const breakMinutesTaken = breaks.reduce((sum, b) => sum + b.minutes, 0);
+    return {
+      breaks,
+      breakMinutesTaken,
+      allowanceMinutes,
+      proposedAwayMinutes: Math.max(0, breakMinutesTaken - allowanceMinutes),
+    };
+  }
+
+  // An odd punch left over at the end (out without a return) is not a break
+  const intermediate = (punches || []).slice(1, -1);
+  for (let i = 0; i + 1 < intermediate.length; i += 2) {
+    const outAt = new Date(intermediate[i]);
+    const inAt = new Date(intermediate[i + 1]);
+    // A break that starts before the shift or ends after it still counts for the part inside:
+    // resolve from the return punch when the out punch is outside, else clip to the day's window
+    const resolved =
+      resolveShiftDateForBreak({ breakAt: outAt, shift, timezoneOffset }) ||
+      resolveShiftDateForBreak({ breakAt: inAt, shift, timezoneOffset });
+    if (resolved && resolved.shiftDate !== date) continue;
+    const window = resolved?.window || resolveShiftWindow({ date, shift, timezoneOffset });
+    if (!window) continue;
+
+    const { clippedStart, clippedEnd, durationMin } = clipIntervalToShiftWindow(outAt, inAt, window);
+    if (durationMin <= 0) continue;
+    breaks.push({ outAt: clippedStart, inAt: clippedEnd, minutes: durationMin });
+  }
+
+  const breakMinutesTaken = breaks.reduce((sum, b) => sum + b.minutes, 0);
+  return {
+    breaks,
+    breakMinutesTaken,
+    allowanceMinutes,
+    proposedAwayMinutes: Math.max(0, breakMinutesTaken - allowanceMinutes),
+  };
+}
+
+/**
+ * Proposal status after recomputing a day. HR's accept/dismiss decision sticks while the
+ * proposed minutes stay the same; a changed proposal goes back to pending.
+ *
+ * @param {{ proposedAwayMinutes?: number, awayProposalStatus?: string|null }|null} existing
+ * @param {number} proposedAwayMinutes
+ * @returns {'pending'|'accepted'|'dismissed'|null}
+ */
+export function nextAwayProposalStatus(existing, proposedAwayMinutes) {
+  const prevStatus = existing?.awayProposalStatus || null;
+  if (prevStatus && (existing?.proposedAwayMinutes ?? 0) === proposedAwayMinutes) return prevStatus;
+  if (proposedAwayMinutes > 0) return 'pending';
+  // Keep "accepted" visible so HR can still see where the recorded away time came from
+  return prevStatus === 'accepted' ? 'accepted' : null;
+}
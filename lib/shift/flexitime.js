@@ -0,0 +1,61 @@
+/**
+ * Flexitime shifts: no fixed start. The employee must be in during the core window
+ * (coreStartTime–coreEndTime) and work `requiredHours` between check-in and check-out.
+ * startTime / endTime stay as the flexible band (earliest arrival / latest departure)
+ * that punches are attached to.
+ */
+
+/** 'split' shifts are handled in lib/shift/splitShift.js */
+export const SHIFT_TYPES = ['fixed', 'flexible', 'split'];
+export const DEFAULT_REQUIRED_HOURS = 8;
+
+const TIME_REGEX = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+/** True for a flexible shift with a usable core window. */
+export function isFlexibleShift(shift) {
+  return !!shift && shift.shiftType === 'flexible' && !!shift.coreStartTime && !!shift.coreEndTime;
+}
+
+/** Minutes a flexible shift requires between check-in and check-out. */
+export function getRequiredWorkMinutes(shift) {
+  const hours = Number(shift?.requiredHours);
+  return Math.round((hours > 0 ? hours : DEFAULT_REQUIRED_HOURS) * 60);
+}
+
+/**
+ * Flexitime fields for create / update from a request body, falling back to the stored shift.
+ * @returns {{ shiftType: string, coreStartTime: string|null, coreEndTime: string|null, requiredHours: number|null }}
+ */
+export function mergeFlexitimeFromBody(body, existing = null) {
+  const shiftType =
+    body?.shiftType !== undefined ? String(body.shiftType || 'fixed') : existing?.shiftType || 'fixed';
+  if (shiftType !== 'flexible') {
+    return { shiftType, coreStartTime: null, coreEndTime: null, requiredHours: null };
+  }
+  const pick = (key) => (body?.[key] !== undefined ? body[key] : existing?.[key]);
+  const hours = pick('requiredHours');
+  return {
+    shiftType,
+    coreStartTime: pick('coreStartTime') || null,
+    coreEndTime: pick('coreEndTime') || null,
+    requiredHours: hours === '' || hours == null ? DEFAULT_REQUIRED_HOURS : Number(hours),
+  };
+}
+
+/**
+ * @param {object} flex - result of mergeFlexitimeFromBody()
+ * @returns {string|null} Validation message, or null when valid
+ */
+export function validateFlexitime(flex) {
+  if (!SHIFT_TYPES.includes(flex.shiftType)) {
+    return `shiftType must be one of: ${SHIFT_TYPES.join(', ')}`;
+  }
+  if (flex.shiftType !== 'flexible') return null;
+  if (!TIME_REGEX.test(flex.coreStartTime || '') || !TIME_REGEX.test(flex.coreEndTime || '')) {
+    return 'coreStartTime and coreEndTime must be in HH:mm format for a flexible shift';
+  }
+  if (!Number.isFinite(flex.requiredHours) || flex.requiredHours < 1 || flex.requiredHours > 24) {
+    return 'requiredHours must be between 1 and 24';
+  }
+  return null;
+}
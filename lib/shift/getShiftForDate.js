@@ -50,7 +50,8 @@ export async function getShiftsForEmployeesOnDate(empCodes, date, options = {})
     effectiveDate: { $lte: date },
     $or: [{ endDate: null }, { endDate: { $gte: date } }],
   })
-    .sort({ effectiveDate: -1 })
+    // Latest entry wins; on the same effectiveDate a shift swap override comes first
+    .sort({ effectiveDate: -1, shiftSwapId: -1 })
     .select('empCode shiftCode')
     .lean()
     .maxTimeMS(3000);
@@ -99,8 +100,8 @@ export async function getShiftsForEmployeesInDateRange(empCodes, startDate, endD
     effectiveDate: { $lte: endDate },
     $or: [{ endDate: null }, { endDate: { $gte: startDate } }],
   })
-    .sort({ effectiveDate: -1 })
-    .select('empCode shiftCode effectiveDate endDate')
+    .sort({ effectiveDate: -1, shiftSwapId: -1 })
+    .select('empCode shiftCode effectiveDate endDate shiftSwapId')
     .lean()
     .maxTimeMS(5000);
 
@@ -128,9 +129,13 @@ export async function getShiftsForEmployeesInDateRange(empCodes, startDate, endD
     else historyByEmp.set(code, [h]);
   }
 
-  // Ensure deterministic order within each employee history list.
+  // Ensure deterministic order within each employee history list (swap overrides first on ties).
   for (const list of historyByEmp.values()) {
-    list.sort((a, b) => String(b.effectiveDate || '').localeCompare(String(a.effectiveDate || '')));
+    list.sort(
+      (a, b) =>
+        String(b.effectiveDate || '').localeCompare(String(a.effectiveDate || '')) ||
+        Number(!!b.shiftSwapId) - Number(!!a.shiftSwapId)
+    );
   }
 
   for (const empCode of empCodesList) {
@@ -157,3 +162,52 @@ export async function getShiftsForEmployeesInDateRange(empCodes, startDate, endD
 
   return result;
 }
+
+/**
+ * Roster days off in a date range: (employee, date) pairs whose effective history entry
+ * (same resolution as above) is a roster day off.
+ *
+ * @param {string[]} empCodes
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<Set<string>>} Set of `${empCode}|${date}`
+ */
+export async function getRosterDaysOff(empCodes, startDate, endDate) {
+  const result = new Set();
+  const empCodesList = empCodes.map(toKey).filter(Boolean);
+  if (empCodesList.length === 0) return result;
+
+  const history = await EmployeeShiftHistory.find({
+    empCode: { $in: empCodesList },
+    effectiveDate: { $lte: endDate },
+    $or: [{ endDate: null }, { endDate: { $gte: startDate } }],
+  })
+    .sort({ effectiveDate: -1, shiftSwapId: -1 })
+    .select('empCode effectiveDate endDate dayOff')
+    .lean()
+    .maxTimeMS(5000);
+  if (!history.some((h) => h.dayOff)) return result;
+
+  const historyByEmp = new Map();
+  for (const h of history) {
+    const code = toKey(h.empCode);
+    if (!code) continue;
+    const list = historyByEmp.get(code);
+    if (list) list.push(h);
+    else historyByEmp.set(code, [h]);
+  }
+
+  for (const [empCode, list] of historyByEmp) {
+    if (!list.some((h) => h.dayOff)) continue;
+    const d = new Date(startDate);
+    const end = new Date(endDate);
+    while (d <= end) {
+      const date = d.toISOString().slice(0, 10);
+      const effective = list.find((h) => h.effectiveDate <= date && (h.endDate == null || h.endDate >= date));
+      if (effective?.dayOff) result.add(`${empCode}|${date}`);
+      d.setDate(d.getDate() + 1);
+    }
+  }
+
+  return result;
+}
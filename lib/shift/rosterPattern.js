@@ -0,0 +1,287 @@
+/**
+ * Rotating roster patterns → EmployeeShiftHistory.
+ *
+ * A pattern is a repeating sequence of steps ({ shiftCode, days }, shiftCode null = days off)
+ * anchored on a date. Generating it writes one EmployeeShiftHistory entry per run of equal
+ * days for every assigned employee, from `fromDate` (today or later) up to a rolling horizon.
+ * Generation replaces the employee's shift history from `fromDate` on: later entries are
+ * deleted and an entry running past it is ended the day before. Past dates and one-day shift
+ * swap overrides are never touched.
+ * Employees listed on a pattern win over a department assignment on another pattern.
+ */
+
+import Employee from '../../models/Employee';
+import Shift from '../../models/Shift';
+import EmployeeShiftHistory from '../../models/EmployeeShiftHistory';
+import RosterPattern from '../../models/RosterPattern';
+import { ValidationError } from '../errors/errorHandler';
+import { mergeActiveFilter } from '../employees/activeFilter';
+import { getCompanyTodayYmd } from '../time/companyToday.js';
+import { assertPayrollOpen } from '../attendance/payrollLock';
+
+export const DEFAULT_ROSTER_HORIZON_DAYS = 56;
+export const MAX_ROSTER_HORIZON_DAYS = 366;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+export function addDaysYmd(ymd, days) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromYmd, toYmd) {
+  return Math.round((Date.parse(`${toYmd}T00:00:00Z`) - Date.parse(`${fromYmd}T00:00:00Z`)) / 86400000);
+}
+
+function toList(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(raw.map((v) => String(v || '').trim()).filter(Boolean))];
+}
+
+/** Sum of step days. */
+export function getCycleLength(steps = []) {
+  return steps.reduce((sum, step) => sum + (Number(step?.days) || 0), 0);
+}
+
+/**
+ * Pattern step on a date. A day off carries the shift of the last working step before it
+ * (cyclically), so the history entry still has a shift.
+ * @returns {{ shiftCode: string, dayOff: boolean }}
+ */
+export function resolveRosterDay(pattern, date) {
+  const steps = pattern.steps || [];
+  const cycle = pattern.cycleLengthDays || getCycleLength(steps);
+  let offset = daysBetween(pattern.anchorDate, date) % cycle;
+  if (offset < 0) offset += cycle;
+
+  let index = 0;
+  while (offset >= steps[index].days) {
+    offset -= steps[index].days;
+    index++;
+  }
+  if (steps[index].shiftCode) return { shiftCode: steps[index].shiftCode, dayOff: false };
+
+  for (let back = 1; back <= steps.length; back++) {
+    const prev = steps[(index - back + steps.length) % steps.length];
+    if (prev.shiftCode) return { shiftCode: prev.shiftCode, dayOff: true };
+  }
+  return { shiftCode: '', dayOff: true };
+}
+
+/**
+ * Runs of equal days between two dates (inclusive), as history ranges.
+ * @returns {Array<{ shiftCode: string, dayOff: boolean, effectiveDate: string, endDate: string }>}
+ */
+export function buildRosterRanges(pattern, fromDate, toDate) {
+  const ranges = [];
+  for (let date = fromDate; date <= toDate; date = addDaysYmd(date, 1)) {
+    const day = resolveRosterDay(pattern, date);
+    const last = ranges[ranges.length - 1];
+    if (last && last.shiftCode === day.shiftCode && last.dayOff === day.dayOff) {
+      last.endDate = date;
+    } else {
+      ranges.push({ ...day, effectiveDate: date, endDate: date });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Validate and normalize a create / update body.
+ * @param {object} body
+ * @param {object|null} [existing] - Stored pattern (update)
+ */
+export function normalizeRosterInput(body, existing = null) {
+  const pick = (key) => (body?.[key] !== undefined ? body[key] : existing?.[key]);
+
+  const name = String(pick('name') || '').trim();
+  if (!name) throw new ValidationError('name is required');
+
+  const steps = (Array.isArray(pick('steps')) ? pick('steps') : []).map((step) => ({
+    shiftCode: step?.shiftCode ? String(step.shiftCode).trim().toUpperCase() : null,
+    days: Number(step?.days),
+  }));
+  if (steps.length === 0) throw new ValidationError('At least one step is required');
+  if (steps.some((s) => !Number.isInteger(s.days) || s.days < 1 || s.days > 366)) {
+    throw new ValidationError('Each step needs a whole number of days between 1 and 366');
+  }
+  if (!steps.some((s) => s.shiftCode)) throw new ValidationError('At least one step must have a shift');
+
+  const anchorDate = String(pick('anchorDate') || '').trim();
+  if (!DATE_REGEX.test(anchorDate)) throw new ValidationError('anchorDate must be in YYYY-MM-DD format');
+
+  return {
+    name,
+    description: String(pick('description') || ''),
+    steps,
+    cycleLengthDays: getCycleLength(steps),
+    anchorDate,
+    empCodes: toList(pick('empCodes')),
+    departments: toList(pick('departments')),
+    isActive: pick('isActive') !== false,
+  };
+}
+
+/**
+ * Reject a pattern whose employees or departments are already on another active pattern,
+ * and step shift codes that do not exist.
+ */
+export async function assertRosterAssignable(input, excludeId = null) {
+  const codes = [...new Set(input.steps.map((s) => s.shiftCode).filter(Boolean))];
+  const shifts = await Shift.find({ code: { $in: codes } }).select('code').lean().maxTimeMS(2000);
+  const known = new Set(shifts.map((s) => s.code));
+  const missing = codes.filter((c) => !known.has(c));
+  if (missing.length) throw new ValidationError(`Unknown shift code(s): ${missing.join(', ')}`);
+
+  if (!input.isActive) return;
+  const others = await RosterPattern.find({
+    isActive: true,
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    $or: [{ empCodes: { $in: input.empCodes } }, { departments: { $in: input.departments } }],
+  })
+    .select('name empCodes departments')
+    .lean()
+    .maxTimeMS(2000);
+  for (const other of others) {
+    const emp = input.empCodes.find((c) => (other.empCodes || []).includes(c));
+    if (emp) throw new ValidationError(`Employee ${emp} is already on roster "${other.name}"`);
+    const dept = input.departments.find((d) => (other.departments || []).includes(d));
+    if (dept) throw new ValidationError(`Department ${dept} is already on roster "${other.name}"`);
+  }
+}
+
+/** Employees a pattern applies to: listed employees plus its departments' employees not listed elsewhere. */
+async function resolvePatternEmployees(pattern) {
+  if (!pattern.isActive) return [];
+  const [direct, deptEmployees, otherPatterns] = await Promise.all([
+    pattern.empCodes?.length
+      ? Employee.find(mergeActiveFilter({ empCode: { $in: pattern.empCodes } })).select('empCode').lean().maxTimeMS(3000)
+      : [],
+    pattern.departments?.length
+      ? Employee.find(mergeActiveFilter({ department: { $in: pattern.departments } }))
+          .select('empCode')
+          .lean()
+          .maxTimeMS(3000)
+      : [],
+    RosterPattern.find({ isActive: true, _id: { $ne: pattern._id } }).select('empCodes').lean().maxTimeMS(2000),
+  ]);
+  const listedElsewhere = new Set(otherPatterns.flatMap((p) => p.empCodes || []));
+  const codes = new Set(direct.map((e) => String(e.empCode)));
+  for (const e of deptEmployees) {
+    if (!listedElsewhere.has(String(e.empCode))) codes.add(String(e.empCode));
+  }
+  return [...codes];
+}
+
+/** End entries running past `fromDate` the day before, and delete entries starting on or after it. */
+async function clearHistoryFrom(filter, fromDate) {
+  const dayBefore = addDaysYmd(fromDate, -1);
+  const [trimmed, deleted] = await Promise.all([
+    EmployeeShiftHistory.updateMany(
+      { ...filter, effectiveDate: { $lt: fromDate }, $or: [{ endDate: null }, { endDate: { $gte: fromDate } }] },
+      { $set: { endDate: dayBefore } }
+    ),
+    EmployeeShiftHistory.deleteMany({ ...filter, effectiveDate: { $gte: fromDate } }),
+  ]);
+  return { trimmed: trimmed.modifiedCount || 0, deleted: deleted.deletedCount || 0 };
+}
+
+function resolveFromDate(fromDate) {
+  const today = getCompanyTodayYmd();
+  if (!fromDate) return today;
+  if (!DATE_REGEX.test(fromDate)) throw new ValidationError('fromDate must be in YYYY-MM-DD format');
+  if (fromDate < today) throw new ValidationError('Rosters can only be generated from today onwards');
+  return fromDate;
+}
+
+/**
+ * (Re)generate a pattern's EmployeeShiftHistory entries from `fromDate` for `horizonDays`.
+ * Employees no longer on the pattern lose its future entries (they fall back to their own shift).
+ *
+ * @param {object} pattern - RosterPattern (lean)
+ * @param {{ fromDate?: string, horizonDays?: number, changedBy?: string }} [options]
+ * @returns {Promise<{ fromDate: string, toDate: string, employees: number, entries: number, removedEmployees: number }>}
+ */
+export async function generateRosterPattern(pattern, { fromDate, horizonDays = DEFAULT_ROSTER_HORIZON_DAYS, changedBy = 'system' } = {}) {
+  const from = resolveFromDate(fromDate);
+  const days = Math.min(MAX_ROSTER_HORIZON_DAYS, Math.max(1, Number(horizonDays) || DEFAULT_ROSTER_HORIZON_DAYS));
+  const toDate = addDaysYmd(from, days - 1);
+  await assertPayrollOpen([{ from }]);
+
+  const empCodes = await resolvePatternEmployees(pattern);
+
+  // Employees dropped from the pattern: remove its future entries only
+  const previous = await EmployeeShiftHistory.distinct('empCode', {
+    rosterPatternId: pattern._id,
+    $or: [{ endDate: null }, { endDate: { $gte: from } }],
+  });
+  const removed = previous.filter((code) => !empCodes.includes(code));
+  if (removed.length) {
+    await clearHistoryFrom({ rosterPatternId: pattern._id, empCode: { $in: removed } }, from);
+  }
+
+  let entries = 0;
+  if (pattern.isActive && empCodes.length) {
+    const ranges = buildRosterRanges(pattern, from, toDate);
+    const shifts = await Shift.find({ code: { $in: [...new Set(ranges.map((r) => r.shiftCode))] } })
+      .select('_id code')
+      .lean()
+      .maxTimeMS(2000);
+    const shiftIdByCode = new Map(shifts.map((s) => [s.code, s._id]));
+    const missing = ranges.find((r) => !shiftIdByCode.has(r.shiftCode));
+    if (missing) throw new ValidationError(`Unknown shift code: ${missing.shiftCode}`);
+
+    await clearHistoryFrom({ empCode: { $in: empCodes }, shiftSwapId: null }, from);
+    const docs = [];
+    for (const empCode of empCodes) {
+      for (const r of ranges) {
+        docs.push({
+          empCode,
+          shiftId: shiftIdByCode.get(r.shiftCode),
+          shiftCode: r.shiftCode,
+          effectiveDate: r.effectiveDate,
+          endDate: r.endDate,
+          dayOff: r.dayOff,
+          rosterPatternId: pattern._id,
+          reason: `Roster: ${pattern.name}${r.dayOff ? ' (day off)' : ''}`,
+          changedBy,
+        });
+      }
+    }
+    if (docs.length) await EmployeeShiftHistory.insertMany(docs, { ordered: false });
+    entries = docs.length;
+  }
+
+  await RosterPattern.updateOne(
+    { _id: pattern._id },
+    { $set: { generatedFrom: from, generatedUntil: toDate, generatedAt: new Date() } }
+  );
+
+  return { fromDate: from, toDate, employees: empCodes.length, entries, removedEmployees: removed.length };
+}
+
+/** Remove a pattern's entries from today (or `fromDate`) on, e.g. before deleting it. */
+export async function clearRosterPattern(pattern, { fromDate } = {}) {
+  const from = resolveFromDate(fromDate);
+  await assertPayrollOpen([{ from }]);
+  return clearHistoryFrom({ rosterPatternId: pattern._id }, from);
+}
+
+/**
+ * Roll every active pattern forward from today (scheduled job).
+ * @returns {Promise<Array<{ patternId: string, name: string, ok: boolean, error?: string }>>}
+ */
+export async function regenerateActiveRosterPatterns({ horizonDays, changedBy = 'cron' } = {}) {
+  const patterns = await RosterPattern.find({ isActive: true }).lean().maxTimeMS(3000);
+  const results = [];
+  for (const pattern of patterns) {
+    try {
+      const summary = await generateRosterPattern(pattern, { horizonDays, changedBy });
+      results.push({ patternId: String(pattern._id), name: pattern.name, ok: true, ...summary });
+    } catch (err) {
+      results.push({ patternId: String(pattern._id), name: pattern.name, ok: false, error: err.message });
+    }
+  }
+  return results;
+}
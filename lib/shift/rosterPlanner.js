@@ -0,0 +1,283 @@
+/**
+ * Department roster planner: month grid of effective shifts, off days and leaves, and
+ * effective-dated edits to EmployeeShiftHistory.
+ *
+ * An edit sets one shift for one employee over an inclusive date range. Existing entries
+ * covering part of the range are cut around it (the part after the range is kept as its own
+ * entry), so the employee's history never has two entries on the same day from the planner.
+ * Edits in one batch that overlap each other for the same employee are rejected. Shift swap
+ * overrides are left alone (they keep winning on their date).
+ */
+
+import Employee from '../../models/Employee';
+import Shift from '../../models/Shift';
+import EmployeeShiftHistory from '../../models/EmployeeShiftHistory';
+import LeaveRecord from '../../models/LeaveRecord';
+import { ValidationError } from '../errors/errorHandler';
+import { mergeActiveFilter } from '../employees/activeFilter';
+import { loadEvaluationContext, policiesForDate, resolveWeekendOff } from '../attendance/evaluateDay';
+import { getRosterDaysOff, getShiftsForEmployeesInDateRange } from './getShiftForDate.js';
+import { addDaysYmd } from './rosterPattern';
+
+export const MAX_PLANNER_CHANGES = 500;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function monthDates(month) {
+  const [year, mon] = month.split('-').map(Number);
+  const daysInMonth = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+  return Array.from({ length: daysInMonth }, (_, i) => `${month}-${String(i + 1).padStart(2, '0')}`);
+}
+
+function buildShiftById(shifts) {
+  const shiftById = new Map();
+  for (const s of shifts) {
+    if (s?._id && s?.code) shiftById.set(String(s._id), s.code);
+  }
+  return shiftById;
+}
+
+/** Departments that have active employees (planner picker). */
+export async function listPlannerDepartments() {
+  const departments = await Employee.distinct('department', mergeActiveFilter({}));
+  return departments.filter(Boolean).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Month grid for one department.
+ * @param {{ department: string, month: string }} params - month as YYYY-MM
+ * @returns {Promise<{ department: string, month: string, dates: string[], shifts: object[], employees: Array<{ empCode: string, name: string, designation: string, days: Object<string, { shiftCode: string, off: 'weekly'|'roster'|null, leave: string|null }> }> }>}
+ */
+export async function loadDepartmentRoster({ department, month }) {
+  if (!department) throw new ValidationError('department is required');
+  if (!MONTH_REGEX.test(month || '')) throw new ValidationError('month must be in YYYY-MM format');
+
+  const dates = monthDates(month);
+  const startDate = dates[0];
+  const endDate = dates[dates.length - 1];
+
+  const [employees, shifts, context] = await Promise.all([
+    Employee.find(mergeActiveFilter({ department }))
+      .select('empCode name designation department saturdayGroup shift shiftId')
+      .sort({ name: 1 })
+      .lean()
+      .maxTimeMS(3000),
+    Shift.find({}).select('_id code name startTime endTime isActive').sort({ code: 1 }).lean().maxTimeMS(2000),
+    loadEvaluationContext(),
+  ]);
+  const empCodes = employees.map((e) => String(e.empCode));
+
+  const [shiftForDateMap, rosterDaysOff, leaves] = await Promise.all([
+    getShiftsForEmployeesInDateRange(empCodes, startDate, endDate, {
+      employees,
+      shiftById: buildShiftById(shifts),
+    }),
+    getRosterDaysOff(empCodes, startDate, endDate),
+    LeaveRecord.find({ empCode: { $in: empCodes }, date: { $gte: startDate, $lte: endDate } })
+      .select('empCode date leaveType')
+      .lean()
+      .maxTimeMS(2000),
+  ]);
+  const leaveByKey = new Map(leaves.map((l) => [`${l.empCode}|${l.date}`, l.leaveType]));
+
+  return {
+    department,
+    month,
+    dates,
+    shifts,
+    employees: employees.map((emp) => {
+      const empCode = String(emp.empCode);
+      const days = {};
+      for (const date of dates) {
+        const key = `${empCode}|${date}`;
+        const { isWeekendOff } = resolveWeekendOff(date, {
+          employee: emp,
+          ...context,
+          ...policiesForDate(context, date),
+        });
+        days[date] = {
+          shiftCode: shiftForDateMap.get(key) || '',
+          off: rosterDaysOff.has(key) ? 'roster' : isWeekendOff ? 'weekly' : null,
+          leave: leaveByKey.get(key) || null,
+        };
+      }
+      return { empCode, name: emp.name || '', designation: emp.designation || '', days };
+    }),
+  };
+}
+
+/**
+ * Validate planner edits. Overlapping edits for one employee are rejected.
+ * @param {Array<{ empCode: string, fromDate: string, toDate?: string, shiftCode: string }>} changes
+ */
+export function normalizePlannerChanges(changes) {
+  if (!Array.isArray(changes) || changes.length === 0) throw new ValidationError('No changes to apply');
+  if (changes.length > MAX_PLANNER_CHANGES) {
+    throw new ValidationError(`At most ${MAX_PLANNER_CHANGES} changes can be applied at once`);
+  }
+
+  const normalized = changes.map((c) => ({
+    empCode: String(c?.empCode || '').trim(),
+    fromDate: String(c?.fromDate || '').trim(),
+    toDate: String(c?.toDate || c?.fromDate || '').trim(),
+    shiftCode: String(c?.shiftCode || '').trim().toUpperCase(),
+  }));
+  for (const c of normalized) {
+    if (!c.empCode || !c.shiftCode) throw new ValidationError('Each change needs empCode and shiftCode');
+    if (!DATE_REGEX.test(c.fromDate) || !DATE_REGEX.test(c.toDate)) {
+      throw new ValidationError('fromDate and toDate must be in YYYY-MM-DD format');
+    }
+    if (c.toDate < c.fromDate) throw new ValidationError(`toDate is before fromDate for ${c.empCode}`);
+  }
+
+  const sorted = [...normalized].sort(
+    (a, b) => a.empCode.localeCompare(b.empCode) || a.fromDate.localeCompare(b.fromDate)
+  );
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1];
+    const cur = sorted[i];
+    if (prev.empCode === cur.empCode && cur.fromDate <= prev.toDate) {
+      throw new ValidationError(
+        `Overlapping changes for ${cur.empCode}: ${prev.fromDate}–${prev.toDate} and ${cur.fromDate}–${cur.toDate}`
+      );
+    }
+  }
+  return sorted;
+}
+
+/**
+ * Cut one employee's entries around [fromDate, toDate] (in memory).
+ * Entries are { _id?, effectiveDate, endDate, ... }; new pieces have no _id.
+ */
+function cutEntries(entries, fromDate, toDate) {
+  const out = [];
+  for (const entry of entries) {
+    const end = entry.endDate ?? null;
+    if (entry.effectiveDate > toDate || (end != null && end < fromDate)) {
+      out.push(entry);
+      continue;
+    }
+    if (entry.effectiveDate < fromDate) {
+      out.push({ ...entry, endDate: addDaysYmd(fromDate, -1) });
+    }
+    if (end == null || end > toDate) {
+      const tail = { ...entry, effectiveDate: addDaysYmd(toDate, 1), endDate: end };
+      // The part after the range is the original entry when nothing of it comes before
+      if (entry.effectiveDate < fromDate) delete tail._id;
+      out.push(tail);
+    }
+  }
+  return out;
+}
+
+/**
+ * Work out the EmployeeShiftHistory writes for a batch of edits, without writing.
+ * @returns {Promise<{ changes: object[], inserts: object[], updates: Array<{ _id: any, $set: object }>, deletes: any[], diff: Array<{ empCode: string, date: string, before: string, after: string }> }>}
+ */
+export async function planShiftChanges(rawChanges, { changedBy = '' } = {}) {
+  const changes = normalizePlannerChanges(rawChanges);
+  const empCodes = [...new Set(changes.map((c) => c.empCode))];
+  const minDate = changes.reduce((m, c) => (c.fromDate < m ? c.fromDate : m), changes[0].fromDate);
+  const maxDate = changes.reduce((m, c) => (c.toDate > m ? c.toDate : m), changes[0].toDate);
+
+  const [employees, shifts, history] = await Promise.all([
+    Employee.find({ empCode: { $in: empCodes } }).select('empCode shift shiftId').lean().maxTimeMS(2000),
+    Shift.find({}).select('_id code isActive').lean().maxTimeMS(2000),
+    EmployeeShiftHistory.find({
+      empCode: { $in: empCodes },
+      shiftSwapId: null,
+      effectiveDate: { $lte: maxDate },
+      $or: [{ endDate: null }, { endDate: { $gte: minDate } }],
+    })
+      .lean()
+      .maxTimeMS(3000),
+  ]);
+
+  const knownEmployees = new Set(employees.map((e) => String(e.empCode)));
+  const unknownEmp = empCodes.find((c) => !knownEmployees.has(c));
+  if (unknownEmp) throw new ValidationError(`Employee ${unknownEmp} not found`);
+  const shiftByCode = new Map(shifts.map((s) => [s.code, s]));
+  for (const c of changes) {
+    const shift = shiftByCode.get(c.shiftCode);
+    if (!shift) throw new ValidationError(`Unknown shift code: ${c.shiftCode}`);
+    if (shift.isActive === false) throw new ValidationError(`Shift ${c.shiftCode} is inactive`);
+  }
+
+  const before = await getShiftsForEmployeesInDateRange(empCodes, minDate, maxDate, {
+    employees,
+    shiftById: buildShiftById(shifts),
+  });
+
+  const inserts = [];
+  const updates = [];
+  const deletes = [];
+  const diff = [];
+  for (const empCode of empCodes) {
+    const original = history.filter((h) => String(h.empCode) === empCode);
+    let entries = original;
+    const added = [];
+    for (const c of changes.filter((ch) => ch.empCode === empCode)) {
+      entries = cutEntries(entries, c.fromDate, c.toDate);
+      added.push({
+        empCode,
+        shiftId: shiftByCode.get(c.shiftCode)._id,
+        shiftCode: c.shiftCode,
+        effectiveDate: c.fromDate,
+        endDate: c.toDate,
+        reason: 'Roster planner',
+        changedBy,
+      });
+      for (let date = c.fromDate; date <= c.toDate; date = addDaysYmd(date, 1)) {
+        const was = before.get(`${empCode}|${date}`) || '';
+        if (was !== c.shiftCode) diff.push({ empCode, date, before: was, after: c.shiftCode });
+      }
+    }
+
+    const kept = new Map(entries.filter((e) => e._id).map((e) => [String(e._id), e]));
+    for (const h of original) {
+      const next = kept.get(String(h._id));
+      if (!next) {
+        deletes.push(h._id);
+      } else if (next.effectiveDate !== h.effectiveDate || (next.endDate ?? null) !== (h.endDate ?? null)) {
+        updates.push({ _id: h._id, $set: { effectiveDate: next.effectiveDate, endDate: next.endDate ?? null } });
+      }
+    }
+    for (const e of entries.filter((en) => !en._id)) {
+      inserts.push({
+        empCode,
+        shiftId: e.shiftId,
+        shiftCode: e.shiftCode,
+        effectiveDate: e.effectiveDate,
+        endDate: e.endDate ?? null,
+        dayOff: !!e.dayOff,
+        rosterPatternId: e.rosterPatternId || null,
+        reason: e.reason,
+        changedBy: e.changedBy,
+      });
+    }
+    inserts.push(...added);
+  }
+
+  return { changes, inserts, updates, deletes, diff };
+}
+
+/**
+ * Apply a plan from planShiftChanges().
+ * @returns {Promise<{ inserted: number, updated: number, deleted: number }>}
+ */
+export async function applyShiftPlan(plan) {
+  if (plan.deletes.length) {
+    await EmployeeShiftHistory.deleteMany({ _id: { $in: plan.deletes } });
+  }
+  if (plan.updates.length) {
+    await EmployeeShiftHistory.bulkWrite(
+      plan.updates.map((u) => ({ updateOne: { filter: { _id: u._id }, update: { $set: u.$set } } })),
+      { ordered: false }
+    );
+  }
+  if (plan.inserts.length) {
+    await EmployeeShiftHistory.insertMany(plan.inserts, { ordered: false });
+  }
+  return { inserted: plan.inserts.length, updated: plan.updates.length, deleted: plan.deletes.length };
+}
@@ -0,0 +1,143 @@
+/**
+ * Shift swaps: two employees of one department exchange their shifts for a single day.
+ * The requester picks a colleague and a date (today or later), the colleague accepts and HR
+ * approves. Approval writes a one-day EmployeeShiftHistory override per employee (shiftSwapId
+ * set), which wins over every other entry on that date, so daily processing, the monthly
+ * sheet, web clock and punch corrections all judge the day against the swapped shift.
+ */
+
+import Employee from '../../models/Employee';
+import Shift from '../../models/Shift';
+import EmployeeShiftHistory from '../../models/EmployeeShiftHistory';
+import ShiftAttendance from '../../models/ShiftAttendance';
+import { ValidationError } from '../errors/errorHandler';
+import { isEmployeeActive } from '../employees/activeFilter';
+import { loadEvaluationContext, resolveWeekendOff } from '../attendance/evaluateDay';
+import { getCompanyTodayYmd } from '../time/companyToday.js';
+import { getRosterDaysOff, getShiftsForEmployeesOnDate } from './getShiftForDate.js';
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const EMPLOYEE_FIELDS = 'empCode name department saturdayGroup shift shiftId status';
+
+/**
+ * Each employee's shift on the date. Throws when one has no shift or is off that day.
+ * @param {object[]} employees - needs empCode, name, department, saturdayGroup, shift, shiftId
+ * @returns {Promise<Map<string, string>>} empCode -> shiftCode
+ */
+async function resolveWorkingShifts(employees, date) {
+  const empCodes = employees.map((e) => String(e.empCode));
+  const shifts = await Shift.find({}).select('_id code').lean().maxTimeMS(1500);
+  const shiftById = new Map(shifts.map((s) => [String(s._id), s.code]));
+  const [shiftMap, rosterDaysOff, context] = await Promise.all([
+    getShiftsForEmployeesOnDate(empCodes, date, { employees, shiftById }),
+    getRosterDaysOff(empCodes, date, date),
+    loadEvaluationContext({ date }),
+  ]);
+
+  for (const emp of employees) {
+    const empCode = String(emp.empCode);
+    const label = emp.name || empCode;
+    if (!shiftMap.get(empCode)) throw new ValidationError(`${label} has no shift on ${date}`);
+    const { isWeekendOff } = resolveWeekendOff(date, { employee: emp, ...context });
+    if (isWeekendOff || rosterDaysOff.has(`${empCode}|${date}`)) {
+      throw new ValidationError(`${label} is off on ${date}; only working shifts can be swapped`);
+    }
+  }
+  return shiftMap;
+}
+
+/**
+ * Check a new swap request and resolve the shifts being exchanged.
+ * @param {{ requesterEmpCode: string, colleagueEmpCode: string, date: string }} input
+ * @returns {Promise<{ requester: object, colleague: object, requesterShift: string, colleagueShift: string }>}
+ */
+export async function prepareShiftSwap({ requesterEmpCode, colleagueEmpCode, date }) {
+  if (!DATE_REGEX.test(date || '')) throw new ValidationError('date must be YYYY-MM-DD');
+  if (date < getCompanyTodayYmd()) throw new ValidationError('Shifts can only be swapped for today or a later date');
+  if (!colleagueEmpCode) throw new ValidationError('colleague is required');
+  if (String(colleagueEmpCode) === String(requesterEmpCode)) {
+    throw new ValidationError('Choose a colleague other than yourself');
+  }
+
+  const [requester, colleague] = await Promise.all([
+    Employee.findOne({ empCode: requesterEmpCode }).select(EMPLOYEE_FIELDS).lean().maxTimeMS(2000),
+    Employee.findOne({ empCode: colleagueEmpCode }).select(EMPLOYEE_FIELDS).lean().maxTimeMS(2000),
+  ]);
+  if (!requester) throw new ValidationError('Employee not found');
+  if (!colleague || !isEmployeeActive(colleague)) throw new ValidationError('Colleague not found');
+  if ((requester.department || '') !== (colleague.department || '')) {
+    throw new ValidationError('Shifts can only be swapped within your department');
+  }
+
+  const shiftMap = await resolveWorkingShifts([requester, colleague], date);
+  const requesterShift = shiftMap.get(String(requester.empCode));
+  const colleagueShift = shiftMap.get(String(colleague.empCode));
+  if (requesterShift === colleagueShift) {
+    throw new ValidationError(`You and ${colleague.name || colleague.empCode} both work ${requesterShift} on ${date}`);
+  }
+  return { requester, colleague, requesterShift, colleagueShift };
+}
+
+/**
+ * Write the one-day overrides for an approved swap. The shifts must still be the ones the
+ * request was made for. Attendance already stored for the day (e.g. a web clock-in) is moved
+ * to the new shift so it is judged against it.
+ *
+ * @param {object} request - ShiftSwapRequest (lean)
+ * @param {{ approvedBy: string }} options
+ * @returns {Promise<object[]>} Created EmployeeShiftHistory entries
+ */
+export async function applyShiftSwap(request, { approvedBy }) {
+  const { date, requesterEmpCode, colleagueEmpCode } = request;
+  if (date < getCompanyTodayYmd()) throw new ValidationError('The swap date has passed; reject the request');
+
+  const employees = await Employee.find({ empCode: { $in: [requesterEmpCode, colleagueEmpCode] } })
+    .select(EMPLOYEE_FIELDS)
+    .lean()
+    .maxTimeMS(2000);
+  if (employees.length !== 2) throw new ValidationError('One of the employees no longer exists');
+
+  const shiftMap = await resolveWorkingShifts(employees, date);
+  if (
+    shiftMap.get(String(requesterEmpCode)) !== request.requesterShift ||
+    shiftMap.get(String(colleagueEmpCode)) !== request.colleagueShift
+  ) {
+    throw new ValidationError(`Shifts on ${date} changed since the request was made; reject it and ask for a new one`);
+  }
+
+  const shifts = await Shift.find({ code: { $in: [request.requesterShift, request.colleagueShift] } })
+    .select('_id code')
+    .lean()
+    .maxTimeMS(1500);
+  const shiftIdByCode = new Map(shifts.map((s) => [s.code, s._id]));
+  if (shiftIdByCode.size !== 2) throw new ValidationError('One of the swapped shifts no longer exists');
+  const swaps = [
+    { empCode: requesterEmpCode, from: request.requesterShift, to: request.colleagueShift, other: colleagueEmpCode },
+    { empCode: colleagueEmpCode, from: request.colleagueShift, to: request.requesterShift, other: requesterEmpCode },
+  ];
+
+  const overrides = await EmployeeShiftHistory.insertMany(
+    swaps.map((s) => ({
+      empCode: s.empCode,
+      shiftId: shiftIdByCode.get(s.to),
+      shiftCode: s.to,
+      effectiveDate: date,
+      endDate: date,
+      shiftSwapId: request._id,
+      reason: `Shift swap with ${s.other}`,
+      changedBy: approvedBy,
+    }))
+  );
+
+  for (const s of swaps) {
+    const hasNewRow = await ShiftAttendance.exists({ date, empCode: s.empCode, shift: s.to });
+    if (!hasNewRow) {
+      await ShiftAttendance.updateOne(
+        { date, empCode: s.empCode, shift: s.from, manuallyEdited: { $ne: true } },
+        { $set: { shift: s.to, updatedAt: new Date() } }
+      );
+    }
+  }
+
+  return overrides.map((o) => o.toObject());
+}
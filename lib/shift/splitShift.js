@@ -0,0 +1,203 @@
+/**
+ * Split shifts: one working day made of ordered segments (e.g. 09:00–13:00 and 18:00–22:00).
+ * Each segment has its own grace and is matched to punches separately: a punch belongs to
+ * the segment it is nearest to (the gap between two segments is split at its midpoint).
+ * The first and last punch of a segment are its check-in / check-out; late and early are
+ * judged per segment and rolled up into one day (any late segment = one late violation,
+ * minutes summed). startTime / endTime on the shift are the first segment start and the
+ * last segment end.
+ */
+
+import { parseOffsetToMinutes } from '../time/companyTodayCore.js';
+import { resolveGracePeriodsForCalendarDate } from './gracePeriods.js';
+
+const COMPANY_OFFSET_MS =
+  parseOffsetToMinutes(process.env.TIMEZONE_OFFSET || '+05:00') * 60 * 1000;
+
+const TIME_REGEX = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+const DAY_MINUTES = 24 * 60;
+
+function parseTimeToMinutes(timeStr) {
+  const [h, m] = String(timeStr || '').split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+}
+
+/** True for a split shift with at least two segments. */
+export function isSplitShift(shift) {
+  return !!shift && shift.shiftType === 'split' && Array.isArray(shift.segments) && shift.segments.length >= 2;
+}
+
+/**
+ * Segment offsets in minutes from midnight of the shift date. Times only move forward:
+ * a time earlier than the previous one is on the next day.
+ * @returns {Array<{ startMin: number, endMin: number }>}
+ */
+function segmentOffsets(segments) {
+  const out = [];
+  let prev = -1;
+  for (const seg of segments) {
+    let startMin = parseTimeToMinutes(seg.startTime);
+    while (startMin < prev) startMin += DAY_MINUTES;
+    let endMin = parseTimeToMinutes(seg.endTime);
+    while (endMin <= startMin) endMin += DAY_MINUTES;
+    out.push({ startMin, endMin });
+    prev = endMin;
+  }
+  return out;
+}
+
+/**
+ * Segment windows as instants for a business day (company timezone).
+ * @param {object} shift - Split shift (segments, grace fields)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array<{ index: number, startTime: string, endTime: string, start: Date, end: Date, checkInGrace: number, checkOutGrace: number }>}
+ */
+export function getSegmentWindows(shift, date) {
+  if (!isSplitShift(shift) || !date) return [];
+  const [year, month, day] = String(date).split('-').map(Number);
+  const base = Date.UTC(year, month - 1, day) - COMPANY_OFFSET_MS;
+  const shiftGrace = resolveGracePeriodsForCalendarDate(shift, date);
+  return segmentOffsets(shift.segments).map(({ startMin, endMin }, index) => {
+    const seg = shift.segments[index];
+    return {
+      index,
+      startTime: seg.startTime,
+      endTime: seg.endTime,
+      start: new Date(base + startMin * 60000),
+      end: new Date(base + endMin * 60000),
+      checkInGrace: seg.checkInGracePeriod != null ? Number(seg.checkInGracePeriod) : shiftGrace.checkIn,
+      checkOutGrace: seg.checkOutGracePeriod != null ? Number(seg.checkOutGracePeriod) : shiftGrace.checkOut,
+    };
+  });
+}
+
+/**
+ * Group a day's punches by segment.
+ * @param {Date[]} punches - Counted punches, sorted ascending
+ * @param {ReturnType<typeof getSegmentWindows>} windows
+ * @returns {Array<{ index: number, punches: Date[], checkIn: Date|null, checkOut: Date|null }>}
+ */
+export function assignPunchesToSegments(punches, windows) {
+  const groups = windows.map((w) => ({ index: w.index, punches: [], checkIn: null, checkOut: null }));
+  if (!groups.length) return groups;
+  for (const raw of punches || []) {
+    const p = new Date(raw);
+    if (isNaN(p.getTime())) continue;
+    let i = 0;
+    while (i < windows.length - 1) {
+      const boundary = (windows[i].end.getTime() + windows[i + 1].start.getTime()) / 2;
+      if (p.getTime() < boundary) break;
+      i++;
+    }
+    groups[i].punches.push(p);
+  }
+  for (const g of groups) {
+    g.punches.sort((a, b) => a - b);
+    g.checkIn = g.punches.length ? g.punches[0] : null;
+    g.checkOut = g.punches.length > 1 ? g.punches[g.punches.length - 1] : null;
+  }
+  return groups;
+}
+
+/**
+ * Late / early per segment. A segment without a check-in and check-out has no
+ * violation of its own; it is reported as incomplete (missing punch for the day).
+ *
+ * @param {ReturnType<typeof getSegmentWindows>} windows
+ * @param {Array<{ checkIn: Date|null, checkOut: Date|null }>} groups - same order as windows
+ * @returns {Array<{ index: number, startTime: string, endTime: string, checkIn: Date|null, checkOut: Date|null, late: boolean, earlyLeave: boolean, lateMinutes: number, earlyMinutes: number }>}
+ */
+export function judgeSegments(windows, groups) {
+  return windows.map((w, i) => {
+    const checkIn = groups[i]?.checkIn ? new Date(groups[i].checkIn) : null;
+    const checkOut = groups[i]?.checkOut ? new Date(groups[i].checkOut) : null;
+    let lateMinutes = 0;
+    let earlyMinutes = 0;
+    if (checkIn && checkOut) {
+      const lateTotal = Math.max(0, Math.floor((checkIn.getTime() - w.start.getTime()) / 60000));
+      const earlyTotal = Math.max(0, Math.floor((w.end.getTime() - checkOut.getTime()) / 60000));
+      lateMinutes = lateTotal > w.checkInGrace ? lateTotal - w.checkInGrace : 0;
+      earlyMinutes = earlyTotal > w.checkOutGrace ? earlyTotal - w.checkOutGrace : 0;
+    }
+    return {
+      index: w.index,
+      startTime: w.startTime,
+      endTime: w.endTime,
+      checkIn,
+      checkOut,
+      late: lateMinutes > 0,
+      earlyLeave: earlyMinutes > 0,
+      lateMinutes,
+      earlyMinutes,
+    };
+  });
+}
+
+/**
+ * Roll judged segments up into one day.
+ * @returns {{ late: boolean, earlyLeave: boolean, lateMinutes: number, earlyMinutes: number, workedMinutes: number, incompleteSegments: number }}
+ */
+export function summarizeSegments(segments) {
+  const summary = { late: false, earlyLeave: false, lateMinutes: 0, earlyMinutes: 0, workedMinutes: 0, incompleteSegments: 0 };
+  for (const s of segments || []) {
+    if (!s.checkIn || !s.checkOut) {
+      summary.incompleteSegments += 1;
+      continue;
+    }
+    summary.late = summary.late || s.late;
+    summary.earlyLeave = summary.earlyLeave || s.earlyLeave;
+    summary.lateMinutes += s.lateMinutes;
+    summary.earlyMinutes += s.earlyMinutes;
+    summary.workedMinutes += Math.max(0, Math.floor((s.checkOut.getTime() - s.checkIn.getTime()) / 60000));
+  }
+  return summary;
+}
+
+/**
+ * Segments from a request body, normalized, plus the startTime / endTime / crossesMidnight
+ * they imply for the shift.
+ * @returns {{ segments: Array<object>, startTime: string|null, endTime: string|null, crossesMidnight: boolean }}
+ */
+export function mergeSegmentsFromBody(body, existing = null) {
+  const raw = body?.segments !== undefined ? body.segments : existing?.segments;
+  const segments = (Array.isArray(raw) ? raw : []).map((seg) => ({
+    startTime: String(seg?.startTime || ''),
+    endTime: String(seg?.endTime || ''),
+    checkInGracePeriod:
+      seg?.checkInGracePeriod === '' || seg?.checkInGracePeriod == null ? null : Number(seg.checkInGracePeriod),
+    checkOutGracePeriod:
+      seg?.checkOutGracePeriod === '' || seg?.checkOutGracePeriod == null ? null : Number(seg.checkOutGracePeriod),
+  }));
+  if (!segments.length) return { segments, startTime: null, endTime: null, crossesMidnight: false };
+  const offsets = segmentOffsets(segments);
+  return {
+    segments,
+    startTime: segments[0].startTime,
+    endTime: segments[segments.length - 1].endTime,
+    crossesMidnight: offsets[offsets.length - 1].endMin > DAY_MINUTES,
+  };
+}
+
+/**
+ * @param {Array<object>} segments - from mergeSegmentsFromBody()
+ * @returns {string|null} Validation message, or null when valid
+ */
+export function validateSegments(segments) {
+  if (!Array.isArray(segments) || segments.length < 2) {
+    return 'A split shift needs at least two segments';
+  }
+  for (const seg of segments) {
+    if (!TIME_REGEX.test(seg.startTime) || !TIME_REGEX.test(seg.endTime)) {
+      return 'Segment startTime and endTime must be in HH:mm format';
+    }
+    for (const g of [seg.checkInGracePeriod, seg.checkOutGracePeriod]) {
+      if (g != null && (!Number.isFinite(g) || g < 0)) return 'Segment grace periods must be 0 or more minutes';
+    }
+  }
+  // Out-of-order or overlapping times roll over to the next day and push the span past 24h
+  const offsets = segmentOffsets(segments);
+  if (offsets[offsets.length - 1].endMin - offsets[0].startMin > DAY_MINUTES) {
+    return 'Segments must be in order, must not overlap and must fit within 24 hours';
+  }
+  return null;
+}
@@ -14,6 +14,7 @@ const AttendanceEventSchema = new mongoose.Schema(
     major: Number,
     minor: Number,
     raw: mongoose.Schema.Types.Mixed,
+    importId: String, // set for punches loaded from a device export file (see PunchImport)
   },
   { timestamps: true }
 );
@@ -31,5 +32,20 @@ AttendanceEventSchema.index({ empCode: 1, minor: 1, eventTime: 1 });
 // Index for eventTime range queries (for daily attendance)
 AttendanceEventSchema.index({ eventTime: 1, minor: 1 });
 
+// Per-device last-seen / silence checks on the devices page
+AttendanceEventSchema.index({ deviceIp: 1, eventTime: -1 });
+
+// Rollback of a punch import
+AttendanceEventSchema.index({ importId: 1 }, { sparse: true });
+
+// Device identity for an event — keeps replayed device buffers from creating duplicate punches
+AttendanceEventSchema.index(
+  { deviceIp: 1, serialNo: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { deviceIp: { $type: 'string' }, serialNo: { $type: 'number' } },
+  }
+);
+
 export default mongoose.models.AttendanceEvent ||
   mongoose.model('AttendanceEvent', AttendanceEventSchema);
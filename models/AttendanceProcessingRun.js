@@ -0,0 +1,33 @@
+// models/AttendanceProcessingRun.js — history of daily attendance processing (HR button, scheduler, catch-up)
+import mongoose from 'mongoose';
+
+export const ATTENDANCE_PROCESSING_STATUSES = ['running', 'success', 'failed'];
+export const ATTENDANCE_PROCESSING_TRIGGERS = ['manual', 'cron'];
+
+const AttendanceProcessingRunSchema = new mongoose.Schema(
+  {
+    /** Business date processed, YYYY-MM-DD */
+    date: { type: String, required: true },
+    status: { type: String, enum: ATTENDANCE_PROCESSING_STATUSES, default: 'running', index: true },
+    /** manual (HR daily attendance / runs page) | cron (scheduled endpoint) */
+    trigger: { type: String, enum: ATTENDANCE_PROCESSING_TRIGGERS, default: 'manual' },
+    /** True when the scheduler picked up a day that an earlier run missed */
+    catchUp: { type: Boolean, default: false },
+    triggeredBy: { type: String, default: '' },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date, default: null },
+    durationMs: { type: Number, default: null },
+    employees: { type: Number, default: 0 },
+    savedCount: { type: Number, default: 0 },
+    /** Saved rows whose HR edits (manuallyEdited) were kept */
+    skippedManual: { type: Number, default: 0 },
+    error: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+AttendanceProcessingRunSchema.index({ date: 1, startedAt: -1 });
+AttendanceProcessingRunSchema.index({ startedAt: -1 });
+
+export default mongoose.models.AttendanceProcessingRun ||
+  mongoose.model('AttendanceProcessingRun', AttendanceProcessingRunSchema);
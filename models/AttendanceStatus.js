@@ -0,0 +1,42 @@
+// models/AttendanceStatus.js
+// Leave and attendance status catalog, edited from HR → Leave & Status Types.
+// Seeded from DEFAULT_ATTENDANCE_STATUSES (lib/calculations/attendanceRules.js).
+import mongoose from 'mongoose';
+import { STATUS_CATEGORIES } from '../lib/calculations/attendanceRules';
+
+const AttendanceStatusSchema = new mongoose.Schema(
+  {
+    // Stored on attendance rows as-is, so it cannot change once created
+    label: { type: String, required: true, unique: true, trim: true },
+    shortCode: { type: String, required: true, trim: true },
+    // Other spellings accepted when a status is typed or imported (case-insensitive)
+    aliases: { type: [String], default: [] },
+    color: { type: String, default: '#64748b' },
+    category: { type: String, enum: STATUS_CATEGORIES, required: true },
+
+    // Paid days are never deducted
+    paid: { type: Boolean, default: true },
+    // Salary days deducted on an unpaid day; null = the Violation Rules setting (system statuses)
+    deductionDays: { type: Number, default: 0, min: 0, max: 5 },
+    countsAsPresent: { type: Boolean, default: false },
+    // Draws from a leave balance: its leaveType when the Leave Policy has a rule for it, else paid
+    // leave (lib/leave/accrual.js)
+    requiresBalance: { type: Boolean, default: false },
+    // Sub-type stored in ShiftAttendance.leaveType for reporting (e.g. 'marriage')
+    leaveType: { type: String, default: null },
+
+    // Referenced by the evaluation code: label, category and deduction fields are fixed
+    isSystem: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 100 },
+
+    createdBy: { type: String, default: null },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+AttendanceStatusSchema.index({ sortOrder: 1 });
+
+export default mongoose.models.AttendanceStatus ||
+  mongoose.model('AttendanceStatus', AttendanceStatusSchema);
@@ -1,12 +1,15 @@
 // models/CompanySettings.js
-// Single global company settings document (configId: 'default').
+// Global company settings (configId: 'default'), one document per effective-dated version.
 // All fields default to the values that were previously hardcoded, so introducing
 // this model changes NO behavior until a value is explicitly edited by HR.
 import mongoose from 'mongoose';
 
 const CompanySettingsSchema = new mongoose.Schema(
   {
-    configId: { type: String, required: true, unique: true, default: 'default' },
+    configId: { type: String, required: true, default: 'default' },
+
+    // First day (YYYY-MM-DD) this version applies; null = from the beginning.
+    effectiveFrom: { type: String, default: null },
 
     // Company timezone offset, e.g. "+05:00". Previously hardcoded across the codebase.
     timezoneOffset: { type: String, default: '+05:00', trim: true },
@@ -33,11 +36,18 @@ const CompanySettingsSchema = new mongoose.Schema(
 
     currency: { type: String, default: 'PKR', trim: true },
 
+    // Repeat scans by the same employee within this many seconds collapse into the first
+    // one before check-in/out resolution. 0 = only same-second repeats (previous behavior).
+    // Devices can override it (Device.punchDebounceSeconds).
+    punchDebounceSeconds: { type: Number, default: 0, min: 0, max: 600 },
+
     updatedBy: { type: String, trim: true },
   },
   { timestamps: true }
 );
 
+CompanySettingsSchema.index({ configId: 1, effectiveFrom: 1 }, { unique: true });
+
 const CompanySettings =
   mongoose.models.CompanySettings || mongoose.model('CompanySettings', CompanySettingsSchema);
 
@@ -0,0 +1,54 @@
+// models/Device.js — biometric / access-control terminals that feed AttendanceEvent
+import mongoose from 'mongoose';
+
+/** Minutes without any signal before a device is reported as silent/offline. */
+export const DEFAULT_SILENT_AFTER_MINUTES = 120;
+
+const DeviceSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    /** Matches AttendanceEvent.deviceIp */
+    ip: { type: String, required: true, unique: true, trim: true },
+    serialNumber: { type: String, default: '', trim: true },
+    location: { type: String, default: '', trim: true },
+    /** Offset like +05:00 used when the device sends times without a zone; empty = company offset */
+    timezone: { type: String, default: '', trim: true },
+    silentAfterMinutes: {
+      type: Number,
+      default: DEFAULT_SILENT_AFTER_MINUTES,
+      min: 5,
+      max: 24 * 60,
+    },
+    isActive: { type: Boolean, default: true, index: true },
+    notes: { type: String, default: '', trim: true },
+    /** Punch debounce window for scans on this device; null = CompanySettings.punchDebounceSeconds */
+    punchDebounceSeconds: { type: Number, default: null, min: 0, max: 600 },
+    /** Pull mode: poll ISAPI AcsEvent/search instead of (or besides) waiting for pushes */
+    pullEnabled: { type: Boolean, default: false },
+    port: { type: Number, default: 80, min: 1, max: 65535 },
+    useHttps: { type: Boolean, default: false },
+    /** ISAPI user; password comes from DEVICE_ISAPI_PASSWORD so it is never stored */
+    isapiUsername: { type: String, default: '', trim: true },
+    /** Last event stored by pull sync — the next sync resumes from here */
+    syncCursor: {
+      eventTime: { type: Date, default: null },
+      serialNo: { type: Number, default: null },
+    },
+    /** Held while a pull sync runs (set atomically by lib/device/pullSync.js); null = free */
+    syncLockedUntil: { type: Date, default: null },
+    lastSyncAt: { type: Date, default: null },
+    lastSyncStatus: { type: String, default: '' },
+    /** Latest eventTime seen from this device */
+    lastEventAt: { type: Date, default: null },
+    /** Last time the device contacted us (events or alertStream heartbeat) */
+    lastHeartbeatAt: { type: Date, default: null },
+    updatedBy: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+// Own collection: "devices" belonged to the removed Windows agent and is dropped by
+// scripts/drop-monitoring-collections.js.
+const Device =
+  mongoose.models.Device || mongoose.model('Device', DeviceSchema, 'attendance_devices');
+export default Device;
@@ -0,0 +1,26 @@
+// models/DeviceOfflineInterval.js — stretches a device did not contact us for longer than its silentAfterMinutes
+import mongoose from 'mongoose';
+
+/**
+ * Written by recordDeviceContact (lib/device/deviceHealth.js) when a device comes back after
+ * a silence: from = its previous contact, to = the contact that ended the silence. A silence
+ * still going on has no document yet; it runs from Device.lastHeartbeatAt to now.
+ */
+const DeviceOfflineIntervalSchema = new mongoose.Schema(
+  {
+    /** Matches Device.ip */
+    deviceIp: { type: String, required: true, trim: true },
+    from: { type: Date, required: true },
+    to: { type: Date, required: true },
+    minutes: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+DeviceOfflineIntervalSchema.index({ deviceIp: 1, from: 1 }, { unique: true });
+DeviceOfflineIntervalSchema.index({ to: 1 });
+
+const DeviceOfflineInterval =
+  mongoose.models.DeviceOfflineInterval ||
+  mongoose.model('DeviceOfflineInterval', DeviceOfflineIntervalSchema);
+export default DeviceOfflineInterval;
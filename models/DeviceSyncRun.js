@@ -0,0 +1,40 @@
+// models/DeviceSyncRun.js — history of pull-mode syncs (ISAPI AcsEvent/search)
+import mongoose from 'mongoose';
+
+export const DEVICE_SYNC_STATUSES = ['running', 'success', 'partial', 'failed'];
+
+const CursorSchema = new mongoose.Schema(
+  {
+    eventTime: { type: Date, default: null },
+    serialNo: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const DeviceSyncRunSchema = new mongoose.Schema(
+  {
+    deviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true, index: true },
+    deviceIp: { type: String, required: true },
+    deviceName: { type: String, default: '' },
+    status: { type: String, enum: DEVICE_SYNC_STATUSES, default: 'running', index: true },
+    /** manual (HR button) | cron (scheduled endpoint) */
+    trigger: { type: String, default: 'manual' },
+    triggeredBy: { type: String, default: '' },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date, default: null },
+    pages: { type: Number, default: 0 },
+    fetched: { type: Number, default: 0 },
+    inserted: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    ignored: { type: Number, default: 0 },
+    cursorFrom: { type: CursorSchema, default: () => ({}) },
+    cursorTo: { type: CursorSchema, default: () => ({}) },
+    error: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+DeviceSyncRunSchema.index({ deviceId: 1, startedAt: -1 });
+DeviceSyncRunSchema.index({ startedAt: -1 });
+
+export default mongoose.models.DeviceSyncRun || mongoose.model('DeviceSyncRun', DeviceSyncRunSchema);
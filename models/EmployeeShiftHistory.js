@@ -36,6 +36,23 @@ const EmployeeShiftHistorySchema = new mongoose.Schema(
       type: String,
       // Reason for shift change (optional)
     },
+    /** Roster day off: the employee is off on these dates (shiftId/shiftCode = shift around the break) */
+    dayOff: {
+      type: Boolean,
+      default: false,
+    },
+    /** Set on entries generated from a RosterPattern; regenerating replaces them */
+    rosterPatternId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RosterPattern',
+      default: null,
+    },
+    /** One-day override from an approved shift swap; wins over every other entry on its date */
+    shiftSwapId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShiftSwapRequest',
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -43,6 +60,8 @@ const EmployeeShiftHistorySchema = new mongoose.Schema(
 // Index for finding active shift for an employee on a specific date
 EmployeeShiftHistorySchema.index({ empCode: 1, effectiveDate: 1 });
 EmployeeShiftHistorySchema.index({ empCode: 1, effectiveDate: 1, endDate: 1 });
+EmployeeShiftHistorySchema.index({ rosterPatternId: 1, effectiveDate: 1 });
+EmployeeShiftHistorySchema.index({ shiftSwapId: 1 });
 
 export default mongoose.models.EmployeeShiftHistory ||
   mongoose.model('EmployeeShiftHistory', EmployeeShiftHistorySchema);
@@ -0,0 +1,31 @@
+// models/Holiday.js
+// Holiday calendar: paid off days applied by daily and monthly processing (lib/attendance/holidays.js).
+import mongoose from 'mongoose';
+
+export const HOLIDAY_TYPES = ['public', 'religious', 'company'];
+
+const HolidaySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // Inclusive range, YYYY-MM-DD
+    startDate: { type: String, required: true },
+    endDate: { type: String, required: true },
+    // Calendar grouping only; every type marks the day "Holiday"
+    type: { type: String, enum: HOLIDAY_TYPES, default: 'public' },
+    // Empty = every department
+    departments: { type: [String], default: [] },
+    // Same month/day every year from startDate's year on
+    recurring: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+    notes: { type: String, default: '' },
+
+    createdBy: { type: String, default: null },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+HolidaySchema.index({ startDate: 1, endDate: 1 });
+HolidaySchema.index({ recurring: 1, isActive: 1 });
+
+export default mongoose.models.Holiday || mongoose.model('Holiday', HolidaySchema);
@@ -1,16 +1,44 @@
 // models/LeavePolicy.js
-// Single global leave policy (configurable from HR frontend)
+// Global leave policy (configurable from HR frontend), one document per effective-dated version
 import mongoose from 'mongoose';
 
+export const ACCRUAL_MODES = ['monthly', 'quarterly', 'annual'];
+export const CARRY_WITHIN_YEAR = ['none', 'halfYear', 'year'];
+
+/** Accrual and carry rule of one leave type (see lib/leave/accrual.js) */
+const LeaveTypeRuleSchema = new mongoose.Schema(
+  {
+    // LeaveRecord.leaveType / AttendanceStatus.leaveType, e.g. 'paid'
+    leaveType: { type: String, required: true, trim: true, lowercase: true },
+    label: { type: String, trim: true, default: '' },
+    accrual: { type: String, enum: ACCRUAL_MODES, default: 'quarterly' },
+    daysPerYear: { type: Number, required: true, min: 0, max: 366 },
+    proRata: { type: Boolean, default: false },
+    probationMonths: { type: Number, default: 0, min: 0, max: 24 },
+    carryWithinYear: { type: String, enum: CARRY_WITHIN_YEAR, default: 'none' },
+    // Most unused days that move into the next year (0 = none)
+    carryToNextYear: { type: Number, default: 0, min: 0, max: 366 },
+  },
+  { _id: false }
+);
+
 const LeavePolicySchema = new mongoose.Schema(
   {
-    configId: { type: String, required: true, unique: true, default: 'default' },
+    configId: { type: String, required: true, default: 'default' },
+    // First day (YYYY-MM-DD) this version applies; null = from the beginning
+    effectiveFrom: { type: String, default: null },
+    // Empty on versions saved before per-type rules; the paid rule is then derived from the
+    // quarterly fields below (lib/leave/getLeavePolicy.js)
+    leaveTypes: { type: [LeaveTypeRuleSchema], default: [] },
     leavesPerQuarter: { type: Number, required: true, default: 6, min: 1, max: 31 },
     allowCarryForward: { type: Boolean, default: false },
     carryForwardMax: { type: Number, default: 0, min: 0, max: 10 },
+    updatedBy: { type: String, trim: true },
   },
   { timestamps: true }
 );
 
+LeavePolicySchema.index({ configId: 1, effectiveFrom: 1 }, { unique: true });
+
 const LeavePolicy = mongoose.models.LeavePolicy || mongoose.model('LeavePolicy', LeavePolicySchema);
 export default LeavePolicy;
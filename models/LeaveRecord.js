@@ -11,10 +11,13 @@ const LeaveRecordSchema = new mongoose.Schema(
       type: String, // YYYY-MM-DD format
       required: true,
     },
+    // Leave type key from LeavePolicy.leaveTypes ('paid', ...); legacy records may be 'casual' or
+    // 'annual', which count as paid
     leaveType: {
       type: String,
-      enum: ['casual', 'annual', 'paid'], // 'paid' = quarter-based (6 per quarter)
       required: true,
+      trim: true,
+      lowercase: true,
     },
     reason: {
       type: String,
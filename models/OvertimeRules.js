@@ -0,0 +1,31 @@
+// models/OvertimeRules.js
+// Single global overtime configuration (configId: 'default'), edited from HR → Overtime.
+import mongoose from 'mongoose';
+
+const OvertimeRulesSchema = new mongoose.Schema(
+  {
+    configId: { type: String, required: true, unique: true, default: 'default' },
+
+    enabled: { type: Boolean, default: true },
+
+    // OT shorter than this (minutes) is ignored
+    minOvertimeMinutes: { type: Number, default: 30, min: 0, max: 600 },
+    // Round OT to this step (minutes); 0/1 = no rounding
+    roundingMinutes: { type: Number, default: 15, min: 0, max: 120 },
+    roundingMode: { type: String, enum: ['down', 'nearest', 'up'], default: 'down' },
+
+    // Pay multipliers on the hourly rate (daily salary ÷ paid hours)
+    weekdayMultiplier: { type: Number, default: 1.5, min: 0, max: 10 },
+    offDayMultiplier: { type: Number, default: 2, min: 0, max: 10 },
+    holidayMultiplier: { type: Number, default: 2, min: 0, max: 10 },
+
+    // Max paid OT hours per employee per month; 0 = no cap
+    monthlyCapHours: { type: Number, default: 0, min: 0, max: 744 },
+
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+const OvertimeRules = mongoose.models.OvertimeRules || mongoose.model('OvertimeRules', OvertimeRulesSchema);
+export default OvertimeRules;
@@ -0,0 +1,77 @@
+// models/PayrollPeriod.js
+// Payroll month: open → under review → closed. Closing snapshots the monthly sheet figures per
+// employee and locks the month's attendance, shifts and leaves (lib/attendance/payrollLock.js).
+import mongoose from 'mongoose';
+
+export const PAYROLL_PERIOD_STATUSES = ['open', 'underReview', 'closed'];
+
+/** Monthly sheet row of one employee at close time (GET /api/hr/monthly-attendance, without days) */
+const SnapshotRowSchema = new mongoose.Schema(
+  {
+    empCode: { type: String, required: true },
+    name: { type: String, default: '' },
+    department: { type: String, default: '' },
+    designation: { type: String, default: '' },
+    shift: { type: String, default: '' },
+    monthlySalary: { type: Number, default: 0 },
+    netSalary: { type: Number, default: 0 },
+    salaryDeductAmount: { type: Number, default: 0 },
+    salaryDeductDays: { type: Number, default: 0 },
+    perDaySalary: { type: Number, default: 0 },
+    overtimeMinutes: { type: Number, default: 0 },
+    overtimeAmount: { type: Number, default: 0 },
+    lateCount: { type: Number, default: 0 },
+    earlyCount: { type: Number, default: 0 },
+    lateViolationCount: { type: Number, default: 0 },
+    earlyViolationCount: { type: Number, default: 0 },
+    missingPunchDays: { type: Number, default: 0 },
+    unpaidLeaveDays: { type: Number, default: 0 },
+    absentDays: { type: Number, default: 0 },
+    halfDays: { type: Number, default: 0 },
+    awayDeductionDays: { type: Number, default: 0 },
+    totalLateMinutes: { type: Number, default: 0 },
+    totalEarlyMinutes: { type: Number, default: 0 },
+    deductionRemarks: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  },
+  { _id: false }
+);
+
+const ReopenSchema = new mongoose.Schema(
+  {
+    reason: { type: String, required: true, trim: true },
+    reopenedBy: { type: String, default: '' },
+    reopenedAt: { type: Date, default: Date.now },
+    /** closedAt of the close being undone */
+    previousClosedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const PayrollPeriodSchema = new mongoose.Schema(
+  {
+    /** YYYY-MM */
+    month: { type: String, required: true, unique: true },
+    status: { type: String, required: true, enum: PAYROLL_PERIOD_STATUSES, default: 'open' },
+    notes: { type: String, default: '' },
+
+    reviewStartedBy: { type: String, default: '' },
+    reviewStartedAt: { type: Date, default: null },
+    closedBy: { type: String, default: '' },
+    closedAt: { type: Date, default: null },
+    // Latest close; replaced when a reopened month is closed again
+    snapshot: { type: [SnapshotRowSchema], default: [] },
+    snapshotTotals: {
+      employees: { type: Number, default: 0 },
+      monthlySalary: { type: Number, default: 0 },
+      netSalary: { type: Number, default: 0 },
+      salaryDeductAmount: { type: Number, default: 0 },
+      overtimeAmount: { type: Number, default: 0 },
+    },
+    reopenings: { type: [ReopenSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+PayrollPeriodSchema.index({ status: 1, month: -1 });
+
+export default mongoose.models.PayrollPeriod || mongoose.model('PayrollPeriod', PayrollPeriodSchema);
@@ -0,0 +1,38 @@
+// models/PunchCorrectionRequest.js
+// Employee-submitted missed-punch correction (check-in or check-out time) reviewed by HR
+import mongoose from 'mongoose';
+
+export const PUNCH_CORRECTION_TYPES = ['checkIn', 'checkOut'];
+export const PUNCH_CORRECTION_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const PunchCorrectionRequestSchema = new mongoose.Schema(
+  {
+    empCode: { type: String, required: true, index: true },
+    employeeName: { type: String, default: '' },
+    department: { type: String, default: '' },
+    /** Business date of the attendance row, YYYY-MM-DD */
+    date: { type: String, required: true },
+    /** Shift code the request was made against (resolved for the date at submission) */
+    shift: { type: String, default: '' },
+    type: { type: String, required: true, enum: PUNCH_CORRECTION_TYPES },
+    /** Time the employee typed (HH:MM, company local) and the absolute instant it maps to */
+    requestedTimeLocal: { type: String, required: true },
+    requestedTime: { type: Date, required: true },
+    /** What the attendance row had for this punch when the request was made */
+    previousTime: { type: Date, default: null },
+    reason: { type: String, required: true, trim: true },
+    status: { type: String, required: true, enum: PUNCH_CORRECTION_STATUSES, default: 'pending' },
+    reviewedBy: { type: String, default: '' },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+PunchCorrectionRequestSchema.index({ status: 1, createdAt: -1 });
+PunchCorrectionRequestSchema.index({ empCode: 1, date: 1 });
+
+const PunchCorrectionRequest =
+  mongoose.models.PunchCorrectionRequest ||
+  mongoose.model('PunchCorrectionRequest', PunchCorrectionRequestSchema);
+export default PunchCorrectionRequest;
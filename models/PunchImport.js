@@ -0,0 +1,34 @@
+// models/PunchImport.js — punch logs loaded from device USB/Excel exports
+import mongoose from 'mongoose';
+
+export const PUNCH_IMPORT_STATUSES = ['committed', 'rolled_back'];
+
+const PunchImportSchema = new mongoose.Schema(
+  {
+    /** Tag written to every AttendanceEvent of this import (rollback key) */
+    importId: { type: String, required: true, unique: true },
+    fileName: { type: String, default: '' },
+    deviceIp: { type: String, required: true },
+    timezone: { type: String, default: '' },
+    /** field → column header used for this import */
+    mapping: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: { type: String, enum: PUNCH_IMPORT_STATUSES, default: 'committed', index: true },
+    totalRows: { type: Number, default: 0 },
+    inserted: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    unknownEmp: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    /** Company-local business dates covered, so HR knows which days to re-run */
+    dateFrom: { type: String, default: '' },
+    dateTo: { type: String, default: '' },
+    createdBy: { type: String, default: '' },
+    rolledBackAt: { type: Date, default: null },
+    rolledBackBy: { type: String, default: '' },
+    removed: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+PunchImportSchema.index({ createdAt: -1 });
+
+export default mongoose.models.PunchImport || mongoose.model('PunchImport', PunchImportSchema);
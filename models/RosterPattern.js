@@ -0,0 +1,48 @@
+// models/RosterPattern.js
+// Rotating roster: a repeating sequence of shifts and days off (e.g. D1 ×7 → S1 ×7 → S2 ×7).
+// lib/shift/rosterPattern.js materializes it into future EmployeeShiftHistory entries.
+import mongoose from 'mongoose';
+
+const RosterStepSchema = new mongoose.Schema(
+  {
+    // null = day(s) off
+    shiftCode: { type: String, default: null, uppercase: true, trim: true },
+    days: { type: Number, required: true, min: 1, max: 366 },
+  },
+  { _id: false }
+);
+
+const RosterPatternSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String, default: '' },
+
+    steps: { type: [RosterStepSchema], default: [] },
+    // Sum of step days; the sequence repeats every cycleLengthDays
+    cycleLengthDays: { type: Number, required: true, min: 1 },
+    // Day 1 of the first step (YYYY-MM-DD); the cycle runs forwards and backwards from here
+    anchorDate: { type: String, required: true },
+
+    // Direct employee assignment wins over a department assignment
+    empCodes: { type: [String], default: [] },
+    departments: { type: [String], default: [] },
+
+    isActive: { type: Boolean, default: true },
+
+    // Last time future EmployeeShiftHistory entries were generated
+    generatedFrom: { type: String, default: null },
+    generatedUntil: { type: String, default: null },
+    generatedAt: { type: Date, default: null },
+
+    createdBy: { type: String, default: null },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+RosterPatternSchema.index({ isActive: 1 });
+RosterPatternSchema.index({ empCodes: 1 });
+RosterPatternSchema.index({ departments: 1 });
+
+export default mongoose.models.RosterPattern ||
+  mongoose.model('RosterPattern', RosterPatternSchema);
@@ -1,6 +1,7 @@
 // models/Shift.js
 import mongoose from 'mongoose';
 import { DEFAULT_GRACE_PERIOD } from '../lib/shift/gracePeriods.js';
+import { SHIFT_TYPES } from '../lib/shift/flexitime.js';
 
 export {
   DEFAULT_GRACE_PERIOD,
@@ -40,6 +41,38 @@ const ShiftSchema = new mongoose.Schema(
       default: false,
       // true if shift end time is next day (e.g., 18:00-03:00)
     },
+    /**
+     * 'flexible' = no fixed start: judged on the core window and requiredHours (lib/shift/flexitime.js).
+     * 'split' = ordered segments, each matched and judged separately (lib/shift/splitShift.js).
+     */
+    shiftType: {
+      type: String,
+      enum: SHIFT_TYPES,
+      default: 'fixed',
+    },
+    /** Flexible only: window the employee must be present ("HH:mm"). Lateness is measured from coreStartTime. */
+    coreStartTime: { type: String, default: null },
+    coreEndTime: { type: String, default: null },
+    /** Flexible only: hours required between check-in and check-out (shortfall = early leave). */
+    requiredHours: {
+      type: Number,
+      default: null,
+      min: 1,
+      max: 24,
+    },
+    /** Split only: ordered segments; startTime/endTime = first start / last end. Grace falls back to the shift's. */
+    segments: {
+      type: [
+        {
+          startTime: { type: String, required: true },
+          endTime: { type: String, required: true },
+          checkInGracePeriod: { type: Number, default: null, min: 0 },
+          checkOutGracePeriod: { type: Number, default: null, min: 0 },
+          _id: false,
+        },
+      ],
+      default: undefined,
+    },
     checkInGracePeriod: {
       type: Number,
       default: DEFAULT_GRACE_PERIOD,
@@ -1,6 +1,24 @@
 // models/ShiftAttendance.js
 import mongoose from 'mongoose';
 
+/** Network / location a web clock punch came from, as checked against WebClockRule. */
+const WebClockCheckSchema = new mongoose.Schema(
+  {
+    at: { type: Date },
+    ip: { type: String, default: '' },
+    latitude: { type: Number, default: null },
+    longitude: { type: Number, default: null },
+    accuracy: { type: Number, default: null },
+    rule: { type: String, default: null }, // "employee:1234" / "department:Sales"; null = no rule
+    matchedCidr: { type: String, default: null },
+    matchedGeofence: { type: String, default: null },
+    distanceMeters: { type: Number, default: null },
+    /** Selfie captured at punch time (/uploads/web-clock/...) */
+    photoUrl: { type: String, default: null },
+  },
+  { _id: false }
+);
+
 const ShiftAttendanceSchema = new mongoose.Schema(
   {
     date: { type: String, required: true }, // "YYYY-MM-DD"
@@ -16,6 +34,25 @@ const ShiftAttendanceSchema = new mongoose.Schema(
     checkOut: { type: Date },
     totalPunches: { type: Number, default: 0 },
 
+    /** Split shifts: punches matched to each segment and judged separately (late/early roll up to the day). */
+    segments: {
+      type: [
+        {
+          index: { type: Number },
+          startTime: { type: String },
+          endTime: { type: String },
+          checkIn: { type: Date, default: null },
+          checkOut: { type: Date, default: null },
+          late: { type: Boolean, default: false },
+          earlyLeave: { type: Boolean, default: false },
+          lateMinutes: { type: Number, default: 0 },
+          earlyMinutes: { type: Number, default: 0 },
+          _id: false,
+        },
+      ],
+      default: undefined,
+    },
+
     attendanceStatus: { type: String }, // Present / Absent / Leave / etc.
     reason: { type: String },
 
@@ -33,6 +70,14 @@ const ShiftAttendanceSchema = new mongoose.Schema(
     earlyExcused: { type: Boolean, default: false }, // Separate excused for early
 
     manuallyEdited: { type: Boolean, default: false },
+    /** Set when ViolationRules.workedHoursConfig turned a short day into Half Day / Absent (re-derived on each run) */
+    workedHoursRule: { type: String, enum: ['halfDay', 'absent', null], default: null },
+    /** Set when the status came from the Holiday calendar (re-derived on each run) */
+    holidayId: { type: mongoose.Schema.Types.ObjectId, ref: 'Holiday', default: null },
+    /** Set when an approved PunchCorrectionRequest wrote checkIn/checkOut */
+    punchCorrectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'PunchCorrectionRequest', default: null },
+    punchCorrectedBy: { type: String, default: null },
+    punchCorrectedAt: { type: Date, default: null },
 
     /** Snapshotted shift grace (minutes) when punches were saved — used for past-day violation math */
     checkInGracePeriod: { type: Number },
@@ -40,6 +85,8 @@ const ShiftAttendanceSchema = new mongoose.Schema(
 
     /** Punches created from employee portal self-service (not device sync). */
     webSelfService: { type: Boolean, default: false },
+    webClockInCheck: { type: WebClockCheckSchema, default: null },
+    webClockOutCheck: { type: WebClockCheckSchema, default: null },
 
     /** HR-recorded: hours away from workstation during shift (proportional salary cut). */
     awayHours: { type: Number, default: null, min: 0 },
@@ -48,6 +95,32 @@ const ShiftAttendanceSchema = new mongoose.Schema(
     awayRecordedBy: { type: String, default: null },
     awayRecordedAt: { type: Date, default: null },
 
+    /** Breaks derived from intermediate punches (out → in pairs inside the shift window). */
+    breaks: {
+      type: [
+        {
+          outAt: { type: Date },
+          inAt: { type: Date },
+          minutes: { type: Number },
+          _id: false,
+        },
+      ],
+      default: undefined,
+    },
+    breakMinutesTaken: { type: Number, default: 0 },
+    /** Break minutes beyond the shift allowance, proposed to HR as away time. */
+    proposedAwayMinutes: { type: Number, default: 0 },
+    awayProposalStatus: { type: String, enum: ['pending', 'accepted', 'dismissed', null], default: null },
+
+    /** Overtime from punches (lib/calculations/overtime), paid only once HR approves it. */
+    overtimeMinutes: { type: Number, default: 0 },
+    overtimeDayType: { type: String, enum: ['weekday', 'offDay', 'holiday', null], default: null },
+    overtimeStatus: { type: String, enum: ['pending', 'approved', 'rejected', null], default: null },
+    overtimeApprovedMinutes: { type: Number, default: null, min: 0 },
+    overtimeNote: { type: String, default: null },
+    overtimeReviewedBy: { type: String, default: null },
+    overtimeReviewedAt: { type: Date, default: null },
+
     updatedAt: { type: Date, default: Date.now },
   },
   {
@@ -74,6 +147,9 @@ ShiftAttendanceSchema.index({ date: 1, attendanceStatus: 1 });
 // Index for late/early leave queries
 ShiftAttendanceSchema.index({ date: 1, late: 1, earlyLeave: 1 });
 
+// HR overtime approval queue
+ShiftAttendanceSchema.index({ overtimeStatus: 1, date: 1 });
+
 
 
 export default mongoose.models.ShiftAttendance ||
@@ -0,0 +1,34 @@
+// models/ShiftSwapRequest.js
+// Two employees swap their shifts for one day: requester asks, colleague accepts, HR approves
+import mongoose from 'mongoose';
+
+export const SHIFT_SWAP_STATUSES = ['awaitingColleague', 'awaitingHr', 'approved', 'declined', 'rejected', 'cancelled'];
+
+const ShiftSwapRequestSchema = new mongoose.Schema(
+  {
+    requesterEmpCode: { type: String, required: true, index: true },
+    requesterName: { type: String, default: '' },
+    colleagueEmpCode: { type: String, required: true, index: true },
+    colleagueName: { type: String, default: '' },
+    department: { type: String, default: '' },
+    /** Business date of the swap, YYYY-MM-DD */
+    date: { type: String, required: true },
+    /** Shift each employee had on the date when the request was made; approval swaps them */
+    requesterShift: { type: String, required: true },
+    colleagueShift: { type: String, required: true },
+    reason: { type: String, required: true, trim: true },
+    status: { type: String, required: true, enum: SHIFT_SWAP_STATUSES, default: 'awaitingColleague' },
+    colleagueRespondedAt: { type: Date, default: null },
+    reviewedBy: { type: String, default: '' },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+ShiftSwapRequestSchema.index({ status: 1, createdAt: -1 });
+ShiftSwapRequestSchema.index({ date: 1, status: 1 });
+
+const ShiftSwapRequest =
+  mongoose.models.ShiftSwapRequest || mongoose.model('ShiftSwapRequest', ShiftSwapRequestSchema);
+export default ShiftSwapRequest;
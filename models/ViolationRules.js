@@ -81,6 +81,29 @@ const ViolationRulesSchema = new mongoose.Schema(
       },
     },
 
+    // Short-day classification from worked hours (check-in → check-out), as % of shift paid hours
+    workedHoursConfig: {
+      enabled: {
+        type: Boolean,
+        default: false,
+        comment: 'Classify short days automatically (daily + monthly processing)',
+      },
+      halfDayBelowPercent: {
+        type: Number,
+        default: 50,
+        min: 0,
+        max: 100,
+        comment: 'Worked less than X% of paid hours = Half Day',
+      },
+      absentBelowPercent: {
+        type: Number,
+        default: 25,
+        min: 0,
+        max: 100,
+        comment: 'Worked less than X% of paid hours = Absent',
+      },
+    },
+
     // Deprecated: per-day salary divisor moved to CompanySettings.workingDaysMode.
     // Kept in schema for backward compatibility with existing documents.
     salaryConfig: {
@@ -92,11 +115,18 @@ const ViolationRulesSchema = new mongoose.Schema(
       },
     },
 
+    // Versioning: each active document is one version of the rules
+    effectiveFrom: {
+      type: String,
+      default: null,
+      comment: 'First day (YYYY-MM-DD) this version applies; null = from the beginning',
+    },
+
     // Metadata
     isActive: {
       type: Boolean,
       default: true,
-      comment: 'Only one active rule set at a time',
+      comment: 'Active versions form the timeline; inactive = replaced before versioning or deleted',
     },
     description: {
       type: String,
@@ -110,20 +140,8 @@ const ViolationRulesSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Index for active rules
-ViolationRulesSchema.index({ isActive: 1 });
-
-// Ensure only one active rule set exists
-ViolationRulesSchema.pre('save', async function (next) {
-  if (this.isActive && this.isNew) {
-    // Deactivate all other rules when creating a new active one
-    await mongoose.model('ViolationRules').updateMany(
-      { _id: { $ne: this._id } },
-      { isActive: false }
-    );
-  }
-  next();
-});
+// Index for the active version timeline
+ViolationRulesSchema.index({ isActive: 1, effectiveFrom: 1 });
 
 export default mongoose.models.ViolationRules ||
   mongoose.model('ViolationRules', ViolationRulesSchema);
@@ -0,0 +1,29 @@
+// models/WebClockPhoto.js — web clock selfies written by /api/upload (who uploaded it, when, which punch used it)
+import mongoose from 'mongoose';
+
+/**
+ * One document per file in public/uploads/web-clock. A selfie is accepted on a web clock
+ * punch only by the employee who uploaded it, shortly after the upload, and only once
+ * (lib/security/webClockRestrictions.js claimWebClockPhoto).
+ */
+const WebClockPhotoSchema = new mongoose.Schema(
+  {
+    /** Public path, e.g. /uploads/web-clock/<uuid>.jpg */
+    url: { type: String, required: true, unique: true, trim: true },
+    empCode: { type: String, required: true, trim: true },
+    uploadedAt: { type: Date, required: true, default: Date.now },
+    /** Set when a punch accepted the photo; null = not used yet */
+    usedAt: { type: Date, default: null },
+    usedFor: {
+      date: { type: String, default: null }, // YYYY-MM-DD
+      action: { type: String, enum: ['in', 'out', null], default: null },
+    },
+  },
+  { timestamps: false }
+);
+
+WebClockPhotoSchema.index({ empCode: 1, uploadedAt: -1 });
+
+const WebClockPhoto =
+  mongoose.models.WebClockPhoto || mongoose.model('WebClockPhoto', WebClockPhotoSchema);
+export default WebClockPhoto;
@@ -0,0 +1,46 @@
+// models/WebClockRule.js — where employees may use the web clock (IP ranges / geofences)
+import mongoose from 'mongoose';
+
+export const WEB_CLOCK_RULE_SCOPES = ['employee', 'department'];
+
+const GeofenceSchema = new mongoose.Schema(
+  {
+    name: { type: String, default: '', trim: true },
+    latitude: { type: Number, required: true, min: -90, max: 90 },
+    longitude: { type: Number, required: true, min: -180, max: 180 },
+    radiusMeters: { type: Number, required: true, min: 10, max: 50000 },
+  },
+  { _id: false }
+);
+
+/**
+ * One rule per employee or per department. An employee rule replaces the department rule
+ * (they are not merged). No rule = web clock allowed from anywhere (allowWebClockIn only).
+ */
+const WebClockRuleSchema = new mongoose.Schema(
+  {
+    scope: { type: String, enum: WEB_CLOCK_RULE_SCOPES, required: true },
+    /** empCode for scope 'employee', Department.name for scope 'department' */
+    target: { type: String, required: true, trim: true },
+    /** IPv4 CIDR ranges or single addresses, e.g. "203.0.113.0/24" */
+    allowedCidrs: { type: [String], default: [] },
+    /** Also accept the IP recorded for the employee in EmployeeItEquipment */
+    allowEquipmentIp: { type: Boolean, default: false },
+    /** Browser coordinates must fall inside one of these circles (empty = no location check) */
+    geofences: { type: [GeofenceSchema], default: [] },
+    /** Skip network/location checks when EmployeeItEquipment.workLocation is "Work From Home" */
+    exemptWorkFromHome: { type: Boolean, default: false },
+    /** Punch must include a camera selfie (stored via /api/upload, purpose "webClock") */
+    requireSelfie: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+    notes: { type: String, default: '', trim: true },
+    updatedBy: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+WebClockRuleSchema.index({ scope: 1, target: 1 }, { unique: true });
+
+const WebClockRule =
+  mongoose.models.WebClockRule || mongoose.model('WebClockRule', WebClockRuleSchema);
+export default WebClockRule;
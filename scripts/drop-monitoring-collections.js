@@ -3,7 +3,8 @@
  * (now removed) Windows agent / live-monitoring feature.
  *
  * Collections targeted (Mongoose default pluralized names):
- *   - devices               (was models/Device.js)
+ *   - devices               (was the agent's models/Device.js; the current
+ *                            attendance Device model uses `attendance_devices`)
  *   - suspiciouslogs        (was models/SuspiciousLog.js)
  *   - agentactivitylogs     (was models/AgentActivityLog.js)
  *   - attendancesyncrequests(was models/AttendanceSyncRequest.js)
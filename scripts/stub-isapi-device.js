@@ -0,0 +1,125 @@
+/**
+ * Local stub of a Hikvision terminal's ISAPI AcsEvent/search endpoint, for
+ * exercising pull-mode device sync without real hardware.
+ *
+ * It serves a generated event log (ascending serialNo, one event every --interval
+ * seconds from 00:00 UTC today). Only events up to "now" are visible, so the log
+ * grows while the stub runs and stays identical across restarts on the same day.
+ * Results are paged like the real device: 30 results per page,
+ * responseStatusStrg "MORE" until the last page. Digest auth is required, so the
+ * client's challenge/response path is exercised too.
+ *
+ * Usage:
+ *   node scripts/stub-isapi-device.js [--port 8090] [--events 1000] [--interval 60]
+ *                                     [--emp 1001,1002] [--fail-after-pages 3]
+ *
+ * Then register a device with IP 127.0.0.1, port 8090, pull mode on, and set
+ * DEVICE_ISAPI_PASSWORD=stub (user "admin"). --fail-after-pages makes the stub
+ * return 500 after N pages to simulate an interrupted sync; restart it without
+ * the flag and sync again — the run continues from the saved cursor.
+ */
+import http from 'http';
+import crypto from 'crypto';
+
+function arg(name, fallback) {
+  const idx = process.argv.indexOf(`--${name}`);
+  return idx >= 0 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+}
+
+const PORT = Number(arg('port', 8090));
+const EVENT_COUNT = Number(arg('events', 1000));
+const INTERVAL_SEC = Number(arg('interval', 60));
+const EMP_CODES = String(arg('emp', '1001,1002,1003')).split(',');
+const FAIL_AFTER_PAGES = Number(arg('fail-after-pages', 0));
+const TZ = process.env.TIMEZONE_OFFSET || '+05:00';
+const USER = 'admin';
+const PASSWORD = 'stub';
+const REALM = 'stub-device';
+const PAGE_LIMIT = 30;
+
+function toDeviceTime(ms) {
+  const m = /^([+-])(\d{2}):(\d{2})$/.exec(TZ);
+  const offsetMin = m ? (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3])) : 300;
+  return `${new Date(ms + offsetMin * 60000).toISOString().slice(0, 19)}${TZ}`;
+}
+
+// Event log starting 00:00 UTC today, oldest first, alternating check-in/check-out minors
+const today = new Date();
+const startMs = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+const EVENTS = Array.from({ length: EVENT_COUNT }, (_, i) => ({
+  major: 5,
+  minor: i % 2 === 0 ? 38 : 39,
+  time: toDeviceTime(startMs + i * INTERVAL_SEC * 1000),
+  _ms: startMs + i * INTERVAL_SEC * 1000,
+  employeeNoString: EMP_CODES[i % EMP_CODES.length],
+  serialNo: i + 1,
+  doorNo: 1,
+  currentVerifyMode: 'face',
+  attendanceStatus: i % 2 === 0 ? 'checkIn' : 'checkOut',
+}));
+
+const nonce = crypto.randomBytes(16).toString('hex');
+const md5 = (v) => crypto.createHash('md5').update(v).digest('hex');
+let pagesServed = 0;
+
+function isAuthorized(req) {
+  const header = req.headers.authorization || '';
+  if (!/^digest /i.test(header)) return false;
+  const f = {};
+  for (const m of header.matchAll(/(\w+)=(?:"([^"]*)"|([^,\s]+))/g)) f[m[1]] = m[2] ?? m[3];
+  const ha1 = md5(`${USER}:${REALM}:${PASSWORD}`);
+  const ha2 = md5(`${req.method}:${f.uri}`);
+  const expected = f.qop
+    ? md5(`${ha1}:${f.nonce}:${f.nc}:${f.cnonce}:${f.qop}:${ha2}`)
+    : md5(`${ha1}:${f.nonce}:${ha2}`);
+  return f.username === USER && f.nonce === nonce && f.response === expected;
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST' || !req.url.startsWith('/ISAPI/AccessControl/AcsEvent')) {
+    res.writeHead(404).end();
+    return;
+  }
+  if (!isAuthorized(req)) {
+    res.writeHead(401, { 'WWW-Authenticate': `Digest realm="${REALM}", qop="auth", nonce="${nonce}"` }).end();
+    return;
+  }
+
+  let raw = '';
+  req.on('data', (c) => (raw += c));
+  req.on('end', () => {
+    if (FAIL_AFTER_PAGES && pagesServed >= FAIL_AFTER_PAGES) {
+      console.log('Simulating failure (500)');
+      res.writeHead(500).end();
+      return;
+    }
+    const cond = JSON.parse(raw || '{}').AcsEventCond || {};
+    const from = cond.startTime ? new Date(cond.startTime).getTime() : 0;
+    const to = Math.min(cond.endTime ? new Date(cond.endTime).getTime() : Infinity, Date.now());
+    const position = Number(cond.searchResultPosition) || 0;
+    const max = Math.min(PAGE_LIMIT, Number(cond.maxResults) || PAGE_LIMIT);
+
+    const matches = EVENTS.filter((e) => e._ms >= from && e._ms <= to);
+    const page = matches.slice(position, position + max).map(({ _ms, ...e }) => e);
+    const more = position + page.length < matches.length;
+    pagesServed += 1;
+    console.log(`Page ${pagesServed}: position=${position} returned=${page.length} of ${matches.length}`);
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(
+      JSON.stringify({
+        AcsEvent: {
+          searchID: cond.searchID,
+          totalMatches: matches.length,
+          responseStatusStrg: page.length === 0 ? 'NO MATCH' : more ? 'MORE' : 'OK',
+          numOfMatches: page.length,
+          InfoList: page,
+        },
+      })
+    );
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Stub ISAPI device on http://127.0.0.1:${PORT} — user ${USER} / ${PASSWORD}`);
+});